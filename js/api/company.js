@@ -110,6 +110,7 @@ const CompanyAPI = {
     }
 
     // Ensure required structure in full output (follows venture-extraction-schema)
+    const parsedOutput = OutputSchemas.snapshot(fullOutput);
     const full = this.ensureStructure(fullOutput);
 
     // Extract downstream_summary from the full JSON for passing to other APIs
@@ -120,7 +121,7 @@ const CompanyAPI = {
 
     Debug.log('[CompanyAPI] Processing complete:', full.company_overview?.name || 'Unknown');
 
-    return { full, short };
+    return OutputSchemas.attachRawOutput({ full, short }, parsedOutput);
   },
 
   /**
@@ -147,57 +148,9 @@ const CompanyAPI = {
 
   /**
    * Parse output that may be string or object (for full output only)
-   * Handles multiple wrapper structures from Stack AI
    */
   parseOutput(rawOutput, label = 'output') {
-    if (!rawOutput) return null;
-
-    Debug.log(`[CompanyAPI] parseOutput ${label}`);
-
-    // Handle object with text property (Stack AI wrapper)
-    if (typeof rawOutput === 'object' && rawOutput.text) {
-      Debug.log(`[CompanyAPI] parseOutput ${label}: unwrapping`);
-      return this.parseOutput(rawOutput.text, label);
-    }
-
-    // Already an object with expected schema properties
-    if (typeof rawOutput === 'object') {
-      // Check if it has the expected schema structure
-      if (rawOutput.company_overview || rawOutput.technology || rawOutput.company_profile) {
-        Debug.log(`[CompanyAPI] parseOutput ${label}: found schema structure`);
-        return rawOutput;
-      }
-      // Otherwise might be wrapped differently
-      Debug.log(`[CompanyAPI] parseOutput ${label}: non-standard structure`);
-      return rawOutput;
-    }
-
-    // Parse string
-    if (typeof rawOutput === 'string') {
-      try {
-        let cleaned = rawOutput.trim();
-        
-        // Remove markdown code blocks
-        if (cleaned.startsWith('```json')) {
-          cleaned = cleaned.slice(7);
-        }
-        if (cleaned.startsWith('```')) {
-          cleaned = cleaned.slice(3);
-        }
-        if (cleaned.endsWith('```')) {
-          cleaned = cleaned.slice(0, -3);
-        }
-        
-        const parsed = JSON.parse(cleaned.trim());
-        Debug.log(`[CompanyAPI] parseOutput ${label}: parsed JSON`);
-        return parsed;
-      } catch (error) {
-        Debug.error(`[CompanyAPI] Failed to parse ${label}:`, error.message);
-        return null;
-      }
-    }
-
-    return null;
+    return OutputDecoder.parse(rawOutput, label, 'CompanyAPI');
   },
 
   /**
@@ -467,6 +420,56 @@ const CompanyAPI = {
 
     // Last resort: stringify the full data
     return JSON.stringify(full);
+  },
+
+  /**
+   * Key fields the advisor can correct before downstream phases run
+   * @returns {{sector: string, beachhead: string}}
+   */
+  getKeyFields(companyData) {
+    const full = companyData?.full || companyData || {};
+    return {
+      sector: full.market_context?.target_market || '',
+      beachhead: full.solution_value?.beachhead_customer?.segment || ''
+    };
+  },
+
+  /**
+   * Write advisor-corrected key fields into the company output, where the
+   * overview, Solution Value tab and SAM/SOM builder read them. Empty fields
+   * keep the extracted value.
+   * @param {Object} companyData - Company phase output ({ full, short } or full)
+   * @param {Object} fields - Key fields as edited
+   * @returns {Object} companyData, updated in place
+   */
+  applyKeyFieldsToData(companyData, fields) {
+    const full = companyData?.full || companyData;
+    if (!full || typeof full !== 'object') return companyData;
+
+    if (fields.sector) {
+      full.market_context = { ...full.market_context, target_market: fields.sector };
+    }
+    if (fields.beachhead) {
+      const solutionValue = full.solution_value || (full.solution_value = {});
+      solutionValue.beachhead_customer = { ...solutionValue.beachhead_customer, segment: fields.beachhead };
+    }
+    return companyData;
+  },
+
+  /**
+   * Downstream description with advisor-corrected key fields appended
+   * @param {string} description - Reviewed downstream summary
+   * @param {Object} fields - Key fields as edited
+   * @param {Object} originalFields - Key fields as extracted
+   */
+  applyKeyFieldEdits(description, fields, originalFields) {
+    const labels = { sector: 'Sector', beachhead: 'Beachhead customer' };
+    const corrections = Object.keys(labels)
+      .filter(key => fields[key] && fields[key] !== originalFields[key])
+      .map(key => `${labels[key]}: ${fields[key]}`);
+
+    if (corrections.length === 0) return description;
+    return `${description}\n\nAdvisor corrections:\n${corrections.join('\n')}`;
   }
 };
 
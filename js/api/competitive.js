@@ -77,6 +77,8 @@ const CompetitiveAPI = {
       throw new Error('Invalid competitive assessment format');
     }
 
+    const rawOutput = OutputSchemas.snapshot({ analysis, assessment });
+
     // Validate assessment score
     const score = Number.parseInt(assessment.score, 10);
     if (!score || score < 1 || score > 9) {
@@ -88,52 +90,19 @@ const CompetitiveAPI = {
     this.ensureRequiredFields(analysis, assessment);
 
     // Return structured response
-    return {
+    return OutputSchemas.attachRawOutput({
       analysis,
       assessment,
       analysisText: JSON.stringify(analysis), // For market analysis input
       formatted: this.formatForDisplay(analysis, assessment)
-    };
+    }, rawOutput);
   },
 
   /**
    * Parse output that may be string or object
    */
   parseOutput(raw, label) {
-    if (!raw) return null;
-
-    if (typeof raw === 'object') {
-      if (raw.text && typeof raw.text === 'string') {
-        return this.parseOutput(raw.text, label);
-      }
-      return raw;
-    }
-
-    if (typeof raw !== 'string') {
-      return null;
-    }
-
-    let trimmed = raw.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error(`Failed to parse ${label}:`, error);
-      return null;
-    }
+    return OutputDecoder.parse(raw, label, 'CompetitiveAPI');
   },
 
   /**
@@ -73,6 +73,8 @@ const FundingAPI = {
       throw new Error('Invalid funding assessment format');
     }
 
+    const rawOutput = OutputSchemas.snapshot({ analysis, assessment });
+
     const score =
       assessment.funding_score ??
       assessment.score ??
@@ -86,53 +88,19 @@ const FundingAPI = {
 
     this.ensureRequiredFields(analysis, assessment);
 
-    return {
+    return OutputSchemas.attachRawOutput({
       analysis,
       assessment,
       score: assessment.score,
       formatted: this.formatForDisplay(analysis, assessment)
-    };
+    }, rawOutput);
   },
 
   /**
    * Parse output payload that may be a string or { text }
    */
   parseOutput(raw, label) {
-    if (!raw) return null;
-
-    if (typeof raw === 'object') {
-      if (raw.text && typeof raw.text === 'string') {
-        return this.parseOutput(raw.text, label);
-      }
-      return raw;
-    }
-
-    if (typeof raw !== 'string') {
-      console.error(`Unexpected ${label} output type:`, typeof raw);
-      return null;
-    }
-
-    let trimmed = raw.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error(`Failed to parse ${label}:`, error, trimmed);
-      return null;
-    }
+    return OutputDecoder.parse(raw, label, 'FundingAPI');
   },
 
   /**
@@ -10,8 +10,10 @@ const IPRiskAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} inputs - Upstream phase results; competitive names the products
+   *   whose patents the landscape should cover
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, inputs = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required for IP risk analysis');
     }
@@ -21,9 +23,10 @@ const IPRiskAPI = {
       throw new Error('Company description too short for IP risk analysis');
     }
 
+    const competitors = inputs?.competitive?.analysis?.competitors || [];
     const payload = {
       'user_id': StackProxy.buildUserId('iprisk'),
-      'in-0': trimmed
+      'in-0': competitors.length > 0 ? this.applyCompetitors(trimmed, competitors) : trimmed
     };
 
     const controller = new AbortController();
@@ -51,6 +54,22 @@ const IPRiskAPI = {
     }
   },
 
+  /**
+   * Append the competitive phase's competitors to the description, so the
+   * landscape searches their patents rather than rediscovering the field
+   * @param {string} description - Downstream company description
+   * @param {Object[]} competitors - Competitive analysis competitors ({ company_name, product_name })
+   */
+  applyCompetitors(description, competitors) {
+    const lines = competitors
+      .filter(c => c?.company_name || c?.product_name)
+      .map(c => (c.company_name && c.product_name
+        ? `- ${c.company_name} (${c.product_name})`
+        : `- ${c.company_name || c.product_name}`));
+    if (lines.length === 0) return description;
+    return `${description}\n\nKnown competitors (include their patents in the landscape):\n${lines.join('\n')}`;
+  },
+
   /**
    * Process API response (v3: out-0 = analysis, out-1 = score; legacy: out-1/out-2)
    */
@@ -71,13 +90,15 @@ const IPRiskAPI = {
       scoreRaw = outputs['out-2'];
     }
 
-    const analysis = this.parseOutput(analysisRaw);
-    const scoreData = this.parseOutput(scoreRaw);
+    const analysis = this.parseOutput(analysisRaw, 'IP landscape analysis');
+    const scoreData = this.parseOutput(scoreRaw, 'IP risk score');
 
     if (!analysis) {
       throw new Error('No IP landscape data returned from API');
     }
 
+    const rawOutput = OutputSchemas.snapshot({ analysis, scoreData });
+
     // Merge score data into analysis report
     if (scoreData) {
       this.mergeSummary(analysis, scoreData);
@@ -87,57 +108,20 @@ const IPRiskAPI = {
 
     const score = this.extractScore(analysis, scoreData);
 
-    return {
+    return OutputSchemas.attachRawOutput({
       data: analysis,
       score,
       scoreData: scoreData || {},
       rubricDescription: score ? this.getRubricDescription(score) : null,
       formatted: this.formatForDisplay(analysis, scoreData || {}, score)
-    };
+    }, rawOutput);
   },
 
   /**
    * Parse model output regardless of envelope format
    */
-  parseOutput(rawOutput) {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        try {
-          return JSON.parse(rawOutput.text);
-        } catch (e) {
-          return null;
-        }
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (error) {
-      console.error('Failed to parse IP risk output:', error);
-      return null;
-    }
+  parseOutput(rawOutput, label = 'IP risk output') {
+    return OutputDecoder.parse(rawOutput, label, 'IPRiskAPI');
   },
 
   /**
@@ -286,16 +270,7 @@ const IPRiskAPI = {
       })),
 
       // Top relevant patents
-      relevantPatents: (report.top_relevant_patents || []).map(patent => ({
-        id: patent.patent_id || 'Unknown',
-        title: patent.title || 'Untitled',
-        assignee: patent.assignee || 'Unknown',
-        year: patent.year || null,
-        relevance: patent.relevance || '',
-        blockingPotential: patent.blocking_potential || 'low',
-        status: patent.status || 'Unknown',
-        link: patent.link || ''
-      })),
+      relevantPatents: (report.top_relevant_patents || []).map(patent => this.formatPatent(patent)),
 
       // Risk assessment
       overallRisk: risk.overall_risk || 'medium',
@@ -305,8 +280,8 @@ const IPRiskAPI = {
       riskAnalysis: risk.analysis || '',
 
       // Patent table
-      companyPatents: table.company_patents || [],
-      thirdPartyPatents: table.third_party_patents || [],
+      companyPatents: (table.company_patents || []).map(patent => this.formatPatent(patent, 'none')),
+      thirdPartyPatents: (table.third_party_patents || []).map(patent => this.formatPatent(patent)),
 
       // Score details
       justification: scoreData?.score_justification || '',
@@ -321,6 +296,37 @@ const IPRiskAPI = {
     };
   },
 
+  /**
+   * One patent from the top relevant list or the patent table. Table rows don't
+   * follow a fixed schema, so common alternative field names are accepted.
+   * Claims and abstract are only present when the workflow supplies them.
+   * @param {Object} patent - Patent as output by the workflow
+   * @param {string} defaultBlocking - Blocking potential when none is given
+   *   ('none' for the venture's own patents)
+   */
+  formatPatent(patent, defaultBlocking = 'low') {
+    if (!patent || typeof patent !== 'object') patent = {};
+
+    const date = patent.filing_date || patent.priority_date || patent.publication_date || '';
+    const year = parseInt(patent.year || patent.filing_year || String(date).slice(0, 4), 10);
+    const claims = patent.claims || patent.key_claims || patent.independent_claims || [];
+
+    return {
+      id: patent.patent_id || patent.patent_number || patent.id || 'Unknown',
+      title: patent.title || 'Untitled',
+      assignee: patent.assignee || patent.owner || patent.applicant || 'Unknown',
+      year: year >= 1900 && year <= 2100 ? year : null,
+      relevance: patent.relevance || patent.relevance_to_venture || '',
+      blockingPotential: String(patent.blocking_potential || patent.risk_level || defaultBlocking).toLowerCase(),
+      status: patent.status || 'Unknown',
+      link: patent.link || patent.url || patent.google_patents_url || '',
+      abstract: typeof patent.abstract === 'string' ? patent.abstract : '',
+      claims: (Array.isArray(claims) ? claims : [claims])
+        .map(claim => (typeof claim === 'string' ? claim : claim?.text || ''))
+        .filter(claim => claim.trim())
+    };
+  },
+
   /**
    * Get rubric description for IP risk score
    */
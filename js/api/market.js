@@ -73,155 +73,31 @@ const MarketAPI = {
       throw new Error('Invalid market scoring format');
     }
 
+    const rawOutput = OutputSchemas.snapshot({ analysis, scoring });
+
     // Validate score
-    scoring.score = this.normalizeScore(scoring.score);
-    if (scoring.score === null) {
+    const score = this.normalizeScore(scoring.score);
+    if (score === null) {
       throw new Error(`Invalid market score: ${scoring.score}`);
     }
+    scoring.score = score;
 
     // Ensure required fields
     this.ensureRequiredFields(analysis, scoring);
 
     // Return structured response
-    return {
+    return OutputSchemas.attachRawOutput({
       analysis,
       scoring,
       formatted: this.formatForDisplay(analysis, scoring)
-    };
+    }, rawOutput);
   },
 
   /**
    * Parse Stack output that may contain extra text or envelope
    */
   parseOutput(rawOutput, label = 'output') {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        return this.parseOutput(rawOutput.text, label);
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Remove common code fences or YAML markers
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.replace(/^---\s*$/, '').trim();
-
-    const attemptParse = (text) => {
-      try {
-        return JSON.parse(text);
-      } catch (error) {
-        return null;
-      }
-    };
-
-    let parsed = attemptParse(trimmed);
-    if (parsed) return parsed;
-
-    const start = trimmed.indexOf('{');
-    const end = trimmed.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      parsed = attemptParse(trimmed.slice(start, end + 1));
-      if (parsed) return parsed;
-    }
-
-    // Attempt to repair truncated JSON by balancing brackets/braces
-    const repaired = this.repairJsonString(trimmed);
-    if (repaired) {
-      parsed = attemptParse(repaired);
-      if (parsed) return parsed;
-    }
-
-    // Try progressively trimming trailing characters in case of appended commentary
-    if (start !== -1) {
-      for (let cursor = trimmed.length - 1; cursor > start + 1; cursor -= 1) {
-        const candidate = trimmed.slice(start, cursor);
-        const attempt = attemptParse(candidate);
-        if (attempt) return attempt;
-      }
-    }
-
-    console.error(`Failed to parse ${label}:`, trimmed);
-    return null;
-  },
-
-  /**
-   * Attempt to balance unmatched braces/brackets in malformed JSON text
-   */
-  repairJsonString(text) {
-    if (!text) return null;
-
-    const stack = [];
-    let inString = false;
-    let escape = false;
-
-    for (let i = 0; i < text.length; i += 1) {
-      const char = text[i];
-
-      if (inString) {
-        if (escape) {
-          escape = false;
-          continue;
-        }
-        if (char === '\\') {
-          escape = true;
-          continue;
-        }
-        if (char === '"') {
-          inString = false;
-        }
-        continue;
-      }
-
-      if (char === '"') {
-        inString = true;
-        continue;
-      }
-
-      if (char === '{') {
-        stack.push('}');
-      } else if (char === '[') {
-        stack.push(']');
-      } else if (char === '}' || char === ']') {
-        if (stack.length === 0) {
-          // Extra closing bracket; drop it
-          text = text.slice(0, i) + text.slice(i + 1);
-          i -= 1;
-        } else {
-          const expected = stack.pop();
-          if ((char === '}' && expected !== '}') || (char === ']' && expected !== ']')) {
-            // Mismatched closing token
-            return null;
-          }
-        }
-      }
-    }
-
-    if (inString) {
-      // Close unbalanced string
-      text += '"';
-    }
-
-    if (stack.length > 0) {
-      text += stack.reverse().join('');
-    }
-
-    return text;
+    return OutputDecoder.parse(rawOutput, label, 'MarketAPI');
   },
 
   /**
@@ -408,6 +284,35 @@ const MarketAPI = {
     return 'over_20';
   },
 
+  // Rubric bands, lowest first: score = TAM band index * 3 + CAGR band index + 1
+  TAM_BANDS: ['under_500M', '500M_to_5B', 'over_5B'],
+  CAGR_BANDS: ['under_10', '10_to_20', 'over_20'],
+
+  /**
+   * Rubric score for a TAM/CAGR pair
+   * @param {number} tam - TAM in USD
+   * @param {number} cagr - CAGR in percent
+   * @returns {number|null} 1-9, or null if either figure is missing
+   */
+  rubricScore(tam, cagr) {
+    if (!(parseFloat(tam) > 0)) return null;
+    const tamIndex = this.TAM_BANDS.indexOf(this.deriveTamCategory(tam));
+    const cagrIndex = this.CAGR_BANDS.indexOf(this.deriveCagrCategory(cagr));
+    if (tamIndex === -1 || cagrIndex === -1) return null;
+    return tamIndex * 3 + cagrIndex + 1;
+  },
+
+  /**
+   * Compound a TAM forward (or back) at its CAGR
+   * @returns {number|null} TAM in USD for toYear
+   */
+  projectTam(tam, cagr, fromYear, toYear) {
+    const value = parseFloat(tam);
+    const rate = parseFloat(cagr);
+    if (!(value > 0) || isNaN(rate) || !fromYear || !toYear) return null;
+    return value * Math.pow(1 + rate / 100, toYear - fromYear);
+  },
+
   /**
    * Get rubric description for a score
    */
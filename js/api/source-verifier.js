@@ -0,0 +1,176 @@
+// js/api/source-verifier.js - Liveness and credibility checks for cited sources
+// After a phase completes, every source URL in its output is resolved through the
+// proxy (StackReplay stands in during replay) and its domain is rated against
+// SourceCredibility. Dead links and deny-listed domains count as unverifiable.
+// Checks are kept in a store per assessment (see create), so batch pipelines
+// running side by side don't share or overwrite each other's results.
+
+const SourceVerifier = {
+  maxUrls: 40,        // Per phase; further URLs are left unchecked
+  batchSize: 10,      // URLs per proxy request (JSONP is a GET, so the list must fit in the query)
+  skipKeys: ['sourceCheck', 'schemaWarnings'],
+
+  // Statuses from sites that refuse automated requests: the link may well be fine
+  RESTRICTED_STATUSES: [401, 403, 429, 999],
+
+  VERDICTS: {
+    live: 'Link resolves',
+    restricted: 'Site blocks automated checks',
+    dead: 'Dead link',
+    unchecked: 'Not checked'
+  },
+
+  /**
+   * Empty check store: check per normalized URL, shared by every phase of one assessment
+   * @returns {Object}
+   */
+  create() {
+    return {};
+  },
+
+  /**
+   * Check a phase's sources. URLs already in the store are not re-fetched.
+   * @param {Object} store - The assessment's check store
+   * @param {string} phaseKey - Phase key, for log messages
+   * @param {Object} data - Phase result
+   * @returns {Promise<Object>} Summary stored on the result as sourceCheck:
+   *   { checkedAt, total, assessed, unverifiable, error, sources: { url: check } };
+   *   error is set when the proxy could not check some of the sources
+   */
+  async verifyPhase(store, phaseKey, data) {
+    const urls = this.collectUrls(data);
+    const pending = urls.slice(0, this.maxUrls).filter(url => !store[url]);
+    let error = null;
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+      try {
+        const checks = await StackProxy.checkUrls(batch);
+        batch.forEach(url => {
+          const check = checks.find(c => CitationIndex.normalize(c?.url) === url);
+          store[url] = this.evaluate(url, check);
+        });
+      } catch (e) {
+        // Proxy unavailable: the rest stay unchecked and are tried again with the next phase
+        error = e.message;
+        Debug.warn(`[SourceVerifier] Could not check ${pending.length - i} ${phaseKey} source(s):`, error);
+        break;
+      }
+    }
+
+    const summary = { ...this.summarize(store, urls), error };
+    Debug.log(`[SourceVerifier] ${phaseKey}: ${summary.unverifiable} of ${summary.assessed} assessed source(s) unverifiable`);
+    return summary;
+  },
+
+  /**
+   * Every distinct http(s) URL in a phase result
+   */
+  collectUrls(data) {
+    const urls = new Set();
+
+    const visit = (value, depth) => {
+      if (value === null || value === undefined || depth > 12) return;
+      if (typeof value === 'string') {
+        const url = CitationIndex.normalize(value);
+        if (url) urls.add(url);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => visit(item, depth + 1));
+      } else if (typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+          if (!this.skipKeys.includes(key)) visit(item, depth + 1);
+        });
+      }
+    };
+
+    visit(data, 0);
+    return [...urls];
+  },
+
+  /**
+   * Verdict for one URL from the proxy's check (null if it wasn't checked)
+   */
+  evaluate(url, check) {
+    const status = typeof check?.status === 'number' ? check.status : null;
+    const finalUrl = CitationIndex.normalize(check?.finalUrl);
+    const redirectedTo = finalUrl && finalUrl !== url ? finalUrl : null;
+    // A redirect to a content farm is rated as the content farm
+    const { rating, rule } = SourceCredibility.rate(redirectedTo || url);
+
+    let verdict = 'unchecked';
+    if (this.RESTRICTED_STATUSES.includes(status)) verdict = 'restricted';
+    else if (status >= 200 && status < 400) verdict = 'live';
+    else if (status !== null) verdict = 'dead';
+
+    return {
+      url,
+      status,
+      verdict,
+      redirectedTo,
+      title: check?.title || null,
+      error: check?.error || null,
+      credibility: rating,
+      credibilityRule: rule,
+      flagged: verdict === 'dead' || rating === 'untrusted'
+    };
+  },
+
+  summarize(store, urls) {
+    const sources = {};
+    urls.forEach(url => {
+      sources[url] = store[url] || this.evaluate(url, null);
+    });
+    const checks = Object.values(sources);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      total: urls.length,
+      // Sources with a liveness result or a credibility verdict
+      assessed: checks.filter(c => c.verdict !== 'unchecked' || c.credibility === 'untrusted').length,
+      unverifiable: checks.filter(c => c.flagged).length,
+      sources
+    };
+  },
+
+  /**
+   * Add the checks saved with a phase result to a store
+   */
+  remember(store, sourceCheck) {
+    Object.values(sourceCheck?.sources || {}).forEach(check => {
+      if (check.verdict !== 'unchecked' && !store[check.url]) {
+        store[check.url] = check;
+      }
+    });
+  },
+
+  lookup(store, url) {
+    const key = CitationIndex.normalize(url);
+    return key ? store[key] || null : null;
+  },
+
+  /**
+   * One-line description of a check, e.g. "Dead link (404)"
+   */
+  describe(check) {
+    if (!check) return '';
+    const parts = [];
+    if (check.verdict === 'dead') {
+      parts.push(check.status ? `${this.VERDICTS.dead} (${check.status})` : 'Unreachable');
+    } else if (check.verdict === 'restricted') {
+      parts.push(`${this.VERDICTS.restricted} (${check.status})`);
+    } else if (check.verdict === 'unchecked') {
+      parts.push(this.VERDICTS.unchecked);
+    }
+    if (check.credibility === 'untrusted') {
+      parts.push(`Low-credibility domain (${check.credibilityRule})`);
+    } else if (check.credibility === 'trusted') {
+      parts.push('Trusted domain');
+    }
+    if (check.redirectedTo) {
+      parts.push(`Redirects to ${CitationIndex.domain(check.redirectedTo)}`);
+    }
+    return parts.join(' · ');
+  }
+};
+
+window.SourceVerifier = SourceVerifier;
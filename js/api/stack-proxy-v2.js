@@ -8,6 +8,9 @@ const StackProxy = {
   // Cached config from proxy
   config: null,
   configPromise: null,
+
+  // In-flight clear_files request for the session's upload slot
+  pendingClear: null,
   
   /**
    * Initialize - fetch config from proxy
@@ -21,6 +24,8 @@ const StackProxy = {
     this.configPromise = this.fetchConfig();
     this.config = await this.configPromise;
     this.configPromise = null;
+    StackReplay.captureConfig(this.config);
+    SourceCredibility.configure(this.config.sourceCredibility);
     
     Debug.log('[StackProxy] Initialized with workflows:', Object.keys(this.config.workflows || {}).length);
     return this.config;
@@ -32,58 +37,90 @@ const StackProxy = {
    * JSONP works reliably because <script> tags follow redirects natively.
    */
   async fetchConfig() {
+    if (StackReplay.isReplaying()) {
+      return StackReplay.getConfig();
+    }
+
+    let data;
+    try {
+      data = await this.jsonp({ action: 'config', version: 3 }, 15000);
+    } catch (error) {
+      Debug.error(`[StackProxy] Config fetch ${error.message}`);
+      throw new Error(error.message === 'timeout'
+        ? 'API configuration timeout. Please check your connection and refresh.'
+        : 'Unable to load API configuration. Please refresh and try again.');
+    }
+
+    if (data.success && data.config) {
+      return data.config;
+    }
+    throw new Error(data.error || 'Invalid config response');
+  },
+
+  /**
+   * GET a proxy action via JSONP
+   * @param {Object} params - Query parameters, including action
+   * @param {number} timeoutMs
+   * @returns {Promise<Object>} The proxy's response; rejects with 'failed' or 'timeout'
+   */
+  jsonp(params, timeoutMs) {
     return new Promise((resolve, reject) => {
-      const timeoutMs = 15000;
       let completed = false;
 
       // Unique callback name for this request
-      const callbackName = '_stackConfig_' + Date.now();
+      const callbackName = `_stack_${params.action}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
 
-      // Register global callback
-      window[callbackName] = (data) => {
+      const cleanup = () => {
+        delete window[callbackName];
+        if (script.parentNode) script.parentNode.removeChild(script);
+      };
+
+      const finish = (callback, value) => {
         if (completed) return;
         completed = true;
         cleanup();
-
-        if (data.success && data.config) {
-          resolve(data.config);
-        } else {
-          reject(new Error(data.error || 'Invalid config response'));
-        }
+        callback(value);
       };
 
-      // Create script tag for JSONP
-      const script = document.createElement('script');
-      script.src = `${this.proxyUrl}?action=config&version=3&callback=${callbackName}`;
-
-      script.onerror = () => {
-        if (!completed) {
-          Debug.error('[StackProxy] JSONP config fetch failed');
-          completed = true;
-          cleanup();
-          reject(new Error('Unable to load API configuration. Please refresh and try again.'));
-        }
-      };
+      // Register global callback
+      window[callbackName] = (data) => finish(resolve, data || {});
 
-      const cleanup = () => {
-        delete window[callbackName];
-        if (script.parentNode) script.parentNode.removeChild(script);
-      };
+      const query = new URLSearchParams({ ...params, callback: callbackName });
+      const script = document.createElement('script');
+      script.src = `${this.proxyUrl}?${query}`;
+      script.onerror = () => finish(reject, new Error('failed'));
 
-      // Timeout
-      setTimeout(() => {
-        if (!completed) {
-          Debug.error('[StackProxy] Config fetch timeout');
-          completed = true;
-          cleanup();
-          reject(new Error('API configuration timeout. Please check your connection and refresh.'));
-        }
-      }, timeoutMs);
+      setTimeout(() => finish(reject, new Error('timeout')), timeoutMs);
 
       document.head.appendChild(script);
     });
   },
 
+  /**
+   * Resolve source URLs through the proxy's check_urls action, which fetches each
+   * URL server-side (following redirects) and reports what it found. The proxy
+   * contract is described under "Source Check Proxy Action" in the README.
+   * @param {string[]} urls
+   * @returns {Promise<Object[]>} [{ url, status, finalUrl, title, error }]; status 0 if unreachable
+   */
+  async checkUrls(urls) {
+    if (StackReplay.isReplaying()) {
+      return StackReplay.checkUrls(urls);
+    }
+
+    let data;
+    try {
+      data = await this.jsonp({ action: 'check_urls', version: 3, urls: JSON.stringify(urls) }, 30000);
+    } catch (error) {
+      throw new Error(error.message === 'timeout' ? 'the proxy timed out' : 'the proxy could not be reached');
+    }
+    if (!data.success || !Array.isArray(data.results)) {
+      throw new Error(data.error || 'Invalid check_urls response');
+    }
+    StackReplay.captureUrlChecks(data.results);
+    return data.results;
+  },
+
   /**
    * Call a Stack AI workflow directly (no proxy for inference)
    */
@@ -96,6 +133,10 @@ const StackProxy = {
       throw new Error(`Unknown workflow: ${workflow}`);
     }
     
+    if (StackReplay.isReplaying()) {
+      return StackReplay.call(workflow, payload, abortSignal);
+    }
+
     const url = `${config.baseUrl}/${workflowId}`;
     
     Debug.log(`[StackProxy] Calling workflow: ${workflow}`);
@@ -118,11 +159,13 @@ const StackProxy = {
       if (!response.ok) {
         const errorText = await response.text();
         console.error(`[StackProxy] ${workflow} failed (${elapsed}s):`, response.status, errorText);
+        StackReplay.capture(workflow, payload, { status: response.status, body: errorText, elapsedMs: Date.now() - startTime });
         throw new Error(`API error ${response.status}: ${errorText.slice(0, 200)}`);
       }
       
       const data = await response.json();
       Debug.log(`[StackProxy] ${workflow} completed (${elapsed}s)`);
+      StackReplay.capture(workflow, payload, { status: response.status, body: data, elapsedMs: Date.now() - startTime });
       
       return data;
       
@@ -132,6 +175,11 @@ const StackProxy = {
         throw error;
       }
 
+      // fetch() itself failed (connection dropped)
+      if (error.name === 'TypeError') {
+        StackReplay.capture(workflow, payload, { status: 0, body: error.message, elapsedMs: Date.now() - startTime });
+      }
+
       Debug.error(`[StackProxy] ${workflow} error:`, error.message);
       throw error;
     }
@@ -153,6 +201,17 @@ const StackProxy = {
     const config = await this.init();
     const userId = this.getUserId();
 
+    // Recorded responses stand in for the whole upload and workflow round trip
+    if (StackReplay.isReplaying()) {
+      return this.call(workflow, this.buildFilesPayload(workflow, userId, websiteUrl), abortSignal);
+    }
+
+    // All uploads share one user ID per session, so let the previous run's
+    // cleanup finish before uploading, or it could delete these files
+    if (this.pendingClear) {
+      await this.pendingClear;
+    }
+
     Debug.log(`[StackProxy] Uploading ${files.length} file(s) for ${workflow}`);
 
     // Upload files sequentially
@@ -188,6 +247,25 @@ const StackProxy = {
     Debug.log(`[StackProxy] All files uploaded, calling workflow...`);
 
     // Call the workflow directly (no proxy needed)
+    try {
+      return await this.call(workflow, this.buildFilesPayload(workflow, userId, websiteUrl), abortSignal);
+    } finally {
+      // Delete the uploaded file(s) from Stack AI's document store immediately,
+      // whether the workflow succeeded, errored, or was aborted. Downstream
+      // phases use downstream_summary text only, not the file. Fire-and-forget
+      // so cleanup runs in parallel with response processing in CompanyAPI.
+      const clearing = this.clearFiles(workflow, userId);
+      this.pendingClear = clearing;
+      clearing.then(() => {
+        if (this.pendingClear === clearing) this.pendingClear = null;
+      });
+    }
+  },
+
+  /**
+   * Workflow payload for a call on uploaded documents
+   */
+  buildFilesPayload(workflow, userId, websiteUrl) {
     const payload = {
       user_id: userId,
       'doc-0': null  // Indicates uploaded documents exist
@@ -197,16 +275,7 @@ const StackProxy = {
     if (websiteUrl && workflow === 'company_both') {
       payload['in-0'] = websiteUrl;
     }
-
-    try {
-      return await this.call(workflow, payload, abortSignal);
-    } finally {
-      // Delete the uploaded file(s) from Stack AI's document store immediately,
-      // whether the workflow succeeded, errored, or was aborted. Downstream
-      // phases use downstream_summary text only, not the file. Fire-and-forget
-      // so cleanup runs in parallel with response processing in CompanyAPI.
-      this.clearFiles(workflow, userId);
-    }
+    return payload;
   },
 
   /**
@@ -0,0 +1,331 @@
+// js/api/stack-replay.js - Offline replay and recording of Stack AI responses
+// ?replay=<name> serves StackProxy calls from fixtures/replay/<name>.json; ?replay with
+// no name waits for a bundle to be uploaded from the banner. ?record captures live
+// responses into the same bundle format for download.
+
+const StackReplay = {
+  fixturesPath: 'fixtures/replay/',
+  bundleVersion: 1,
+
+  mode: 'off',          // 'off', 'replay' or 'record'
+  fixtureName: null,
+  speed: 10,            // Replayed latency = recorded elapsed time / speed (?replaySpeed=1 for real time)
+  minLatencyMs: 300,
+
+  // Bundle: { version, recordedAt, config, responses: { workflow: [entry] }, urlChecks: { url: check } }
+  // Entry: { payload (without user_id), status, body, elapsedMs, recordedAt }
+  // Check: source verification result from the proxy's check_urls action
+  bundle: null,
+  bundlePromise: null,
+  resolveUpload: null,
+  cursors: {},          // Next entry per workflow + payload, so repeated calls step through recordings
+
+  /**
+   * Read the mode from the page URL
+   */
+  configure(search = window.location.search) {
+    const params = new URLSearchParams(search);
+
+    if (params.has('replay')) {
+      this.mode = 'replay';
+      this.fixtureName = params.get('replay') || null;
+      const speed = parseFloat(params.get('replaySpeed'));
+      if (speed > 0) this.speed = speed;
+    } else if (params.has('record')) {
+      this.mode = 'record';
+      this.bundle = this.createBundle();
+    }
+
+    if (this.mode !== 'off') {
+      Debug.log(`[StackReplay] ${this.mode} mode${this.fixtureName ? `: ${this.fixtureName}` : ''}`);
+    }
+  },
+
+  isReplaying() {
+    return this.mode === 'replay';
+  },
+
+  isRecording() {
+    return this.mode === 'record';
+  },
+
+  createBundle() {
+    return {
+      version: this.bundleVersion,
+      recordedAt: new Date().toISOString(),
+      config: null,
+      responses: {},
+      urlChecks: {}
+    };
+  },
+
+  // ========== REPLAY ==========
+
+  /**
+   * The bundle being replayed. Resolves once the fixture is fetched or a bundle is uploaded.
+   */
+  getBundle() {
+    if (this.bundle) return Promise.resolve(this.bundle);
+
+    if (!this.bundlePromise) {
+      this.bundlePromise = this.fixtureName
+        ? this.fetchFixture(this.fixtureName)
+        : new Promise(resolve => { this.resolveUpload = resolve; });
+
+      this.bundlePromise.then(
+        bundle => { this.bundle = bundle; },
+        () => { this.bundlePromise = null; }
+      );
+    }
+    return this.bundlePromise;
+  },
+
+  async fetchFixture(name) {
+    const response = await fetch(`${this.fixturesPath}${encodeURIComponent(name)}.json`);
+    if (!response.ok) {
+      throw new Error(`Replay fixture not found: ${name} (${response.status})`);
+    }
+    return this.validateBundle(await response.json());
+  },
+
+  /**
+   * Replay an uploaded bundle instead of (or in place of) the fixture
+   * @param {File} file - Bundle JSON from record mode
+   */
+  async loadUploadedBundle(file) {
+    const bundle = this.validateBundle(JSON.parse(await file.text()));
+    this.bundle = bundle;
+    this.cursors = {};
+
+    if (this.resolveUpload) {
+      this.resolveUpload(bundle);
+      this.resolveUpload = null;
+    }
+    return bundle;
+  },
+
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle.responses !== 'object') {
+      throw new Error('Not a replay bundle: missing responses');
+    }
+    if (bundle.version > this.bundleVersion) {
+      throw new Error(`Unsupported replay bundle version: ${bundle.version}`);
+    }
+    return bundle;
+  },
+
+  /**
+   * Stand-in for the proxy config. Every recorded workflow is callable.
+   */
+  async getConfig() {
+    const bundle = await this.getBundle();
+    const workflows = { ...(bundle.config?.workflows || {}) };
+    Object.keys(bundle.responses).forEach(workflow => {
+      if (!workflows[workflow]) workflows[workflow] = workflow;
+    });
+
+    return { ...(bundle.config || {}), baseUrl: 'replay:', publicKey: '', workflows };
+  },
+
+  /**
+   * Serve a recorded response the way StackProxy.call would return or throw it
+   */
+  async call(workflow, payload, abortSignal = null) {
+    const bundle = await this.getBundle();
+    const entry = this.pickEntry(bundle.responses[workflow] || [], workflow, payload);
+    if (!entry) {
+      throw new Error(`No recorded response for workflow: ${workflow}`);
+    }
+
+    await this.simulateLatency(entry.elapsedMs, abortSignal);
+    Debug.log(`[StackReplay] ${workflow} replayed (status ${entry.status})`);
+
+    if (entry.status === 0) {
+      throw new TypeError(entry.body || 'Failed to fetch');
+    }
+    if (entry.status < 200 || entry.status >= 300) {
+      const errorText = typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body);
+      throw new Error(`API error ${entry.status}: ${errorText.slice(0, 200)}`);
+    }
+
+    // Parsers may modify the response, so never hand out the recorded object
+    return JSON.parse(JSON.stringify(entry.body));
+  },
+
+  /**
+   * Serve recorded source checks. URLs checked in no recording come back
+   * unchecked (status null) rather than as dead links.
+   */
+  async checkUrls(urls) {
+    const bundle = await this.getBundle();
+    const recorded = bundle.urlChecks || {};
+    return urls.map(url => recorded[url]
+      ? { ...recorded[url], url }
+      : { url, status: null, finalUrl: null, title: null, error: 'not recorded' });
+  },
+
+  /**
+   * Prefer recordings of the same payload; otherwise step through all of the
+   * workflow's recordings in order
+   */
+  pickEntry(entries, workflow, payload) {
+    if (entries.length === 0) return null;
+
+    const key = this.payloadKey(payload);
+    const matching = entries.filter(entry => this.payloadKey(entry.payload) === key);
+    const pool = matching.length > 0 ? matching : entries;
+    const cursorKey = `${workflow}|${matching.length > 0 ? key : '*'}`;
+
+    const index = this.cursors[cursorKey] || 0;
+    this.cursors[cursorKey] = index + 1;
+    return pool[index % pool.length];
+  },
+
+  // User IDs carry the advisor name and a timestamp, so they never match between runs
+  payloadKey(payload) {
+    const { user_id, ...rest } = payload || {};
+    return JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+  },
+
+  simulateLatency(elapsedMs, signal) {
+    const ms = Math.max(this.minLatencyMs, Math.round((elapsedMs || 0) / this.speed));
+
+    return new Promise((resolve, reject) => {
+      const cancelled = () => {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        return error;
+      };
+      if (signal?.aborted) {
+        reject(cancelled());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  },
+
+  // ========== RECORD ==========
+
+  /**
+   * Keep the workflow list and portfolios; the public key and base URL stay out of recordings
+   */
+  captureConfig(config) {
+    if (!this.isRecording() || !config) return;
+    const { publicKey, baseUrl, ...rest } = config;
+    this.bundle.config = rest;
+  },
+
+  /**
+   * Record one workflow call
+   * @param {string} workflow - Workflow name
+   * @param {Object} payload - Request payload
+   * @param {Object} result - { status, body, elapsedMs }; status 0 for a network failure
+   */
+  capture(workflow, payload, result) {
+    if (!this.isRecording()) return;
+
+    const { user_id, ...recordedPayload } = payload || {};
+    const entries = this.bundle.responses[workflow] || (this.bundle.responses[workflow] = []);
+    entries.push({ payload: recordedPayload, ...result, recordedAt: new Date().toISOString() });
+
+    Debug.log(`[StackReplay] Recorded ${workflow} (status ${result.status})`);
+    this.updateBanner();
+  },
+
+  /**
+   * Record source check results
+   */
+  captureUrlChecks(results) {
+    if (!this.isRecording()) return;
+    (results || []).forEach(result => {
+      if (result?.url) this.bundle.urlChecks[result.url] = result;
+    });
+  },
+
+  responseCount() {
+    return Object.values(this.bundle?.responses || {}).reduce((sum, entries) => sum + entries.length, 0);
+  },
+
+  downloadRecording() {
+    const blob = new Blob([JSON.stringify(this.bundle, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `stack-replay-${new Date().toISOString().slice(0, 16).replace(/[-T:]/g, '')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  },
+
+  // ========== BANNER ==========
+
+  initBanner() {
+    const banner = document.getElementById('replay-banner');
+    if (!banner || this.mode === 'off') return;
+
+    banner.classList.remove('hidden');
+    document.getElementById('replay-bundle-input')?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        await this.loadUploadedBundle(file);
+        this.updateBanner(`Replaying ${file.name}`);
+      } catch (error) {
+        Debug.error('[StackReplay] Could not load bundle:', error.message);
+        this.updateBanner(`Could not load ${file.name}: ${error.message}`);
+      }
+    });
+    document.getElementById('replay-download-btn')?.addEventListener('click', () => this.downloadRecording());
+
+    if (this.isReplaying() && this.fixtureName) {
+      this.getBundle().then(
+        () => this.updateBanner(),
+        error => this.updateBanner(`${error.message}. Upload a bundle instead.`)
+      );
+    }
+    this.updateBanner();
+  },
+
+  updateBanner(message = null) {
+    const badge = document.getElementById('replay-badge');
+    const text = document.getElementById('replay-text');
+    const uploadBtn = document.getElementById('replay-upload-btn');
+    const downloadBtn = document.getElementById('replay-download-btn');
+    if (!text) return;
+
+    if (badge) badge.textContent = this.isRecording() ? 'RECORDING' : 'REPLAY';
+    uploadBtn?.classList.toggle('hidden', !this.isReplaying());
+    downloadBtn?.classList.toggle('hidden', !this.isRecording());
+
+    if (message) {
+      text.textContent = message;
+    } else if (this.isRecording()) {
+      const count = this.responseCount();
+      text.textContent = `Live Stack AI responses are being recorded (${count} so far).`;
+      if (downloadBtn) downloadBtn.disabled = count === 0;
+    } else if (this.bundle) {
+      text.textContent = `Responses are replayed from ${this.fixtureName ? `${this.fixtureName}.json` : 'the uploaded bundle'}. No Stack AI calls are made.`;
+    } else {
+      text.textContent = this.fixtureName
+        ? `Loading ${this.fixtureName}.json...`
+        : 'Upload a recorded bundle to start replaying.';
+    }
+  }
+};
+
+StackReplay.configure();
+
+// Make available globally
+window.StackReplay = StackReplay;
+
+document.addEventListener('DOMContentLoaded', () => StackReplay.initBanner());
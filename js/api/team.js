@@ -11,8 +11,10 @@ const TeamAPI = {
    * 
    * @param {string} companyDescription - Short company description JSON from CompanyAPI
    * @param {AbortSignal} abortSignal - Optional abort signal
+   * @param {Object} inputs - Upstream phase results, plus roster when re-scoring
+   *   an advisor-corrected roster ([{ name, role, note }], see TeamRoster.active)
    */
-  async analyze(companyDescription, abortSignal = null) {
+  async analyze(companyDescription, abortSignal = null, inputs = {}) {
     if (!companyDescription || typeof companyDescription !== 'string') {
       throw new Error('Company description is required for team analysis');
     }
@@ -22,9 +24,13 @@ const TeamAPI = {
       throw new Error('Company description too short for team analysis');
     }
 
+    const description = inputs?.roster?.length > 0
+      ? this.applyRoster(companyDescription.trim(), inputs.roster)
+      : companyDescription.trim();
+
     const payload = {
       'user_id': StackProxy.buildUserId('team'),
-      'in-0': companyDescription.trim()
+      'in-0': description
     };
 
     const controller = new AbortController();
@@ -52,6 +58,17 @@ const TeamAPI = {
     }
   },
 
+  /**
+   * Description with the advisor's roster appended. The workflow takes a single
+   * input, so the roster travels in the text, like CompanyAPI.applyKeyFieldEdits.
+   * @param {string} description - Downstream company description
+   * @param {Object[]} roster - [{ name, role, note }]
+   */
+  applyRoster(description, roster) {
+    const lines = roster.map(m => `- ${m.name}${m.role ? ` (${m.role})` : ''}${m.note ? `: ${m.note}` : ''}`);
+    return `${description}\n\nAdvisor-confirmed team roster (research and score these people only):\n${lines.join('\n')}`;
+  },
+
   /**
    * Process API response (out-0 = team roster, out-1 = team score)
    */
@@ -75,6 +92,7 @@ const TeamAPI = {
       throw new Error('Invalid team scoring format');
     }
 
+    const rawOutput = OutputSchemas.snapshot({ team, scoring });
     this.ensureRequiredFields(team, scoring);
 
     const score = this.normalizeScore(scoring.score);
@@ -93,61 +111,14 @@ const TeamAPI = {
       formatted: this.formatForDisplay(team, scoring, score)
     };
 
-    return result;
+    return OutputSchemas.attachRawOutput(result, rawOutput);
   },
 
   /**
    * Parse JSON safely, handling wrapped text outputs
    */
   parseOutput(rawOutput, label) {
-    if (!rawOutput) return null;
-
-    if (typeof rawOutput === 'object') {
-      if (rawOutput.text && typeof rawOutput.text === 'string') {
-        return this.parseOutput(rawOutput.text, label);
-      }
-      return rawOutput;
-    }
-
-    if (typeof rawOutput !== 'string') {
-      return null;
-    }
-
-    let trimmed = rawOutput.trim();
-    if (!trimmed) return null;
-
-    // Clean up markdown code blocks
-    if (trimmed.startsWith('```json')) {
-      trimmed = trimmed.slice(7);
-    }
-    if (trimmed.startsWith('```')) {
-      trimmed = trimmed.slice(3);
-    }
-    if (trimmed.endsWith('```')) {
-      trimmed = trimmed.slice(0, -3);
-    }
-    trimmed = trimmed.trim();
-
-    const tryParse = (text) => {
-      try {
-        return JSON.parse(text);
-      } catch {
-        return null;
-      }
-    };
-
-    let parsed = tryParse(trimmed);
-    if (parsed) return parsed;
-
-    const start = trimmed.indexOf('{');
-    const end = trimmed.lastIndexOf('}');
-    if (start !== -1 && end !== -1 && end > start) {
-      parsed = tryParse(trimmed.slice(start, end + 1));
-      if (parsed) return parsed;
-    }
-
-    console.error(`Failed to parse ${label}:`, trimmed);
-    return null;
+    return OutputDecoder.parse(rawOutput, label, 'TeamAPI');
   },
 
   /**
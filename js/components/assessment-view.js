@@ -3,42 +3,48 @@
 
 class AssessmentView {
   constructor() {
-    this.currentView = {
-      team: 'summary',
-      funding: 'summary',
-      competitive: 'summary',
-      market: 'summary',
-      iprisk: 'summary',
-      solutionvalue: 'summary'
-    };
-
-    this.data = {
-      company: null,
-      team: null,
-      funding: null,
-      competitive: null,
-      market: null,
-      iprisk: null,
-      solutionvalue: null
-    };
-
-    this.userScores = {
-      team: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      funding: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      competitive: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      market: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      iprisk: { score: null, justification: '', submitted: false, timesSubmitted: 0 },
-      solutionvalue: { score: null, justification: '', submitted: false, timesSubmitted: 0 }
-    };
-
-    this.aiScores = {
-      team: null,
-      funding: null,
-      competitive: null,
-      market: null,
-      iprisk: null,
-      solutionvalue: null
-    };
+    // Keyed by registry entry: data for every phase and dimension, scores and
+    // views for the scored dimensions
+    const dimensions = PhaseRegistry.dimensionKeys();
+    this.currentView = Object.fromEntries(dimensions.map(dim => [dim, 'summary']));
+    this.data = Object.fromEntries(PhaseRegistry.entries.map(entry => [entry.key, null]));
+    this.userScores = Object.fromEntries(dimensions.map(dim => [
+      dim, { score: null, justification: '', submitted: false, timesSubmitted: 0 }
+    ]));
+    this.aiScores = Object.fromEntries(dimensions.map(dim => [dim, null]));
+
+    // One number per source across all tabs, for inline markers and the bibliography
+    this.citations = CitationIndex.create();
+    // Source checks for the assessment on screen (see SourceVerifier)
+    this.sourceChecks = SourceVerifier.create();
+
+    // IP tab freedom-to-operate worksheet (see FtoWorksheet)
+    this.ftoWorksheet = null;
+    this.ftoSaveTimer = null;
+
+    // Competitive tab Compare view: matrix sort and filters, positioning map axes
+    this.competitorCompare = this.createCompetitorCompareState();
+
+    // Funding tab Explore view: deal relevance filter
+    this.dealExplorer = this.createDealExplorerState();
+
+    // Funding tab investors to approach (see InvestorOutreach)
+    this.investorOutreach = null;
+
+    // Team tab roles expected for the venture's stage (see TeamGaps)
+    this.teamGaps = null;
+    this.teamGapsSaveTimer = null;
+
+    // Team tab advisor-corrected roster (see TeamRoster)
+    this.teamRoster = null;
+    this.teamRosterSaveTimer = null;
+
+    // Market tab sizing calculator inputs (see renderMarketCalculator)
+    this.marketCalculator = null;
+
+    // Market tab bottom-up SAM/SOM assumptions (see MarketSizing)
+    this.marketSizing = null;
+    this.marketSizingSaveTimer = null;
   }
 
   init() {
@@ -53,7 +59,7 @@ class AssessmentView {
    * Must be called when starting a new analysis or clicking "New Assessment."
    */
   reset() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
+    const dimensions = PhaseRegistry.dimensionKeys();
 
     dimensions.forEach(dim => {
       // Reset in-memory state
@@ -96,6 +102,10 @@ class AssessmentView {
       const scoringCard = document.getElementById(`${dim}-scoring-card`);
       if (scoringCard) scoringCard.classList.remove('has-submission');
 
+      // Reset DOM: score derivation trace
+      const trace = document.getElementById(`${dim}-score-trace`);
+      if (trace) trace.innerHTML = '';
+
       // Reset DOM: score badges
       const aiBadge = document.getElementById(`${dim}-ai-score-badge`);
       if (aiBadge) aiBadge.textContent = '-';
@@ -105,6 +115,40 @@ class AssessmentView {
 
     // Reset company data
     this.data.company = null;
+    this.citations = CitationIndex.create();
+    this.sourceChecks = SourceVerifier.create();
+
+    // Clear the FTO worksheet
+    clearTimeout(this.ftoSaveTimer);
+    this.ftoWorksheet = null;
+    const ftoWorksheet = document.getElementById('iprisk-fto-worksheet');
+    if (ftoWorksheet) ftoWorksheet.innerHTML = '';
+
+    this.competitorCompare = this.createCompetitorCompareState();
+    this.dealExplorer = this.createDealExplorerState();
+
+    this.investorOutreach = null;
+    const investorOutreach = document.getElementById('funding-investor-outreach');
+    if (investorOutreach) investorOutreach.innerHTML = '';
+
+    clearTimeout(this.teamGapsSaveTimer);
+    this.teamGaps = null;
+    const teamGaps = document.getElementById('team-gap-matrix');
+    if (teamGaps) teamGaps.innerHTML = '';
+
+    clearTimeout(this.teamRosterSaveTimer);
+    this.teamRoster = null;
+    const teamRoster = document.getElementById('team-roster');
+    if (teamRoster) teamRoster.innerHTML = '';
+
+    this.marketCalculator = null;
+    const marketCalculator = document.getElementById('market-calculator');
+    if (marketCalculator) marketCalculator.innerHTML = '';
+
+    clearTimeout(this.marketSizingSaveTimer);
+    this.marketSizing = null;
+    const marketSizing = document.getElementById('market-sizing');
+    if (marketSizing) marketSizing.innerHTML = '';
 
     // Clear Solution Value evidence
     const svEvidence = document.getElementById('solutionvalue-evidence');
@@ -116,7 +160,7 @@ class AssessmentView {
   // ========== SLIDER SETUP ==========
   
   setupSliders() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
+    const dimensions = PhaseRegistry.dimensionKeys();
 
     dimensions.forEach(dim => {
       const slider = document.getElementById(`${dim}-score-slider`);
@@ -131,11 +175,18 @@ class AssessmentView {
           this.userScores[dim].score = score;
           this.updateRubricDisplay(dim, score);
           this.checkDeviation(dim, score, deviationEl);
+
+          // A hand-moved score no longer follows from the calculator's market
+          if (dim === 'market' && this.userScores.market.marketBasis && this.userScores.market.marketBasis.score !== score) {
+            this.userScores.market.marketBasis = null;
+            if (this.data.market) this.renderMarketCalculator(this.data.market);
+          }
           
           if (window.app?.stateManager) {
             window.app.stateManager.saveUserScore(dim, {
               score,
-              justification: this.userScores[dim].justification
+              justification: this.userScores[dim].justification,
+              marketBasis: this.userScores[dim].marketBasis
             });
           }
         });
@@ -150,75 +201,7 @@ class AssessmentView {
   // ========== RUBRIC DEFINITIONS ==========
   
   getRubricDefinitions(dimension) {
-    const rubrics = {
-      team: {
-        1: { label: 'No Signal', description: 'No credible signals of research quality or translation interest. Limited track record; no relevant highlights.' },
-        2: { label: 'Weak Signal', description: 'Limited credibility signals and no translation indicators. Early work exists but little evidence of momentum or fit.' },
-        3: { label: 'Developing', description: 'Some credible academic signals (for stage) but translation orientation unclear. Limited evidence of impact or applied interest.' },
-        4: { label: 'Credible (Stage-Adjusted)', description: 'Credible academic profile relative to career stage. Translation orientation unclear; no clear applied/commercial signals.' },
-        5: { label: 'Credible + Some Applied', description: 'Solid credibility for stage with at least one applied/industry or tech-transfer indicator. Translation interest plausible but unproven.' },
-        6: { label: 'High-Potential Early-Career', description: 'Strong credibility for stage with standout signals (awards, high-impact work, key role) and signs of passion/drive. Translation orientation limited but promising.' },
-        7: { label: 'Translational Operator', description: 'Strong credibility plus clear translation orientation (industry collabs, licensing/SBIR, startup/advisory). Likely to engage in spinout activities.' },
-        8: { label: 'Proven Translator', description: 'Excellent credibility and repeated translation signals with demonstrated execution (multiple partnerships, successful tech transfer, startup leadership/advisory).' },
-        9: { label: 'Category Leader', description: 'Field-leading credibility with exceptional translation track record and leadership. High confidence in sustained engagement and ability to drive commercialization.' }
-      },
-      funding: {
-        1: { label: 'No Investor Signal', description: 'No comparable funding activity in the sector. Minimal investor interest or deal activity.' },
-        2: { label: 'Very Limited', description: 'Very limited funding activity, mostly grants. Few institutional investors active in the space.' },
-        3: { label: 'Early/Angel-Led', description: 'Some angel/seed activity, limited institutional participation. Funding ecosystem still nascent.' },
-        4: { label: 'Growing Early-Stage', description: 'Growing investor interest; early-stage rounds becoming more common. A few notable deals.' },
-        5: { label: 'Established VC Activity', description: 'Regular Series A/B activity with established VC interest. Healthy, repeatable deal flow.' },
-        6: { label: 'Strong Institutional Backing', description: 'Strong institutional backing with multiple growth rounds. Sector attracting significant capital.' },
-        7: { label: 'Scaled Winners', description: 'High-profile investors and strong deal flow. Multiple companies reaching large scale (often $1B+ valuation).' },
-        8: { label: 'Top-Tier Frenzy', description: 'Exceptional funding environment with multiple scaled winners. Top-tier VCs actively competing for deals.' },
-        9: { label: 'Peak Capital Cycle', description: 'Peak funding activity with repeated mega-rounds. Sector is a top investment category.' }
-      },
-      competitive: {
-        1: { label: 'Dominated Market', description: 'Market dominated by incumbents with entrenched advantages. Very difficult to differentiate or compete.' },
-        2: { label: 'Crowded Field', description: 'Many strong competitors with established share. Differentiation opportunities are limited.' },
-        3: { label: 'Competitive', description: 'Several capable players. Differentiation possible but challenging and often costly.' },
-        4: { label: 'Differentiable', description: 'Moderate competition with clear differentiation paths. Some barriers to entry exist.' },
-        5: { label: 'Neutral Landscape', description: 'Average competitive landscape. Competition is manageable but offers no inherent advantage.' },
-        6: { label: 'Winnable Position', description: 'Market may be competitive, but clear differentiation and defensibility are achievable (tech, cost, channel, or timing).' },
-        7: { label: 'Protected Niche', description: 'Limited competition with strong differentiation. Significant barriers protect a defensible niche.' },
-        8: { label: 'Strong Moat', description: 'Few direct competitors and meaningful barriers to entry. Strong defensive moat and pricing power potential.' },
-        9: { label: 'Category Creator', description: 'No true direct competitors today; defines a new category. Must still validate that a real market exists.' }
-      },
-      market: {
-        1: { label: 'Tiny / Slow', description: 'TAM < $500M and CAGR < 10%. Limited opportunity and slow growth.' },
-        2: { label: 'Small / Steady', description: 'TAM < $500M and CAGR 10-20%. Small but growing market.' },
-        3: { label: 'Small / Fast', description: 'TAM < $500M and CAGR > 20%. Small market with rapid growth potential.' },
-        4: { label: 'Mid / Slow', description: 'TAM $500M-$5B and CAGR < 10%. Substantial market, limited growth.' },
-        5: { label: 'Mid / Steady', description: 'TAM $500M-$5B and CAGR 10-20%. Good size with healthy growth.' },
-        6: { label: 'Mid / Fast', description: 'TAM $500M-$5B and CAGR > 20%. Strong opportunity with rapid expansion.' },
-        7: { label: 'Large / Slow', description: 'TAM > $5B and CAGR < 10%. Very large market in a mature growth phase.' },
-        8: { label: 'Large / Steady', description: 'TAM > $5B and CAGR 10-20%. Excellent size with sustained growth.' },
-        9: { label: 'Large / Fast', description: 'TAM > $5B and CAGR > 20%. Exceptional opportunity: large and rapidly expanding.' }
-      },
-      iprisk: {
-        1: { label: 'Severe Exposure', description: 'Severe IP exposure with little protectable differentiation. Crowded landscape with likely blockers held by others.' },
-        2: { label: 'High Risk', description: 'High IP risk with limited protectable differentiation. Existing patents suggest likely blocking issues or costly workarounds.' },
-        3: { label: 'Major Challenges', description: 'Significant IP challenges. Some protectable features, but key areas look crowded or uncertain.' },
-        4: { label: 'Moderate Risk', description: 'Moderate IP risk with some protectable features. Mixed landscape; targeted FTO likely needed to avoid blockers.' },
-        5: { label: 'Average Position', description: 'Average IP position. Neither particularly strong nor weak; protection strategy still required.' },
-        6: { label: 'Good Position', description: 'Good protectability with some unique features. Risks appear manageable with an IP strategy and targeted FTO review.' },
-        7: { label: 'Strong Foundation', description: 'Clear protectable differentiation and a plausible strategy to file/defend. Limited apparent blocking risk.' },
-        8: { label: 'Very Low Risk', description: 'Excellent future protectability with few apparent conflicts. Low likelihood of blocking IP; FTO appears favorable.' },
-        9: { label: 'Minimal Blocking Risk', description: 'No obvious blocking IP identified and strong freedom-to-operate plus future protectability signal (subject to diligence).' }
-      },
-      solutionvalue: {
-        1: { label: 'Negligible', description: 'No clear customer value or meaningful problem addressed.' },
-        2: { label: 'Low Value / Nice-to-Have', description: 'Primarily convenience or marginal optimization; not tied to a strong unmet need.' },
-        3: { label: 'Marginal', description: 'Minor benefit and/or unclear problem severity; difficult to justify switching from current approaches.' },
-        4: { label: 'Limited Value', description: 'Some benefit, but the problem is not acute or the improvement over current options is small/uncertain.' },
-        5: { label: 'Moderate Value', description: 'Useful improvement but not decisive; helps with a real problem, yet benefits may be incremental or limited in scope.' },
-        6: { label: 'Clear Value', description: 'Material benefit for an important problem; improvement is obvious and compelling, though not a breakthrough.' },
-        7: { label: 'High Value', description: 'Strong improvement in key outcomes (cost/time/risk/performance) for a clear pain point; meaningfully better than alternatives.' },
-        8: { label: 'Breakthrough', description: 'Very large improvement vs status quo; solves a painful, high-priority problem with substantial measurable benefit.' },
-        9: { label: 'Transformative (Major Unmet Need)', description: 'Step-change improvement for the beachhead customer; clearly addresses a severe unmet need with outsized outcome impact.' }
-      }
-    };
-    return rubrics[dimension] || {};
+    return PhaseRegistry.getRubric(dimension);
   }
 
   updateRubricDisplay(dimension, score) {
@@ -286,6 +269,16 @@ class AssessmentView {
       if (view === 'detailed') {
         this.setupAccordions(container);
       }
+      // Built on each visit, so it includes sources cited by tabs loaded since
+      if (view === 'sources') {
+        this.renderBibliography(container, dimension);
+      }
+      if (view === 'compare') {
+        this.renderCompetitorComparison(container);
+      }
+      if (view === 'explore') {
+        this.renderDealExplorer(container);
+      }
     }
   }
 
@@ -301,7 +294,7 @@ class AssessmentView {
   // ========== SUBMIT BUTTONS ==========
   
   setupSubmitButtons() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
+    const dimensions = PhaseRegistry.dimensionKeys();
     dimensions.forEach(dim => {
       const submitBtn = document.getElementById(`${dim}-submit-btn`);
       if (submitBtn) {
@@ -362,7 +355,11 @@ class AssessmentView {
     // (removed the disabling code)
     
     if (window.app?.stateManager) {
-      window.app.stateManager.saveUserScore(dimension, { score, justification });
+      window.app.stateManager.saveUserScore(dimension, {
+        score,
+        justification,
+        marketBasis: this.userScores[dimension].marketBasis
+      });
     }
     if (window.app?.toastManager) {
       window.app.toastManager.success(`${this.capitalize(dimension)} assessment ${isUpdate ? 'updated' : 'submitted'}`);
@@ -374,14 +371,9 @@ class AssessmentView {
     // Update summary view after submit
     if (window.summaryView && this.data) {
       console.log('Updating summary view with data:', this.data);
-      window.summaryView.update({
-        company: this.data.company,
-        team: this.data.team,
-        funding: this.data.funding,
-        competitive: this.data.competitive,
-        market: this.data.market,
-        iprisk: this.data.iprisk
-      });
+      window.summaryView.update(
+        Object.fromEntries(PhaseRegistry.phaseKeys().map(key => [key, this.data[key]]))
+      );
     } else {
       console.warn('Could not update summary:', { summaryView: !!window.summaryView, data: !!this.data });
     }
@@ -420,11 +412,11 @@ class AssessmentView {
   }
 
   /**
-   * Check if all 5 scores have been submitted and trigger final submit modal
+   * Check if every dimension's score has been submitted and trigger final submit modal
    */
   checkAllScoresSubmitted() {
-    const allDimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
-    const aiDimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+    const allDimensions = PhaseRegistry.dimensionKeys();
+    const aiDimensions = PhaseRegistry.aiDimensionKeys();
     const allSubmitted = allDimensions.every(dim => this.userScores[dim].submitted);
 
     if (allSubmitted) {
@@ -446,7 +438,7 @@ class AssessmentView {
         }
       });
 
-      // Calculate averages (AI average over 5 AI-scored dimensions only)
+      // Calculate averages (AI average over the AI-scored dimensions only)
       const aiScoreSum = aiDimensions.reduce((sum, dim) => sum + (this.aiScores[dim] || 0), 0);
       const userScoreSum = allDimensions.reduce((sum, dim) => sum + (this.userScores[dim].score || 0), 0);
       const avgAiScore = (aiScoreSum / aiDimensions.length).toFixed(1);
@@ -464,12 +456,25 @@ class AssessmentView {
     }
   }
 
+  /**
+   * AI score, advisor score and justification for every dimension, as the
+   * Smartsheet bulk submit takes them
+   * @returns {Object} { [dimension]: { aiScore, userScore, justification } }
+   */
+  getScoreData() {
+    return Object.fromEntries(PhaseRegistry.dimensions().map(entry => [entry.key, {
+      aiScore: entry.scoring.ai ? this.aiScores[entry.key] : null,
+      userScore: this.userScores[entry.key]?.score,
+      justification: this.userScores[entry.key]?.justification
+    }]));
+  }
+
   /**
    * Get the submission status for all dimensions
    * @returns {Object} Status object with counts and details
    */
   getSubmissionStatus() {
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
+    const dimensions = PhaseRegistry.dimensionKeys();
     const submitted = dimensions.filter(dim => this.userScores[dim].submitted);
     const pending = dimensions.filter(dim => !this.userScores[dim].submitted);
     const missingJustifications = dimensions.filter(dim => 
@@ -508,12 +513,22 @@ class AssessmentView {
     }
 
     if (scoreData.score) this.updateRubricDisplay(dimension, scoreData.score);
+
+    // The market the advisor scored against, chosen in the sizing calculator
+    if (dimension === 'market') {
+      this.userScores.market.marketBasis = scoreData.marketBasis || null;
+      if (this.data.market) this.renderMarketCalculator(this.data.market, true);
+    }
   }
 
   // ========== COMPANY DATA ==========
   
   loadCompanyData(data) {
     this.data.company = data;
+    CitationIndex.forget(this.citations, 'company');
+    // The beachhead customer seeds the SAM/SOM builder; the stage sets the team roles expected
+    if (this.data.market) this.renderMarketSizing();
+    if (this.data.team) this.renderTeamGaps();
     const container = document.getElementById('overview-content');
     if (!container) return;
 
@@ -553,7 +568,7 @@ class AssessmentView {
               ${news.map(n => `
                 <a href="${this.escape(n.source_url)}" target="_blank" rel="noopener" class="news-link">
                   ${this.escape(this.truncate(n.headline, 80))}${n.date ? ` <span class="news-date">${this.escape(n.date)}</span>` : ''}
-                </a>
+                </a>${this.cite('company', n.source_url, n.headline, n.headline)}
               `).join('')}
             </div>
           ` : ''}
@@ -577,7 +592,7 @@ class AssessmentView {
                 const patUrl = `https://patents.google.com/patent/${patNum.replace(/-/g, '')}`;
                 return `<a href="${this.escape(patUrl)}" target="_blank" rel="noopener" class="patent-link">
                   ${this.escape(patNum)}${p.status ? ` <span class="patent-status ${p.status}">${this.escape(p.status)}</span>` : ''}
-                </a>`;
+                </a>${patNum ? this.cite('company', patUrl, patNum, p.title || patNum) : ''}`;
               }).join('')}
             </div>
           ` : ''}
@@ -635,7 +650,7 @@ class AssessmentView {
               <details style="margin-top: 4px;">
                 <summary style="font-size: 12px; color: var(--slate-500); cursor: pointer;">Sources consulted (${sources.length})</summary>
                 <ul style="margin: 4px 0 0 16px; font-size: 12px; color: var(--slate-500);">
-                  ${sources.map(s => `<li>${s.startsWith('http') ? `<a href="${this.escape(s)}" target="_blank" rel="noopener" style="color: var(--nr-teal-1); text-decoration: none;">${this.escape(this.truncate(s, 80))}</a>` : this.escape(s)}</li>`).join('')}
+                  ${sources.map(s => `<li>${s.startsWith('http') ? `<a href="${this.escape(s)}" target="_blank" rel="noopener" style="color: var(--nr-teal-1); text-decoration: none;">${this.escape(this.truncate(s, 80))}</a>${this.cite('company', s, 'Sources consulted')}` : this.escape(s)}</li>`).join('')}
                 </ul>
               </details>
             ` : ''}
@@ -666,7 +681,11 @@ class AssessmentView {
       this.updateRubricDisplay('team', score);
     }
     
+    CitationIndex.forget(this.citations, 'team');
     this.displayTeamEvidence(data);
+    this.renderScoreTrace('team', data);
+    this.renderTeamRoster();
+    this.renderTeamGaps();
   }
 
   displayTeamEvidence(data) {
@@ -692,7 +711,9 @@ class AssessmentView {
     const strengths = formatted.strengths || scoringRaw.key_strengths || [];
     const gaps = formatted.gaps || scoringRaw.key_gaps || [];
     const sources = formatted.sources || teamRaw.trusted_sources || [];
-    const confidence = formatted.confidence || teamRaw.data_confidence;
+    const workflowConfidence = formatted.confidence || teamRaw.data_confidence;
+    // Lowered when too many of the cited sources fail verification
+    const confidence = ConfidenceUtil.adjustForSources(workflowConfidence, data?.sourceCheck);
     const confidenceJustification = formatted.confidenceJustification || teamRaw.confidence_justification || '';
     const justification = formatted.justification || scoringRaw.score_justification || '';
     const rubricMatch = formatted.rubric || scoringRaw.rubric_match_explanation || '';
@@ -814,7 +835,7 @@ class AssessmentView {
           <h4>Data Sources</h4>
           ${sources.length > 0 ? `
             <ul class="source-list">
-              ${sources.map(s => `<li><a href="${this.escape(this.cleanSourceUrl(s))}" target="_blank" rel="noopener">${this.truncateUrl(s)}</a></li>`).join('')}
+              ${sources.map(s => `<li><a href="${this.escape(this.cleanSourceUrl(s))}" target="_blank" rel="noopener">${this.truncateUrl(s)}</a>${this.cite('team', s, 'Data sources')}</li>`).join('')}
             </ul>
           ` : '<p>No sources available.</p>'}
         </div>
@@ -826,13 +847,18 @@ class AssessmentView {
           <h4>Confidence Note</h4>
           <p><strong>${confidence || '-'}</strong> confidence level.</p>
           <p>${this.escape(confidenceJustification || 'No additional confidence information.')}</p>
+          ${this.renderSourceCheckNote(data?.sourceCheck, workflowConfidence, confidence)}
         </div>
       </div>
     `;
     
+    // PROFILES VIEW - one card per researcher with a combined timeline
+    const profilesHTML = this.renderResearcherProfiles(members, evalSteps.commercialization_signals_found);
+
     container.innerHTML = summaryHTML;
     container.dataset.summary = summaryHTML;
     container.dataset.detailed = detailedHTML;
+    container.dataset.profiles = profilesHTML;
     container.dataset.sources = sourcesHTML;
     
     // Setup accordions for initial view if detailed
@@ -841,6 +867,349 @@ class AssessmentView {
     }
   }
 
+  /**
+   * Researcher cards: counts, papers per year and a combined timeline, with the
+   * entries behind the commercialization signals the scoring cites highlighted
+   */
+  renderResearcherProfiles(members, signals) {
+    const { profiles, unattributed } = ResearcherProfiles.build(members, signals);
+    if (profiles.length === 0) {
+      return '<div class="evidence-content"><p>No team members found.</p></div>';
+    }
+
+    const countLabels = {
+      paper: ['paper', 'papers'],
+      commercialization: ['patent / licensing entry', 'patent / licensing entries'],
+      award: ['award', 'awards'],
+      degree: ['degree', 'degrees'],
+      career: ['role', 'roles']
+    };
+    const counts = profile => Object.entries(countLabels)
+      .map(([kind, [one, many]]) => `<span class="profile-count${kind === 'commercialization' && profile.counts[kind] > 0 ? ' highlight' : ''}"><strong>${profile.counts[kind]}</strong> ${profile.counts[kind] === 1 ? one : many}</span>`)
+      .join('');
+
+    const papersChart = profile => {
+      if (profile.papersPerYear.length === 0) return '';
+      const max = Math.max(...profile.papersPerYear.map(p => p.count));
+      return `
+        <div class="profile-section">
+          <h5>Papers per Year</h5>
+          <div class="papers-per-year">
+            ${profile.papersPerYear.map(p => `
+              <div class="papers-year" title="${p.year}: ${p.count} paper${p.count === 1 ? '' : 's'}">
+                <span class="papers-bar" style="height: ${Math.round((p.count / max) * 100)}%"></span>
+                <span class="papers-year-label">${String(p.year).slice(-2)}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    };
+
+    const years = event => {
+      if (!event.start) return 'Undated';
+      return event.end && event.end !== event.start ? `${event.start}-${event.end}` : String(event.start);
+    };
+
+    const timeline = profile => `
+      <div class="profile-section">
+        <h5>Timeline</h5>
+        ${profile.events.length > 0 ? `
+          <ul class="profile-timeline">
+            ${profile.events.map(event => `
+              <li class="profile-event ${event.kind}${event.cited ? ' cited' : ''}">
+                <span class="profile-event-years">${years(event)}</span>
+                <span class="profile-event-kind">${ResearcherProfiles.KINDS[event.kind]}</span>
+                <span class="profile-event-text">
+                  <strong>${this.escape(this.truncate(event.title, 140))}</strong>
+                  ${event.detail ? `<span class="org-name">${this.escape(event.detail)}</span>` : ''}
+                  ${event.cited ? '<span class="profile-cited-tag">Cited in scoring</span>' : ''}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : '<p class="profile-empty">No career, publication or commercialization history found.</p>'}
+      </div>
+    `;
+
+    return `
+      <div class="evidence-content researcher-profiles">
+        <p class="profile-note">Highlighted entries back a commercialization signal the scoring step cites for this researcher.</p>
+        ${profiles.map(profile => `
+          <div class="researcher-profile">
+            <div class="profile-header">
+              <div class="member-header-info">
+                <strong>${this.escape(profile.name)}</strong>
+                ${profile.role ? `<span class="member-role-badge">${this.escape(profile.role)}</span>` : ''}
+              </div>
+              <span class="profile-signal-count">${profile.signals.length} cited signal${profile.signals.length === 1 ? '' : 's'}</span>
+            </div>
+            <div class="profile-counts">${counts(profile)}</div>
+            ${profile.signals.length > 0 ? `
+              <div class="profile-section">
+                <h5>Commercialization Signals Cited</h5>
+                <ul class="profile-signals">${profile.signals.map(text => `<li>${this.escape(text)}</li>`).join('')}</ul>
+              </div>
+            ` : ''}
+            ${papersChart(profile)}
+            ${timeline(profile)}
+          </div>
+        `).join('')}
+        ${unattributed.length > 0 ? `
+          <div class="evidence-section">
+            <h4>Signals Not Tied to One Researcher</h4>
+            <ul class="compact-list">${unattributed.map(text => `<li>${this.escape(text)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // ========== TEAM ROSTER ==========
+
+  /**
+   * Roster editor for the team results, with the advisor's saved roster filled back in
+   */
+  renderTeamRoster() {
+    const sm = window.app?.stateManager;
+    this.teamRoster = TeamRoster.build(this.data.team, this.teamRoster || sm?.getAdvisorArtifact('teamRoster'));
+    sm?.saveAdvisorArtifact('teamRoster', this.teamRoster);
+    this.drawTeamRoster();
+  }
+
+  /**
+   * Draw the editor from this.teamRoster; adding, removing and restoring members redraw it
+   */
+  drawTeamRoster(open = false) {
+    const container = document.getElementById('team-roster');
+    if (!container || !this.teamRoster) return;
+
+    const roster = this.teamRoster;
+    const dateLabel = iso => (iso ? new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '');
+    const auditList = (title, members) => `
+      <div class="team-roster-audit-list">
+        <h6>${this.escape(title)}</h6>
+        <ul>${members.length > 0
+          ? members.map(m => `<li>${this.escape(m.name)}${m.role ? ` <span class="org-name">${this.escape(m.role)}</span>` : ''}${m.note ? ` <span class="team-roster-note-text">${this.escape(m.note)}</span>` : ''}</li>`).join('')
+          : '<li>No members</li>'}</ul>
+      </div>
+    `;
+
+    container.innerHTML = `
+      <details class="team-roster" ${open || roster.edited ? 'open' : ''}>
+        <summary>
+          Team Roster
+          <span class="team-roster-count">${this.describeTeamRoster()}</span>
+        </summary>
+        <p class="team-roster-note">Correct the people team discovery found: add a missed co-PI, fix a role, or remove someone who only shares a name. Notes such as department, institution or a profile link help the workflow find the right person. The roster saves as you type; re-scoring sends it to the Researcher Aptitude workflow.</p>
+        <div class="team-roster-rows">
+          ${roster.members.map(m => `
+            <div class="team-roster-row${m.removed ? ' removed' : ''}" data-member="${this.escape(m.key)}">
+              <input type="text" data-roster-field="name" value="${this.escape(m.name)}" placeholder="Name" ${m.removed ? 'disabled' : ''}>
+              <input type="text" data-roster-field="role" value="${this.escape(m.role)}" placeholder="Role at venture" ${m.removed ? 'disabled' : ''}>
+              <input type="text" data-roster-field="note" value="${this.escape(m.note)}" placeholder="Affiliation or profile link" ${m.removed ? 'disabled' : ''}>
+              <span class="team-roster-origin">${m.removed ? 'Removed' : m.origin === 'advisor' ? 'Added' : ''}</span>
+              <button type="button" class="btn small outline" data-roster-action="${m.removed ? 'restore' : 'remove'}">${m.removed ? 'Restore' : 'Remove'}</button>
+            </div>
+          `).join('')}
+        </div>
+        <div class="team-roster-actions">
+          <button type="button" class="btn small outline" data-roster-action="add">Add member</button>
+          <button type="button" class="btn primary small" data-roster-action="rescore" ${roster.edited ? '' : 'disabled'} title="Run the Researcher Aptitude workflow again on this roster">Re-score with this roster</button>
+        </div>
+        ${roster.edited || roster.submitted ? `
+          <div class="team-roster-audit">
+            <h5>Roster Audit</h5>
+            <div class="team-roster-audit-grid">
+              ${auditList('Original AI roster', roster.aiOriginal)}
+              ${roster.submitted ? auditList(`Roster sent for re-scoring (${dateLabel(roster.submitted.at)})`, roster.submitted.members) : ''}
+              ${roster.aiCorrected ? auditList(`AI roster after re-scoring (${dateLabel(roster.aiCorrected.at)})`, roster.aiCorrected.members) : ''}
+            </div>
+          </div>
+        ` : ''}
+      </details>
+    `;
+
+    container.querySelectorAll('[data-roster-field]').forEach(input => {
+      input.addEventListener('input', () => {
+        const key = input.closest('[data-member]').dataset.member;
+        this.updateTeamRosterMember(key, input.dataset.rosterField, input.value);
+      });
+    });
+
+    container.querySelectorAll('[data-roster-action]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const action = btn.dataset.rosterAction;
+        if (action === 'rescore') {
+          btn.disabled = true;
+          this.saveTeamRoster();
+          await window.app?.rescoreTeamRoster(TeamRoster.active(this.teamRoster));
+          if (btn.isConnected) btn.disabled = false;
+          return;
+        }
+
+        const key = btn.closest('[data-member]')?.dataset.member;
+        if (action === 'add') TeamRoster.addMember(roster);
+        else if (action === 'remove') TeamRoster.removeMember(roster, key);
+        else if (action === 'restore') roster.members.find(m => m.key === key).removed = false;
+        this.markTeamRosterEdited();
+        this.saveTeamRoster();
+        this.drawTeamRoster(true);
+        if (action === 'add') container.querySelector('.team-roster-row:last-child input')?.focus();
+      });
+    });
+  }
+
+  /**
+   * Record one field; saves are debounced like the FTO worksheet's
+   */
+  updateTeamRosterMember(key, field, value) {
+    const member = this.teamRoster?.members.find(m => m.key === key);
+    if (!member) return;
+
+    member[field] = value;
+    this.markTeamRosterEdited();
+
+    const count = document.querySelector('#team-roster .team-roster-count');
+    if (count) count.textContent = this.describeTeamRoster();
+    document.querySelector('#team-roster [data-roster-action="rescore"]')?.removeAttribute('disabled');
+
+    clearTimeout(this.teamRosterSaveTimer);
+    this.teamRosterSaveTimer = setTimeout(() => this.saveTeamRoster(), 300);
+  }
+
+  markTeamRosterEdited() {
+    this.teamRoster.edited = true;
+    this.teamRoster.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Save now, and redraw the gap matrix for the corrected roster
+   */
+  saveTeamRoster() {
+    clearTimeout(this.teamRosterSaveTimer);
+    window.app?.stateManager?.saveAdvisorArtifact('teamRoster', this.teamRoster);
+    window.app?.cacheCurrentAssessmentProgressively?.();
+    this.renderTeamGaps();
+  }
+
+  /**
+   * Keep the roster sent and the roster the re-score returned, for audit
+   * @param {Object[]} sent - [{ name, role, note }] sent to the team workflow
+   * @param {Object} result - Team phase result from the re-score
+   */
+  recordTeamRescore(sent, result) {
+    if (!this.teamRoster) return;
+    const at = new Date().toISOString();
+    this.teamRoster.submitted = { members: sent, at };
+    this.teamRoster.aiCorrected = { members: TeamRoster.aiMembers(result), at };
+    this.teamRoster.updatedAt = at;
+    window.app?.stateManager?.saveAdvisorArtifact('teamRoster', this.teamRoster);
+    this.drawTeamRoster(true);
+  }
+
+  describeTeamRoster() {
+    if (!this.teamRoster) return '';
+    const parts = [`${TeamRoster.active(this.teamRoster).length} members`];
+    const { added, removed, changed } = TeamRoster.changes(this.teamRoster);
+    const edits = [added && `${added} added`, removed && `${removed} removed`, changed && `${changed} edited`].filter(Boolean);
+    if (edits.length > 0) parts.push(edits.join(', '));
+    const { submitted, edited, updatedAt } = this.teamRoster;
+    if (submitted) parts.push(updatedAt > submitted.at ? 'edited since re-scoring' : 're-scored');
+    else if (edited) parts.push('not yet re-scored');
+    return parts.join(' · ');
+  }
+
+  // ========== TEAM GAP MATRIX ==========
+
+  /**
+   * Roles expected at the venture's stage, filled or missing from the team's roles,
+   * with the advisor's candidate names filled back in
+   */
+  renderTeamGaps() {
+    const container = document.getElementById('team-gap-matrix');
+    if (!container) return;
+
+    const team = this.data.team;
+    // The advisor's corrected roster, once edited, decides which roles are filled
+    const members = this.teamRoster?.edited
+      ? TeamRoster.teamMembers(this.teamRoster)
+      : team?.formatted?.members || team?.team?.team_members || [];
+    const companyStage = this.data.company?.company_overview?.company_stage;
+    const sm = window.app?.stateManager;
+    this.teamGaps = TeamGaps.build(members, companyStage, this.teamGaps || sm?.getAdvisorArtifact('teamGaps'));
+    sm?.saveAdvisorArtifact('teamGaps', this.teamGaps);
+
+    const { rows, stage } = this.teamGaps;
+    const keyGaps = team?.formatted?.gaps || team?.scoring?.key_gaps || [];
+    const stageSource = companyStage && companyStage !== 'unknown'
+      ? `company stage "${this.escape(companyStage)}"`
+      : 'no company stage reported';
+
+    container.innerHTML = `
+      <details class="team-gaps" open>
+        <summary>
+          Team Gaps for ${this.escape(TeamGaps.stageLabel(stage))}
+          <span class="team-gaps-count">${this.describeTeamGaps()}</span>
+        </summary>
+        <p class="team-gaps-note">Roles a spinout needs at this stage (${stageSource}), matched against each member's role at the venture. Candidate names save as you type and are included in the PDF and Smartsheet.</p>
+        <table class="team-gaps-table">
+          <thead>
+            <tr><th>Role</th><th>Status</th><th>Filled by</th><th>Candidates from our network</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="${TeamGaps.isFilled(row) ? 'filled' : 'missing'}${row.expected ? '' : ' unlisted'}">
+                <td>${this.escape(row.label)}${row.expected ? '' : '<span class="team-gaps-unlisted">Not expected at this stage</span>'}</td>
+                <td><span class="team-gap-status">${TeamGaps.isFilled(row) ? 'Filled' : 'Missing'}</span></td>
+                <td>${row.filledBy.length > 0 ? row.filledBy.map(name => this.escape(name)).join(', ') : '-'}</td>
+                <td><input type="text" data-gap="${this.escape(row.key)}" value="${this.escape(row.candidates)}" placeholder="Names to introduce"></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${keyGaps.length > 0 ? `
+          <div class="team-gaps-scoring">
+            <h5>Gaps the scoring step named</h5>
+            <ul class="compact-list">${keyGaps.map(gap => `<li>${this.escape(gap)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+      </details>
+    `;
+
+    container.querySelectorAll('[data-gap]').forEach(input => {
+      input.addEventListener('input', () => this.updateTeamGapCandidates(input.dataset.gap, input.value));
+    });
+  }
+
+  /**
+   * Record a role's candidate names; saves are debounced like the FTO worksheet's
+   */
+  updateTeamGapCandidates(key, candidates) {
+    const row = this.teamGaps?.rows.find(r => r.key === key);
+    if (!row) return;
+
+    row.candidates = candidates;
+    this.teamGaps.updatedAt = new Date().toISOString();
+
+    const count = document.querySelector('#team-gap-matrix .team-gaps-count');
+    if (count) count.textContent = this.describeTeamGaps();
+
+    clearTimeout(this.teamGapsSaveTimer);
+    this.teamGapsSaveTimer = setTimeout(() => {
+      window.app?.stateManager?.saveAdvisorArtifact('teamGaps', this.teamGaps);
+      window.app?.cacheCurrentAssessmentProgressively?.();
+    }, 300);
+  }
+
+  describeTeamGaps() {
+    const summary = TeamGaps.summarize(this.teamGaps);
+    if (summary.roles === 0) return '';
+    const parts = [`${summary.filled} of ${summary.roles} roles filled`];
+    if (summary.candidates.length > 0) parts.push(`${summary.candidates.length} with candidates`);
+    return parts.join(' · ');
+  }
+
   // ========== FUNDING DATA (v3 - Sector Funding) ==========
 
   loadFundingData(data) {
@@ -862,7 +1231,10 @@ class AssessmentView {
       this.updateRubricDisplay('funding', score);
     }
 
+    CitationIndex.forget(this.citations, 'funding');
     this.displayFundingEvidence(data);
+    this.renderScoreTrace('funding', data);
+    this.renderInvestorOutreach(data);
   }
 
   /**
@@ -996,7 +1368,7 @@ class AssessmentView {
               <tbody>
                 ${verifiedDeals.slice(0, 5).map(d => `
                   <tr>
-                    <td><strong>${this.escape(d.company || '')}</strong></td>
+                    <td><strong>${this.escape(d.company || '')}</strong>${this.cite('funding', d.sourceUrl, d.company, d.sourceName)}</td>
                     <td>${this.formatDate(d.date)}</td>
                     <td>${this.escape(d.series || 'N/A')}</td>
                     <td>${this.formatDealAmount(d.amount)}</td>
@@ -1017,7 +1389,7 @@ class AssessmentView {
               <div class="market-reports-list">
                 ${marketReports.map(r => `
                   <div class="market-report-item">
-                    <strong>${r.sourceUrl ? `<a href="${this.escape(this.cleanSourceUrl(r.sourceUrl))}" target="_blank" rel="noopener">${this.escape(r.title || 'Report')}</a>` : this.escape(r.title || 'Report')}</strong>
+                    <strong>${r.sourceUrl ? `<a href="${this.escape(this.cleanSourceUrl(r.sourceUrl))}" target="_blank" rel="noopener">${this.escape(r.title || 'Report')}</a>` : this.escape(r.title || 'Report')}</strong>${this.cite('funding', r.sourceUrl, r.title, r.title)}
                     ${r.keyFinding ? `<p>${this.escape(r.keyFinding)}</p>` : ''}
                   </div>
                 `).join('')}
@@ -1033,7 +1405,7 @@ class AssessmentView {
               <div class="govt-programs-list">
                 ${governmentPrograms.map(g => `
                   <div class="govt-program-item">
-                    <strong>${g.sourceUrl ? `<a href="${this.escape(this.cleanSourceUrl(g.sourceUrl))}" target="_blank" rel="noopener">${this.escape(g.name || 'Program')}</a>` : this.escape(g.name || 'Program')}</strong>
+                    <strong>${g.sourceUrl ? `<a href="${this.escape(this.cleanSourceUrl(g.sourceUrl))}" target="_blank" rel="noopener">${this.escape(g.name || 'Program')}</a>` : this.escape(g.name || 'Program')}</strong>${this.cite('funding', g.sourceUrl, g.name, g.name)}
                     ${g.amount && g.amount !== 'undisclosed' ? ` ${this.formatDealAmount(g.amount)}` : ''}
                     ${g.description ? `<p>${this.escape(g.description)}</p>` : ''}
                   </div>
@@ -1119,7 +1491,7 @@ class AssessmentView {
               <tbody>
                 ${verifiedDeals.map(d => `
                   <tr>
-                    <td><strong>${this.escape(d.company || '')}</strong></td>
+                    <td><strong>${this.escape(d.company || '')}</strong>${this.cite('funding', d.sourceUrl, d.company, d.sourceName)}</td>
                     <td>${this.formatDate(d.date)}</td>
                     <td>${this.escape(d.series || 'N/A')}</td>
                     <td>${this.formatDealAmount(d.amount)}</td>
@@ -1188,7 +1560,7 @@ class AssessmentView {
               ${dealSources.map(s => `
                 <li>
                   <strong>${this.escape(s.label)}</strong>:
-                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>
+                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>${this.cite('funding', s.url, s.label)}
                 </li>
               `).join('')}
             </ul>
@@ -1201,7 +1573,7 @@ class AssessmentView {
               ${reportSources.map(s => `
                 <li>
                   <strong>${this.escape(s.label)}</strong>:
-                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>
+                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>${this.cite('funding', s.url, s.label)}
                 </li>
               `).join('')}
             </ul>
@@ -1214,7 +1586,7 @@ class AssessmentView {
               ${programSources.map(s => `
                 <li>
                   <strong>${this.escape(s.label)}</strong>:
-                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>
+                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>${this.cite('funding', s.url, s.label)}
                 </li>
               `).join('')}
             </ul>
@@ -1224,16 +1596,266 @@ class AssessmentView {
           <h4>Data Reliability</h4>
           <p><strong>${this.capitalize(String(dataReliability).replace(/_/g, ' '))}</strong> -- ${totalDeals} verified deal(s) from ${formatted.distinctSources || 0} distinct source(s).</p>
           ${dataGaps ? `<p><strong>Data Gaps:</strong> ${this.escape(dataGaps)}</p>` : ''}
+          ${this.renderSourceCheckNote(data?.sourceCheck)}
         </div>
       </div>
     `;
 
+    // EXPLORE VIEW - interactive, rendered by renderDealExplorer on each visit
+    const exploreHTML = '<div class="evidence-content deal-explorer"></div>';
+
     container.innerHTML = summaryHTML;
     container.dataset.summary = summaryHTML;
     container.dataset.detailed = detailedHTML;
+    container.dataset.explore = exploreHTML;
     container.dataset.sources = sourcesHTML;
   }
 
+  createDealExplorerState() {
+    return { relevance: Object.keys(DealExplorer.RELEVANCE) };
+  }
+
+  /**
+   * Explore view: quarterly deal count and volume, stage distribution and an
+   * investor leaderboard over the verified deals, filtered by sector relevance
+   */
+  renderDealExplorer(container) {
+    const root = container.querySelector('.deal-explorer');
+    if (!root) return;
+
+    const formatted = this.data.funding?.formatted || {};
+    const allDeals = DealExplorer.deals(formatted.verifiedDeals);
+    if (allDeals.length === 0) {
+      root.innerHTML = '<div class="evidence-section"><p>The funding workflow verified no sector deals.</p></div>';
+      return;
+    }
+
+    const state = this.dealExplorer;
+    const deals = DealExplorer.filter(allDeals, state.relevance);
+    const { quarters, yearOnly, undated } = DealExplorer.byQuarter(deals);
+    const stages = DealExplorer.byStage(deals);
+    const investors = DealExplorer.leaderboard(deals);
+    const trend = DealExplorer.trend(deals);
+    const claim = formatted.fundingTrend && formatted.fundingTrend !== 'unknown' ? formatted.fundingTrend : '';
+    const agrees = DealExplorer.trendAgrees(claim, trend);
+    const money = millions => this.formatCurrency(millions * 1e6);
+    const maxStage = Math.max(...stages.map(stage => stage.count), 1);
+
+    const trendNote = trend
+      ? `${trend.later.count} deal(s) (${money(trend.later.volume)} disclosed) in the later half of the period against ${trend.earlier.count} (${money(trend.earlier.volume)}) in the earlier half: <strong>${trend.direction}</strong>.`
+      : 'Too few dated deals to read a trend.';
+
+    root.innerHTML = `
+      <div class="evidence-section">
+        <div class="compare-controls">
+          <span>Relevance</span>
+          ${Object.entries(DealExplorer.RELEVANCE).map(([key, label]) => `
+            <label class="deal-filter">
+              <input type="checkbox" data-relevance="${key}" ${state.relevance.includes(key) ? 'checked' : ''}>
+              ${label} (${allDeals.filter(deal => deal.relevance === key).length})
+            </label>
+          `).join('')}
+          <span class="compare-count">${deals.length} of ${allDeals.length} deals</span>
+        </div>
+        <div class="deal-trend-check${agrees === false ? ' disagrees' : ''}">
+          ${claim ? `<p><strong>Workflow's funding trend:</strong> ${this.escape(this.capitalize(String(claim).replace(/_/g, ' ')))}</p>` : ''}
+          <p><strong>From these deals:</strong> ${trendNote}</p>
+          ${agrees === false ? '<p class="compare-note">The deals found do not clearly support the workflow\'s trend. Check the Trend Assessment in the Detailed view.</p>' : ''}
+        </div>
+      </div>
+
+      <div class="evidence-section">
+        <h4>Deals by Quarter</h4>
+        ${quarters.length > 0 ? this.renderDealQuarterChart(quarters) : '<p class="compare-note">No deals have a month or quarter to chart.</p>'}
+        ${yearOnly + undated > 0 ? `<p class="compare-note">Not charted: ${[
+          yearOnly ? `${yearOnly} deal(s) dated only to the year` : '',
+          undated ? `${undated} undated deal(s)` : ''
+        ].filter(Boolean).join(', ')}.</p>` : ''}
+      </div>
+
+      <div class="evidence-section">
+        <h4>Stage Distribution</h4>
+        ${stages.length > 0 ? `
+          <div class="deal-stage-bars">
+            ${stages.map(stage => `
+              <div class="deal-stage-row">
+                <span class="deal-stage-label">${this.escape(stage.label)}</span>
+                <span class="deal-stage-track"><span class="deal-stage-bar" style="width: ${(stage.count / maxStage * 100).toFixed(1)}%"></span></span>
+                <span class="deal-stage-value">${stage.count}${stage.volume ? ` · ${money(stage.volume)}` : ''}</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : '<p class="compare-note">No deals match these filters.</p>'}
+      </div>
+
+      <div class="evidence-section">
+        <h4>Investor Leaderboard</h4>
+        ${investors.length > 0 ? `
+          <div class="compare-matrix-wrap">
+            <table class="compare-matrix">
+              <thead><tr><th>Investor</th><th>Deals</th><th>Led</th><th>Disclosed volume</th><th>Core / adj. / broad</th><th>Latest</th><th>Companies</th></tr></thead>
+              <tbody>
+                ${investors.slice(0, 15).map(investor => `
+                  <tr>
+                    <td><strong>${this.escape(investor.name)}</strong></td>
+                    <td>${investor.deals}</td>
+                    <td>${investor.led || '-'}</td>
+                    <td>${investor.volume ? money(investor.volume) : '-'}</td>
+                    <td>${investor.relevance.core} / ${investor.relevance.adjacent} / ${investor.relevance.broad}</td>
+                    <td>${investor.latest ? (investor.latest.quarter ? `Q${investor.latest.quarter} ${investor.latest.year}` : investor.latest.year) : '-'}</td>
+                    <td>${this.escape(this.truncate(investor.companies.join(', '), 60))}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          ${investors.length > 15 ? `<p class="compare-note">+ ${investors.length - 15} more investors.</p>` : ''}
+        ` : '<p class="compare-note">No investors are named in these deals.</p>'}
+        <p class="compare-note">Investors are read from each deal's investor list; "led by" and "(lead)" mark the lead.</p>
+      </div>
+    `;
+
+    root.querySelectorAll('[data-relevance]').forEach(el => {
+      el.addEventListener('change', () => {
+        const key = el.dataset.relevance;
+        state.relevance = el.checked
+          ? Object.keys(DealExplorer.RELEVANCE).filter(k => k === key || state.relevance.includes(k))
+          : state.relevance.filter(k => k !== key);
+        this.renderDealExplorer(container);
+      });
+    });
+  }
+
+  /**
+   * SVG chart of deals per quarter (bars) and disclosed dollar volume (line)
+   */
+  renderDealQuarterChart(quarters) {
+    const width = 640;
+    const height = 240;
+    const margin = { top: 16, right: 56, bottom: 40, left: 40 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const slot = plotWidth / quarters.length;
+    const maxCount = Math.max(...quarters.map(q => q.count), 1);
+    const maxVolume = Math.max(...quarters.map(q => q.volume));
+    const py = (value, max) => margin.top + plotHeight - (value / max) * plotHeight;
+    const cx = i => margin.left + slot * (i + 0.5);
+    // Label every quarter when they fit, otherwise only Q1s
+    const labelled = (q, i) => quarters.length <= 12 || q.quarter === 1 || i === 0;
+    const countStep = CompetitorComparison.niceStep(maxCount / 4);
+
+    const countTicks = [];
+    for (let v = 0; v <= maxCount; v += countStep) countTicks.push(v);
+
+    const bars = quarters.map((q, i) => `
+      <g class="deal-quarter">
+        <title>${q.label}: ${q.count} deal(s)${q.volume ? `, ${this.formatCurrency(q.volume * 1e6)} disclosed` : ''}${q.undisclosed ? `, ${q.undisclosed} undisclosed` : ''}</title>
+        <rect x="${(cx(i) - slot * 0.3).toFixed(1)}" y="${py(q.count, maxCount).toFixed(1)}" width="${(slot * 0.6).toFixed(1)}" height="${(plotHeight - (py(q.count, maxCount) - margin.top)).toFixed(1)}"></rect>
+        ${labelled(q, i) ? `<text class="map-tick" x="${cx(i).toFixed(1)}" y="${height - margin.bottom + 16}" text-anchor="middle">${quarters.length <= 12 ? q.label : q.year}</text>` : ''}
+      </g>
+    `).join('');
+
+    const line = maxVolume > 0
+      ? `<polyline class="deal-volume-line" points="${quarters.map((q, i) => `${cx(i).toFixed(1)},${py(q.volume, maxVolume).toFixed(1)}`).join(' ')}"></polyline>
+         ${quarters.map((q, i) => `<circle class="deal-volume-point" cx="${cx(i).toFixed(1)}" cy="${py(q.volume, maxVolume).toFixed(1)}" r="3"></circle>`).join('')}
+         <text class="map-tick" x="${width - margin.right + 6}" y="${margin.top + 4}">${this.formatCurrency(maxVolume * 1e6)}</text>
+         <text class="map-tick" x="${width - margin.right + 6}" y="${margin.top + plotHeight}">$0</text>`
+      : '';
+
+    return `
+      <svg class="deal-quarter-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Deals and disclosed volume by quarter">
+        ${countTicks.map(v => `
+          <line class="map-grid" x1="${margin.left}" y1="${py(v, maxCount).toFixed(1)}" x2="${margin.left + plotWidth}" y2="${py(v, maxCount).toFixed(1)}"/>
+          <text class="map-tick" x="${margin.left - 8}" y="${(py(v, maxCount) + 4).toFixed(1)}" text-anchor="end">${v}</text>
+        `).join('')}
+        ${bars}
+        ${line}
+      </svg>
+      <div class="map-legend">
+        <span class="deal-legend-bar"></span>Deals
+        ${maxVolume > 0 ? '<span class="deal-legend-line"></span>Disclosed volume (right scale)' : ''}
+      </div>
+    `;
+  }
+
+  // ========== INVESTORS TO APPROACH ==========
+
+  /**
+   * Outreach list from the sector deals' investors and government programs,
+   * grouped by stage, with the advisor's contact marks filled back in
+   */
+  renderInvestorOutreach(data) {
+    const container = document.getElementById('funding-investor-outreach');
+    if (!container) return;
+
+    const sm = window.app?.stateManager;
+    this.investorOutreach = InvestorOutreach.build(data?.formatted, sm?.getAdvisorArtifact('investorOutreach'));
+    sm?.saveAdvisorArtifact('investorOutreach', this.investorOutreach);
+
+    const groups = InvestorOutreach.grouped(this.investorOutreach);
+    const dateLabel = iso => (iso ? new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : '');
+
+    container.innerHTML = `
+      <details class="investor-outreach" ${groups.length > 0 ? 'open' : ''}>
+        <summary>
+          Investors to Approach
+          <span class="investor-outreach-count">${this.describeInvestorOutreach()}</span>
+        </summary>
+        ${groups.length === 0 ? `
+          <p class="investor-outreach-note">The funding workflow named no investors or government programs.</p>
+        ` : `
+          <p class="investor-outreach-note">Investors from the verified sector deals, ranked by the core and adjacent deals they led and how recent those are, plus the government programs found. Mark who has been contacted; the list is saved with the assessment and included in the PDF.</p>
+          ${groups.map(group => `
+            <div class="investor-group">
+              <h5>${this.escape(group.label)} (${group.rows.length})</h5>
+              ${group.rows.map(row => `
+                <label class="investor-row${row.contacted ? ' contacted' : ''}">
+                  <input type="checkbox" data-investor="${this.escape(row.key)}" ${row.contacted ? 'checked' : ''}>
+                  <span class="investor-info">
+                    <strong>${row.sourceUrl ? `<a href="${this.escape(this.cleanSourceUrl(row.sourceUrl))}" target="_blank" rel="noopener">${this.escape(row.name)}</a>` : this.escape(row.name)}</strong>
+                    <span class="investor-meta">${this.escape(InvestorOutreach.describe(row))}${row.companies.length > 0 ? ` · Backed ${this.escape(this.truncate(row.companies.join(', '), 70))}` : ''}</span>
+                    ${row.description ? `<span class="investor-meta">${this.escape(this.truncate(row.description, 140))}</span>` : ''}
+                  </span>
+                  <span class="investor-contacted">${row.contacted ? `Contacted${row.contactedAt ? ` ${dateLabel(row.contactedAt)}` : ''}` : ''}</span>
+                </label>
+              `).join('')}
+            </div>
+          `).join('')}
+        `}
+      </details>
+    `;
+
+    container.querySelectorAll('[data-investor]').forEach(input => {
+      input.addEventListener('change', () => {
+        const row = this.setInvestorContacted(input.dataset.investor, input.checked);
+        const label = input.closest('.investor-row');
+        label?.classList.toggle('contacted', input.checked);
+        const status = label?.querySelector('.investor-contacted');
+        if (status) status.textContent = input.checked ? `Contacted ${dateLabel(row?.contactedAt)}` : '';
+        const count = container.querySelector('.investor-outreach-count');
+        if (count) count.textContent = this.describeInvestorOutreach();
+      });
+    });
+  }
+
+  setInvestorContacted(key, contacted) {
+    const row = this.investorOutreach?.rows.find(r => r.key === key);
+    if (!row) return null;
+
+    row.contacted = contacted;
+    row.contactedAt = contacted ? new Date().toISOString() : null;
+    this.investorOutreach.updatedAt = new Date().toISOString();
+    window.app?.stateManager?.saveAdvisorArtifact('investorOutreach', this.investorOutreach);
+    window.app?.cacheCurrentAssessmentProgressively?.();
+    return row;
+  }
+
+  describeInvestorOutreach() {
+    const summary = InvestorOutreach.summarize(this.investorOutreach);
+    if (summary.investors === 0) return '';
+    return `${summary.contacted} of ${summary.investors} contacted`;
+  }
+
   // ========== COMPETITIVE DATA ==========
   
   loadCompetitiveData(data) {
@@ -1255,7 +1877,9 @@ class AssessmentView {
       this.updateRubricDisplay('competitive', score);
     }
     
+    CitationIndex.forget(this.citations, 'competitive');
     this.displayCompetitiveEvidence(data);
+    this.renderScoreTrace('competitive', data);
   }
 
   displayCompetitiveEvidence(data) {
@@ -1288,7 +1912,8 @@ class AssessmentView {
     const rubricMatch = formatted.rubricMatch || assessmentRaw.rubric_match_explanation || '';
     const confidenceNote = formatted.confidenceNote || assessmentRaw.confidence_note || '';
 
-    const confidence = formatted.confidence || analysisRaw.data_confidence;
+    const workflowConfidence = formatted.confidence || analysisRaw.data_confidence;
+    const confidence = ConfidenceUtil.adjustForSources(workflowConfidence, data?.sourceCheck);
     const confidenceJustification = formatted.confidenceJustification || analysisRaw.data_confidence_justification || '';
     const sources = formatted.sources || [];
 
@@ -1378,7 +2003,7 @@ class AssessmentView {
               return `
               <div class="competitor-card-detailed">
                 <div class="competitor-header">
-                  <strong class="competitor-name">${this.escape(c.name || c.company_name || 'Unknown Competitor')}${(() => { const src = (c.sources || []).find(s => s && typeof s === 'string' && s.startsWith('http')); return src ? ` <a href="${this.escape(src)}" target="_blank" rel="noopener" class="competitor-source-link" title="Source">↗</a>` : ''; })()}</strong>
+                  <strong class="competitor-name">${this.escape(c.name || c.company_name || 'Unknown Competitor')}${(c.sources || []).filter(s => typeof s === 'string').map(s => this.cite('competitive', s, c.name || c.company_name)).join('')}</strong>
                   <div class="competitor-badges">
                     <span class="size-badge ${size}">${this.escape(c.size || c.size_category || c.companySize || '')}</span>
                     ${c.competitorType ? `<span class="type-badge">${this.escape(c.competitorType)}</span>` : ''}
@@ -1436,7 +2061,7 @@ class AssessmentView {
             <ul class="source-list">
               ${sources.map(s => {
                 const cleanUrl = this.cleanSourceUrl(s);
-                return `<li><a href="${this.escape(cleanUrl)}" target="_blank" rel="noopener">${this.truncateUrl(cleanUrl)}</a></li>`;
+                return `<li><a href="${this.escape(cleanUrl)}" target="_blank" rel="noopener">${this.truncateUrl(cleanUrl)}</a>${this.cite('competitive', cleanUrl, 'Data sources')}</li>`;
               }).join('')}
             </ul>
           ` : '<p>No sources available.</p>'}
@@ -1449,16 +2074,186 @@ class AssessmentView {
           <h4>Confidence Note</h4>
           <p><strong>${confidence || '-'}</strong> confidence level.</p>
           <p>${this.escape(confidenceJustification || 'No additional confidence information.')}</p>
+          ${this.renderSourceCheckNote(data?.sourceCheck, workflowConfidence, confidence)}
         </div>
       </div>
     `;
 
+    // COMPARE VIEW - interactive, rendered by renderCompetitorComparison on each visit
+    const compareHTML = '<div class="evidence-content competitor-compare"></div>';
+
     container.innerHTML = summaryHTML;
     container.dataset.summary = summaryHTML;
     container.dataset.detailed = detailedHTML;
+    container.dataset.compare = compareHTML;
     container.dataset.sources = sourcesHTML;
   }
 
+  createCompetitorCompareState() {
+    return {
+      sort: { key: 'name', direction: 'asc' },
+      filters: { size: '', type: '' },
+      axes: { ...CompetitorComparison.DEFAULT_AXES }
+    };
+  }
+
+  /**
+   * Compare view: a sortable, filterable competitor matrix and a positioning
+   * map with the venture plotted on the axes the advisor picks
+   */
+  renderCompetitorComparison(container) {
+    const root = container.querySelector('.competitor-compare');
+    if (!root) return;
+
+    const state = this.competitorCompare;
+    const allRows = CompetitorComparison.rows(this.data.competitive?.formatted?.competitors);
+    if (allRows.length === 0) {
+      root.innerHTML = '<div class="evidence-section"><p>No competitors were profiled.</p></div>';
+      return;
+    }
+
+    const options = CompetitorComparison.filterOptions(allRows);
+    const rows = CompetitorComparison.sort(
+      CompetitorComparison.filter(allRows, state.filters), state.sort.key, state.sort.direction);
+    const venture = CompetitorComparison.ventureRow(this.data.company?.full || this.data.company);
+    const plot = CompetitorComparison.plot([venture, ...rows], state.axes.x, state.axes.y);
+
+    const select = (attr, value, choices, allLabel) => `
+      <select ${attr}>
+        ${allLabel ? `<option value="">${allLabel}</option>` : ''}
+        ${choices.map(([key, label]) => `<option value="${this.escape(key)}" ${key === value ? 'selected' : ''}>${this.escape(label)}</option>`).join('')}
+      </select>
+    `;
+    const axisChoices = Object.entries(CompetitorComparison.AXES).map(([key, axis]) => [key, axis.label]);
+    const list = items => items.length > 0
+      ? `<ul class="compare-cell-list">${items.slice(0, 3).map(item => `<li>${this.escape(item)}</li>`).join('')}</ul>`
+      : '-';
+    const cell = (row, key) => {
+      switch (key) {
+        case 'name': return `<strong>${this.escape(row.name)}</strong>`;
+        case 'size': return row.size ? `<span class="size-badge ${row.sizeKey}">${this.escape(row.size)}</span>` : '-';
+        case 'yearFounded': return row.yearFounded || '-';
+        case 'differentiation': return row.differentiation ? this.escape(this.truncate(row.differentiation, 160)) : '-';
+        case 'strengths':
+        case 'weaknesses': return list(row[key]);
+        default: return row[key] ? this.escape(row[key]) : '-';
+      }
+    };
+
+    root.innerHTML = `
+      <div class="evidence-section">
+        <h4>Comparison Matrix</h4>
+        <div class="compare-controls">
+          <label>Size ${select('data-filter="size"', state.filters.size,
+            options.sizes.map(key => [key, CompetitorComparison.SIZES[key].label]), 'All sizes')}</label>
+          <label>Type ${select('data-filter="type"', state.filters.type,
+            options.types.map(type => [type, type]), 'All types')}</label>
+          <span class="compare-count">${rows.length} of ${allRows.length} competitors</span>
+        </div>
+        <div class="compare-matrix-wrap">
+          <table class="compare-matrix">
+            <thead>
+              <tr>
+                ${CompetitorComparison.COLUMNS.map(column => {
+                  const sorted = state.sort.key === column.key;
+                  const arrow = sorted ? (state.sort.direction === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+                  return column.sort
+                    ? `<th><button type="button" class="compare-sort${sorted ? ' active' : ''}" data-sort="${column.key}">${column.label}${arrow}</button></th>`
+                    : `<th>${column.label}</th>`;
+                }).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map(row => `
+                <tr>${CompetitorComparison.COLUMNS.map(column => `<td class="compare-${column.key}">${cell(row, column.key)}</td>`).join('')}</tr>
+              `).join('') || `<tr><td colspan="${CompetitorComparison.COLUMNS.length}">No competitors match these filters.</td></tr>`}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div class="evidence-section">
+        <h4>Positioning Map</h4>
+        <div class="compare-controls">
+          <label>X axis ${select('data-axis="x"', state.axes.x, axisChoices)}</label>
+          <label>Y axis ${select('data-axis="y"', state.axes.y, axisChoices)}</label>
+        </div>
+        ${plot ? this.renderPositioningMap(plot, state.axes) : '<p class="compare-note">Too few competitors have figures for these axes to plot them.</p>'}
+        ${plot?.missing.length > 0 ? `<p class="compare-note">Not plotted (no figure for an axis): ${plot.missing.map(name => this.escape(name)).join(', ')}</p>` : ''}
+      </div>
+    `;
+
+    root.querySelectorAll('[data-filter]').forEach(el => {
+      el.addEventListener('change', () => {
+        state.filters[el.dataset.filter] = el.value;
+        this.renderCompetitorComparison(container);
+      });
+    });
+    root.querySelectorAll('[data-axis]').forEach(el => {
+      el.addEventListener('change', () => {
+        state.axes[el.dataset.axis] = el.value;
+        this.renderCompetitorComparison(container);
+      });
+    });
+    root.querySelectorAll('[data-sort]').forEach(el => {
+      el.addEventListener('click', () => {
+        const key = el.dataset.sort;
+        state.sort = {
+          key,
+          direction: state.sort.key === key && state.sort.direction === 'asc' ? 'desc' : 'asc'
+        };
+        this.renderCompetitorComparison(container);
+      });
+    });
+  }
+
+  /**
+   * SVG scatter plot for CompetitorComparison.plot() output
+   */
+  renderPositioningMap(plot, axes) {
+    const width = 640;
+    const height = 380;
+    const margin = { top: 16, right: 24, bottom: 44, left: 64 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const px = at => margin.left + at * plotWidth;
+    const py = at => margin.top + (1 - at) * plotHeight;
+
+    const xTicks = plot.xTicks.map(tick => `
+      <line class="map-grid" x1="${px(tick.at)}" y1="${margin.top}" x2="${px(tick.at)}" y2="${margin.top + plotHeight}"/>
+      <text class="map-tick" x="${px(tick.at)}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${this.escape(tick.label)}</text>
+    `).join('');
+    const yTicks = plot.yTicks.map(tick => `
+      <line class="map-grid" x1="${margin.left}" y1="${py(tick.at)}" x2="${margin.left + plotWidth}" y2="${py(tick.at)}"/>
+      <text class="map-tick" x="${margin.left - 8}" y="${py(tick.at) + 4}" text-anchor="end">${this.escape(tick.label)}</text>
+    `).join('');
+
+    const venture = plot.points.find(point => point.isVenture);
+
+    // Venture drawn last so it sits on top
+    const points = [...plot.points].sort((a, b) => a.isVenture - b.isVenture).map(point => `
+      <g class="map-point${point.isVenture ? ' venture' : ''}">
+        <title>${this.escape(point.name)}</title>
+        <circle cx="${px(point.x)}" cy="${py(point.y)}" r="${point.isVenture ? 7 : 5}"/>
+        <text x="${px(point.x) + 9}" y="${py(point.y) + 4}">${this.escape(this.truncate(point.name, 22))}</text>
+      </g>
+    `).join('');
+
+    return `
+      <svg class="positioning-map" viewBox="0 0 ${width} ${height}" role="img" aria-label="Competitor positioning map">
+        <rect class="map-frame" x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/>
+        ${xTicks}${yTicks}
+        <text class="map-axis-label" x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle">${this.escape(CompetitorComparison.AXES[axes.x].label)}</text>
+        <text class="map-axis-label" transform="translate(14 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${this.escape(CompetitorComparison.AXES[axes.y].label)}</text>
+        ${points}
+      </svg>
+      <div class="map-legend">
+        ${venture ? `<span class="map-legend-dot venture"></span>${this.escape(venture.name)}` : ''}
+        <span class="map-legend-dot"></span>Competitors
+      </div>
+    `;
+  }
+
   // ========== MARKET DATA ==========
   
   loadMarketData(data) {
@@ -1481,7 +2276,11 @@ class AssessmentView {
       this.updateRubricDisplay('market', score);
     }
     
+    CitationIndex.forget(this.citations, 'market');
     this.displayMarketEvidence(data);
+    this.renderScoreTrace('market', data);
+    this.renderMarketCalculator(data, true);
+    this.renderMarketSizing();
   }
 
   displayMarketEvidence(data) {
@@ -1502,7 +2301,8 @@ class AssessmentView {
     const markets = formatted.markets || analysisRaw?.markets || [];
 
     const marketAnalysis = analysisRaw?.market_analysis || {};
-    const confidence = formatted.confidence || formatted.sourceCredibility || scoringRaw?.data_quality?.source_credibility;
+    const workflowConfidence = formatted.confidence || formatted.sourceCredibility || scoringRaw?.data_quality?.source_credibility;
+    const confidence = ConfidenceUtil.adjustForSources(workflowConfidence, data?.sourceCheck);
     const confidenceJustification = formatted.confidenceJustification || analysisRaw?.data_confidence_justification || '';
 
     // v3: justification is a string (not object with .summary)
@@ -1607,7 +2407,7 @@ class AssessmentView {
                       <td>${this.escape(m.description)}</td>
                       <td>${this.formatCurrency(mTam)}</td>
                       <td>${typeof mCagr === 'number' ? mCagr.toFixed(1) + '%' : '-'}</td>
-                      <td>${mSrc && mSrc.startsWith('http') ? `<a href="${this.escape(mSrc)}" target="_blank" rel="noopener" class="table-source-link">${this.escape((() => { try { return new URL(mSrc).hostname.replace('www.',''); } catch { return 'Link'; } })())}</a>` : '—'}</td>
+                      <td>${mSrc && mSrc.startsWith('http') ? `<a href="${this.escape(mSrc)}" target="_blank" rel="noopener" class="table-source-link">${this.escape((() => { try { return new URL(mSrc).hostname.replace('www.',''); } catch { return 'Link'; } })())}</a>${this.cite('market', mSrc, m.description)}` : '—'}</td>
                     </tr>
                   `;
                 }).join('')}
@@ -1668,13 +2468,13 @@ class AssessmentView {
               ${marketSources.map(s => `
                 <li>
                   <strong>${this.escape(s.label)}</strong>:
-                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>
+                  <a href="${this.escape(this.cleanSourceUrl(s.url))}" target="_blank" rel="noopener">${this.truncateUrl(s.url)}</a>${this.cite('market', s.url, s.label)}
                 </li>
               `).join('')}
             </ul>
           ` : (dataSources.length > 0 ? `
             <ul class="source-list">
-              ${dataSources.map(s => `<li><a href="${this.escape(this.cleanSourceUrl(s))}" target="_blank" rel="noopener">${this.truncateUrl(s)}</a></li>`).join('')}
+              ${dataSources.map(s => `<li><a href="${this.escape(this.cleanSourceUrl(s))}" target="_blank" rel="noopener">${this.truncateUrl(s)}</a>${this.cite('market', s, 'Data sources')}</li>`).join('')}
             </ul>
           ` : '<p>No source URLs available.</p>')}
         </div>
@@ -1682,6 +2482,7 @@ class AssessmentView {
           <h4>Confidence Note</h4>
           <p><strong>${confidence || '-'}</strong> confidence level.</p>
           <p>${this.escape(confidenceJustification || 'No additional confidence information.')}</p>
+          ${this.renderSourceCheckNote(data?.sourceCheck, workflowConfidence, confidence)}
         </div>
         <div class="evidence-section">
           <h4>Data Quality</h4>
@@ -1721,7 +2522,10 @@ class AssessmentView {
       this.updateRubricDisplay('iprisk', score);
     }
     
+    CitationIndex.forget(this.citations, 'iprisk');
     this.displayIpRiskEvidence(data);
+    this.renderScoreTrace('iprisk', data);
+    this.renderFtoWorksheet(data);
   }
 
   displayIpRiskEvidence(data) {
@@ -1757,6 +2561,17 @@ class AssessmentView {
     const companyPatents = formatted.companyPatents || [];
     const thirdPartyPatents = formatted.thirdPartyPatents || [];
 
+    // Patent families across all three lists. Assessments saved before the
+    // patent tables were formatted carry the workflow's rows as is.
+    const asPatent = defaultBlocking => p => ('blockingPotential' in p ? p : IPRiskAPI.formatPatent(p, defaultBlocking));
+    const families = PatentFamilies.group({
+      relevant: relevantPatents.map(asPatent('low')),
+      company: companyPatents.map(asPatent('none')),
+      thirdParty: thirdPartyPatents.map(asPatent('low'))
+    });
+    const familyPatentCount = families.reduce((sum, f) => sum + f.members.length, 0);
+    const filingTimeline = PatentFamilies.timeline(families);
+
     // Score details
     const justification = formatted.justification || '';
     const keyRiskFactors = formatted.keyRiskFactors || [];
@@ -1765,7 +2580,8 @@ class AssessmentView {
     const dataConfidenceImpact = formatted.dataConfidenceImpact || '';
 
     // Data quality
-    const confidence = formatted.dataConfidence || ipData?.data_confidence;
+    const workflowConfidence = formatted.dataConfidence || ipData?.data_confidence;
+    const confidence = ConfidenceUtil.adjustForSources(workflowConfidence, data?.sourceCheck);
     const confidenceJustification = formatted.dataConfidenceJustification || ipData?.data_confidence_justification || '';
 
     // SUMMARY VIEW
@@ -1860,35 +2676,22 @@ class AssessmentView {
           </div>
         ` : ''}
 
-        ${relevantPatents.length > 0 ? `
+        ${families.length > 0 ? `
           <div class="evidence-section">
-            <h4>Key Relevant Patents (${relevantPatents.length})</h4>
-            <table class="data-table">
-              <thead>
-                <tr>
-                  <th>Patent ID</th>
-                  <th>Title</th>
-                  <th>Assignee</th>
-                  <th>Year</th>
-                  <th>Blocking</th>
-                  <th>Status</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${relevantPatents.map(p => `
-                  <tr>
-                    <td>${p.link ? `<a href="${this.escape(this.cleanPatentLink(p.link))}" target="_blank" rel="noopener">${this.escape(p.id)}</a>` : this.escape(p.id)}</td>
-                    <td>${this.escape(this.truncate(p.title, 50))}</td>
-                    <td>${this.escape(p.assignee)}</td>
-                    <td>${p.year || '-'}</td>
-                    <td><span class="risk-badge risk-${(p.blockingPotential || 'low').toLowerCase()}">${this.capitalize(p.blockingPotential || 'low')}</span></td>
-                    <td>${this.escape(p.status || '')}</td>
-                  </tr>
-                `).join('')}
-              </tbody>
-            </table>
+            <h4>Patent Families (${families.length})</h4>
+            <p class="patent-family-note">${familyPatentCount} patent(s) from the top relevant list and patent tables, grouped by assignee and title. Families most likely to block come first.</p>
+            <div class="accordion-list">
+              ${families.map((family, i) => this.renderPatentFamily(family, i === 0)).join('')}
+            </div>
           </div>
-        ` : '<div class="evidence-section"><h4>Key Relevant Patents</h4><p>No relevant patents identified.</p></div>'}
+        ` : '<div class="evidence-section"><h4>Patent Families</h4><p>No relevant patents identified.</p></div>'}
+
+        ${filingTimeline ? `
+          <div class="evidence-section">
+            <h4>Filing Years by Top Assignee</h4>
+            ${this.renderFilingTimeline(filingTimeline)}
+          </div>
+        ` : ''}
 
         ${Object.keys(evaluationSteps).length > 0 ? `
           <div class="evidence-section">
@@ -1938,9 +2741,10 @@ class AssessmentView {
     `;
 
     // SOURCES VIEW
-    const patentSources = relevantPatents.filter(p => p.link).map(p => ({
+    const patentSources = families.flatMap(f => f.members).map(p => ({
       id: p.id,
-      link: p.link
+      link: p.link || PatentFamilies.googlePatentsUrl(p.id),
+      title: p.title
     }));
 
     const sourcesHTML = `
@@ -1952,7 +2756,7 @@ class AssessmentView {
               ${patentSources.map(p => `
                 <li>
                   <strong>${this.escape(p.id)}</strong>:
-                  <a href="${this.escape(this.cleanPatentLink(p.link))}" target="_blank" rel="noopener">Google Patents</a>
+                  <a href="${this.escape(this.cleanPatentLink(p.link, p.id))}" target="_blank" rel="noopener">Google Patents</a>${this.cite('iprisk', this.cleanPatentLink(p.link, p.id), p.id, p.title)}
                 </li>
               `).join('')}
             </ul>
@@ -1976,6 +2780,7 @@ class AssessmentView {
           <h4>Confidence Note</h4>
           <p><strong>${confidence || '-'}</strong> confidence level.</p>
           <p>${this.escape(confidenceJustification || 'No additional confidence information.')}</p>
+          ${this.renderSourceCheckNote(data?.sourceCheck, workflowConfidence, confidence)}
         </div>
       </div>
     `;
@@ -1986,6 +2791,755 @@ class AssessmentView {
     container.dataset.sources = sourcesHTML;
   }
 
+  /**
+   * One patent family in the IP drill-down: its publications with status, the lists
+   * they appeared in, and claims and abstract where the workflow supplied them
+   */
+  renderPatentFamily(family, expanded = false) {
+    const years = family.years.length > 1
+      ? `${family.years[0]}-${family.years[family.years.length - 1]}`
+      : family.years[0] || '';
+    const meta = [family.assignee, `${family.members.length} publication${family.members.length === 1 ? '' : 's'}`, years]
+      .filter(Boolean).map(part => this.escape(String(part))).join(' &middot; ');
+
+    return `
+      <div class="accordion-item patent-family ${expanded ? 'expanded' : ''}">
+        <div class="accordion-header">
+          <div class="member-header-info">
+            <span class="risk-badge risk-${family.blockingPotential}">${this.capitalize(family.blockingPotential)}</span>
+            <strong>${this.escape(this.truncate(family.title, 80))}</strong>
+            <span class="patent-family-meta">${meta}</span>
+          </div>
+          <span class="accordion-icon">▼</span>
+        </div>
+        <div class="accordion-content">
+          ${family.members.map(p => {
+            const link = this.cleanPatentLink(p.link, p.id);
+            return `
+              <div class="patent-detail">
+                <div class="patent-detail-header">
+                  <a href="${this.escape(link)}" target="_blank" rel="noopener"><strong>${this.escape(p.id)}</strong></a>${this.cite('iprisk', link, p.id, p.title)}
+                  ${p.status && p.status !== 'Unknown' ? `<span class="patent-status ${this.escape(String(p.status).toLowerCase())}">${this.escape(p.status)}</span>` : ''}
+                  ${p.year ? `<span class="patent-family-meta">${p.year}</span>` : ''}
+                  ${family.members.length > 1 ? `<span class="risk-badge risk-${p.blockingPotential}">${this.capitalize(p.blockingPotential)}</span>` : ''}
+                  ${p.sources.map(source => `<span class="patent-source-tag">${PatentFamilies.SOURCE_LABELS[source]}</span>`).join('')}
+                </div>
+                ${p.title !== family.title ? `<p class="patent-detail-title">${this.escape(p.title)}</p>` : ''}
+                ${p.relevance ? `<p class="patent-relevance">${this.escape(p.relevance)}</p>` : ''}
+                ${p.abstract ? `
+                  <details class="patent-text">
+                    <summary>Abstract</summary>
+                    <p>${this.escape(p.abstract)}</p>
+                  </details>
+                ` : ''}
+                ${p.claims?.length > 0 ? `
+                  <details class="patent-text">
+                    <summary>Claims (${p.claims.length})</summary>
+                    <ol>${p.claims.map(claim => `<li>${this.escape(claim)}</li>`).join('')}</ol>
+                  </details>
+                ` : ''}
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Filing years per top assignee, one dot per year sized by the number of filings
+   * @param {Object} timeline - From PatentFamilies.timeline()
+   */
+  renderFilingTimeline({ years, rows }) {
+    const first = years[0];
+    const last = years[years.length - 1];
+    const yearLabels = years.map(year =>
+      `<span class="filing-timeline-year">${year === first || year === last || year % 5 === 0 ? year : ''}</span>`
+    ).join('');
+
+    const rowsHTML = rows.map(row => `
+      <span class="filing-timeline-assignee" title="${this.escape(row.assignee)}">${this.escape(this.truncate(row.assignee, 28))} (${row.total})</span>
+      ${years.map(year => {
+        const count = row.counts[year] || 0;
+        const size = 6 + Math.min(count, 4) * 3;
+        return `<span class="filing-timeline-cell" title="${this.escape(row.assignee)}: ${count} in ${year}">${count > 0
+          ? `<span class="filing-timeline-dot" style="width: ${size}px; height: ${size}px;"></span>`
+          : ''}</span>`;
+      }).join('')}
+    `).join('');
+
+    return `
+      <div class="filing-timeline" style="grid-template-columns: minmax(120px, 200px) repeat(${years.length}, minmax(14px, 1fr));">
+        <span></span>${yearLabels}
+        ${rowsHTML}
+      </div>
+    `;
+  }
+
+  // ========== FTO WORKSHEET ==========
+
+  /**
+   * Freedom-to-operate worksheet for the high and medium blocking-potential
+   * patents, with the advisor's saved entries filled back in
+   */
+  renderFtoWorksheet(data) {
+    const container = document.getElementById('iprisk-fto-worksheet');
+    if (!container) return;
+
+    const sm = window.app?.stateManager;
+    const patents = (data?.formatted?.relevantPatents || [])
+      .map(p => ('blockingPotential' in p ? p : IPRiskAPI.formatPatent(p)));
+    this.ftoWorksheet = FtoWorksheet.build(patents, sm?.getAdvisorArtifact('ftoWorksheet'));
+    sm?.saveAdvisorArtifact('ftoWorksheet', this.ftoWorksheet);
+
+    const { rows } = this.ftoWorksheet;
+    const overlapOptions = Object.entries(FtoWorksheet.CLAIM_OVERLAP)
+      .map(([value, label]) => ({ value, label }));
+
+    container.innerHTML = `
+      <details class="fto-worksheet" ${rows.length > 0 ? 'open' : ''}>
+        <summary>
+          Freedom-to-Operate Worksheet
+          <span class="fto-worksheet-count">${this.describeFtoProgress()}</span>
+        </summary>
+        ${rows.length === 0 ? `
+          <p class="fto-worksheet-note">The workflow rated none of the top relevant patents as high or medium blocking potential.</p>
+        ` : `
+          <p class="fto-worksheet-note">High and medium blocking-potential patents from the IP landscape. Entries save as you type and are included in the PDF.</p>
+          ${rows.map(row => {
+            const link = this.cleanPatentLink(row.link, row.id);
+            const field = name => `data-key="${this.escape(row.key)}" data-field="${name}"`;
+            return `
+              <div class="fto-row${row.listed ? '' : ' unlisted'}">
+                <div class="patent-detail-header">
+                  <span class="risk-badge risk-${row.blockingPotential}">${this.capitalize(row.blockingPotential)}</span>
+                  <a href="${this.escape(link)}" target="_blank" rel="noopener"><strong>${this.escape(row.id)}</strong></a>
+                  <span class="patent-family-meta">${this.escape(row.assignee)}</span>
+                  ${row.listed ? '' : '<span class="patent-source-tag">No longer in the IP results</span>'}
+                </div>
+                <p class="patent-detail-title">${this.escape(row.title)}</p>
+                <div class="fto-fields">
+                  <label>Claim overlap
+                    <select ${field('claimOverlap')}>
+                      <option value="">Not assessed</option>
+                      ${overlapOptions.map(o => `<option value="${o.value}" ${row.claimOverlap === o.value ? 'selected' : ''}>${o.label}</option>`).join('')}
+                    </select>
+                  </label>
+                  <label>Licensing contact
+                    <input type="text" ${field('licensingContact')} value="${this.escape(row.licensingContact)}" placeholder="Name, office or email">
+                  </label>
+                  <label class="fto-field-wide">Design-around idea
+                    <textarea rows="2" ${field('designAround')} placeholder="How the venture could avoid these claims">${this.escape(row.designAround)}</textarea>
+                  </label>
+                  <label class="fto-field-check">
+                    <input type="checkbox" ${field('counselReview')} ${row.counselReview ? 'checked' : ''}>
+                    Counsel review needed
+                  </label>
+                </div>
+              </div>
+            `;
+          }).join('')}
+        `}
+      </details>
+    `;
+
+    container.querySelectorAll('[data-field]').forEach(input => {
+      const event = input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, () => {
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        this.updateFtoEntry(input.dataset.key, input.dataset.field, value);
+      });
+    });
+  }
+
+  /**
+   * Record one worksheet entry; saves are debounced like the Summary tab's notes
+   */
+  updateFtoEntry(key, field, value) {
+    const row = this.ftoWorksheet?.rows.find(r => r.key === key);
+    if (!row) return;
+
+    row[field] = value;
+    this.ftoWorksheet.updatedAt = new Date().toISOString();
+
+    const count = document.querySelector('#iprisk-fto-worksheet .fto-worksheet-count');
+    if (count) count.textContent = this.describeFtoProgress();
+
+    clearTimeout(this.ftoSaveTimer);
+    this.ftoSaveTimer = setTimeout(() => {
+      window.app?.stateManager?.saveAdvisorArtifact('ftoWorksheet', this.ftoWorksheet);
+      window.app?.cacheCurrentAssessmentProgressively?.();
+    }, 300);
+  }
+
+  describeFtoProgress() {
+    const summary = FtoWorksheet.summarize(this.ftoWorksheet);
+    if (summary.patents === 0) return '';
+    const parts = [`${summary.reviewed} of ${summary.patents} reviewed`];
+    if (summary.counselReview > 0) parts.push(`${summary.counselReview} for counsel`);
+    return parts.join(' · ');
+  }
+
+  // ========== MARKET SIZING CALCULATOR ==========
+
+  /**
+   * Calculator for the market rubric's TAM x CAGR grid: score any returned market
+   * as primary, or the advisor's own figures, and project TAM to a later year
+   * @param {Object} data - Market phase result
+   * @param {boolean} resetInputs - Start from the scored basis or the workflow's primary market
+   */
+  renderMarketCalculator(data, resetInputs = false) {
+    const container = document.getElementById('market-calculator');
+    if (!container) return;
+
+    const formatted = data?.formatted || {};
+    const markets = formatted.markets || [];
+    const primary = formatted.primaryMarket || {};
+    const basis = this.userScores.market.marketBasis;
+    const currentYear = new Date().getFullYear();
+
+    if (resetInputs || !this.marketCalculator) {
+      const primaryYear = markets.find(m => m.description === primary.description)?.tamYear || currentYear;
+      this.marketCalculator = basis
+        ? { choice: basis.choice, description: basis.description, tam: basis.tam, cagr: basis.cagr, year: basis.year, projectionYear: basis.projectionYear || currentYear + 5 }
+        : { choice: 'primary', description: primary.description || '', tam: parseFloat(primary.tam) || null, cagr: parseFloat(primary.cagr), year: primaryYear, projectionYear: currentYear + 5 };
+    }
+
+    const calc = this.marketCalculator;
+    const score = MarketAPI.rubricScore(calc.tam, calc.cagr);
+    const aiCell = MarketAPI.rubricScore(primary.tam, primary.cagr);
+    const aiScore = this.aiScores.market;
+    const projectedTam = MarketAPI.projectTam(calc.tam, calc.cagr, calc.year, calc.projectionYear);
+    const projectedScore = MarketAPI.rubricScore(projectedTam, calc.cagr);
+
+    const tamLabels = { under_500M: 'TAM < $500M', '500M_to_5B': 'TAM $500M-$5B', over_5B: 'TAM > $5B' };
+    const cagrLabels = { under_10: 'CAGR < 10%', '10_to_20': 'CAGR 10-20%', over_20: 'CAGR > 20%' };
+    const grid = [...MarketAPI.TAM_BANDS].reverse().map(tamBand => `
+      <tr>
+        <th scope="row">${tamLabels[tamBand]}</th>
+        ${MarketAPI.CAGR_BANDS.map(cagrBand => {
+          const cellScore = MarketAPI.TAM_BANDS.indexOf(tamBand) * 3 + MarketAPI.CAGR_BANDS.indexOf(cagrBand) + 1;
+          const classes = [cellScore === score ? 'selected' : '', cellScore === aiCell ? 'workflow' : ''].filter(Boolean).join(' ');
+          return `<td class="${classes}" title="${this.escape(MarketAPI.getRubricDescription(cellScore))}">${cellScore}</td>`;
+        }).join('')}
+      </tr>
+    `).join('');
+
+    const choices = [
+      ['primary', `Workflow primary market: ${primary.description || 'Unknown'}`],
+      ...markets.map((m, i) => [String(i), `${m.description} (${this.formatCurrency(m.tam)}${isNaN(parseFloat(m.cagr)) ? '' : `, ${parseFloat(m.cagr).toFixed(1)}%`})`]),
+      ['custom', 'My own figures']
+    ];
+    const number = value => (value === null || value === undefined || isNaN(value) ? '' : value);
+
+    container.innerHTML = `
+      <details class="market-calculator" open>
+        <summary>
+          Market Sizing Calculator
+          ${score ? `<span class="market-calculator-score">Rubric score ${score}</span>` : ''}
+        </summary>
+        <div class="market-calculator-body">
+          <div class="market-calculator-inputs">
+            <label class="wide">Primary market
+              <select data-calc="choice">
+                ${choices.map(([value, label]) => `<option value="${value}" ${calc.choice === value ? 'selected' : ''}>${this.escape(this.truncate(label, 90))}</option>`).join('')}
+              </select>
+            </label>
+            <label>TAM ($M)
+              <input type="number" min="0" step="any" data-calc="tam" value="${calc.tam ? number(+(calc.tam / 1e6).toFixed(1)) : ''}">
+            </label>
+            <label>CAGR (%)
+              <input type="number" step="any" data-calc="cagr" value="${number(calc.cagr)}">
+            </label>
+            <label>TAM year
+              <input type="number" min="1990" max="2100" step="1" data-calc="year" value="${number(calc.year)}">
+            </label>
+          </div>
+
+          <table class="market-rubric-grid">
+            <thead><tr><th></th>${MarketAPI.CAGR_BANDS.map(band => `<th scope="col">${cagrLabels[band]}</th>`).join('')}</tr></thead>
+            <tbody>${grid}</tbody>
+          </table>
+          <p class="market-calculator-legend"><span class="swatch selected"></span>These figures <span class="swatch workflow"></span>Workflow's primary market</p>
+
+          <p class="market-calculator-result">
+            ${score
+              ? `<strong>Score ${score}:</strong> ${this.escape(MarketAPI.getRubricDescription(score))}`
+              : 'Enter a TAM and CAGR to place the market on the rubric.'}
+            ${aiScore ? `<br><span class="market-calculator-note">AI score ${aiScore}${aiCell && aiCell !== aiScore ? ` (rubric cell ${aiCell} before the workflow's adjustment)` : ''}.</span>` : ''}
+          </p>
+
+          <div class="market-calculator-projection">
+            <label>Project TAM to
+              <input type="number" min="1990" max="2100" step="1" data-calc="projectionYear" value="${number(calc.projectionYear)}">
+            </label>
+            <span>${projectedTam
+              ? `${this.formatCurrency(projectedTam)} in ${calc.projectionYear} at ${Number(calc.cagr).toFixed(1)}% CAGR &rarr; rubric score ${projectedScore}`
+              : 'Needs a TAM, CAGR and year.'}</span>
+          </div>
+
+          <div class="market-calculator-actions">
+            <button type="button" class="btn secondary" data-calc-apply ${score ? '' : 'disabled'}>Score ${score || '-'} on these figures</button>
+            ${basis ? `<span class="market-calculator-note">Your score is based on: ${this.escape(this.truncate(basis.description, 80))} (${this.formatCurrency(basis.tam)}, ${Number(basis.cagr).toFixed(1)}%)</span>` : ''}
+          </div>
+        </div>
+      </details>
+    `;
+
+    container.querySelectorAll('[data-calc]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.updateMarketCalculator(input.dataset.calc, input.value, markets, primary);
+        this.renderMarketCalculator(data);
+      });
+    });
+    container.querySelector('[data-calc-apply]')?.addEventListener('click', () => {
+      this.applyMarketCalculator(score, projectedTam, projectedScore);
+      this.renderMarketCalculator(data);
+    });
+  }
+
+  updateMarketCalculator(field, value, markets, primary) {
+    const calc = this.marketCalculator;
+    if (field === 'choice') {
+      const market = value === 'primary' ? null : markets[parseInt(value, 10)];
+      calc.choice = value;
+      if (value === 'primary') {
+        Object.assign(calc, {
+          description: primary.description || '',
+          tam: parseFloat(primary.tam) || null,
+          cagr: parseFloat(primary.cagr),
+          year: markets.find(m => m.description === primary.description)?.tamYear || new Date().getFullYear()
+        });
+      } else if (market) {
+        Object.assign(calc, { description: market.description, tam: parseFloat(market.tam) || null, cagr: parseFloat(market.cagr), year: market.tamYear });
+      } else {
+        calc.description = 'Advisor figures';
+      }
+      return;
+    }
+
+    const parsed = parseFloat(value);
+    if (field === 'tam') calc.tam = parsed > 0 ? parsed * 1e6 : null;
+    if (field === 'cagr') calc.cagr = parsed;
+    if (field === 'year' || field === 'projectionYear') calc[field] = parseInt(value, 10) || null;
+    // Edited figures no longer describe the selected market
+    if (field !== 'projectionYear' && calc.choice !== 'custom') {
+      calc.choice = 'custom';
+      calc.description = `Advisor figures (from ${calc.description || 'workflow market'})`;
+    }
+  }
+
+  /**
+   * The calculator market behind the advisor's market score, or null if the
+   * score has since been set by hand (bases saved before they were cleared on
+   * slider moves may still disagree with the score)
+   */
+  currentMarketBasis() {
+    const { marketBasis, score } = this.userScores.market;
+    return marketBasis && marketBasis.score === score ? marketBasis : null;
+  }
+
+  /**
+   * Move the score slider to the calculator's score and record the market it was based on
+   */
+  applyMarketCalculator(score, projectedTam, projectedScore) {
+    if (!score) return;
+    const calc = this.marketCalculator;
+    this.userScores.market.marketBasis = {
+      choice: calc.choice,
+      description: calc.description,
+      tam: calc.tam,
+      cagr: calc.cagr,
+      year: calc.year,
+      tamCategory: MarketAPI.deriveTamCategory(calc.tam),
+      cagrCategory: MarketAPI.deriveCagrCategory(calc.cagr),
+      score,
+      projectionYear: projectedTam ? calc.projectionYear : null,
+      projectedTam: projectedTam ? Math.round(projectedTam) : null,
+      projectedScore: projectedTam ? projectedScore : null
+    };
+
+    const slider = document.getElementById('market-score-slider');
+    if (slider) {
+      slider.value = score;
+      slider.dispatchEvent(new Event('input'));
+    }
+  }
+
+  // ========== SAM/SOM BUILDER ==========
+
+  /**
+   * Bottom-up SAM/SOM builder, seeded from the beachhead customer and the
+   * workflow's primary market. Only the results redraw as assumptions change,
+   * so the inputs keep focus while the advisor types.
+   */
+  renderMarketSizing() {
+    const container = document.getElementById('market-sizing');
+    if (!container) return;
+
+    const sm = window.app?.stateManager;
+    this.marketSizing = MarketSizing.build(sm?.getAdvisorArtifact('marketSizing'), this.data.company, this.data.market);
+    const a = this.marketSizing.assumptions;
+    const value = v => (v === null || v === undefined ? '' : this.escape(String(v)));
+
+    container.innerHTML = `
+      <details class="market-sizing" open>
+        <summary>
+          Bottom-up SAM/SOM
+          <span class="market-sizing-headline"></span>
+        </summary>
+        <div class="market-sizing-body">
+          <p class="market-sizing-note">Serviceable market = target customers x annual price; obtainable market = the share won as adoption ramps. Seeded from the Solution Value beachhead and the primary market's CAGR. Assumptions save as you type and are included in the PDF.</p>
+          <div class="market-sizing-inputs">
+            <label class="wide">Beachhead segment
+              <input type="text" data-sizing="segment" value="${value(a.segment)}" placeholder="Who buys first">
+            </label>
+            <label>Target customers
+              <input type="number" min="0" step="1" data-sizing="targetCustomers" value="${value(a.targetCustomers)}" placeholder="e.g. 1200">
+            </label>
+            <label>Annual price per customer ($)
+              <input type="number" min="0" step="any" data-sizing="pricePoint" value="${value(a.pricePoint)}" placeholder="e.g. 25000">
+            </label>
+            <label>Customer growth (%/yr)
+              <input type="number" step="any" data-sizing="customerGrowth" value="${value(a.customerGrowth)}">
+            </label>
+            <label>Share won by final year (%)
+              <input type="number" min="0" max="100" step="any" data-sizing="share" value="${value(a.share)}">
+            </label>
+            <label>Adoption curve
+              <select data-sizing="adoptionCurve">
+                ${Object.entries(MarketSizing.ADOPTION_CURVES).map(([key, curve]) => `<option value="${key}" ${a.adoptionCurve === key ? 'selected' : ''}>${curve.label}</option>`).join('')}
+              </select>
+            </label>
+            <label>First year
+              <input type="number" min="1990" max="2100" step="1" data-sizing="startYear" value="${value(a.startYear)}">
+            </label>
+            <label>Years projected
+              <input type="number" min="1" max="${MarketSizing.maxYears}" step="1" data-sizing="years" value="${value(a.years)}">
+            </label>
+          </div>
+          <div class="market-sizing-results"></div>
+        </div>
+      </details>
+    `;
+
+    container.querySelectorAll('[data-sizing]').forEach(input => {
+      const event = input.tagName === 'SELECT' ? 'change' : 'input';
+      input.addEventListener(event, () => this.updateMarketSizing(input.dataset.sizing, input.value));
+    });
+    this.renderMarketSizingResults();
+  }
+
+  /**
+   * Record one assumption; saves are debounced like the FTO worksheet's
+   */
+  updateMarketSizing(field, value) {
+    if (!this.marketSizing) return;
+    const numeric = field !== 'segment' && field !== 'adoptionCurve';
+    const parsed = numeric ? parseFloat(value) : value;
+    this.marketSizing.assumptions[field] = numeric && isNaN(parsed) ? null : parsed;
+    this.marketSizing.updatedAt = new Date().toISOString();
+    this.renderMarketSizingResults();
+
+    clearTimeout(this.marketSizingSaveTimer);
+    this.marketSizingSaveTimer = setTimeout(() => {
+      window.app?.stateManager?.saveAdvisorArtifact('marketSizing', this.marketSizing);
+      window.app?.cacheCurrentAssessmentProgressively?.();
+    }, 300);
+  }
+
+  renderMarketSizingResults() {
+    const container = document.querySelector('#market-sizing .market-sizing-results');
+    const headline = document.querySelector('#market-sizing .market-sizing-headline');
+    if (!container) return;
+
+    const projection = MarketSizing.project(this.marketSizing?.assumptions);
+    if (headline) {
+      headline.textContent = projection
+        ? `SAM ${this.formatCurrency(projection.sam)} · SOM ${this.formatCurrency(projection.som)}`
+        : '';
+    }
+    if (!projection) {
+      container.innerHTML = '<p class="market-sizing-note">Enter the number of target customers and an annual price to project revenue.</p>';
+      return;
+    }
+
+    const tam = this.data.market?.formatted?.primaryMarket?.tam;
+    const tamShare = MarketSizing.samShareOfTam(projection, tam);
+    const last = projection.rows[projection.rows.length - 1];
+
+    container.innerHTML = `
+      <div class="market-sizing-figures">
+        <div><span class="label">SAM (${projection.rows[0].year})</span><strong>${this.formatCurrency(projection.sam)}</strong></div>
+        <div><span class="label">SOM (${last.year})</span><strong>${this.formatCurrency(projection.som)}</strong></div>
+        <div><span class="label">Customers won (${last.year})</span><strong>${last.customersWon.toLocaleString()}</strong></div>
+      </div>
+      ${tamShare !== null ? `
+        <p class="market-sizing-note ${tamShare > 100 ? 'market-sizing-warning' : ''}">
+          SAM is ${tamShare < 0.1 ? '<0.1' : tamShare.toFixed(1)}% of the workflow's ${this.formatCurrency(tam)} TAM${tamShare > 100 ? ': larger than the total market, so check the customer count or price' : ''}.
+        </p>
+      ` : ''}
+      ${this.renderMarketSizingChart(projection)}
+      <table class="market-sizing-table">
+        <thead><tr><th>Year</th><th>Target customers</th><th>SAM</th><th>Share</th><th>Customers won</th><th>Revenue</th></tr></thead>
+        <tbody>
+          ${projection.rows.map(row => `
+            <tr>
+              <td>${row.year}</td>
+              <td>${row.customers.toLocaleString()}</td>
+              <td>${this.formatCurrency(row.sam)}</td>
+              <td>${row.share.toFixed(1)}%</td>
+              <td>${row.customersWon.toLocaleString()}</td>
+              <td>${this.formatCurrency(row.revenue)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * SVG bar chart of projected revenue per year
+   */
+  renderMarketSizingChart(projection) {
+    const width = 560;
+    const height = 200;
+    const pad = { top: 20, right: 10, bottom: 24, left: 10 };
+    const plotHeight = height - pad.top - pad.bottom;
+    const slot = (width - pad.left - pad.right) / projection.rows.length;
+    const max = Math.max(...projection.rows.map(row => row.revenue)) || 1;
+
+    const bars = projection.rows.map((row, i) => {
+      const barHeight = (row.revenue / max) * plotHeight;
+      const x = pad.left + i * slot + slot * 0.2;
+      const y = pad.top + plotHeight - barHeight;
+      return `
+        <g class="sizing-bar">
+          <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${(slot * 0.6).toFixed(1)}" height="${barHeight.toFixed(1)}"></rect>
+          <text class="sizing-value" x="${(x + slot * 0.3).toFixed(1)}" y="${(y - 5).toFixed(1)}" text-anchor="middle">${this.formatCurrency(row.revenue)}</text>
+          <text class="sizing-year" x="${(x + slot * 0.3).toFixed(1)}" y="${height - 8}" text-anchor="middle">${row.year}</text>
+        </g>
+      `;
+    }).join('');
+
+    return `
+      <svg class="market-sizing-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Projected revenue by year">
+        <line class="sizing-axis" x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}"></line>
+        ${bars}
+      </svg>
+    `;
+  }
+
+  // ========== SCORE TRACE ==========
+
+  /**
+   * "How this score was derived": the dimension's baseline, adjustments and
+   * final score, each step linked to the evidence it cites
+   */
+  renderScoreTrace(dimension, data) {
+    const container = document.getElementById(`${dimension}-score-trace`);
+    if (!container) return;
+
+    const trace = ScoreTrace.build(dimension, data);
+    if (!trace || (trace.steps.length <= 1 && !trace.score)) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { baseline, score } = trace;
+    const scale = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => {
+      const inRange = baseline && n >= baseline.low && n <= baseline.high;
+      return `<span class="score-trace-tick${inRange ? ' in-range' : ''}${n === score ? ' final' : ''}">${n}</span>`;
+    }).join('');
+
+    const renderEvidence = (item) => {
+      const link = this.cite(dimension, item.url, item.label);
+      const label = this.escape(this.truncate(item.label, 60));
+      return item.view
+        ? `<span class="score-trace-evidence"><button type="button" class="score-trace-evidence-btn" data-view="${item.view}" data-evidence="${this.escape(item.label)}" title="Show in ${item.view} view">${label}</button>${link}</span>`
+        : `<span class="score-trace-evidence">${label}${link}</span>`;
+    };
+
+    container.innerHTML = `
+      <details class="score-trace">
+        <summary>How this score was derived</summary>
+        ${trace.defaulted ? '<p class="score-trace-note">The workflow did not return its evaluation steps, so no baseline range is shown.</p>' : ''}
+        <div class="score-trace-scale" aria-hidden="true">${scale}</div>
+        ${baseline ? `
+          <p class="score-trace-note">
+            Baseline: <strong>${this.escape(baseline.label)}</strong>${trace.outsideBaseline ? ' &middot; the final score falls outside the baseline range' : ''}
+          </p>
+        ` : ''}
+        <ol class="score-trace-steps">
+          ${trace.steps.map(step => `
+            <li class="score-trace-step ${step.kind}">
+              <div class="score-trace-step-header">
+                <span class="score-trace-kind">${ScoreTrace.KIND_LABELS[step.kind]}</span>
+                <strong>${this.escape(step.label)}</strong>
+                ${step.delta !== null && step.delta !== undefined ? `<span class="score-trace-delta ${step.delta > 0 ? 'up' : step.delta < 0 ? 'down' : ''}">${step.delta > 0 ? '+' : ''}${step.delta}</span>` : ''}
+              </div>
+              ${step.metric ? `<div class="score-trace-metric">${this.escape(step.metric)}</div>` : ''}
+              ${step.text ? `<div class="score-trace-text">${this.formatRationale(step.text)}</div>` : ''}
+              ${step.evidence.length > 0 ? `<div class="score-trace-evidence-list">${step.evidence.map(renderEvidence).join('')}</div>` : ''}
+            </li>
+          `).join('')}
+        </ol>
+      </details>
+    `;
+
+    container.querySelectorAll('.score-trace-evidence-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.focusEvidence(dimension, btn.dataset.view, btn.dataset.evidence));
+    });
+  }
+
+  /**
+   * Switch the evidence panel to a view and highlight the first item mentioning the label
+   */
+  focusEvidence(dimension, view, label) {
+    this.switchView(dimension, view);
+    document.querySelectorAll(`#panel-${dimension} .view-toggle-btn`).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === view);
+    });
+
+    const container = document.getElementById(`${dimension}-evidence`);
+    const needle = (label || '').toLowerCase();
+    if (!container || !needle) return;
+
+    const match = Array.from(container.querySelectorAll('.accordion-item, [class*="-card"], tr, li'))
+      .find(el => el.textContent.toLowerCase().includes(needle));
+    if (!match) return;
+
+    if (match.classList.contains('accordion-item')) match.classList.add('expanded');
+    match.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    match.classList.add('trace-highlight');
+    setTimeout(() => match.classList.remove('trace-highlight'), 2000);
+  }
+
+  // ========== CITATIONS ==========
+
+  /**
+   * Inline citation marker for a source, numbered once per assessment
+   * @param {string} dimension - Citing dimension
+   * @param {string} url - Source URL
+   * @param {string} label - The evidence item citing it
+   * @param {string} title - Source title, if the evidence has one
+   * @returns {string} Marker HTML, or '' for anything that isn't an http(s) URL
+   */
+  cite(dimension, url, label = '', title = '') {
+    const check = SourceVerifier.lookup(this.sourceChecks, this.cleanSourceUrl(url));
+    const entry = CitationIndex.cite(this.citations, this.cleanSourceUrl(url), {
+      dimension, label, title: title || check?.title || ''
+    });
+    if (!entry) return '';
+
+    const tooltip = `[${entry.number}] ${entry.title || entry.domain}${check ? ` - ${SourceVerifier.describe(check)}` : ''}`;
+    return check?.flagged
+      ? `<a href="${this.escape(entry.url)}" target="_blank" rel="noopener" class="cite-marker cite-flagged" title="${this.escape(tooltip)}">[${entry.number}]&#9888;</a>`
+      : `<a href="${this.escape(entry.url)}" target="_blank" rel="noopener" class="cite-marker" title="${this.escape(tooltip)}">[${entry.number}]</a>`;
+  }
+
+  /**
+   * Redraw a tab's evidence once its source checks are in, keeping the view the
+   * advisor is on. Scores and sliders are left alone.
+   */
+  refreshSources(phase, data) {
+    if (phase === 'company') {
+      if (this.data.company === (data?.full || data)) {
+        SourceVerifier.remember(this.sourceChecks, data?.sourceCheck);
+        this.loadCompanyData(data?.full || data);
+      }
+      return;
+    }
+
+    const display = {
+      team: 'displayTeamEvidence',
+      funding: 'displayFundingEvidence',
+      competitive: 'displayCompetitiveEvidence',
+      market: 'displayMarketEvidence',
+      iprisk: 'displayIpRiskEvidence'
+    }[phase];
+    if (!display || this.data[phase] !== data) return;
+
+    SourceVerifier.remember(this.sourceChecks, data?.sourceCheck);
+    CitationIndex.forget(this.citations, phase);
+    this[display](data);
+    this.renderScoreTrace(phase, data);
+    this.switchView(phase, this.currentView[phase]);
+  }
+
+  /**
+   * Verification badge for a bibliography entry
+   */
+  renderSourceCheckBadge(check) {
+    if (!check || (check.verdict === 'unchecked' && check.credibility === 'unrated')) return '';
+    const state = check.flagged ? 'flagged' : check.credibility === 'trusted' && check.verdict === 'live' ? 'trusted' : 'neutral';
+    const text = check.flagged ? 'Unverified' : state === 'trusted' ? 'Verified' : SourceVerifier.VERDICTS[check.verdict];
+    return `<span class="source-check-badge ${state}" title="${this.escape(SourceVerifier.describe(check))}">${text}</span>`;
+  }
+
+  /**
+   * Note under a tab's confidence level on its unverifiable sources
+   * @param {Object} sourceCheck - The phase's source check summary
+   * @param {*} workflowLevel - Confidence the workflow reported
+   * @param {*} level - Confidence after ConfidenceUtil.adjustForSources
+   */
+  renderSourceCheckNote(sourceCheck, workflowLevel = null, level = null) {
+    if (!sourceCheck) return '';
+    const failure = this.renderSourceCheckFailure(sourceCheck);
+    if (sourceCheck.assessed === 0) return failure;
+    if (sourceCheck.unverifiable === 0) {
+      return `<p class="source-check-note">All ${sourceCheck.assessed} checked source(s) resolve to credible domains.</p>${failure}`;
+    }
+
+    const lowered = level && ConfidenceUtil.normalizeLevel(workflowLevel) !== level;
+    return `${failure}
+      <p class="source-check-note flagged">
+        &#9888; ${sourceCheck.unverifiable} of ${sourceCheck.assessed} checked source(s) could not be verified (dead links or low-credibility domains)${lowered ? `, so confidence was lowered from ${this.escape(ConfidenceUtil.normalizeLevel(workflowLevel))} to ${this.escape(level)}` : ''}.
+      </p>
+    `;
+  }
+
+  /**
+   * Note that the proxy could not check some of a tab's sources, so they show as not checked
+   */
+  renderSourceCheckFailure(sourceCheck) {
+    if (!sourceCheck.error) return '';
+    const unchecked = Object.values(sourceCheck.sources || {}).filter(c => c.verdict === 'unchecked').length;
+    if (unchecked === 0) return '';
+    return `
+      <p class="source-check-note flagged">
+        &#9888; ${unchecked} source link(s) could not be checked (${this.escape(sourceCheck.error)}) and are marked ${SourceVerifier.VERDICTS.unchecked}.
+      </p>
+    `;
+  }
+
+  /**
+   * Consolidated bibliography under a Sources view. Lists every source cited
+   * in the assessment and highlights the ones this tab cites.
+   */
+  renderBibliography(container, dimension) {
+    const citations = CitationIndex.list(this.citations);
+    if (citations.length === 0) return;
+
+    const section = document.createElement('div');
+    section.className = 'evidence-section bibliography';
+    section.innerHTML = `
+      <h4>Bibliography (${citations.length})</h4>
+      <p class="bibliography-note">Every source cited in this assessment, numbered as in the inline markers. Sources cited on this tab are highlighted.</p>
+      <ol class="bibliography-list">
+        ${citations.map(c => `
+          <li value="${c.number}" class="${c.dimensions.some(d => d.key === dimension) ? 'cited-here' : ''}">
+            <a href="${this.escape(c.url)}" target="_blank" rel="noopener">${this.escape(this.truncate(c.title || c.url, 90))}</a>
+            <span class="bibliography-domain">${this.escape(c.domain)}</span>
+            ${this.renderSourceCheckBadge(SourceVerifier.lookup(this.sourceChecks, c.url))}
+            <div class="bibliography-cited-by">Cited by: ${c.dimensions.map(d => `<span title="${this.escape(d.items.join(', '))}">${this.escape(d.label)}</span>`).join(', ')}</div>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+    (container.querySelector('.evidence-content') || container).appendChild(section);
+  }
+
   // ========== EXPORT DATA ==========
   
   /**
@@ -2334,11 +3888,21 @@ class AssessmentView {
       team: getDimensionExport('team'),
       funding: getDimensionExport('funding'),
       competitive: getDimensionExport('competitive'),
-      market: getDimensionExport('market'),
+      market: {
+        ...getDimensionExport('market'),
+        userMarketBasis: this.userScores.market.submitted ? this.currentMarketBasis() : null
+      },
       iprisk: getDimensionExport('iprisk'),
       solutionvalue: getDimensionExport('solutionvalue'),
       finalRecommendation: finalRecommendation || null,
-      ventureDecisions
+      ventureDecisions,
+      extractionEdits: sm?.getExtractionEdits() || null,
+      ftoWorksheet: sm?.getAdvisorArtifact('ftoWorksheet') || null,
+      marketSizing: sm?.getAdvisorArtifact('marketSizing') || null,
+      investorOutreach: sm?.getAdvisorArtifact('investorOutreach') || null,
+      teamGaps: sm?.getAdvisorArtifact('teamGaps') || null,
+      competitorComparison: { axes: { ...this.competitorCompare.axes } },
+      citations: CitationIndex.list(this.citations).map(c => ({ ...c, check: SourceVerifier.lookup(this.sourceChecks, c.url) }))
     };
   }
 
@@ -2398,15 +3962,18 @@ class AssessmentView {
   }
 
   /**
-   * Fix Google Patents links by stripping hyphens from patent IDs in URLs.
+   * Fix Google Patents links by normalizing the patent ID in the URL.
    * e.g., https://patents.google.com/patent/US12230784-B2 → .../US12230784B2
+   * Old google.com/patents links are moved to patents.google.com, and a patent
+   * without a link gets one built from its ID.
    */
-  cleanPatentLink(url) {
-    if (!url) return '';
-    const cleaned = this.cleanSourceUrl(url);
-    // Strip hyphens only from the patent ID portion of Google Patents URLs
-    return cleaned.replace(/(patents\.google\.com\/patent\/)([A-Z0-9-]+)/i, (match, prefix, patentId) => {
-      return prefix + patentId.replace(/-/g, '');
+  cleanPatentLink(url, patentId = '') {
+    if (!url) return patentId ? PatentFamilies.googlePatentsUrl(patentId) : '';
+    const cleaned = this.cleanSourceUrl(url)
+      .replace(/^(https?:\/\/)?(www\.)?google\.com\/patents\//i, PatentFamilies.googlePatentsBase);
+    // Normalize only the patent ID portion of Google Patents URLs (hyphens, spaces, commas)
+    return cleaned.replace(/(patents\.google\.com\/patent\/)([^/?#]+)/i, (match, prefix, id) => {
+      return prefix + PatentFamilies.normalizeId(id.replace(/%[0-9A-F]{2}/gi, ''));
     });
   }
 
@@ -0,0 +1,325 @@
+// js/components/batch-view.js - Batch assessment dashboard
+// Queue input (URLs, CSV, documents) plus a per-venture phase status table
+
+class BatchView {
+  constructor(batchRunner) {
+    this.runner = batchRunner;
+    this.section = null;
+    this.tableBody = null;
+  }
+
+  init() {
+    this.section = document.getElementById('batch-section');
+    this.tableBody = document.getElementById('batch-table-body');
+    if (!this.section) return;
+
+    this.renderHeader();
+    this.setupInputs();
+    this.setupTableActions();
+    this.setupRunnerCallbacks();
+    this.render();
+    Debug.log('BatchView initialized');
+  }
+
+  setupInputs() {
+    const addBtn = document.getElementById('batch-add-btn');
+    const urlsInput = document.getElementById('batch-urls');
+    const fileInput = document.getElementById('batch-files');
+    const folderInput = document.getElementById('batch-folder');
+    const dropZone = document.getElementById('batch-drop-zone');
+    const startBtn = document.getElementById('batch-start-btn');
+    const cancelBtn = document.getElementById('batch-cancel-btn');
+    const clearBtn = document.getElementById('batch-clear-btn');
+    const closeBtn = document.getElementById('batch-close-btn');
+
+    if (addBtn && urlsInput) {
+      addBtn.addEventListener('click', () => {
+        const { added, invalid } = this.runner.addUrls(urlsInput.value);
+        this.reportAdded(added, invalid, []);
+        if (added > 0) urlsInput.value = '';
+      });
+    }
+
+    [fileInput, folderInput].forEach(input => {
+      if (!input) return;
+      input.addEventListener('change', async (e) => {
+        await this.addFiles(e.target.files);
+        e.target.value = '';
+      });
+    });
+
+    if (dropZone) {
+      dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropZone.classList.add('drag-over');
+      });
+      dropZone.addEventListener('dragleave', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropZone.classList.remove('drag-over');
+      });
+      dropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropZone.classList.remove('drag-over');
+        await this.addFiles(e.dataTransfer.files);
+      });
+    }
+
+    if (startBtn) startBtn.addEventListener('click', () => this.startBatch());
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        if (confirm('Cancel the batch? Running ventures will stop and queued ventures will not start.')) {
+          this.runner.cancel();
+        }
+      });
+    }
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        if (this.runner.items.length > 0 && !confirm('Remove all ventures from the batch list?')) return;
+        this.runner.clear();
+      });
+    }
+    if (closeBtn) closeBtn.addEventListener('click', () => window.app?.showSection('input'));
+  }
+
+  async addFiles(fileList) {
+    const { added, invalid, skipped } = await this.runner.addFiles(fileList);
+    this.reportAdded(added, invalid, skipped);
+  }
+
+  reportAdded(added, invalid, skipped) {
+    const toast = window.app?.toastManager;
+    if (!toast) return;
+
+    if (added > 0) {
+      toast.success(`Added ${added} venture${added === 1 ? '' : 's'} to the batch`);
+    } else if (invalid.length === 0 && skipped.length === 0) {
+      toast.info('No new ventures found to add');
+    }
+    if (invalid.length > 0) {
+      toast.warning(`${invalid.length} line(s) had no valid URL and were skipped`);
+    }
+    if (skipped.length > 0) {
+      toast.warning(`Unsupported file(s) skipped: ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? '...' : ''}`);
+    }
+  }
+
+  setupTableActions() {
+    if (!this.tableBody) return;
+
+    this.tableBody.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+
+      const id = parseInt(btn.dataset.id);
+      const action = btn.dataset.action;
+
+      try {
+        if (action === 'retry-phase') {
+          await this.runner.retryPhase(id, btn.dataset.phase);
+        } else if (action === 'retry-failed') {
+          await this.runner.retryFailed(id);
+        } else if (action === 'open') {
+          const item = this.runner.getItem(id);
+          if (item?.cacheKey) await window.app?.openBatchAssessment(item.cacheKey);
+        } else if (action === 'remove') {
+          this.runner.removeItem(id);
+        }
+      } catch (error) {
+        console.error('[BatchView] Action failed:', error);
+        window.app?.toastManager?.error(error.message);
+      }
+    });
+  }
+
+  setupRunnerCallbacks() {
+    this.runner.on('queueChanged', () => this.render());
+    this.runner.on('start', () => this.render());
+    this.runner.on('itemUpdate', (item) => this.renderRow(item));
+
+    this.runner.on('complete', (summary) => {
+      this.render();
+      const failed = summary.error + summary.partial;
+      const message = `Batch finished: ${summary.complete} complete${failed > 0 ? `, ${failed} with failures` : ''}`;
+      if (failed > 0) {
+        window.app?.toastManager?.warning(message);
+      } else {
+        window.app?.toastManager?.success(message);
+      }
+      window.app?.showDesktopNotification('Batch Complete', message);
+    });
+
+    this.runner.on('cancelled', () => {
+      this.render();
+      window.app?.toastManager?.info('Batch cancelled');
+    });
+  }
+
+  async startBatch() {
+    const advisorInput = document.getElementById('batch-advisor');
+    const concurrencySelect = document.getElementById('batch-concurrency');
+    const advisorName = advisorInput?.value.trim() || '';
+
+    if (!advisorName) {
+      window.app?.showValidationError(advisorInput, 'Please enter your name before starting the batch');
+      return;
+    }
+
+    // StackProxy builds workflow user IDs from the main advisor field
+    const scaInput = document.getElementById('sca-name');
+    if (scaInput && !scaInput.value.trim()) scaInput.value = advisorName;
+
+    const maxCached = window.app?.stateManager?.maxCachedAssessments || 100;
+    const queuedCount = this.runner.items.filter(i => i.status === 'queued' || i.status === 'cancelled').length;
+    if (queuedCount > maxCached) {
+      window.app?.toastManager?.warning(
+        `Load Previous keeps the ${maxCached} most recent assessments. The first ${queuedCount - maxCached} ventures to finish will drop out of it as the rest are cached.`,
+        { duration: 10000 }
+      );
+    }
+
+    await window.app?.requestNotificationPermission();
+
+    try {
+      await this.runner.start({
+        advisorName,
+        portfolio: document.getElementById('portfolio')?.value || '',
+        concurrency: concurrencySelect?.value
+      });
+    } catch (error) {
+      console.error('[BatchView] Batch failed to start:', error);
+      window.app?.toastManager?.error(error.message);
+      this.render();
+    }
+  }
+
+  // ========== RENDERING ==========
+
+  renderHeader() {
+    const head = document.getElementById('batch-table-head');
+    if (!head) return;
+
+    const phaseHeaders = BatchRunner.PHASE_KEYS
+      .map(key => `<th>${this.escape(PhaseRegistry.get(key)?.shortLabel || key)}</th>`)
+      .join('');
+    head.innerHTML = `<th>Venture</th>${phaseHeaders}<th>Status</th><th></th>`;
+  }
+
+  render() {
+    if (!this.tableBody) return;
+
+    const items = this.runner.items;
+    if (items.length === 0) {
+      this.tableBody.innerHTML = `
+        <tr class="batch-empty-row">
+          <td colspan="${BatchRunner.PHASE_KEYS.length + 3}">No ventures queued. Paste URLs or drop a CSV or documents above.</td>
+        </tr>
+      `;
+    } else {
+      this.tableBody.innerHTML = items.map(item => this.rowHTML(item)).join('');
+    }
+
+    this.renderSummary();
+    this.updateControls();
+  }
+
+  renderRow(item) {
+    const row = this.tableBody?.querySelector(`tr[data-id="${item.id}"]`);
+    if (!row) {
+      this.render();
+      return;
+    }
+    row.outerHTML = this.rowHTML(item);
+    this.renderSummary();
+    this.updateControls();
+  }
+
+  rowHTML(item) {
+    const statusLabels = {
+      queued: 'Queued',
+      running: 'Running',
+      complete: 'Complete',
+      partial: 'Partial',
+      error: 'Failed',
+      cancelled: 'Cancelled'
+    };
+    const phaseIcons = { pending: '&middot;', active: '&#8635;', complete: '&#10003;', error: '&#10007;', blocked: '&#8856;' };
+    const hasFailures = item.status === 'error' || BatchRunner.PHASE_KEYS.some(k => BatchRunner.isFailed(item.phases[k]));
+    const source = item.files.length > 0 ? item.files.map(f => f.name).join(', ') : item.url;
+
+    const phaseCells = BatchRunner.PHASE_KEYS.map(key => {
+      const status = item.phases[key];
+      const title = BatchRunner.isFailed(status)
+        ? `${PhaseRegistry.label(key)} ${status === 'blocked' ? 'blocked' : 'failed'}: ${item.errors[key] || 'Unknown error'} (click to retry)`
+        : `${PhaseRegistry.label(key)}: ${status}`;
+
+      if (BatchRunner.isFailed(status) && item.status !== 'running') {
+        return `
+          <td class="batch-phase-cell ${status}">
+            <button type="button" class="batch-phase-retry" data-action="retry-phase" data-id="${item.id}" data-phase="${key}" title="${this.escape(title)}">${phaseIcons[status]}</button>
+          </td>
+        `;
+      }
+      return `<td class="batch-phase-cell ${status}" title="${this.escape(title)}">${phaseIcons[status] || ''}</td>`;
+    }).join('');
+
+    return `
+      <tr data-id="${item.id}" class="batch-row ${item.status}">
+        <td class="batch-venture-cell">
+          <strong>${this.escape(item.label)}</strong>
+          ${source && source !== item.label ? `<span class="batch-source">${this.escape(source)}</span>` : ''}
+          ${item.error ? `<span class="batch-error">${this.escape(item.error)}</span>` : ''}
+        </td>
+        ${phaseCells}
+        <td><span class="batch-status-badge ${item.status}">${statusLabels[item.status] || item.status}</span></td>
+        <td class="batch-actions-cell">
+          ${item.cacheKey && item.status !== 'running' ? `<button type="button" class="btn small outline" data-action="open" data-id="${item.id}">Open</button>` : ''}
+          ${hasFailures && item.status !== 'running' ? `<button type="button" class="btn small outline" data-action="retry-failed" data-id="${item.id}">Retry failed</button>` : ''}
+          ${item.status !== 'running' && !this.runner.isRunning ? `<button type="button" class="btn-icon batch-remove" data-action="remove" data-id="${item.id}" title="Remove from batch">&times;</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }
+
+  renderSummary() {
+    const el = document.getElementById('batch-summary');
+    if (!el) return;
+
+    const s = this.runner.getSummary();
+    if (s.total === 0) {
+      el.textContent = '';
+      return;
+    }
+
+    const parts = [`${s.total} venture${s.total === 1 ? '' : 's'}`];
+    if (s.running > 0) parts.push(`${s.running} running`);
+    if (s.queued > 0) parts.push(`${s.queued} queued`);
+    if (s.complete > 0) parts.push(`${s.complete} complete`);
+    if (s.partial > 0) parts.push(`${s.partial} partial`);
+    if (s.error > 0) parts.push(`${s.error} failed`);
+    if (s.cancelled > 0) parts.push(`${s.cancelled} cancelled`);
+    el.textContent = parts.join(' • ');
+  }
+
+  updateControls() {
+    const s = this.runner.getSummary();
+    const startBtn = document.getElementById('batch-start-btn');
+    const cancelBtn = document.getElementById('batch-cancel-btn');
+    const clearBtn = document.getElementById('batch-clear-btn');
+
+    if (startBtn) startBtn.disabled = s.isRunning || (s.queued + s.cancelled) === 0;
+    if (cancelBtn) cancelBtn.classList.toggle('hidden', !s.isRunning);
+    if (clearBtn) clearBtn.disabled = s.isRunning || s.total === 0;
+  }
+
+  escape(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = String(str);
+    return div.innerHTML;
+  }
+}
+
+window.BatchView = BatchView;
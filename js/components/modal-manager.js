@@ -7,6 +7,7 @@ class ModalManager {
     this.overlay = null;
     this.content = null;
     this.resolvePromise = null;
+    this.dismissHandler = null;
   }
 
   init() {
@@ -45,46 +46,44 @@ class ModalManager {
       
       const companyUrl = savedState.companyInput?.url || 'Unknown';
       const completedPhases = savedState.completedPhases || {};
-      const completedCount = Object.keys(completedPhases).length;
+      const phases = PhaseRegistry.phases();
+      const completedCount = phases.filter(entry => completedPhases[entry.key]).length;
       const timestamp = savedState.timestamp ? new Date(savedState.timestamp).toLocaleString() : 'Unknown';
-      
-      const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Researcher Aptitude',
-        funding: 'Sector Funding Activity',
-        competitive: 'Competitive Winnability',
-        market: 'Market Opportunity',
-        iprisk: 'IP Landscape'
-      };
+      // Unfinished phases can be re-run once the company overview exists
+      const canContinue = !!completedPhases.company && completedCount < phases.length;
 
       let checklistHtml = '';
-      phases.forEach(phase => {
-        const isComplete = !!completedPhases[phase];
+      phases.forEach(entry => {
+        const isComplete = !!completedPhases[entry.key];
         const iconClass = isComplete ? 'check-icon' : 'pending-icon';
         const iconPath = isComplete 
           ? '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'
           : '<circle cx="12" cy="12" r="10"/>';
-        checklistHtml += '<li><svg class="' + iconClass + '" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' + iconPath + '</svg> ' + phaseNames[phase] + '</li>';
+        checklistHtml += '<li><svg class="' + iconClass + '" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' + iconPath + '</svg> ' + this.escapeHtml(entry.label) + '</li>';
       });
       
       const modalHtml = '<div class="modal-header"><h3><svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>Incomplete Analysis Found</h3></div>' +
         '<div class="modal-body">' +
-        '<p>You have an incomplete assessment. Would you like to resume or start fresh?</p>' +
+        '<p>You have an incomplete assessment. ' + (canContinue
+          ? 'Continue to run the unfinished phases, view what was completed, or start fresh.'
+          : 'Would you like to resume or start fresh?') + '</p>' +
         '<div class="modal-info">' +
         '<div class="modal-info-row"><span class="modal-info-label">Company URL</span><span class="modal-info-value">' + this.escapeHtml(companyUrl) + '</span></div>' +
-        '<div class="modal-info-row"><span class="modal-info-label">Progress</span><span class="modal-info-value">' + completedCount + ' of 6 complete</span></div>' +
+        '<div class="modal-info-row"><span class="modal-info-label">Progress</span><span class="modal-info-value">' + completedCount + ' of ' + phases.length + ' complete</span></div>' +
         '<div class="modal-info-row"><span class="modal-info-label">Last Updated</span><span class="modal-info-value">' + timestamp + '</span></div>' +
         '</div>' +
         '<ul class="modal-checklist">' + checklistHtml + '</ul>' +
         '</div>' +
         '<div class="modal-footer">' +
         '<button class="btn outline" data-action="new">Start New</button>' +
-        '<button class="btn primary" data-action="resume">Resume Analysis</button>' +
+        (canContinue
+          ? '<button class="btn outline" data-action="resume">View Results Only</button>' +
+            '<button class="btn primary" data-action="continue">Continue Analysis</button>'
+          : '<button class="btn primary" data-action="resume">Resume Analysis</button>') +
         '</div>';
       
       this.show(modalHtml, (action) => {
-        resolve(action === 'resume' ? 'resume' : 'new');
+        resolve(action === 'resume' || action === 'continue' ? action : 'new');
       });
     });
   }
@@ -93,21 +92,13 @@ class ModalManager {
     return new Promise((resolve) => {
       this.resolvePromise = resolve;
       
-      const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Researcher Aptitude',
-        funding: 'Sector Funding Activity',
-        competitive: 'Competitive Winnability',
-        market: 'Market Opportunity',
-        iprisk: 'IP Landscape'
-      };
+      const phases = PhaseRegistry.phases();
 
       let checklistHtml = '';
       let completeCount = 0;
       
-      phases.forEach(phase => {
-        const isComplete = exportStatus[phase] === 'complete' || exportStatus[phase] === true;
+      phases.forEach(entry => {
+        const isComplete = exportStatus[entry.key] === 'complete' || exportStatus[entry.key] === true;
         if (isComplete) completeCount++;
         
         const iconClass = isComplete ? 'check-icon' : 'pending-icon';
@@ -115,12 +106,12 @@ class ModalManager {
           ? '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>'
           : '<circle cx="12" cy="12" r="10"/>';
         const status = isComplete ? '' : ' (not included)';
-        checklistHtml += '<li><svg class="' + iconClass + '" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' + iconPath + '</svg> ' + phaseNames[phase] + status + '</li>';
+        checklistHtml += '<li><svg class="' + iconClass + '" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' + iconPath + '</svg> ' + this.escapeHtml(entry.label) + status + '</li>';
       });
       
       const modalHtml = '<div class="modal-header"><h3><svg class="modal-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>Partial Export</h3></div>' +
         '<div class="modal-body">' +
-        '<p>' + completeCount + ' of 6 assessments are complete. The PDF will indicate missing sections.</p>' +
+        '<p>' + completeCount + ' of ' + phases.length + ' assessments are complete. The PDF will indicate missing sections.</p>' +
         '<ul class="modal-checklist">' + checklistHtml + '</ul>' +
         '</div>' +
         '<div class="modal-footer">' +
@@ -576,17 +567,81 @@ class ModalManager {
     });
   }
 
-  show(html, onAction) {
+  /**
+   * Let the advisor correct the extracted company description before the
+   * downstream phases run. Dismissing the modal keeps the extraction as is.
+   * @param {Object} original - { description, sector, beachhead } as extracted
+   * @returns {Promise<Object|null>} Edited values, or null to use the extraction
+   */
+  showExtractionReviewModal(original) {
+    return new Promise((resolve) => {
+      const modalHtml =
+        '<div class="modal-header">' +
+          '<h3>' +
+            '<svg class="modal-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+              '<path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>' +
+              '<path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>' +
+            '</svg>' +
+            'Review Company Description' +
+          '</h3>' +
+        '</div>' +
+        '<div class="modal-body extraction-review">' +
+          '<p>The other phases analyze this description. Correct anything the extraction got wrong before they start.</p>' +
+          '<div class="form-group">' +
+            '<label for="review-description">Company description</label>' +
+            '<textarea id="review-description" rows="8">' + this.escapeHtml(original.description) + '</textarea>' +
+          '</div>' +
+          '<div class="form-group">' +
+            '<label for="review-sector">Sector</label>' +
+            '<input type="text" id="review-sector" value="' + this.escapeHtml(original.sector) + '">' +
+          '</div>' +
+          '<div class="form-group">' +
+            '<label for="review-beachhead">Beachhead customer</label>' +
+            '<input type="text" id="review-beachhead" value="' + this.escapeHtml(original.beachhead) + '">' +
+          '</div>' +
+        '</div>' +
+        '<div class="modal-footer">' +
+          '<button class="btn outline" data-action="skip">Use as Extracted</button>' +
+          '<button class="btn primary" data-action="apply">Continue Analysis</button>' +
+        '</div>';
+
+      this.show(modalHtml, (action) => {
+        if (action !== 'apply') {
+          resolve(null);
+          return;
+        }
+        resolve({
+          description: document.getElementById('review-description')?.value ?? original.description,
+          sector: document.getElementById('review-sector')?.value ?? original.sector,
+          beachhead: document.getElementById('review-beachhead')?.value ?? original.beachhead
+        });
+      }, () => resolve(null));
+    });
+  }
+
+  /**
+   * @param {string} html - Modal content
+   * @param {Function} onAction - Called with the clicked button's data-action
+   * @param {Function} onDismiss - Called if the modal is closed without a button (optional)
+   */
+  show(html, onAction, onDismiss = null) {
     if (!this.content || !this.overlay) return;
+
+    // Replacing a modal counts as dismissing it
+    const previousDismiss = this.dismissHandler;
+    this.dismissHandler = null;
+    if (previousDismiss) previousDismiss();
     
     this.content.innerHTML = html;
     this.activeModal = true;
+    this.dismissHandler = onDismiss;
     this.overlay.classList.add('visible');
     
     // Add button handlers
     this.content.querySelectorAll('[data-action]').forEach(btn => {
       btn.addEventListener('click', () => {
         const action = btn.dataset.action;
+        this.dismissHandler = null;
         this.close();
         if (onAction) onAction(action);
       });
@@ -602,6 +657,10 @@ class ModalManager {
     
     this.overlay.classList.remove('visible');
     this.activeModal = null;
+
+    const onDismiss = this.dismissHandler;
+    this.dismissHandler = null;
+    if (onDismiss) onDismiss();
     
     if (this.content) {
       setTimeout(() => {
@@ -9,6 +9,7 @@ class ProgressView {
     this.elements = {};
     this.isPartialComplete = false;
     this.lastMessageThreshold = 0;
+    this.expected = null;
   }
 
   init() {
@@ -18,7 +19,8 @@ class ProgressView {
       time: document.getElementById('progress-time'),
       companyName: document.getElementById('progress-company-name'),
       elapsed: document.getElementById('progress-elapsed'),
-      message: document.getElementById('progress-message')
+      message: document.getElementById('progress-message'),
+      timingPanel: document.getElementById('timing-panel-body')
     };
     Debug.log('ProgressView initialized');
   }
@@ -28,6 +30,7 @@ class ProgressView {
     this.isPartialComplete = false;
     this.startTime = Date.now();
     this.lastMessageThreshold = 0;
+    this.expected = null;
     this.startProgressUpdates();
     this.startElapsedTimer();
   }
@@ -36,6 +39,12 @@ class ProgressView {
     this.progressInterval = setInterval(() => {
       if (!this.pipeline || this.isPartialComplete) return;
 
+      // Estimates are calibrated when the pipeline starts its run
+      if (!this.expected && this.pipeline.startTime) {
+        this.expected = this.pipeline.getExpectedDuration();
+        this.renderTimingPanel();
+      }
+
       const progress = this.pipeline.getProgress();
       this.updateDisplay(progress);
     }, 1000);
@@ -66,42 +75,85 @@ class ProgressView {
   }
 
   /**
-   * Show contextual reassurance messages based on elapsed time
+   * Show contextual reassurance messages based on elapsed time.
+   * Thresholds scale with the expected run time, which the pipeline
+   * learns from past runs (p50 = typical run, p90 = slow run).
    */
   showReassuranceMessage(elapsedSeconds) {
     if (!this.elements.message) return;
 
-    // Define message thresholds (in seconds).
-    // Tuned to a typical full run of ~7 min and worst-case ~8 min
-    // (company ~220s + max parallel ~260s on a slow day).
+    const { p50, p90 } = this.expected || { p50: 420, p90: 480 };
+    const typicalMinutes = Math.max(1, Math.round(p50 / 60));
+    const slowMinutes = Math.max(typicalMinutes, Math.round(p90 / 60));
+    const range = slowMinutes > typicalMinutes ? `${typicalMinutes}-${slowMinutes}` : `${slowMinutes}`;
+
     const messages = [
-      { threshold: 120, text: 'Analysis in progress...' },
-      { threshold: 240, text: 'AI is analyzing multiple data sources. This can take several minutes.' },
-      { threshold: 360, text: 'Still working. Complex analyses may take 7-8 minutes.' },
-      { threshold: 540, text: 'Taking longer than usual. You may cancel and retry if needed.' },
-      { threshold: 660, text: 'Approaching timeout limit. Consider canceling if no progress.' }
+      { threshold: p50 * 0.3, text: 'Analysis in progress...' },
+      { threshold: p50 * 0.6, text: 'AI is analyzing multiple data sources. This can take several minutes.' },
+      { threshold: p50 * 0.85, text: `Still working. Complex analyses may take ${range} minutes.` },
+      { threshold: p90 * 1.1, text: 'Taking longer than usual. You may cancel and retry if needed.', warning: true },
+      { threshold: p90 * 1.35, text: 'Approaching timeout limit. Consider canceling if no progress.', warning: true }
     ];
 
     // Find the appropriate message
-    let currentMessage = '';
+    let current = null;
     for (const msg of messages) {
       if (elapsedSeconds >= msg.threshold && msg.threshold > this.lastMessageThreshold) {
-        currentMessage = msg.text;
+        current = msg;
         this.lastMessageThreshold = msg.threshold;
       }
     }
 
-    if (currentMessage) {
-      this.elements.message.textContent = currentMessage;
+    if (current) {
+      this.elements.message.textContent = current.text;
       this.elements.message.classList.remove('hidden');
 
-      // Add warning styling for later messages
-      if (elapsedSeconds >= 420) {
+      // Add warning styling once the run is slower than usual
+      if (current.warning) {
         this.elements.message.classList.add('warning');
       }
     }
   }
 
+  /**
+   * Show observed p50/p90 run times per phase and input mode
+   */
+  renderTimingPanel() {
+    const panel = this.elements.timingPanel;
+    if (!panel) return;
+
+    const modeLabels = { url: 'URL', file: 'File', both: 'URL + File' };
+    const currentMode = this.pipeline?.inputMode;
+    const format = (samples) => {
+      if (samples.length === 0) return '<span class="timing-empty">&mdash;</span>';
+      const p50 = Formatters.duration(RunTimings.percentile(samples, 50));
+      const p90 = Formatters.duration(RunTimings.percentile(samples, 90));
+      return `${p50} / ${p90} <span class="timing-count">(${samples.length})</span>`;
+    };
+
+    const rows = PhaseRegistry.phases().map(entry => `
+      <tr>
+        <td>${Formatters.escapeHTML(entry.label)}</td>
+        ${RunTimings.MODES.map(mode => `
+          <td class="${mode === currentMode ? 'current' : ''}">${format(RunTimings.getSamples(entry.key, mode))}</td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    panel.innerHTML = `
+      <table class="timing-table">
+        <thead>
+          <tr>
+            <th>Phase</th>
+            ${RunTimings.MODES.map(mode => `<th class="${mode === currentMode ? 'current' : ''}">${modeLabels[mode]}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="timing-note">p50 / p90 of the last ${RunTimings.maxSamples} runs on this browser (run count). Estimates use the registry defaults until a phase has ${RunTimings.minSamples} runs.</p>
+    `;
+  }
+
   updateDisplay(progress) {
     if (this.elements.fill) {
       this.elements.fill.style.width = `${progress.percentage}%`;
@@ -219,6 +271,7 @@ class ProgressView {
     this.pipeline = null;
     this.isPartialComplete = false;
     this.lastMessageThreshold = 0;
+    this.expected = null;
 
     if (this.elements.fill) {
       this.elements.fill.style.width = '0%';
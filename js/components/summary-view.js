@@ -214,8 +214,7 @@ class SummaryView {
    */
   allScoresSubmitted() {
     const scores = window.app?.assessmentView?.userScores || {};
-    const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
-    return dimensions.every(d => scores[d]?.submitted);
+    return PhaseRegistry.dimensionKeys().every(d => scores[d]?.submitted);
   }
 
   /**
@@ -227,8 +226,8 @@ class SummaryView {
     const data = window.app?.assessmentView?.data;
     if (!data) return false;
 
-    // Check if we have data for all 5 sections
-    return !!(data.team && data.funding && data.competitive && data.market && data.iprisk);
+    // Check if we have data for every AI-scored section
+    return PhaseRegistry.aiDimensionKeys().every(dim => !!data[dim]);
   }
 
   /**
@@ -362,7 +361,7 @@ class SummaryView {
 
       // Get submitted scores
       const scores = window.app?.assessmentView?.userScores || {};
-      const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'];
+      const dimensions = PhaseRegistry.dimensionKeys();
 
       const statusItems = dimensions.map(dim => {
         const dimScore = scores[dim];
@@ -514,15 +513,7 @@ class SummaryView {
    * Format dimension name for display
    */
   formatDimensionName(dim) {
-    const names = {
-      team: 'Researcher Aptitude',
-      funding: 'Sector Funding',
-      competitive: 'Competitive Winnability',
-      market: 'Market Opportunity',
-      iprisk: 'IP Landscape',
-      solutionvalue: 'Solution Value'
-    };
-    return names[dim] || dim;
+    return PhaseRegistry.label(dim);
   }
 
   update(results) {
@@ -563,17 +554,16 @@ class SummaryView {
       </div>
       
       <div class="summary-scores-grid">
-        ${this.renderScoreCard('Researcher Aptitude', 'team', results.team)}
-        ${this.renderScoreCard('Sector Funding', 'funding', results.funding)}
-        ${this.renderScoreCard('Competitive Winnability', 'competitive', results.competitive)}
-        ${this.renderScoreCard('Market Opportunity', 'market', results.market)}
-        ${this.renderScoreCard('IP Landscape', 'iprisk', results.iprisk)}
-        ${this.renderScoreCard('Solution Value', 'solutionvalue', { _userOnly: true })}
+        ${PhaseRegistry.dimensions().map(entry => this.renderScoreCard(
+          entry.label,
+          entry.key,
+          entry.scoring.ai ? results[entry.key] : { _userOnly: true }
+        )).join('')}
       </div>
       
       <div class="summary-actions">
         <p class="submission-status">
-          ${statusInfo.submittedCount} of 6 assessments submitted
+          ${statusInfo.submittedCount} of ${PhaseRegistry.dimensionKeys().length} assessments submitted
           ${statusInfo.submittedCount < 5 && !statusInfo.hasFailures ?
             '<span class="status-hint">• Submit assessments in each tab before exporting</span>' : ''}
         </p>
@@ -585,8 +575,8 @@ class SummaryView {
       card.addEventListener('click', (e) => {
         if (e.target.closest('.citation-link')) return; // Don't intercept citation clicks
         const dim = card.dataset.dimension;
-        if (dim && dim !== 'solutionvalue' && window.app?.tabManager) {
-          window.app.tabManager.activateTab(dim);
+        if (dim && PhaseRegistry.get(dim)?.scoring?.ai && window.app?.tabManager) {
+          window.app.tabManager.activateTab(PhaseRegistry.tabIdFor(dim));
         }
       });
     });
@@ -597,44 +587,18 @@ class SummaryView {
 
   // Extract AI score from various data structures
   getAIScore(data, dimension) {
-    if (!data) return null;
-    
-    // Handle array format (info + scoring)
-    if (Array.isArray(data)) {
-      const scoringObj = data[1] || data[0];
-      if (dimension === 'funding') {
-        return scoringObj?.funding_score || scoringObj?.score;
-      }
-      return scoringObj?.score;
-    }
-    
-    // Handle object format with various score locations
-    if (dimension === 'competitive') {
-      return data.score || data.assessment?.score;
-    }
-    if (dimension === 'market') {
-      return data.score || data.scoring?.score;
-    }
-    if (dimension === 'funding') {
-      return data.funding_score || data.score;
-    }
-    
-    return data.score;
+    return PhaseRegistry.extractScore(dimension, data) ?? null;
   }
 
   calculateScores(results) {
-    const aiScores = [
-      this.getAIScore(results.team, 'team'),
-      this.getAIScore(results.funding, 'funding'),
-      this.getAIScore(results.competitive, 'competitive'),
-      this.getAIScore(results.market, 'market'),
-      this.getAIScore(results.iprisk, 'iprisk')
-    ].filter(s => typeof s === 'number');
+    const aiScores = PhaseRegistry.aiDimensionKeys()
+      .map(dim => this.getAIScore(results[dim], dim))
+      .filter(s => typeof s === 'number');
     
     const userScores = [];
     if (window.assessmentView) {
       const av = window.assessmentView;
-      ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'].forEach(dim => {
+      PhaseRegistry.dimensionKeys().forEach(dim => {
         if (av.userScores[dim]?.submitted && typeof av.userScores[dim].score === 'number') {
           userScores.push(av.userScores[dim].score);
         }
@@ -658,13 +622,13 @@ class SummaryView {
     const av = window.assessmentView;
 
     // Check for failed phases (don't count as failed if user has scores from Smartsheet load)
-    ['team', 'funding', 'competitive', 'market', 'iprisk'].forEach(dim => {
+    PhaseRegistry.aiDimensionKeys().forEach(dim => {
       if (!results[dim] && !av?.userScores[dim]?.submitted) failedCount++;
     });
 
     // Check submitted assessments
     if (av) {
-      ['team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue'].forEach(dim => {
+      PhaseRegistry.dimensionKeys().forEach(dim => {
         if (av.userScores[dim]?.submitted) submittedCount++;
       });
     }
@@ -677,7 +641,7 @@ class SummaryView {
   }
 
   renderScoreCard(label, dimension, data) {
-    const isUserOnly = dimension === 'solutionvalue';
+    const isUserOnly = !PhaseRegistry.get(dimension)?.scoring?.ai;
 
     // Check if phase is pending or failed (not applicable for user-only dimensions)
     // Skip this path if user has submitted scores (scores-only restore from Smartsheet)
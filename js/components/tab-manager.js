@@ -23,18 +23,16 @@ const TabState = {
  */
 class TabManager {
   constructor() {
-    this.tabs = {
-      overview: TabState.PENDING,
-      team: TabState.PENDING,
-      funding: TabState.PENDING,
-      competitive: TabState.PENDING,
-      market: TabState.PENDING,
-      iprisk: TabState.PENDING,
-      solutionvalue: TabState.PENDING,
-      summary: TabState.PENDING
-    };
+    // One tab per registry entry (overview, dimensions...), plus the summary tab
+    this.tabs = {};
+    PhaseRegistry.entries.forEach(entry => {
+      this.tabs[entry.tabId] = TabState.PENDING;
+    });
+    this.tabs.summary = TabState.PENDING;
     
     this.activeTab = null;
+    this.attempts = {};  // tabId -> { attempt, maxAttempts } while a phase auto-retries
+    this.schemaWarnings = {};  // tabId -> schema violations in the output shown on the tab
     this.listeners = [];
     this.tabButtons = {};
     this.tabPanels = {};
@@ -126,6 +124,9 @@ class TabManager {
     
     const previousState = this.tabs[tabId];
     this.tabs[tabId] = state;
+    if (state !== TabState.LOADING) {
+      delete this.attempts[tabId];
+    }
     
     this.updateTabVisual(tabId);
     
@@ -158,6 +159,32 @@ class TabManager {
     this.setState(tabId, TabState.LOADING);
   }
 
+  /**
+   * Set tab to loading state with an automatic retry attempt counter
+   * @param {string} tabId - Tab identifier
+   * @param {number} attempt - Attempt now running (2 = first retry)
+   * @param {number} maxAttempts - Attempts allowed by the phase's retry policy
+   */
+  setRetrying(tabId, attempt, maxAttempts) {
+    this.attempts[tabId] = { attempt, maxAttempts };
+    this.setState(tabId, TabState.LOADING);
+  }
+
+  /**
+   * Flag a tab whose output did not match its workflow schema, meaning some
+   * sections show defaults rather than AI findings
+   * @param {string} tabId - Tab identifier
+   * @param {Array} warnings - Violations ({ path, message }); empty clears the flag
+   */
+  setSchemaWarnings(tabId, warnings) {
+    if (warnings?.length) {
+      this.schemaWarnings[tabId] = warnings;
+    } else {
+      delete this.schemaWarnings[tabId];
+    }
+    this.updateSchemaBadge(tabId);
+  }
+
   /**
    * Set tab to error state
    * @param {string} tabId - Tab identifier
@@ -188,8 +215,7 @@ class TabManager {
    * @returns {boolean} True if all assessment tabs are ready
    */
   allReady() {
-    const required = ['overview', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-    return required.every(tab => this.tabs[tab] === TabState.READY);
+    return this.getAssessmentTabs().every(tab => this.tabs[tab] === TabState.READY);
   }
 
   /**
@@ -197,8 +223,7 @@ class TabManager {
    * @returns {number} Number of ready tabs
    */
   getReadyCount() {
-    const assessmentTabs = ['overview', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-    return assessmentTabs.filter(tab => this.tabs[tab] === TabState.READY).length;
+    return this.getAssessmentTabs().filter(tab => this.tabs[tab] === TabState.READY).length;
   }
 
   /**
@@ -206,7 +231,15 @@ class TabManager {
    * @returns {number} Total number of assessment tabs
    */
   getTotalCount() {
-    return 6; // overview, team, funding, competitive, market, iprisk
+    return this.getAssessmentTabs().length;
+  }
+
+  /**
+   * Tabs backed by a pipeline phase (overview, team, funding, ...)
+   * @returns {string[]} Tab identifiers
+   */
+  getAssessmentTabs() {
+    return PhaseRegistry.phases().map(entry => entry.tabId);
   }
 
   /**
@@ -237,6 +270,8 @@ class TabManager {
    */
   reset() {
     this.activeTab = null;
+    this.attempts = {};
+    this.schemaWarnings = {};
     
     Object.keys(this.tabs).forEach(tab => {
       this.tabs[tab] = TabState.PENDING;
@@ -270,8 +305,10 @@ class TabManager {
     const state = this.tabs[tabId];
     const statusEl = btn.querySelector('.tab-status');
     
-    // Update disabled state - error tabs should still be clickable for retry
-    btn.disabled = state !== TabState.READY && state !== TabState.ERROR;
+    // Update disabled state - error tabs should still be clickable for retry,
+    // and loading phase tabs for their Cancel overlay
+    const cancellable = state === TabState.LOADING && this.isPhaseTab(tabId);
+    btn.disabled = state !== TabState.READY && state !== TabState.ERROR && !cancellable;
     
     // Update status indicator with appropriate icon
     if (statusEl) {
@@ -279,10 +316,12 @@ class TabManager {
       
       // Add spinning indicator for loading state
       if (state === TabState.LOADING) {
+        const retry = this.attempts[tabId];
         statusEl.innerHTML = `
           <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" class="tab-spinner">
             <path d="M21 12a9 9 0 1 1-6.219-8.56"/>
           </svg>
+          ${retry ? `<span class="tab-attempt" title="Automatic retry">${retry.attempt}/${retry.maxAttempts}</span>` : ''}
         `;
         statusEl.style.width = 'auto';
         statusEl.style.height = 'auto';
@@ -301,6 +340,83 @@ class TabManager {
     
     // Add or remove retry overlay for error state
     this.updateRetryOverlay(tabId, state);
+    this.updateCancelOverlay(tabId, cancellable);
+    this.updateSchemaBadge(tabId);
+  }
+
+  /**
+   * Show or hide the schema warnings badge; only ready tabs carry one
+   * @param {string} tabId - Tab identifier
+   */
+  updateSchemaBadge(tabId) {
+    const btn = this.tabButtons[tabId];
+    if (!btn) return;
+
+    const warnings = this.tabs[tabId] === TabState.READY ? this.schemaWarnings[tabId] : null;
+    let badge = btn.querySelector('.tab-schema-badge');
+
+    if (!warnings) {
+      badge?.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'tab-schema-badge';
+      badge.textContent = '!';
+      btn.appendChild(badge);
+    }
+
+    const listed = warnings.slice(0, 10).map(w => `- ${w.path ? `${w.path}: ` : ''}${w.message}`);
+    if (warnings.length > 10) listed.push(`- ...and ${warnings.length - 10} more`);
+    badge.title = `Schema warnings: ${warnings.length} field(s) did not match the ${warnings[0].schema || 'expected'} schema ` +
+      `and may show defaults rather than AI findings.\n${listed.join('\n')}`;
+    badge.setAttribute('aria-label', `${warnings.length} schema warnings`);
+  }
+
+  /**
+   * Whether a tab shows the output of a pipeline phase
+   */
+  isPhaseTab(tabId) {
+    return PhaseRegistry.phases().some(entry => entry.tabId === tabId);
+  }
+
+  /**
+   * Add or remove the Cancel overlay on a loading phase tab
+   * @param {string} tabId - Tab identifier
+   * @param {boolean} show - Whether the phase can be cancelled
+   */
+  updateCancelOverlay(tabId, show) {
+    const btn = this.tabButtons[tabId];
+    if (!btn) return;
+
+    const existingOverlay = btn.querySelector('.tab-cancel-overlay');
+    if (existingOverlay) {
+      existingOverlay.remove();
+    }
+
+    if (show) {
+      const overlay = document.createElement('div');
+      overlay.className = 'tab-cancel-overlay';
+      overlay.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"/>
+          <path d="M15 9l-6 6M9 9l6 6"/>
+        </svg>
+        Cancel
+      `;
+
+      overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const phase = PhaseRegistry.keyForTab(tabId);
+        this.notifyListeners('cancelRequested', { tabId, phase });
+        if (window.app && typeof window.app.cancelPhaseFromTab === 'function') {
+          window.app.cancelPhaseFromTab(phase);
+        }
+      });
+
+      btn.appendChild(overlay);
+    }
   }
 
   /**
@@ -346,7 +462,7 @@ class TabManager {
    */
   handleRetryClick(tabId) {
     // Map tab ID back to phase name
-    const phase = tabId === 'overview' ? 'company' : tabId;
+    const phase = PhaseRegistry.keyForTab(tabId);
     
     // Notify listeners about retry request
     this.notifyListeners('retryRequested', { tabId, phase });
@@ -0,0 +1,565 @@
+// js/config/output-schemas.js - Versioned JSON Schemas for Stack AI workflow outputs
+// Each schema describes a workflow's output as parsed, before the API module fills
+// defaults, so violations show which sections were backfilled rather than found.
+// Registry entries name their schema in the `schema` field; the pipeline validates
+// every phase's output with Validators.validateSchema().
+//
+// Bump a schema's version when the workflow's output format changes.
+
+const OutputSchemas = {
+  maxViolations: 50,    // Per dimension; later violations are summarized in one line
+
+  // Scores may arrive as numeric strings; the API modules normalize them, so only
+  // the range is checked here
+
+  schemas: {
+    // Company workflow (out-0): venture-extraction-schema v3
+    'venture-extraction': {
+      $id: 'venture-extraction',
+      version: 3,
+      type: 'object',
+      required: [
+        'company_overview', 'technology', 'products_services', 'team', 'funding_and_investors',
+        'traction_and_metrics', 'recent_activity', 'market_context', 'data_quality_assessment'
+      ],
+      properties: {
+        company_overview: {
+          type: 'object',
+          required: ['name', 'one_liner', 'downstream_summary'],
+          properties: {
+            name: { type: 'string' },
+            website: { type: 'string' },
+            founded_year: { type: ['string', 'integer'] },
+            headquarters: { type: 'string' },
+            company_stage: { type: 'string' },
+            one_liner: { type: 'string' },
+            detailed_description: { type: 'string' },
+            downstream_summary: { type: 'string' }
+          }
+        },
+        technology: {
+          type: 'object',
+          required: ['core_technology'],
+          properties: {
+            core_technology: { type: 'string' },
+            technology_readiness: { type: 'string' },
+            key_differentiators: { type: 'array', items: { type: 'string' } },
+            patents: { type: 'array' }
+          }
+        },
+        products_services: {
+          type: 'object',
+          properties: {
+            products: { type: 'array', items: { type: 'object' } },
+            business_model: { type: 'string' },
+            target_industries: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        team: {
+          type: 'object',
+          required: ['founders'],
+          properties: {
+            founders: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string' },
+                  title: { type: 'string' },
+                  background: { type: 'string' },
+                  linkedin_url: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        funding_and_investors: {
+          type: 'object',
+          properties: {
+            total_funding: { type: 'string' },
+            funding_rounds: { type: 'array', items: { type: 'object' } },
+            government_grants: { type: 'array', items: { type: 'object' } },
+            notable_investors: { type: 'array' }
+          }
+        },
+        traction_and_metrics: {
+          type: 'object',
+          properties: {
+            customers: { type: 'array' },
+            partnerships: { type: 'array' },
+            revenue_info: { type: 'string' },
+            key_milestones: { type: 'array' }
+          }
+        },
+        recent_activity: {
+          type: 'object',
+          properties: {
+            news_and_events: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        market_context: {
+          type: 'object',
+          required: ['target_market'],
+          properties: {
+            target_market: { type: 'string' }
+          }
+        },
+        data_quality_assessment: {
+          type: 'object',
+          required: ['overall_confidence'],
+          properties: {
+            overall_confidence: { type: 'string' },
+            information_gaps: { type: 'array' },
+            sources_used: { type: 'array' }
+          }
+        }
+      }
+    },
+
+    // solution_value section of the company workflow output
+    'solution-value': {
+      $id: 'solution-value',
+      version: 1,
+      source: { phase: 'company', path: 'solution_value' },
+      type: 'object',
+      required: ['problem_statement', 'problem_severity', 'beachhead_customer', 'value_proposition', 'benefit_magnitude'],
+      properties: {
+        problem_statement: { type: 'string' },
+        problem_severity: { type: 'string' },
+        problem_severity_justification: { type: 'string' },
+        unmet_need_assessment: {
+          type: 'object',
+          required: ['gap_type'],
+          properties: {
+            gap_type: { type: 'string' },
+            current_coverage: { type: 'string' },
+            evidence: { type: 'string' }
+          }
+        },
+        status_quo_limitations: { type: 'array' },
+        non_financial_impact: { type: 'array' },
+        beachhead_customer: {
+          type: 'object',
+          required: ['segment'],
+          properties: {
+            segment: { type: 'string' },
+            why_acute: { type: 'string' },
+            evidence_quality: { type: 'string' }
+          }
+        },
+        affected_stakeholders: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['stakeholder'],
+            properties: {
+              stakeholder: { type: 'string' },
+              how_affected: { type: 'string' },
+              pain_severity: { type: 'string' },
+              is_beachhead: { type: 'boolean' }
+            }
+          }
+        },
+        benefit_magnitude: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['metric'],
+            properties: {
+              metric: { type: 'string' },
+              baseline: { type: ['string', 'number'] },
+              delta: { type: ['string', 'number'] },
+              evidence_quality: { type: 'string' },
+              evidence_source: { type: 'string' }
+            }
+          }
+        },
+        value_proposition: { type: 'string' }
+      }
+    },
+
+    // Team workflow: out-0 = roster, out-1 = scoring
+    'team': {
+      $id: 'team',
+      version: 3,
+      type: 'object',
+      required: ['team', 'scoring'],
+      properties: {
+        team: {
+          type: 'object',
+          required: ['team_members', 'trusted_sources', 'data_confidence'],
+          properties: {
+            venture_name: { type: 'string' },
+            team_members: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'role_at_venture'],
+                properties: {
+                  name: { type: 'string' },
+                  role_at_venture: { type: 'string' },
+                  work_history: { type: 'array' },
+                  education_history: { type: 'array' },
+                  papers_publications: { type: 'array' },
+                  commercialization_experience: { type: 'array' },
+                  awards_recognition: { type: 'array' }
+                }
+              }
+            },
+            trusted_sources: { type: 'array' },
+            data_confidence: { type: 'string' },
+            confidence_justification: { type: 'string' }
+          }
+        },
+        scoring: {
+          type: 'object',
+          required: ['score', 'score_justification', 'key_strengths', 'key_gaps', 'team_composition', 'evaluation_steps'],
+          properties: {
+            score: { type: ['integer', 'string'], minimum: 1, maximum: 9 },
+            score_justification: { type: 'string' },
+            key_strengths: { type: 'array', items: { type: 'string' } },
+            key_gaps: { type: 'array', items: { type: 'string' } },
+            team_composition: {
+              type: 'object',
+              properties: {
+                total_members: { type: 'integer', minimum: 0 },
+                technical_experts: { type: 'integer', minimum: 0 },
+                business_experts: { type: 'integer', minimum: 0 }
+              }
+            },
+            evaluation_steps: {
+              type: 'object',
+              properties: {
+                credibility_baseline: { type: 'string' },
+                baseline_range: { type: 'string' },
+                commercialization_signals_found: { type: 'array' },
+                commercialization_adjustment: { type: 'string' },
+                team_composition_check: { type: 'string' }
+              }
+            },
+            rubric_match_explanation: { type: 'string' },
+            data_confidence_impact: { type: 'string' }
+          }
+        }
+      }
+    },
+
+    // Funding workflow: out-0 = analysis, out-1 = assessment
+    'funding': {
+      $id: 'funding',
+      version: 3,
+      type: 'object',
+      required: ['analysis', 'assessment'],
+      properties: {
+        analysis: {
+          type: 'object',
+          required: ['sector_activity_summary', 'verified_deals'],
+          properties: {
+            primary_sector: { type: 'string' },
+            broader_sector: { type: 'string' },
+            research_topic: { type: 'string' },
+            sector_activity_summary: {
+              type: 'object',
+              required: ['overall_activity_level', 'narrative_summary'],
+              properties: {
+                overall_activity_level: { type: 'string' },
+                stage_maturity: { type: 'string' },
+                investor_types_present: { type: 'array', items: { type: 'string' } },
+                funding_trend: { type: 'string' },
+                scaled_winners_present: { type: 'boolean' },
+                narrative_summary: { type: 'string' }
+              }
+            },
+            verified_deals: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['startup_name'],
+                properties: {
+                  startup_name: { type: 'string' },
+                  deal_date: { type: 'string' },
+                  series: { type: 'string' },
+                  funding_amount: { type: ['string', 'number'] },
+                  investors: { type: ['array', 'string'] },
+                  source_url: { type: 'string' }
+                }
+              }
+            },
+            verified_deals_count: { type: 'integer', minimum: 0 },
+            distinct_sources_count: { type: 'integer', minimum: 0 },
+            market_reports: { type: 'array', items: { type: 'object' } },
+            government_programs: { type: 'array' },
+            search_queries_used: { type: 'array' }
+          }
+        },
+        assessment: {
+          type: 'object',
+          required: ['score_justification', 'human_review_flags'],
+          properties: {
+            score: { type: ['integer', 'string'], minimum: 1, maximum: 9 },
+            funding_score: { type: ['integer', 'string'], minimum: 1, maximum: 9 },
+            rubric_level: { type: 'string' },
+            data_reliability: { type: 'string' },
+            score_justification: {
+              type: 'object',
+              required: ['evidence_summary'],
+              properties: {
+                deal_volume_assessment: { type: 'string' },
+                stage_distribution_assessment: { type: 'string' },
+                investor_quality_assessment: { type: 'string' },
+                scaled_outcomes_assessment: { type: 'string' },
+                trend_assessment: { type: 'string' },
+                evidence_summary: { type: 'string' },
+                sector_evidence: { type: 'array' }
+              }
+            },
+            human_review_flags: { type: 'array' }
+          }
+        }
+      }
+    },
+
+    // Competitive workflow: out-0 = analysis, out-1 = assessment
+    'competitive': {
+      $id: 'competitive',
+      version: 3,
+      type: 'object',
+      required: ['analysis', 'assessment'],
+      properties: {
+        analysis: {
+          type: 'object',
+          required: ['job_to_be_done', 'competitors', 'competitive_intensity', 'market_dynamics', 'data_confidence'],
+          properties: {
+            job_to_be_done: { type: 'string' },
+            competitive_scope: { type: 'string' },
+            estimated_total_competitors: { type: ['string', 'integer'] },
+            competitive_intensity: { type: 'string' },
+            market_dynamics: { type: 'string' },
+            competitors: { type: 'array', items: { type: 'object' } },
+            market_gaps: { type: 'array' },
+            data_confidence: { type: 'string' },
+            data_confidence_justification: { type: 'string' }
+          }
+        },
+        assessment: {
+          type: 'object',
+          required: ['score', 'evaluation_steps', 'competitor_count', 'rubric_match_explanation'],
+          properties: {
+            score: { type: ['integer', 'string'], minimum: 1, maximum: 9 },
+            evaluation_steps: { type: 'object' },
+            competitor_count: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer', minimum: 0 },
+                large_companies: { type: 'integer', minimum: 0 },
+                mid_size_companies: { type: 'integer', minimum: 0 },
+                startups: { type: 'integer', minimum: 0 }
+              }
+            },
+            market_leaders: { type: 'array' },
+            competitive_intensity: { type: 'string' },
+            key_risk_factors: { type: 'array' },
+            differentiation_opportunities: { type: 'array' },
+            rubric_match_explanation: { type: 'string' },
+            confidence_note: { type: 'string' }
+          }
+        }
+      }
+    },
+
+    // Market workflow: out-0 = analysis, out-1 = scoring
+    'market': {
+      $id: 'market',
+      version: 3,
+      type: 'object',
+      required: ['analysis', 'scoring'],
+      properties: {
+        analysis: {
+          type: 'object',
+          required: ['markets', 'primary_market', 'scoring_alignment', 'data_confidence'],
+          properties: {
+            markets: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                  rank: { type: 'integer', minimum: 1 },
+                  description: { type: 'string' },
+                  tam_current_usd: { type: 'number', minimum: 0 },
+                  tam_current_year: { type: ['integer', 'string'] },
+                  cagr_percent: { type: 'number' },
+                  source_url: { type: 'string' }
+                }
+              }
+            },
+            primary_market: {
+              type: 'object',
+              required: ['description', 'tam_usd', 'cagr_percent'],
+              properties: {
+                description: { type: 'string' },
+                tam_usd: { type: 'number', minimum: 0 },
+                cagr_percent: { type: 'number' },
+                selection_rationale: { type: 'string' }
+              }
+            },
+            scoring_alignment: {
+              type: 'object',
+              properties: {
+                strengths: { type: 'array' },
+                limitations: { type: 'array' }
+              }
+            },
+            market_analysis: { type: 'object' },
+            data_confidence: { type: 'string' },
+            data_confidence_justification: { type: 'string' }
+          }
+        },
+        scoring: {
+          type: 'object',
+          required: ['score', 'justification', 'rubric_application', 'data_quality'],
+          properties: {
+            score: { type: ['integer', 'string'], minimum: 1, maximum: 9 },
+            justification: { type: 'string' },
+            rubric_application: { type: 'object' },
+            key_risks: { type: 'array' },
+            data_quality: {
+              type: 'object',
+              properties: {
+                source_credibility: { type: 'string' },
+                data_concerns: { type: 'array' }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    // IP landscape workflow: out-0 = analysis, out-1 = score
+    'ip-landscape': {
+      $id: 'ip-landscape',
+      version: 3,
+      type: 'object',
+      required: ['analysis', 'scoreData'],
+      properties: {
+        analysis: {
+          type: 'object',
+          required: ['company_ip_position', 'landscape_analysis', 'top_relevant_patents', 'risk_assessment', 'data_confidence'],
+          properties: {
+            company_ip_position: {
+              type: 'object',
+              properties: {
+                patents_found: { type: 'integer', minimum: 0 },
+                summary: { type: 'string' },
+                owned_patent_ids: { type: 'array', items: { type: 'string' } }
+              }
+            },
+            landscape_analysis: {
+              type: 'object',
+              required: ['patent_density'],
+              properties: {
+                total_relevant_patents_found: { type: 'integer', minimum: 0 },
+                patent_density: { type: 'string' },
+                unique_patentable_features: { type: 'array' },
+                crowded_patentable_features: { type: 'array' },
+                top_patent_owners: { type: 'array' }
+              }
+            },
+            top_relevant_patents: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['patent_id'],
+                properties: {
+                  patent_id: { type: 'string' },
+                  title: { type: 'string' },
+                  assignee: { type: 'string' },
+                  year: { type: ['integer', 'string'] },
+                  relevance: { type: 'string' },
+                  blocking_potential: { type: 'string' },
+                  link: { type: 'string' }
+                }
+              }
+            },
+            risk_assessment: {
+              type: 'object',
+              required: ['overall_risk', 'freedom_to_operate'],
+              properties: {
+                overall_risk: { type: 'string' },
+                freedom_to_operate: { type: 'string' },
+                blocking_patents_identified: { type: 'boolean' },
+                third_party_challenges: { type: 'array' },
+                analysis: { type: 'string' }
+              }
+            },
+            patent_table: { type: 'object' },
+            data_confidence: { type: 'string' },
+            data_confidence_justification: { type: 'string' }
+          }
+        },
+        scoreData: {
+          type: 'object',
+          required: ['score'],
+          properties: {
+            score: { type: ['integer', 'string'], minimum: 1, maximum: 9 }
+          }
+        }
+      }
+    }
+  },
+
+  get(name) {
+    return this.schemas[name] || null;
+  },
+
+  /**
+   * Validate a phase's raw workflow output against every schema that reads it:
+   * the phase's own schema plus schemas sourced from a section of its output
+   * @param {string} phaseKey - Phase that produced the output
+   * @param {Object} rawOutput - Output as parsed, before defaults (see attachRawOutput)
+   * @returns {Object} Registry key -> violations ({ path, message }); empty arrays when valid
+   */
+  validatePhase(phaseKey, rawOutput) {
+    const warnings = {};
+
+    PhaseRegistry.entries.forEach(entry => {
+      const schema = this.get(entry.schema);
+      if (!schema || (schema.source?.phase || entry.key) !== phaseKey) return;
+
+      const path = schema.source?.path;
+      const data = path ? Validators.getNestedValue(rawOutput, path) : rawOutput;
+      const violations = data === undefined || data === null
+        ? [{ path: path || '(root)', message: 'section missing from output' }]
+        : Validators.validateSchema(schema, data, path || '');
+
+      if (violations.length > this.maxViolations) {
+        const extra = violations.length - this.maxViolations;
+        violations.splice(this.maxViolations, extra, { path: '', message: `...and ${extra} more` });
+      }
+      warnings[entry.key] = violations.map(v => ({ ...v, schema: `${schema.$id}@${schema.version}` }));
+    });
+
+    return warnings;
+  },
+
+  /**
+   * Copy of a workflow's parsed output, taken before the API module fills defaults
+   */
+  snapshot(parsed) {
+    return JSON.parse(JSON.stringify(parsed));
+  },
+
+  /**
+   * Hand the snapshot to the pipeline on the API result without storing it:
+   * the property is non-enumerable, so checkpoints and caches skip it
+   * @param {Object} result - API module result
+   * @param {Object} rawOutput - From snapshot()
+   */
+  attachRawOutput(result, rawOutput) {
+    Object.defineProperty(result, 'rawOutput', { value: rawOutput, enumerable: false });
+    return result;
+  }
+};
+
+window.OutputSchemas = OutputSchemas;
@@ -0,0 +1,320 @@
+// js/config/phase-registry.js - Phase and dimension registry
+// Single source of truth for the analysis phases and scored dimensions.
+// The pipeline, tabs, summary, Smartsheet payload and PDF export all read from here,
+// so a new dimension is added by registering an entry plus its API module and renderers.
+//
+// Modules are referenced by global name and resolved when used, so this file can
+// load before the API, validator and export scripts.
+
+const PhaseRegistry = {
+  /**
+   * Entry fields:
+   *   key          - Phase / dimension key used in data, state and DOM ids
+   *   label        - Display name (summary cards, Smartsheet, PDF)
+   *   shortLabel   - Compact name for tables
+   *   phaseName    - Name shown in pipeline progress (null if not a pipeline phase)
+   *   tabId        - Results tab for this entry
+   *   api          - Global API module with analyze(input, signal, inputs) (null if not run by the pipeline)
+   *   loader       - AssessmentView method that shows the phase output on its tab
+   *   input        - 'venture' (URL + files) or 'description' (short company description)
+   *   dependsOn    - Upstream keys. Phases start once these complete and are passed their outputs
+   *                  as `inputs` (the API module decides whether to use them); a failed upstream
+   *                  blocks only its dependents. Must be registered first.
+   *   validator    - Validators method name for the API response (null to skip)
+   *   schema       - OutputSchemas name for the workflow output; violations are reported as
+   *                  schema warnings, not failures (null to skip)
+   *   duration     - Estimated run time in seconds, for progress display
+   *   retry        - Optional RetryPolicy overrides (maxAttempts, baseDelayMs, maxDelayMs, jitter, retryOn)
+   *   scoring      - { ai, user } which scores the dimension carries (null if not scored)
+   *   extractScore - Pulls the AI score out of the phase output
+   *   rubric       - 1-9 score definitions shown beside the slider
+   *   smartsheet   - Payload column names for AI score, user score and justification
+   *   export       - ExportUtility renderer method names and when to include them
+   */
+  entries: [
+    {
+      key: 'company',
+      label: 'Company Overview',
+      shortLabel: 'Company',
+      phaseName: 'Company Analysis',
+      tabId: 'overview',
+      api: 'CompanyAPI',
+      loader: 'loadCompanyData',
+      input: 'venture',
+      dependsOn: [],
+      validator: 'validateCompany',
+      schema: 'venture-extraction',
+      duration: 220,  // ~3.7 minutes (rubric-aligned solution_value extraction added in v3.3)
+      scoring: null,
+      export: { details: 'addCompanyDetails', always: true }
+    },
+    {
+      key: 'team',
+      label: 'Researcher Aptitude',
+      shortLabel: 'Team',
+      phaseName: 'Researcher Aptitude',
+      tabId: 'team',
+      api: 'TeamAPI',
+      loader: 'loadTeamData',
+      input: 'description',
+      dependsOn: ['company'],
+      validator: 'validateTeam',
+      schema: 'team',
+      duration: 125,  // observed range 60-180s; mid-high estimate
+      scoring: { ai: true, user: true },
+      extractScore: (data) => {
+        if (Array.isArray(data)) return (data[1] || data[0])?.score;
+        return data.score;
+      },
+      rubric: {
+        1: { label: 'No Signal', description: 'No credible signals of research quality or translation interest. Limited track record; no relevant highlights.' },
+        2: { label: 'Weak Signal', description: 'Limited credibility signals and no translation indicators. Early work exists but little evidence of momentum or fit.' },
+        3: { label: 'Developing', description: 'Some credible academic signals (for stage) but translation orientation unclear. Limited evidence of impact or applied interest.' },
+        4: { label: 'Credible (Stage-Adjusted)', description: 'Credible academic profile relative to career stage. Translation orientation unclear; no clear applied/commercial signals.' },
+        5: { label: 'Credible + Some Applied', description: 'Solid credibility for stage with at least one applied/industry or tech-transfer indicator. Translation interest plausible but unproven.' },
+        6: { label: 'High-Potential Early-Career', description: 'Strong credibility for stage with standout signals (awards, high-impact work, key role) and signs of passion/drive. Translation orientation limited but promising.' },
+        7: { label: 'Translational Operator', description: 'Strong credibility plus clear translation orientation (industry collabs, licensing/SBIR, startup/advisory). Likely to engage in spinout activities.' },
+        8: { label: 'Proven Translator', description: 'Excellent credibility and repeated translation signals with demonstrated execution (multiple partnerships, successful tech transfer, startup leadership/advisory).' },
+        9: { label: 'Category Leader', description: 'Field-leading credibility with exceptional translation track record and leadership. High confidence in sustained engagement and ability to drive commercialization.' }
+      },
+      smartsheet: { aiScore: 'teamScoreAi', userScore: 'teamScoreUser', justification: 'teamJustification' },
+      export: { assessment: 'addTeamAssessment', details: 'addTeamDetails' }
+    },
+    {
+      key: 'funding',
+      label: 'Sector Funding',
+      shortLabel: 'Funding',
+      phaseName: 'Sector Funding Activity',
+      tabId: 'funding',
+      api: 'FundingAPI',
+      loader: 'loadFundingData',
+      input: 'description',
+      dependsOn: ['company'],
+      validator: 'validateFunding',
+      schema: 'funding',
+      duration: 115,  // observed range 92-135s
+      scoring: { ai: true, user: true },
+      extractScore: (data) => {
+        if (Array.isArray(data)) {
+          const scoringObj = data[1] || data[0];
+          return scoringObj?.funding_score || scoringObj?.score;
+        }
+        return data.funding_score || data.score;
+      },
+      rubric: {
+        1: { label: 'No Investor Signal', description: 'No comparable funding activity in the sector. Minimal investor interest or deal activity.' },
+        2: { label: 'Very Limited', description: 'Very limited funding activity, mostly grants. Few institutional investors active in the space.' },
+        3: { label: 'Early/Angel-Led', description: 'Some angel/seed activity, limited institutional participation. Funding ecosystem still nascent.' },
+        4: { label: 'Growing Early-Stage', description: 'Growing investor interest; early-stage rounds becoming more common. A few notable deals.' },
+        5: { label: 'Established VC Activity', description: 'Regular Series A/B activity with established VC interest. Healthy, repeatable deal flow.' },
+        6: { label: 'Strong Institutional Backing', description: 'Strong institutional backing with multiple growth rounds. Sector attracting significant capital.' },
+        7: { label: 'Scaled Winners', description: 'High-profile investors and strong deal flow. Multiple companies reaching large scale (often $1B+ valuation).' },
+        8: { label: 'Top-Tier Frenzy', description: 'Exceptional funding environment with multiple scaled winners. Top-tier VCs actively competing for deals.' },
+        9: { label: 'Peak Capital Cycle', description: 'Peak funding activity with repeated mega-rounds. Sector is a top investment category.' }
+      },
+      smartsheet: { aiScore: 'fundingScoreAi', userScore: 'fundingScoreUser', justification: 'fundingJustification' },
+      export: { assessment: 'addFundingAssessment' }
+    },
+    {
+      key: 'competitive',
+      label: 'Competitive Winnability',
+      shortLabel: 'Competitive',
+      phaseName: 'Competitive Winnability',
+      tabId: 'competitive',
+      api: 'CompetitiveAPI',
+      loader: 'loadCompetitiveData',
+      input: 'description',
+      dependsOn: ['company'],
+      validator: 'validateCompetitive',
+      schema: 'competitive',
+      duration: 195,  // observed range 120-260s
+      scoring: { ai: true, user: true },
+      extractScore: (data) => {
+        if (Array.isArray(data)) return (data[1] || data[0])?.score;
+        return data.score || data.assessment?.score;
+      },
+      rubric: {
+        1: { label: 'Dominated Market', description: 'Market dominated by incumbents with entrenched advantages. Very difficult to differentiate or compete.' },
+        2: { label: 'Crowded Field', description: 'Many strong competitors with established share. Differentiation opportunities are limited.' },
+        3: { label: 'Competitive', description: 'Several capable players. Differentiation possible but challenging and often costly.' },
+        4: { label: 'Differentiable', description: 'Moderate competition with clear differentiation paths. Some barriers to entry exist.' },
+        5: { label: 'Neutral Landscape', description: 'Average competitive landscape. Competition is manageable but offers no inherent advantage.' },
+        6: { label: 'Winnable Position', description: 'Market may be competitive, but clear differentiation and defensibility are achievable (tech, cost, channel, or timing).' },
+        7: { label: 'Protected Niche', description: 'Limited competition with strong differentiation. Significant barriers protect a defensible niche.' },
+        8: { label: 'Strong Moat', description: 'Few direct competitors and meaningful barriers to entry. Strong defensive moat and pricing power potential.' },
+        9: { label: 'Category Creator', description: 'No true direct competitors today; defines a new category. Must still validate that a real market exists.' }
+      },
+      smartsheet: { aiScore: 'competitiveScoreAi', userScore: 'competitiveScoreUser', justification: 'competitiveJustification' },
+      export: { assessment: 'addCompetitiveAssessment', details: 'addCompetitiveDetails', always: true }
+    },
+    {
+      key: 'market',
+      label: 'Market Opportunity',
+      shortLabel: 'Market',
+      phaseName: 'Market Opportunity',
+      tabId: 'market',
+      api: 'MarketAPI',
+      loader: 'loadMarketData',
+      input: 'description',
+      dependsOn: ['company'],
+      validator: 'validateMarket',
+      schema: 'market',
+      duration: 140,  // observed range 84-180s
+      scoring: { ai: true, user: true },
+      extractScore: (data) => {
+        if (Array.isArray(data)) return (data[1] || data[0])?.score;
+        return data.score || data.scoring?.score;
+      },
+      rubric: {
+        1: { label: 'Tiny / Slow', description: 'TAM < $500M and CAGR < 10%. Limited opportunity and slow growth.' },
+        2: { label: 'Small / Steady', description: 'TAM < $500M and CAGR 10-20%. Small but growing market.' },
+        3: { label: 'Small / Fast', description: 'TAM < $500M and CAGR > 20%. Small market with rapid growth potential.' },
+        4: { label: 'Mid / Slow', description: 'TAM $500M-$5B and CAGR < 10%. Substantial market, limited growth.' },
+        5: { label: 'Mid / Steady', description: 'TAM $500M-$5B and CAGR 10-20%. Good size with healthy growth.' },
+        6: { label: 'Mid / Fast', description: 'TAM $500M-$5B and CAGR > 20%. Strong opportunity with rapid expansion.' },
+        7: { label: 'Large / Slow', description: 'TAM > $5B and CAGR < 10%. Very large market in a mature growth phase.' },
+        8: { label: 'Large / Steady', description: 'TAM > $5B and CAGR 10-20%. Excellent size with sustained growth.' },
+        9: { label: 'Large / Fast', description: 'TAM > $5B and CAGR > 20%. Exceptional opportunity: large and rapidly expanding.' }
+      },
+      smartsheet: { aiScore: 'marketScoreAi', userScore: 'marketScoreUser', justification: 'marketJustification' },
+      export: { assessment: 'addMarketAssessment', details: 'addMarketDetails', always: true }
+    },
+    {
+      key: 'iprisk',
+      label: 'IP Landscape',
+      shortLabel: 'IP',
+      phaseName: 'IP Landscape',
+      tabId: 'iprisk',
+      api: 'IPRiskAPI',
+      loader: 'loadIpRiskData',
+      input: 'description',
+      dependsOn: ['company', 'competitive'],
+      validator: 'validateIpRisk',
+      schema: 'ip-landscape',
+      duration: 150,  // observed range 80-215s; mid-high estimate
+      scoring: { ai: true, user: true },
+      extractScore: (data) => {
+        if (Array.isArray(data)) return (data[1] || data[0])?.score;
+        return data.score;
+      },
+      rubric: {
+        1: { label: 'Severe Exposure', description: 'Severe IP exposure with little protectable differentiation. Crowded landscape with likely blockers held by others.' },
+        2: { label: 'High Risk', description: 'High IP risk with limited protectable differentiation. Existing patents suggest likely blocking issues or costly workarounds.' },
+        3: { label: 'Major Challenges', description: 'Significant IP challenges. Some protectable features, but key areas look crowded or uncertain.' },
+        4: { label: 'Moderate Risk', description: 'Moderate IP risk with some protectable features. Mixed landscape; targeted FTO likely needed to avoid blockers.' },
+        5: { label: 'Average Position', description: 'Average IP position. Neither particularly strong nor weak; protection strategy still required.' },
+        6: { label: 'Good Position', description: 'Good protectability with some unique features. Risks appear manageable with an IP strategy and targeted FTO review.' },
+        7: { label: 'Strong Foundation', description: 'Clear protectable differentiation and a plausible strategy to file/defend. Limited apparent blocking risk.' },
+        8: { label: 'Very Low Risk', description: 'Excellent future protectability with few apparent conflicts. Low likelihood of blocking IP; FTO appears favorable.' },
+        9: { label: 'Minimal Blocking Risk', description: 'No obvious blocking IP identified and strong freedom-to-operate plus future protectability signal (subject to diligence).' }
+      },
+      smartsheet: { aiScore: 'ipRiskScoreAi', userScore: 'ipRiskScoreUser', justification: 'ipRiskJustification' },
+      export: { assessment: 'addIpRiskAssessment', details: 'addIpRiskDetails', always: true }
+    },
+    {
+      // Human-scored only; evidence is assembled from its upstream phase output
+      key: 'solutionvalue',
+      label: 'Solution Value',
+      shortLabel: 'Solution Value',
+      phaseName: null,
+      tabId: 'solutionvalue',
+      api: null,
+      dependsOn: ['company', 'competitive', 'market'],
+      schema: 'solution-value',   // Section of the company output; warnings shown on this tab
+      scoring: { ai: false, user: true },
+      rubric: {
+        1: { label: 'Negligible', description: 'No clear customer value or meaningful problem addressed.' },
+        2: { label: 'Low Value / Nice-to-Have', description: 'Primarily convenience or marginal optimization; not tied to a strong unmet need.' },
+        3: { label: 'Marginal', description: 'Minor benefit and/or unclear problem severity; difficult to justify switching from current approaches.' },
+        4: { label: 'Limited Value', description: 'Some benefit, but the problem is not acute or the improvement over current options is small/uncertain.' },
+        5: { label: 'Moderate Value', description: 'Useful improvement but not decisive; helps with a real problem, yet benefits may be incremental or limited in scope.' },
+        6: { label: 'Clear Value', description: 'Material benefit for an important problem; improvement is obvious and compelling, though not a breakthrough.' },
+        7: { label: 'High Value', description: 'Strong improvement in key outcomes (cost/time/risk/performance) for a clear pain point; meaningfully better than alternatives.' },
+        8: { label: 'Breakthrough', description: 'Very large improvement vs status quo; solves a painful, high-priority problem with substantial measurable benefit.' },
+        9: { label: 'Transformative (Major Unmet Need)', description: 'Step-change improvement for the beachhead customer; clearly addresses a severe unmet need with outsized outcome impact.' }
+      },
+      smartsheet: { userScore: 'solutionValueScoreUser', justification: 'solutionValueJustification' },
+      export: { assessment: 'addSolutionValueAssessment', include: (data) => !!data.solutionvalue?.userScore }
+    }
+  ],
+
+  /**
+   * Add a phase or dimension. Scored dimensions without an API are user-only.
+   * @param {Object} entry - Registry entry (see field list above)
+   */
+  register(entry) {
+    if (!entry?.key) {
+      throw new Error('Registry entry requires a key');
+    }
+    if (this.get(entry.key)) {
+      throw new Error(`Phase already registered: ${entry.key}`);
+    }
+    // Upstream phases must already exist, which also rules out cycles
+    (entry.dependsOn || []).forEach(dep => {
+      if (!this.get(dep)?.api) {
+        throw new Error(`${entry.key} depends on unknown phase: ${dep}`);
+      }
+    });
+    this.entries.push({ dependsOn: [], tabId: entry.key, ...entry });
+  },
+
+  get(key) {
+    return this.entries.find(e => e.key === key) || null;
+  },
+
+  /** Entries run by the analysis pipeline, in order */
+  phases() {
+    return this.entries.filter(e => e.api);
+  },
+
+  phaseKeys() {
+    return this.phases().map(e => e.key);
+  },
+
+  /** Pipeline phases that list `key` as a direct upstream */
+  dependentsOf(key) {
+    return this.phases().filter(e => e.dependsOn.includes(key)).map(e => e.key);
+  },
+
+  /** Entries the advisor scores */
+  dimensions() {
+    return this.entries.filter(e => e.scoring);
+  },
+
+  dimensionKeys() {
+    return this.dimensions().map(e => e.key);
+  },
+
+  /** Dimensions that receive an AI score */
+  aiDimensionKeys() {
+    return this.dimensions().filter(e => e.scoring.ai).map(e => e.key);
+  },
+
+  label(key) {
+    return this.get(key)?.label || key;
+  },
+
+  tabIdFor(key) {
+    return this.get(key)?.tabId || key;
+  },
+
+  keyForTab(tabId) {
+    return this.entries.find(e => e.tabId === tabId)?.key || tabId;
+  },
+
+  getRubric(key) {
+    return this.get(key)?.rubric || {};
+  },
+
+  /**
+   * Pull the AI score for a dimension out of its phase output
+   * @returns {number|null}
+   */
+  extractScore(key, data) {
+    const entry = this.get(key);
+    if (!data || !entry?.scoring?.ai) return null;
+    return entry.extractScore ? entry.extractScore(data) : data.score;
+  }
+};
+
+window.PhaseRegistry = PhaseRegistry;
@@ -0,0 +1,79 @@
+// js/config/source-credibility.js - Domain credibility lists for source verification
+// A source is rated by the first list that names its domain. Entries match the domain
+// and its subdomains; entries starting with "." match a suffix (".gov" matches nih.gov).
+// The proxy config can extend both lists with a sourceCredibility: { allow, deny } block.
+
+const SourceCredibility = {
+  // Primary records, regulators, patent offices and established data providers
+  allow: [
+    '.gov', '.mil', '.edu', '.ac.uk',
+    'sec.gov', 'uspto.gov', 'patents.google.com', 'epo.org', 'wipo.int', 'patentscope.wipo.int',
+    'sbir.gov', 'nih.gov', 'nsf.gov', 'clinicaltrials.gov', 'pubmed.ncbi.nlm.nih.gov',
+    'crunchbase.com', 'pitchbook.com', 'cbinsights.com', 'dealroom.co',
+    'nature.com', 'science.org', 'sciencedirect.com', 'ieee.org', 'acm.org', 'arxiv.org',
+    'reuters.com', 'bloomberg.com', 'wsj.com', 'ft.com', 'techcrunch.com',
+    'businesswire.com', 'prnewswire.com', 'globenewswire.com'
+  ],
+
+  // Content farms, SEO report resellers and user-generated content
+  deny: [
+    'ezinearticles.com', 'hubpages.com', 'articlebiz.com', 'issuu.com', 'scribd.com',
+    'openpr.com', 'einpresswire.com', 'newstrail.com', 'digitaljournal.com',
+    'marketwatch.com/press-release', 'linkedin.com/pulse', 'medium.com',
+    'quora.com', 'reddit.com', 'answers.com'
+  ],
+
+  /**
+   * Add the proxy config's lists to the built-in ones
+   * @param {Object} overrides - { allow: string[], deny: string[] }
+   */
+  configure(overrides) {
+    if (!overrides) return;
+    ['allow', 'deny'].forEach(list => {
+      (overrides[list] || []).forEach(entry => {
+        const normalized = String(entry).trim().toLowerCase();
+        if (normalized && !this[list].includes(normalized)) this[list].push(normalized);
+      });
+    });
+  },
+
+  /**
+   * Rate a source URL. The deny list wins when both lists match.
+   * @returns {{rating: string, rule: string|null}} rating is 'trusted', 'untrusted' or 'unrated'
+   */
+  rate(url) {
+    let host;
+    let path;
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      path = parsed.pathname.toLowerCase();
+    } catch (e) {
+      return { rating: 'unrated', rule: null };
+    }
+
+    const denied = this.deny.find(entry => this.matches(entry, host, path));
+    if (denied) return { rating: 'untrusted', rule: denied };
+
+    const allowed = this.allow.find(entry => this.matches(entry, host, path));
+    if (allowed) return { rating: 'trusted', rule: allowed };
+
+    return { rating: 'unrated', rule: null };
+  },
+
+  /**
+   * "example.com" matches example.com and its subdomains; "example.com/news"
+   * also requires the path prefix; ".gov" matches any host ending in .gov
+   */
+  matches(entry, host, path) {
+    if (entry.startsWith('.')) return host.endsWith(entry);
+
+    const slash = entry.indexOf('/');
+    const domain = slash === -1 ? entry : entry.slice(0, slash);
+    const prefix = slash === -1 ? '' : entry.slice(slash);
+    const hostMatches = host === domain || host.endsWith(`.${domain}`);
+    return hostMatches && path.startsWith(prefix);
+  }
+};
+
+window.SourceCredibility = SourceCredibility;
@@ -11,6 +11,9 @@ class App {
     this.toastManager = null;
     this.modalManager = null;
     this.stateManager = null;
+    this.batchRunner = null;
+    this.batchView = null;
+    this.reviewingExtraction = false;
     this.state = 'idle'; // idle, analyzing, results, error
   }
 
@@ -48,6 +51,11 @@ class App {
       this.progressView.init();
       this.assessmentView.init();
       this.summaryView.init();
+
+      // Batch mode runs its own pipelines, independent of the single assessment above
+      this.batchRunner = new BatchRunner(this.stateManager);
+      this.batchView = new BatchView(this.batchRunner);
+      this.batchView.init();
       
       // Make accessible globally
       window.assessmentView = this.assessmentView;
@@ -57,6 +65,8 @@ class App {
       // Setup event listeners
       this.setupEventListeners();
       this.setupPipelineCallbacks();
+      this.setupPhaseActions();
+      this.setupExtractionReview();
       this.setupTabCallbacks();
       
       // Apply external mode if user logged in with external password
@@ -125,6 +135,12 @@ class App {
     if (loadPreviousBtn) {
       loadPreviousBtn.addEventListener('click', () => this.loadPreviousAssessment());
     }
+
+    // Batch mode button
+    const batchBtn = document.getElementById('batch-mode-btn');
+    if (batchBtn) {
+      batchBtn.addEventListener('click', () => this.openBatchMode());
+    }
     
     // File upload handling
     this.setupFileUploadListeners();
@@ -388,41 +404,52 @@ class App {
   setupPipelineCallbacks() {
     this.pipeline.on('start', (data) => {
       this.state = 'analyzing';
-      console.log('Analysis started:', data.url);
+      console.log(data.resumed ? 'Analysis continued:' : 'Analysis started:', data.url);
+
+      // Persist inputs so an interrupted run can be continued after a reload
+      if (!data.resumed) {
+        this.stateManager.savePipelineInputs({
+          url: data.url,
+          fileNames: data.fileName,
+          inputMode: this.pipeline.inputMode,
+          companyDescription: null
+        });
+        this.stateManager.saveExtractionEdits(null);
+      }
     });
     
     this.pipeline.on('phaseStart', (data) => {
-      this.tabManager.setLoading(data.phase === 'company' ? 'overview' : data.phase);
+      // A re-run keeps the previous results visible until it succeeds
+      if (data.rerun) {
+        this.setPhaseActionState(data.phase, true);
+        return;
+      }
+      this.tabManager.setLoading(PhaseRegistry.tabIdFor(data.phase));
       this.updatePhaseUI(data.phase, 'active');
     });
     
     this.pipeline.on('phaseComplete', (data) => {
-      const tabKey = data.phase === 'company' ? 'overview' : data.phase;
+      const tabKey = PhaseRegistry.tabIdFor(data.phase);
       
       // Enable tab
       this.tabManager.enableTab(tabKey);
+      this.setPhaseActionState(data.phase, false);
       
       // Update phase list UI
       this.updatePhaseUI(data.phase, 'complete');
       
       // Save checkpoint
       this.stateManager.checkpoint(data.phase, data.data);
+      if (data.phase === 'company') {
+        this.stateManager.savePipelineInputs({ companyDescription: this.pipeline.companyDescription });
+        this.stateManager.saveExtractionEdits(this.pipeline.extractionEdits);
+      }
       
       // Load data into view
       this.loadPhaseData(data.phase, data.data);
       
       // Show toast notification
-      const phaseNames = {
-        company: 'Company Overview',
-        team: 'Researcher Aptitude',
-        funding: 'Sector Funding Activity',
-        competitive: 'Competitive Winnability',
-        market: 'Market Opportunity',
-        iprisk: 'IP Landscape',
-        solutionvalue: 'Solution Value'
-      };
-      
-      this.toastManager.phaseComplete(phaseNames[data.phase], () => {
+      this.toastManager.phaseComplete(PhaseRegistry.label(data.phase), () => {
         this.tabManager.activateTab(tabKey);
       });
       
@@ -439,13 +466,31 @@ class App {
         this.updateCompactProgress(true);
       }
     });
+
+    // Source checks finish after the phase: save them and flag the tab's evidence
+    this.pipeline.on('sourcesChecked', (data) => {
+      this.stateManager.checkpoint(data.phase, data.data);
+      this.assessmentView.refreshSources(data.phase, data.data);
+      this.cacheCurrentAssessmentProgressively();
+    });
     
     this.pipeline.on('phaseAutoRetry', (data) => {
-      this.toastManager.info(`${data.name}: web content was too large — retrying automatically...`);
+      const reasons = {
+        tokenLimit: 'web content was too large',
+        server: 'the AI service returned an error',
+        network: 'the connection dropped',
+        parse: 'the response could not be read'
+      };
+      if (!data.rerun) {
+        this.tabManager.setRetrying(PhaseRegistry.tabIdFor(data.phase), data.attempt, data.maxAttempts);
+      }
+      this.toastManager.info(
+        `${data.name}: ${reasons[data.reason] || 'temporary error'} — retrying automatically (attempt ${data.attempt} of ${data.maxAttempts})...`
+      );
     });
 
     this.pipeline.on('phaseError', (data) => {
-      const tabKey = data.phase === 'company' ? 'overview' : data.phase;
+      const tabKey = PhaseRegistry.tabIdFor(data.phase);
       this.tabManager.setError(tabKey);
       this.updatePhaseUI(data.phase, 'error');
 
@@ -454,6 +499,26 @@ class App {
       });
     });
 
+    this.pipeline.on('phaseCancelled', (data) => {
+      this.tabManager.setError(PhaseRegistry.tabIdFor(data.phase));
+      this.updatePhaseUI(data.phase, 'cancelled');
+      this.toastManager.info(`${data.name} cancelled. Click its tab to run it again.`);
+    });
+
+    this.pipeline.on('phaseRerunFailed', (data) => {
+      this.setPhaseActionState(data.phase, false);
+      if (data.cancelled) {
+        this.toastManager.info(`${data.name} re-run cancelled. Previous results kept.`);
+      } else {
+        this.toastManager.error(`${data.name} re-run failed: ${data.error}. Previous results kept.`);
+      }
+    });
+
+    this.pipeline.on('phaseBlocked', (data) => {
+      this.tabManager.setError(PhaseRegistry.tabIdFor(data.phase));
+      this.updatePhaseUI(data.phase, 'blocked');
+    });
+    
     this.pipeline.on('overviewReady', (data) => {
       // Switch to results view after company analysis
       this.showSection('results');
@@ -461,6 +526,16 @@ class App {
       // Enable Solution Value tab (user can start reviewing as evidence loads)
       this.tabManager.enableTab('solutionvalue');
     });
+
+    this.pipeline.on('extractionEdited', ({ edits, data }) => {
+      // Continuing or re-running phases later must use the edited description
+      this.stateManager.savePipelineInputs({ companyDescription: this.pipeline.companyDescription });
+      this.stateManager.saveExtractionEdits(edits);
+      // The corrected sector and beachhead are now part of the company output
+      this.stateManager.checkpoint('company', data);
+      this.loadPhaseData('company', data);
+      this.toastManager.success('Company description updated. The remaining phases will use your edits.');
+    });
     
     this.pipeline.on('complete', (results) => {
       this.handleAnalysisComplete(results);
@@ -524,7 +599,10 @@ class App {
       const savedState = this.stateManager.getState();
       const choice = await this.modalManager.showResumeModal(savedState);
       
-      if (choice === 'resume') {
+      if (choice === 'continue') {
+        await this.resumeAnalysis(savedState);
+        await this.continueAnalysis();
+      } else if (choice === 'resume') {
         await this.resumeAnalysis(savedState);
       } else {
         this.stateManager.clearState();
@@ -700,7 +778,9 @@ class App {
       // Company data might be { full, short } or just the data
       if (phase === 'company') {
         const companyData = data?.full || data;
+        SourceVerifier.remember(this.assessmentView.sourceChecks, data?.sourceCheck);
         this.assessmentView.loadCompanyData(companyData);
+        this.applySchemaWarnings(phase, data);
         // Set venture name display
         this.setVentureNameDisplay(companyData?.company_overview?.name);
       } else {
@@ -725,43 +805,88 @@ class App {
     // Update compact progress
     this.updateCompactProgress();
     
-    // Show toast
-    this.toastManager.info('Previous analysis restored. Some phases may need to be re-run.');
-    
-    // TODO: Option to continue remaining phases
+    // Offer to continue any phases that never finished
+    const remaining = PhaseRegistry.phaseKeys().filter(p => !completedPhases[p]);
+    if (completedPhases.company && remaining.length > 0) {
+      remaining.forEach(phase => this.tabManager.setError(phase));
+      this.toastManager.info(`Previous analysis restored. ${remaining.length} phase(s) did not finish.`, {
+        actionText: 'Continue analysis',
+        onAction: () => this.continueAnalysis(),
+        duration: 0
+      });
+    } else {
+      this.toastManager.info('Previous analysis restored. Some phases may need to be re-run.');
+    }
+  }
+
+  /**
+   * Continue a restored analysis: re-runs only the phases that are pending
+   * or errored, using the checkpointed company description.
+   */
+  async continueAnalysis() {
+    const savedState = this.stateManager.getState();
+    const completedPhases = savedState?.completedPhases || {};
+
+    if (!completedPhases.company) {
+      this.toastManager.warning('Company analysis did not finish. Start a new assessment to re-run it.');
+      return;
+    }
+    if (this.pipeline.isRunning) return;
+
+    const inputs = savedState.pipelineInputs || {};
+    const inputUrl = savedState.companyInput?.url;
+    const url = inputs.url || (inputUrl && inputUrl !== 'Document Upload' ? inputUrl : null);
+
+    try {
+      this.pipeline.reset();
+      this.progressView.start(this.pipeline);
+      await this.pipeline.resume({
+        url,
+        companyDescription: inputs.companyDescription,
+        completedPhases,
+        inputMode: inputs.inputMode,
+        extractionEdits: savedState.extractionEdits
+      });
+    } catch (error) {
+      console.error('Continue analysis failed:', error);
+      this.handleAnalysisError(error);
+    }
+  }
+
+  /**
+   * Flag tabs whose output was backfilled with defaults. A phase's warnings can
+   * cover other tabs (the company output carries Solution Value's evidence).
+   * Assessments saved before schema validation carry no warnings.
+   */
+  applySchemaWarnings(phase, data) {
+    const warnings = data?.schemaWarnings;
+    if (!warnings) return;
+
+    Object.entries(warnings).forEach(([key, violations]) => {
+      this.tabManager.setSchemaWarnings(PhaseRegistry.tabIdFor(key), violations);
+    });
   }
 
   loadPhaseData(phase, data) {
-    switch (phase) {
-      case 'company':
-        // Company data comes as { full, short } - we need full for display
-        const companyData = data?.full || data;
-        console.log('[App] Loading company data, keys:', Object.keys(companyData || {}));
-        this.assessmentView.loadCompanyData(companyData);
-        // Set venture name display
-        this.setVentureNameDisplay(companyData?.company_overview?.name);
-        // Refresh Solution Value evidence
-        this.assessmentView.loadSolutionValueEvidence();
-        break;
-      case 'team':
-        this.assessmentView.loadTeamData(data);
-        break;
-      case 'funding':
-        this.assessmentView.loadFundingData(data);
-        break;
-      case 'competitive':
-        this.assessmentView.loadCompetitiveData(data);
-        // Refresh Solution Value evidence
-        this.assessmentView.loadSolutionValueEvidence();
-        break;
-      case 'market':
-        this.assessmentView.loadMarketData(data);
-        // Refresh Solution Value evidence
-        this.assessmentView.loadSolutionValueEvidence();
-        break;
-      case 'iprisk':
-        this.assessmentView.loadIpRiskData(data);
-        break;
+    this.applySchemaWarnings(phase, data);
+    // Checks saved with a restored assessment flag its evidence without re-fetching
+    SourceVerifier.remember(this.assessmentView.sourceChecks, data?.sourceCheck);
+
+    const loader = PhaseRegistry.get(phase)?.loader;
+    if (phase === 'company') {
+      // Company data comes as { full, short } - we need full for display
+      const companyData = data?.full || data;
+      console.log('[App] Loading company data, keys:', Object.keys(companyData || {}));
+      this.assessmentView[loader](companyData);
+      // Set venture name display
+      this.setVentureNameDisplay(companyData?.company_overview?.name);
+    } else if (loader) {
+      this.assessmentView[loader](data);
+    }
+
+    // Refresh Solution Value evidence when one of its source phases lands
+    if (PhaseRegistry.get('solutionvalue')?.dependsOn.includes(phase)) {
+      this.assessmentView.loadSolutionValueEvidence();
     }
 
     // Progressively cache after each phase so partial assessments appear in "Load Previous"
@@ -769,14 +894,7 @@ class App {
 
     // Progressively update summary tab as each phase completes
     if (this.assessmentView?.data && this.summaryView) {
-      this.summaryView.update({
-        company: this.assessmentView.data.company,
-        team: this.assessmentView.data.team,
-        funding: this.assessmentView.data.funding,
-        competitive: this.assessmentView.data.competitive,
-        market: this.assessmentView.data.market,
-        iprisk: this.assessmentView.data.iprisk
-      });
+      this.summaryView.update(this.stateManager.phaseData(this.assessmentView.data));
     }
   }
 
@@ -793,12 +911,7 @@ class App {
                           'Unknown';
 
       this.stateManager.cacheFullAssessment({
-        company: companyData,
-        team: this.assessmentView.data.team,
-        funding: this.assessmentView.data.funding,
-        competitive: this.assessmentView.data.competitive,
-        market: this.assessmentView.data.market,
-        iprisk: this.assessmentView.data.iprisk,
+        ...this.stateManager.phaseData(this.assessmentView.data),
         ventureName: ventureName
       });
     } catch (error) {
@@ -811,7 +924,7 @@ class App {
     if (!phaseItem) return;
     
     // Remove previous status classes
-    phaseItem.classList.remove('pending', 'active', 'complete', 'error');
+    phaseItem.classList.remove('pending', 'active', 'complete', 'error', 'blocked', 'cancelled');
     phaseItem.classList.add(status);
     
     // Update status text
@@ -821,7 +934,9 @@ class App {
         pending: 'Pending',
         active: 'In Progress...',
         complete: 'Complete',
-        error: 'Failed'
+        error: 'Failed',
+        blocked: 'Blocked',
+        cancelled: 'Cancelled'
       };
       statusEl.textContent = statusText[status] || status;
     }
@@ -835,6 +950,8 @@ class App {
         iconEl.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>';
       } else if (status === 'error') {
         iconEl.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>';
+      } else if (status === 'blocked' || status === 'cancelled') {
+        iconEl.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/></svg>';
       }
     }
   }
@@ -870,6 +987,11 @@ class App {
   }
 
   async retryPhase(phase) {
+    // A restored session has no live pipeline state yet, so continue it instead
+    if (phase !== 'company' && !this.pipeline.isRunning && !this.pipeline.companyDescription) {
+      return this.continueAnalysis();
+    }
+
     try {
       this.tabManager.setLoading(phase === 'company' ? 'overview' : phase);
       this.updatePhaseUI(phase, 'active');
@@ -923,12 +1045,8 @@ class App {
       const ventureName = companyFull?.company_overview?.name || 'Unknown';
       
       this.stateManager.cacheFullAssessment({
+        ...this.stateManager.phaseData(results),
         company: companyFull,
-        team: results.team,
-        funding: results.funding,
-        competitive: results.competitive,
-        market: results.market,
-        iprisk: results.iprisk,
         ventureName: ventureName
       });
       
@@ -945,6 +1063,7 @@ class App {
   }
 
   handleAnalysisCancelled() {
+    if (this.reviewingExtraction) this.modalManager.close();
     this.state = 'idle';
     this.progressView.hide();
     this.showSection('input');
@@ -974,14 +1093,7 @@ class App {
     // Update summary with partial results
     this.tabManager.enableTab('summary');
     if (this.assessmentView?.data && this.summaryView) {
-      this.summaryView.update({
-        company: this.assessmentView.data.company,
-        team: this.assessmentView.data.team,
-        funding: this.assessmentView.data.funding,
-        competitive: this.assessmentView.data.competitive,
-        market: this.assessmentView.data.market,
-        iprisk: this.assessmentView.data.iprisk
-      });
+      this.summaryView.update(this.stateManager.phaseData(this.assessmentView.data));
     }
 
     // Show warning toast
@@ -1019,7 +1131,7 @@ class App {
     this.summaryView.reset();
 
     // Reset phase card DOM to pending; component resets above only clear in-memory state
-    ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'].forEach(phase => {
+    PhaseRegistry.phaseKeys().forEach(phase => {
       this.updatePhaseUI(phase, 'pending');
     });
 
@@ -1052,8 +1164,8 @@ class App {
       // Check if all phases complete
       if (!this.tabManager.allReady()) {
         const exportStatus = {};
-        ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'].forEach(phase => {
-          const tabKey = phase === 'company' ? 'overview' : phase;
+        PhaseRegistry.phaseKeys().forEach(phase => {
+          const tabKey = PhaseRegistry.tabIdFor(phase);
           exportStatus[phase] = this.tabManager.getState(tabKey) === TabState.READY ? 'complete' : 'pending';
         });
         
@@ -1107,7 +1219,8 @@ class App {
     const sections = {
       input: document.getElementById('input-section'),
       progress: document.getElementById('progress-section'),
-      results: document.getElementById('results-section')
+      results: document.getElementById('results-section'),
+      batch: document.getElementById('batch-section')
     };
     
     Object.entries(sections).forEach(([key, el]) => {
@@ -1183,38 +1296,7 @@ class App {
     try {
       const context = window.SmartsheetIntegration.getContext();
       
-      const allData = {
-        team: {
-          aiScore: this.assessmentView.aiScores.team,
-          userScore: this.assessmentView.userScores.team.score,
-          justification: this.assessmentView.userScores.team.justification
-        },
-        funding: {
-          aiScore: this.assessmentView.aiScores.funding,
-          userScore: this.assessmentView.userScores.funding.score,
-          justification: this.assessmentView.userScores.funding.justification
-        },
-        competitive: {
-          aiScore: this.assessmentView.aiScores.competitive,
-          userScore: this.assessmentView.userScores.competitive.score,
-          justification: this.assessmentView.userScores.competitive.justification
-        },
-        market: {
-          aiScore: this.assessmentView.aiScores.market,
-          userScore: this.assessmentView.userScores.market.score,
-          justification: this.assessmentView.userScores.market.justification
-        },
-        iprisk: {
-          aiScore: this.assessmentView.aiScores.iprisk,
-          userScore: this.assessmentView.userScores.iprisk.score,
-          justification: this.assessmentView.userScores.iprisk.justification
-        },
-        solutionvalue: {
-          aiScore: null,
-          userScore: this.assessmentView.userScores.solutionvalue.score,
-          justification: this.assessmentView.userScores.solutionvalue.justification
-        }
-      };
+      const allData = this.assessmentView.getScoreData();
 
       const result = await window.SmartsheetIntegration.submitAllScores(allData, context);
       if (result?.success) {
@@ -1309,38 +1391,7 @@ class App {
     context.finalRecommendation = recommendationText;
 
     // Gather all score data
-    const allData = {
-      team: {
-        aiScore: this.assessmentView.aiScores.team,
-        userScore: this.assessmentView.userScores.team?.score,
-        justification: this.assessmentView.userScores.team?.justification
-      },
-      funding: {
-        aiScore: this.assessmentView.aiScores.funding,
-        userScore: this.assessmentView.userScores.funding?.score,
-        justification: this.assessmentView.userScores.funding?.justification
-      },
-      competitive: {
-        aiScore: this.assessmentView.aiScores.competitive,
-        userScore: this.assessmentView.userScores.competitive?.score,
-        justification: this.assessmentView.userScores.competitive?.justification
-      },
-      market: {
-        aiScore: this.assessmentView.aiScores.market,
-        userScore: this.assessmentView.userScores.market?.score,
-        justification: this.assessmentView.userScores.market?.justification
-      },
-      iprisk: {
-        aiScore: this.assessmentView.aiScores.iprisk,
-        userScore: this.assessmentView.userScores.iprisk?.score,
-        justification: this.assessmentView.userScores.iprisk?.justification
-      },
-      solutionvalue: {
-        aiScore: null,
-        userScore: this.assessmentView.userScores.solutionvalue?.score,
-        justification: this.assessmentView.userScores.solutionvalue?.justification
-      }
-    };
+    const allData = this.assessmentView.getScoreData();
 
     // Submit to Smartsheet
     const result = await window.SmartsheetIntegration.submitAllScores(allData, context);
@@ -1364,6 +1415,143 @@ class App {
    * Retry a failed phase from the tab panel
    * @param {string} phase - Phase key to retry
    */
+  /**
+   * Cancel a single running phase from its tab; other phases keep running
+   */
+  cancelPhaseFromTab(phase) {
+    if (!this.pipeline.cancelPhase(phase)) {
+      this.toastManager.info(`${PhaseRegistry.label(phase)} is not running`);
+    }
+  }
+
+  // ========== PER-PHASE RE-RUN ==========
+
+  /**
+   * Add Re-run / Cancel controls to the header of each re-runnable phase panel
+   */
+  setupPhaseActions() {
+    PhaseRegistry.phases()
+      .filter(entry => entry.input === 'description')
+      .forEach(entry => {
+        const header = document.querySelector(`#panel-${entry.tabId} .panel-header`);
+        if (!header || header.querySelector('.phase-actions')) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'phase-actions';
+        actions.dataset.phase = entry.key;
+        actions.innerHTML = `
+          <span class="phase-actions-status hidden">Re-running&hellip;</span>
+          <button type="button" class="btn small outline" data-action="rerun" title="Run ${entry.label} again with the current company description">Re-run</button>
+          <button type="button" class="btn small outline hidden" data-action="cancel">Cancel</button>
+        `;
+        actions.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-action]');
+          if (!btn) return;
+          if (btn.dataset.action === 'rerun') {
+            this.rerunPhase(entry.key);
+          } else if (btn.dataset.action === 'cancel') {
+            this.pipeline.cancelPhase(entry.key);
+          }
+        });
+
+        // Keep the score badge at the right edge
+        const badge = header.querySelector('.score-badge');
+        header.insertBefore(actions, badge || null);
+      });
+  }
+
+  setPhaseActionState(phase, running) {
+    const actions = document.querySelector(`.phase-actions[data-phase="${phase}"]`);
+    if (!actions) return;
+    actions.querySelector('.phase-actions-status')?.classList.toggle('hidden', !running);
+    actions.querySelector('[data-action="rerun"]')?.classList.toggle('hidden', running);
+    actions.querySelector('[data-action="cancel"]')?.classList.toggle('hidden', !running);
+  }
+
+  /**
+   * Optional advisor review of the extracted company description before the
+   * downstream phases run. Batch runs use their own pipelines and never pause.
+   */
+  setupExtractionReview() {
+    const checkbox = document.getElementById('review-extraction');
+    if (!checkbox) return;
+
+    checkbox.checked = localStorage.getItem('review_extraction') === 'true';
+    checkbox.addEventListener('change', () => {
+      localStorage.setItem('review_extraction', checkbox.checked ? 'true' : 'false');
+    });
+
+    this.pipeline.setExtractionReview(async (original) => {
+      if (!checkbox.checked) return null;
+      this.reviewingExtraction = true;
+      try {
+        return await this.modalManager.showExtractionReviewModal(original);
+      } finally {
+        this.reviewingExtraction = false;
+      }
+    });
+  }
+
+  /**
+   * Re-run one completed phase. Its current results stay in place unless
+   * the new run succeeds.
+   * @param {string} phase - Phase key
+   * @param {Object|null} extraInputs - For this run only (see AnalysisPipeline.rerunPhase)
+   * @returns {Promise<Object|null>} The new results, or null if the re-run didn't succeed
+   */
+  async rerunPhase(phase, extraInputs = null) {
+    // A restored session has no live pipeline state yet, so load the checkpoint first
+    if (!this.pipeline.isRunning && !this.pipeline.companyDescription) {
+      const savedState = this.stateManager.getState();
+      if (!savedState?.completedPhases?.company) {
+        this.toastManager.warning('Company analysis did not finish. Start a new assessment to re-run phases.');
+        return null;
+      }
+      const inputs = savedState.pipelineInputs || {};
+      const inputUrl = savedState.companyInput?.url;
+      this.pipeline.restore({
+        url: inputs.url || (inputUrl && inputUrl !== 'Document Upload' ? inputUrl : null),
+        companyDescription: inputs.companyDescription,
+        completedPhases: savedState.completedPhases,
+        inputMode: inputs.inputMode,
+        extractionEdits: savedState.extractionEdits
+      });
+    }
+
+    const blocker = this.pipeline.getRerunBlocker(phase);
+    if (blocker) {
+      this.toastManager.warning(blocker);
+      return null;
+    }
+
+    try {
+      return await this.pipeline.rerunPhase(phase, extraInputs);
+    } catch (error) {
+      // Already reported through the phaseRerunFailed / phaseError events
+      console.error('Re-run failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-score the team with the advisor's corrected roster. The roster sent and
+   * the roster the workflow returns are both recorded for audit.
+   * @param {Object[]} roster - [{ name, role, note }] from TeamRoster.active
+   */
+  async rescoreTeamRoster(roster) {
+    if (!roster || roster.length === 0) {
+      this.toastManager.warning('Add at least one team member before re-scoring.');
+      return;
+    }
+
+    const result = await this.rerunPhase('team', { roster });
+    if (!result) return;
+
+    this.assessmentView.recordTeamRescore(roster, result);
+    this.cacheCurrentAssessmentProgressively();
+    this.toastManager.success('Researcher Aptitude re-scored with your roster.');
+  }
+
   async retryFromTab(phase) {
     try {
       await this.retryPhase(phase);
@@ -1406,8 +1594,7 @@ class App {
     // Clear all textareas
     if (clearBtn) {
       clearBtn.addEventListener('click', () => {
-        const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
-        phases.forEach(phase => {
+        PhaseRegistry.phaseKeys().forEach(phase => {
           const textarea = document.getElementById(`admin-${phase}-json`);
           const status = document.getElementById(`admin-${phase}-status`);
           if (textarea) textarea.value = '';
@@ -1431,7 +1618,7 @@ class App {
    * Parses each phase's JSON, loads into assessment view, enables tabs.
    */
   adminImportAssessment() {
-    const phases = ['company', 'team', 'funding', 'competitive', 'market', 'iprisk'];
+    const phases = PhaseRegistry.phaseKeys();
     const parsedData = {};
     let hasAnyData = false;
     let hasErrors = false;
@@ -1443,32 +1630,29 @@ class App {
       const raw = textarea?.value?.trim();
 
       if (!raw) {
-        if (status) { status.textContent = ''; status.className = 'admin-status'; }
+        if (status) { status.textContent = ''; status.title = ''; status.className = 'admin-status'; }
         return;
       }
 
-      try {
-        let data = JSON.parse(raw);
+      // Handle Stack AI response wrapping; some exports wrap the actual data one level deeper
+      const report = OutputDecoder.decode(raw, { envelopes: ['output', 'result', 'data'] });
 
-        // Handle Stack AI response wrapping — unwrap if needed
-        if (data.output && typeof data.output === 'object') {
-          data = data.output;
-        }
-        if (data.result && typeof data.result === 'object' && !Array.isArray(data.result)) {
-          data = data.result;
+      if (report.value && typeof report.value === 'object') {
+        parsedData[phase] = report.value;
+        hasAnyData = true;
+        const repairs = OutputDecoder.describe(report.repairs);
+        if (status) {
+          status.textContent = repairs.length > 0 ? 'OK (repaired)' : 'OK';
+          status.title = repairs.join('\n');
+          status.className = 'admin-status admin-ok';
         }
-        // Some exports wrap the actual data one level deeper
-        if (data.data && typeof data.data === 'object' && !Array.isArray(data.data)) {
-          data = data.data;
+        if (repairs.length > 0) {
+          console.warn(`[Admin] Repaired ${phase} JSON:`, repairs.join('; '));
         }
-
-        parsedData[phase] = data;
-        hasAnyData = true;
-        if (status) { status.textContent = 'OK'; status.className = 'admin-status admin-ok'; }
-      } catch (error) {
+      } else {
         hasErrors = true;
-        if (status) { status.textContent = 'Error'; status.className = 'admin-status admin-error'; }
-        console.error(`[Admin] Failed to parse ${phase} JSON:`, error.message);
+        if (status) { status.textContent = 'Error'; status.title = report.error || ''; status.className = 'admin-status admin-error'; }
+        console.error(`[Admin] Failed to parse ${phase} JSON:`, report.error);
       }
     });
 
@@ -1628,6 +1812,52 @@ class App {
     }
   }
 
+  /**
+   * Show the batch dashboard, prefilling the advisor from the main form
+   */
+  openBatchMode() {
+    if (this.state === 'analyzing') {
+      this.toastManager.warning('Finish or cancel the current analysis before opening batch mode');
+      return;
+    }
+
+    const batchAdvisor = document.getElementById('batch-advisor');
+    const scaName = document.getElementById('sca-name')?.value.trim();
+    if (batchAdvisor && !batchAdvisor.value.trim() && scaName) {
+      batchAdvisor.value = scaName;
+    }
+
+    this.showSection('batch');
+  }
+
+  /**
+   * Open a venture produced by a batch run for review and scoring.
+   * Points the session at the cached entry first so score edits save back to it.
+   * @param {string} key - Assessment cache key
+   */
+  async openBatchAssessment(key) {
+    const assessment = this.stateManager.loadAssessment(key);
+    if (!assessment) {
+      this.toastManager.error('Could not load assessment data');
+      return;
+    }
+
+    // Batch document ventures are keyed by file name rather than the 'Document Upload' placeholder
+    const input = assessment.companyInput || {};
+    const url = input.url === 'Document Upload' ? null : input.url;
+    this.stateManager.clearState();
+    this.stateManager.setCompanyInput(url, assessment.advisorName, input.fileName, assessment.portfolio || null);
+    Object.entries(assessment.userScores || {}).forEach(([dim, scoreData]) => {
+      this.stateManager.saveUserScore(dim, scoreData);
+    });
+    if (assessment.smartsheetRowId) {
+      this.stateManager.saveSmartsheetRowId(assessment.smartsheetRowId);
+    }
+
+    await this.restoreFromCachedAssessment(assessment);
+    this.toastManager.success(`Loaded assessment for ${assessment.ventureName}`);
+  }
+
   /**
    * Load an assessment from a Smartsheet entry (scores only, no AI data).
    * @param {Object} entry - Smartsheet assessment row data
@@ -1679,20 +1909,11 @@ class App {
         };
 
         // Map Smartsheet fields back to userScores
-        const scoreMap = {
-          team: { scoreKey: 'teamScoreUser', justKey: 'teamJustification' },
-          funding: { scoreKey: 'fundingScoreUser', justKey: 'fundingJustification' },
-          competitive: { scoreKey: 'competitiveScoreUser', justKey: 'competitiveJustification' },
-          market: { scoreKey: 'marketScoreUser', justKey: 'marketJustification' },
-          iprisk: { scoreKey: 'ipRiskScoreUser', justKey: 'ipRiskJustification' },
-          solutionvalue: { scoreKey: 'solutionValueScoreUser', justKey: 'solutionValueJustification' }
-        };
-
-        Object.entries(scoreMap).forEach(([dim, keys]) => {
-          const score = rowData[keys.scoreKey];
-          const justification = rowData[keys.justKey];
+        PhaseRegistry.dimensions().forEach(entry => {
+          const score = rowData[entry.smartsheet.userScore];
+          const justification = rowData[entry.smartsheet.justification];
           if (score !== undefined && score !== null) {
-            assessment.userScores[dim] = {
+            assessment.userScores[entry.key] = {
               score: parseFloat(score),
               justification: justification || '',
               submitted: true,
@@ -1749,13 +1970,18 @@ class App {
       if (assessment.aiData.company) {
         this.tabManager.enableTab('overview');
         const companyData = assessment.aiData.company?.full || assessment.aiData.company;
+        SourceVerifier.remember(this.assessmentView.sourceChecks, assessment.aiData.company?.sourceCheck);
         this.assessmentView.loadCompanyData(companyData);
+        this.applySchemaWarnings('company', assessment.aiData.company);
         // Set venture name from restored data
         this.setVentureNameDisplay(companyData?.company_overview?.name);
       }
       
+      // Each tab merges its saved advisor artifact into the workflow output as it loads
+      StateManager.ADVISOR_ARTIFACTS.forEach(key => this.stateManager.saveAdvisorArtifact(key, assessment[key]));
+
       // Load each dimension
-      const dimensions = ['team', 'funding', 'competitive', 'market', 'iprisk'];
+      const dimensions = PhaseRegistry.phaseKeys().filter(key => key !== 'company');
 
       dimensions.forEach(dim => {
         if (assessment.aiData[dim]) {
@@ -1807,18 +2033,12 @@ class App {
         this.tabManager.enableTab('summary');
 
         // Update summary view
-        this.summaryView.update({
-          company: assessment.aiData.company,
-          team: assessment.aiData.team,
-          funding: assessment.aiData.funding,
-          competitive: assessment.aiData.competitive,
-          market: assessment.aiData.market,
-          iprisk: assessment.aiData.iprisk
-        });
+        this.summaryView.update(this.stateManager.phaseData(assessment.aiData));
       }
 
       // Restore venture-level advisor decisions + final recommendation
       this._restoreVentureDecisions(assessment);
+      this.stateManager.saveExtractionEdits(assessment.extractionEdits || null);
 
       // Activate first tab
       this.tabManager.activateTab('overview');
@@ -1902,6 +2122,7 @@ class App {
 
     // Restore venture-level advisor decisions + final recommendation
     this._restoreVentureDecisions(assessment);
+    StateManager.ADVISOR_ARTIFACTS.forEach(key => this.stateManager.saveAdvisorArtifact(key, assessment[key]));
 
     // Switch to results view
     this.showSection('results');
@@ -1913,15 +2134,12 @@ class App {
     this.setVentureNameDisplay(ventureName);
 
     // Enable all tabs (no AI data, but scoring cards are functional)
-    ['overview', 'team', 'funding', 'competitive', 'market', 'iprisk', 'solutionvalue', 'summary'].forEach(tab => {
+    [...PhaseRegistry.entries.map(entry => entry.tabId), 'summary'].forEach(tab => {
       this.tabManager.enableTab(tab);
     });
 
     // Update summary view and navigate to it
-    this.summaryView.update({
-      company: null, team: null, funding: null,
-      competitive: null, market: null, iprisk: null
-    });
+    this.summaryView.update(this.stateManager.phaseData({}));
     this.tabManager.activateTab('summary');
 
     // Enable export
@@ -1987,7 +2205,7 @@ class App {
 window.addEventListener('beforeunload', (e) => {
   if (!window.app) return;
 
-  if (window.app.state === 'analyzing' || window.app.hasUnsubmittedWork()) {
+  if (window.app.state === 'analyzing' || window.app.batchRunner?.isRunning || window.app.hasUnsubmittedWork()) {
     e.preventDefault();
     e.returnValue = 'You have unsaved work. Are you sure you want to leave?';
   }
@@ -1,6 +1,7 @@
 // js/core/auth.js - Access control for pilot distribution
 // Verifies password against Google Apps Script proxy, stores signed token in localStorage.
 // Token is tied to a password version — rotating the password invalidates all sessions.
+// Replay mode (?replay) skips sign-in so recorded bundles run offline.
 
 const Auth = {
   STORAGE_KEY: 'noblereach_access_token',
@@ -21,6 +22,13 @@ const Auth = {
    * Returns true if authenticated, false if login needed.
    */
   async checkAccess() {
+    // Replays run without the proxy, so there is nothing to sign in to
+    if (StackReplay.isReplaying()) {
+      this.role = localStorage.getItem(this.ROLE_KEY) || 'internal';
+      Debug.log(`[Auth] Replay mode: sign-in skipped (${this.role})`);
+      return true;
+    }
+
     const token = localStorage.getItem(this.STORAGE_KEY);
     if (!token) return false;
 
@@ -0,0 +1,494 @@
+// js/core/batch-runner.js - Batch assessment queue
+// Runs many ventures through their own AnalysisPipeline with a concurrency limit
+// and caches each result so it shows up in "Load Previous"
+
+class BatchRunner {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.items = [];
+    this.concurrency = 3;
+    this.maxConcurrency = 5;
+    this.advisorName = '';
+    this.portfolio = '';
+    this.isRunning = false;
+    this.cancelled = false;
+    this.callbacks = {};
+    this.nextId = 1;
+
+    // Company phases with uploaded documents run one at a time (see acquireUploadSlot)
+    this.uploadQueue = Promise.resolve();
+  }
+
+  static get PHASE_KEYS() {
+    return PhaseRegistry.phaseKeys();
+  }
+
+  static get DOCUMENT_EXTENSIONS() {
+    return ['pdf', 'doc', 'docx'];
+  }
+
+  /**
+   * Register callback functions
+   */
+  on(event, callback) {
+    this.callbacks[event] = callback;
+  }
+
+  emit(event, data) {
+    if (this.callbacks[event]) {
+      this.callbacks[event](data);
+    }
+  }
+
+  // ========== QUEUE BUILDING ==========
+
+  /**
+   * Parse pasted text or CSV content into venture entries.
+   * Accepts one URL per line, or CSV/TSV rows with a URL column and an optional name column.
+   * @param {string} text - Raw text
+   * @returns {{entries: Array<{url: string, label: string}>, invalid: string[]}}
+   */
+  static parseUrlList(text) {
+    const entries = [];
+    const invalid = [];
+    const seen = new Set();
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const cells = trimmed.split(/[,\t;]/).map(c => c.trim().replace(/^"|"$/g, '')).filter(Boolean);
+      if (cells.length === 0) return;
+
+      // Skip a CSV header row
+      if (cells.some(c => /^(url|website|company url|company website)$/i.test(c))) return;
+
+      let url = null;
+      let label = '';
+      for (const cell of cells) {
+        const looksLikeUrl = /^https?:\/\//i.test(cell) || /^[a-z0-9-]+(\.[a-z0-9-]+)+(\/.*)?$/i.test(cell);
+        if (!url && looksLikeUrl) {
+          const validation = Validators.validateUrl(cell);
+          if (validation.valid) {
+            url = validation.url;
+            continue;
+          }
+        }
+        if (!label) label = cell;
+      }
+
+      if (!url) {
+        invalid.push(trimmed);
+        return;
+      }
+      if (seen.has(url)) return;
+      seen.add(url);
+      entries.push({ url, label });
+    });
+
+    return { entries, invalid };
+  }
+
+  /**
+   * Queue ventures from pasted URLs
+   * @param {string} text - One URL per line, or CSV rows
+   * @returns {{added: number, invalid: string[]}}
+   */
+  addUrls(text) {
+    const { entries, invalid } = BatchRunner.parseUrlList(text);
+    const existing = new Set(this.items.filter(i => i.url && i.files.length === 0).map(i => i.url));
+    let added = 0;
+
+    entries.forEach(entry => {
+      if (existing.has(entry.url)) return;
+      this.createItem({ url: entry.url, label: entry.label });
+      added++;
+    });
+
+    this.emit('queueChanged', this.getSummary());
+    return { added, invalid };
+  }
+
+  /**
+   * Queue ventures from dropped files: CSV files are read as URL lists,
+   * each PDF/Word document becomes its own venture.
+   * @param {FileList|File[]} fileList
+   * @returns {Promise<{added: number, invalid: string[], skipped: string[]}>}
+   */
+  async addFiles(fileList) {
+    const files = Array.from(fileList || []);
+    let added = 0;
+    const invalid = [];
+    const skipped = [];
+
+    for (const file of files) {
+      const ext = file.name.split('.').pop().toLowerCase();
+
+      if (ext === 'csv' || ext === 'txt') {
+        const result = this.addUrls(await file.text());
+        added += result.added;
+        invalid.push(...result.invalid);
+      } else if (BatchRunner.DOCUMENT_EXTENSIONS.includes(ext)) {
+        const duplicate = this.items.some(i => i.files[0]?.name === file.name && i.files[0]?.size === file.size);
+        if (duplicate) continue;
+        this.createItem({ files: [file], label: file.name.replace(/\.[^/.]+$/, '') });
+        added++;
+      } else {
+        skipped.push(file.name);
+      }
+    }
+
+    this.emit('queueChanged', this.getSummary());
+    return { added, invalid, skipped };
+  }
+
+  createItem({ url = null, files = [], label = '' }) {
+    const phases = {};
+    BatchRunner.PHASE_KEYS.forEach(key => { phases[key] = 'pending'; });
+
+    const item = {
+      id: this.nextId++,
+      label: label || url || files[0]?.name || 'Untitled venture',
+      url,
+      files,
+      status: 'queued', // queued, running, complete, partial, error, cancelled
+      phases,
+      errors: {},
+      error: null,
+      pipeline: null,
+      cacheKey: null,
+      startTime: null,
+      endTime: null
+    };
+
+    this.items.push(item);
+    return item;
+  }
+
+  removeItem(id) {
+    const item = this.getItem(id);
+    if (!item || item.status === 'running') return false;
+    this.items = this.items.filter(i => i.id !== id);
+    this.emit('queueChanged', this.getSummary());
+    return true;
+  }
+
+  clear() {
+    if (this.isRunning) return false;
+    this.items = [];
+    this.emit('queueChanged', this.getSummary());
+    return true;
+  }
+
+  getItem(id) {
+    return this.items.find(i => i.id === id) || null;
+  }
+
+  // ========== RUNNING ==========
+
+  /**
+   * Run all queued ventures with the configured concurrency limit
+   * @param {Object} options
+   * @param {string} options.advisorName - Advisor the assessments are cached under
+   * @param {string} options.portfolio - Optional portfolio / cohort
+   * @param {number} options.concurrency - Max ventures analyzed at once
+   */
+  async start({ advisorName, portfolio = '', concurrency } = {}) {
+    if (this.isRunning) {
+      throw new Error('Batch already in progress');
+    }
+    if (!advisorName || !advisorName.trim()) {
+      throw new Error('Advisor name is required for batch assessments');
+    }
+
+    const queued = this.items.filter(i => i.status === 'queued' || i.status === 'cancelled');
+    if (queued.length === 0) {
+      throw new Error('No ventures in the queue');
+    }
+    // The cache evicts oldest first, so a batch larger than it drops its own
+    // earliest results as later ones finish (see BatchView.startBatch)
+    if (queued.length > this.stateManager.maxCachedAssessments) {
+      Debug.warn(`[Batch] ${queued.length} ventures exceed the ${this.stateManager.maxCachedAssessments}-assessment cache`);
+    }
+    queued.forEach(item => this.resetItem(item));
+
+    this.advisorName = advisorName.trim();
+    this.portfolio = portfolio;
+    if (concurrency) {
+      this.concurrency = Math.max(1, Math.min(this.maxConcurrency, parseInt(concurrency) || 1));
+    }
+    this.isRunning = true;
+    this.cancelled = false;
+
+    this.emit('start', this.getSummary());
+    Debug.log(`[Batch] Starting ${queued.length} venture(s), concurrency ${this.concurrency}`);
+
+    const worker = async () => {
+      let item;
+      while (!this.cancelled && (item = this.items.find(i => i.status === 'queued'))) {
+        await this.runItem(item);
+      }
+    };
+
+    try {
+      const workerCount = Math.min(this.concurrency, queued.length);
+      await Promise.all(Array.from({ length: workerCount }, () => worker()));
+    } finally {
+      this.isRunning = false;
+    }
+
+    const summary = this.getSummary();
+    this.emit(this.cancelled ? 'cancelled' : 'complete', summary);
+    return summary;
+  }
+
+  /**
+   * Run one venture through a dedicated pipeline instance
+   */
+  async runItem(item) {
+    const pipeline = new AnalysisPipeline();
+    item.pipeline = pipeline;
+    item.status = 'running';
+    item.error = null;
+    item.startTime = Date.now();
+    item.endTime = null;
+
+    // Document uploads share the session's Stack AI upload slot, so only one
+    // venture may be in its company phase with files at a time
+    let releaseUpload = null;
+    if (item.files.length > 0) {
+      releaseUpload = await this.acquireUploadSlot();
+    }
+
+    this.bindPipeline(item, pipeline, () => {
+      if (releaseUpload) {
+        releaseUpload();
+        releaseUpload = null;
+      }
+    });
+    this.emit('itemUpdate', item);
+
+    try {
+      if (this.cancelled) {
+        item.status = 'cancelled';
+        return;
+      }
+      await pipeline.start({ url: item.url, files: item.files });
+      if (this.cancelled) {
+        item.status = 'cancelled';
+      } else {
+        this.refreshItemStatus(item);
+      }
+    } catch (error) {
+      if (this.cancelled || error.name === 'AbortError') {
+        item.status = 'cancelled';
+      } else {
+        item.status = 'error';
+        item.error = error.message || 'Analysis failed';
+        Debug.warn(`[Batch] ${item.label} failed:`, item.error);
+      }
+    } finally {
+      if (releaseUpload) releaseUpload();
+      item.endTime = Date.now();
+      this.cacheItem(item);
+      this.emit('itemUpdate', item);
+    }
+  }
+
+  /**
+   * Mirror pipeline events onto the batch item
+   */
+  bindPipeline(item, pipeline, onCompanyDone) {
+    pipeline.on('phaseStart', ({ phase }) => {
+      item.phases[phase] = 'active';
+      delete item.errors[phase];
+      this.emit('itemUpdate', item);
+    });
+
+    pipeline.on('phaseComplete', ({ phase, data }) => {
+      item.phases[phase] = 'complete';
+      if (phase === 'company') {
+        const companyData = data?.full || data;
+        item.label = companyData?.company_overview?.name || item.label;
+      }
+      this.cacheItem(item);
+      this.emit('itemUpdate', item);
+    });
+
+    pipeline.on('phaseError', ({ phase, error }) => {
+      item.phases[phase] = 'error';
+      item.errors[phase] = error;
+      if (phase === 'company') onCompanyDone();
+      this.emit('itemUpdate', item);
+    });
+
+    pipeline.on('phaseBlocked', ({ phase, error }) => {
+      item.phases[phase] = 'blocked';
+      item.errors[phase] = error;
+      this.emit('itemUpdate', item);
+    });
+
+    pipeline.on('overviewReady', () => onCompanyDone());
+  }
+
+  /**
+   * Serialize document uploads. Resolves with a release function once
+   * the previous holder has released its slot.
+   */
+  acquireUploadSlot() {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const ready = this.uploadQueue.then(() => release);
+    this.uploadQueue = this.uploadQueue.then(() => held);
+    return ready;
+  }
+
+  /**
+   * Retry a failed or blocked phase for one venture. A failed company phase
+   * re-runs the whole venture since every other phase depends on it.
+   * @param {number} id - Batch item ID
+   * @param {string} phaseKey - Phase to retry
+   */
+  async retryPhase(id, phaseKey) {
+    const item = this.getItem(id);
+    if (!item) throw new Error(`Unknown batch item: ${id}`);
+    if (!BatchRunner.isFailed(item.phases[phaseKey]) && item.status !== 'error') {
+      throw new Error(`${phaseKey} has not failed for ${item.label}`);
+    }
+
+    // A retry after a cancelled batch should still run
+    if (!this.isRunning) this.cancelled = false;
+
+    const pipeline = item.pipeline;
+    if (phaseKey === 'company' || !pipeline?.companyDescription) {
+      this.resetItem(item);
+      await this.runItem(item);
+      return;
+    }
+
+    item.status = 'running';
+    this.emit('itemUpdate', item);
+
+    try {
+      await this.retryPipelinePhases(item, [phaseKey]);
+    } finally {
+      this.refreshItemStatus(item);
+      this.cacheItem(item);
+      this.emit('itemUpdate', item);
+    }
+  }
+
+  /**
+   * Retry every failed phase of a venture in one pass, so phases they
+   * blocked run once all of their upstream phases succeed
+   */
+  async retryFailed(id) {
+    const item = this.getItem(id);
+    if (!item) return;
+
+    if (item.phases.company === 'error' || item.status === 'error' || !item.pipeline?.companyDescription) {
+      await this.retryPhase(id, 'company');
+      return;
+    }
+
+    const failed = BatchRunner.PHASE_KEYS.filter(key => BatchRunner.isFailed(item.phases[key]));
+    if (failed.length === 0) return;
+
+    if (!this.isRunning) this.cancelled = false;
+    item.status = 'running';
+    this.emit('itemUpdate', item);
+
+    try {
+      await this.retryPipelinePhases(item, failed);
+    } finally {
+      this.refreshItemStatus(item);
+      this.cacheItem(item);
+      this.emit('itemUpdate', item);
+    }
+  }
+
+  async retryPipelinePhases(item, keys) {
+    try {
+      const results = await item.pipeline.retryPhases(keys);
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          Debug.warn(`[Batch] Retry of ${keys[index]} failed for ${item.label}:`, result.reason?.message);
+        }
+      });
+    } catch (error) {
+      Debug.warn(`[Batch] Retry failed for ${item.label}:`, error.message);
+    }
+  }
+
+  cancel() {
+    if (!this.isRunning) return;
+    this.cancelled = true;
+    this.items.forEach(item => {
+      if (item.status === 'running') {
+        item.pipeline?.cancel();
+      } else if (item.status === 'queued') {
+        item.status = 'cancelled';
+        this.emit('itemUpdate', item);
+      }
+    });
+  }
+
+  resetItem(item) {
+    BatchRunner.PHASE_KEYS.forEach(key => { item.phases[key] = 'pending'; });
+    item.errors = {};
+    item.error = null;
+    item.status = 'queued';
+    item.pipeline = null;
+  }
+
+  refreshItemStatus(item) {
+    const statuses = BatchRunner.PHASE_KEYS.map(key => item.phases[key]);
+    if (statuses.includes('active')) {
+      item.status = 'running';
+    } else if (statuses.every(s => s === 'complete')) {
+      item.status = 'complete';
+    } else if (item.phases.company === 'complete') {
+      item.status = 'partial';
+    } else {
+      item.status = 'error';
+    }
+  }
+
+  /**
+   * Write the venture's current results to the assessment cache
+   */
+  cacheItem(item) {
+    const results = item.pipeline?.getResults();
+    if (!results?.company) return;
+
+    item.cacheKey = this.stateManager.cacheBatchAssessment({
+      url: item.url,
+      fileName: item.files.map(f => f.name).join(', ') || null,
+      advisorName: this.advisorName,
+      portfolio: this.portfolio,
+      ventureName: results.company.company_overview?.name || item.label,
+      aiData: results
+    });
+  }
+
+  /** Phase statuses that need a retry */
+  static isFailed(status) {
+    return status === 'error' || status === 'blocked';
+  }
+
+  getSummary() {
+    const count = (status) => this.items.filter(i => i.status === status).length;
+    return {
+      total: this.items.length,
+      queued: count('queued'),
+      running: count('running'),
+      complete: count('complete'),
+      partial: count('partial'),
+      error: count('error'),
+      cancelled: count('cancelled'),
+      isRunning: this.isRunning
+    };
+  }
+}
+
+window.BatchRunner = BatchRunner;
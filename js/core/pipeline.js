@@ -1,76 +1,32 @@
-// js/core/pipeline.js - Sequential analysis pipeline manager
+// js/core/pipeline.js - Analysis pipeline manager (dependency-graph scheduling)
 // V02.1: Updated to support file uploads and short company description
 
 class AnalysisPipeline {
   constructor() {
-    this.phases = [
-      {
-        name: 'Company Analysis',
-        key: 'company',
-        duration: 220,  // ~3.7 minutes (rubric-aligned solution_value extraction added in v3.3)
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      {
-        name: 'Researcher Aptitude',
-        key: 'team',
-        duration: 125,  // observed range 60-180s; mid-high estimate
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      {
-        name: 'Sector Funding Activity',
-        key: 'funding',
-        duration: 115,  // observed range 92-135s
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      {
-        name: 'Competitive Winnability',
-        key: 'competitive',
-        duration: 195,  // observed range 120-260s
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      {
-        name: 'Market Opportunity',
-        key: 'market',
-        duration: 140,  // observed range 84-180s
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      },
-      {
-        name: 'IP Landscape',
-        key: 'iprisk',
-        duration: 150,  // observed range 80-215s; mid-high estimate
-        status: 'pending',
-        startTime: null,
-        endTime: null,
-        data: null,
-        error: null
-      }
-    ];
+    // Phase list, order and default duration estimates come from the registry;
+    // calibrateDurations() replaces the estimates with observed run times
+    this.phases = PhaseRegistry.phases().map(entry => ({
+      name: entry.phaseName,
+      key: entry.key,
+      duration: entry.duration,
+      durationP90: Math.round(entry.duration * RunTimings.p90Factor),
+      status: 'pending',
+      startTime: null,
+      endTime: null,
+      data: null,
+      error: null,
+      controller: null  // Per-phase AbortController while running
+    }));
     
     this.startTime = null;
     this.abortController = null;
     this.companyUrl = null;
     this.companyFiles = [];
     this.companyDescription = null;  // Short description for other APIs
+    this.inputMode = 'url';          // 'url', 'file' or 'both' - keys the run time history
+    this.extractionReview = null;    // Optional hook to review the description before downstream phases
+    this.extractionEdits = null;     // { original, edited, editedAt } when the advisor changed it
+    this.sourceChecks = SourceVerifier.create();  // This run's source checks, by URL
     this.callbacks = {};
     this.isRunning = false;
     this.activePhases = new Set();
@@ -85,6 +41,16 @@ class AnalysisPipeline {
     this.callbacks[event] = callback;
   }
 
+  /**
+   * Pause after the company phase so the advisor can correct the extraction.
+   * The handler receives { description, sector, beachhead } and resolves with
+   * the edited values, or null to continue with the extraction as is.
+   * @param {Function|null} handler - Async review function; null disables the review
+   */
+  setExtractionReview(handler) {
+    this.extractionReview = handler;
+  }
+
   /**
    * Emit event to registered callback
    */
@@ -140,10 +106,14 @@ class AnalysisPipeline {
 
     this.companyFiles = hasFile ? fileArray : [];
     this.companyDescription = null;
+    this.extractionEdits = null;
+    this.inputMode = RunTimings.inputMode({ hasUrl, hasFile });
+    this.calibrateDurations();
     this.startTime = Date.now();
     this.abortController = new AbortController();
     this.isRunning = true;
     this.activePhases.clear();
+    this.sourceChecks = SourceVerifier.create();
 
     this.phases.forEach(phase => {
       phase.status = 'pending';
@@ -151,6 +121,7 @@ class AnalysisPipeline {
       phase.endTime = null;
       phase.data = null;
       phase.error = null;
+      phase.controller = null;
       delete phase.promise;
     });
 
@@ -161,49 +132,56 @@ class AnalysisPipeline {
     });
 
     try {
-      // Company analysis must complete first
-      await this.executePhase('company');
+      // Each phase starts as soon as the phases it depends on have completed
+      return await this.runPhaseGraph(this.phases.map(p => p.key));
 
-      // Emit event for UI to show overview
-      this.emit('overviewReady', {
-        phase: 'company',
-        data: this.phases.find(p => p.key === 'company')?.data
-      });
+    } catch (error) {
+      if (this.abortController && !this.abortController.signal.aborted) {
+        this.abortController.abort();
+      }
+      this.emit('error', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+      this.abortController = null;
+      this.activePhases.clear();
+    }
+  }
 
-      // v3: All 5 downstream analyses run in parallel (market no longer depends on competitive)
-      const parallelPhases = [
-        { key: 'team', promise: this.executePhase('team') },
-        { key: 'funding', promise: this.executePhase('funding') },
-        { key: 'competitive', promise: this.executePhase('competitive') },
-        { key: 'market', promise: this.executePhase('market') },
-        { key: 'iprisk', promise: this.executePhase('iprisk') }
-      ];
-
-      const parallelResults = await Promise.allSettled(parallelPhases.map(p => p.promise));
-
-      // Log results for debugging
-      parallelResults.forEach((result, index) => {
-        const phaseKey = parallelPhases[index].key;
-        if (result.status === 'rejected') {
-          Debug.log(`Phase ${phaseKey} failed:`, result.reason?.message || 'Unknown error');
-        }
-      });
+  /**
+   * Continue an interrupted analysis from a saved checkpoint.
+   * Checkpointed phases are restored as completed; only the pending or
+   * errored downstream phases are executed. Uploaded files are not needed
+   * since downstream phases only use the short company description.
+   *
+   * @param {Object} checkpoint - Saved pipeline state
+   * @param {string} checkpoint.url - Original company URL (null for document-only runs)
+   * @param {string} checkpoint.companyDescription - Short description from the company phase
+   * @param {Object} checkpoint.completedPhases - Phase key -> checkpointed phase data
+   * @param {string} checkpoint.inputMode - Input mode of the original run
+   * @param {Object} checkpoint.extractionEdits - Advisor edits to the company description, if any
+   */
+  async resume(checkpoint = {}) {
+    if (this.isRunning) {
+      throw new Error('Analysis already in progress');
+    }
 
-      const allSucceeded = this.phases.every(p => p.status === 'completed');
-      
-      if (allSucceeded) {
-        this.emit('allComplete', this.getResults());
-        this.emit('complete', this.getResults());
-      } else {
-        const failedPhases = this.phases.filter(p => p.status === 'error').map(p => p.key);
-        this.emit('partialComplete', {
-          results: this.getResults(),
-          failedPhases
-        });
-      }
-      
-      return this.getResults();
+    this.restore(checkpoint);
+    this.calibrateDurations();
+    this.startTime = Date.now();
+    this.abortController = new AbortController();
+    this.isRunning = true;
+
+    const remaining = this.phases.filter(p => p.status !== 'completed').map(p => p.key);
+
+    this.emit('start', {
+      url: this.companyUrl,
+      resumed: true,
+      remainingPhases: remaining
+    });
 
+    try {
+      return await this.runPhaseGraph(remaining);
     } catch (error) {
       if (this.abortController && !this.abortController.signal.aborted) {
         this.abortController.abort();
@@ -218,9 +196,225 @@ class AnalysisPipeline {
   }
 
   /**
-   * Run a single phase
+   * Load checkpointed results without running anything, so single phases
+   * can be retried or re-run on a restored session
+   * @param {Object} checkpoint - Same shape as resume()
+   */
+  restore({ url = null, companyDescription = null, completedPhases = {}, inputMode = null, extractionEdits = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('Analysis already in progress');
+    }
+
+    const companyData = completedPhases.company;
+    if (!companyData) {
+      throw new Error('Company analysis must be complete before continuing');
+    }
+
+    this.companyUrl = url;
+    this.companyFiles = [];
+    this.companyDescription = companyDescription || CompanyAPI.getShortDescription(companyData);
+    this.inputMode = inputMode || RunTimings.inputMode({ hasUrl: !!url, hasFile: !url });
+    this.extractionEdits = extractionEdits;
+    this.activePhases.clear();
+    this.sourceChecks = SourceVerifier.create();
+
+    this.phases.forEach(phase => {
+      const saved = completedPhases[phase.key];
+      // Checks saved with the restored phases aren't re-fetched
+      SourceVerifier.remember(this.sourceChecks, saved?.sourceCheck);
+      phase.status = saved ? 'completed' : 'pending';
+      phase.startTime = null;
+      phase.endTime = null;
+      phase.data = saved || null;
+      phase.error = null;
+      phase.controller = null;
+      delete phase.promise;
+    });
+  }
+
+  /**
+   * Run phases as a dependency graph, then emit complete or partialComplete.
+   * Nothing runs without the company phase, so its failure fails the run.
+   * @param {string[]} keys - Phase keys to execute
+   */
+  async runPhaseGraph(keys) {
+    const settled = await this.schedulePhases(keys);
+
+    // Log results for debugging
+    settled.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        Debug.log(`Phase ${keys[index]} failed:`, result.reason?.message || 'Unknown error');
+      }
+    });
+
+    const companyPhase = this.phases.find(p => p.key === 'company');
+    if (companyPhase?.status === 'error') {
+      throw companyPhase.error;
+    }
+
+    const allSucceeded = this.phases.every(p => p.status === 'completed');
+    
+    if (allSucceeded) {
+      this.emit('allComplete', this.getResults());
+      this.emit('complete', this.getResults());
+    } else {
+      const failedPhases = this.phases.filter(p => this.isFailedStatus(p.status)).map(p => p.key);
+      this.emit('partialComplete', {
+        results: this.getResults(),
+        failedPhases,
+        blockedPhases: this.phases.filter(p => p.status === 'blocked').map(p => p.key)
+      });
+    }
+    
+    return this.getResults();
+  }
+
+  /**
+   * Start each phase once its upstream phases (PhaseRegistry dependsOn) have
+   * completed. Upstream phases outside `keys` must already be completed or
+   * in flight. A phase whose upstream fails is marked blocked, not run.
+   * @param {string[]} keys - Phase keys to execute
+   * @returns {Promise<PromiseSettledResult[]>} One result per key
+   */
+  schedulePhases(keys) {
+    const scheduled = new Map();
+
+    const schedule = (key) => {
+      if (scheduled.has(key)) return scheduled.get(key);
+
+      const upstream = PhaseRegistry.get(key)?.dependsOn || [];
+      const waitFor = upstream.map(dep => {
+        const depPhase = this.phases.find(p => p.key === dep);
+        if (depPhase?.status === 'completed') return depPhase.data;
+        if (keys.includes(dep)) return schedule(dep);
+        if (depPhase?.promise) return depPhase.promise;
+        return Promise.reject(new Error(`${PhaseRegistry.label(dep)} has not completed`));
+      });
+
+      const promise = Promise.allSettled(waitFor).then(results => {
+        const failed = upstream.filter((dep, i) => results[i].status === 'rejected');
+        if (failed.length > 0) {
+          throw this.blockPhase(key, failed);
+        }
+        return this.executePhase(key);
+      }).then(async data => {
+        if (key === 'company') {
+          // Emit event for UI to show overview before downstream phases start
+          this.emit('overviewReady', { phase: 'company', data });
+          await this.reviewExtraction(data);
+        }
+        return data;
+      });
+
+      scheduled.set(key, promise);
+      return promise;
+    };
+
+    return Promise.allSettled(keys.map(schedule));
+  }
+
+  /**
+   * Hand the extracted description to the review hook, if one is set, and
+   * apply the advisor's edits before any downstream phase starts
+   * @param {Object} companyData - Company phase output
+   */
+  async reviewExtraction(companyData) {
+    if (!this.extractionReview) return;
+
+    const original = {
+      description: this.companyDescription,
+      ...CompanyAPI.getKeyFields(companyData)
+    };
+    const edited = await this.untilAborted(
+      Promise.resolve(this.extractionReview({ ...original })),
+      this.abortController?.signal
+    );
+    if (!edited) return;
+
+    const fields = {
+      description: (edited.description ?? original.description).trim() || original.description,
+      sector: (edited.sector ?? original.sector).trim(),
+      beachhead: (edited.beachhead ?? original.beachhead).trim()
+    };
+    const changed = Object.keys(fields).some(field => fields[field] !== original[field]);
+    if (!changed) return;
+
+    this.extractionEdits = { original, edited: fields, editedAt: new Date().toISOString() };
+    this.companyDescription = CompanyAPI.applyKeyFieldEdits(fields.description, fields, original);
+    CompanyAPI.applyKeyFieldsToData(companyData, fields);
+    console.log('[Pipeline] Company description edited by advisor, length:', this.companyDescription.length);
+    this.emit('extractionEdited', { edits: this.extractionEdits, data: companyData });
+  }
+
+  /**
+   * Settle with `promise`, or reject as soon as the run is cancelled
+   * @param {Promise} promise
+   * @param {AbortSignal} signal - The run's abort signal
+   */
+  untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        reject(error);
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /** Statuses that end a phase without results and can be retried */
+  isFailedStatus(status) {
+    return status === 'error' || status === 'blocked' || status === 'cancelled';
+  }
+
+  /**
+   * Mark a phase blocked by failed upstream phases
+   * @returns {Error} The blocking error stored on the phase
+   */
+  blockPhase(key, failedUpstream) {
+    const phase = this.phases.find(p => p.key === key);
+    const labels = failedUpstream.map(dep => PhaseRegistry.label(dep)).join(', ');
+    const error = new Error(`Blocked: ${labels} failed`);
+
+    phase.status = 'blocked';
+    phase.error = error;
+    phase.data = null;
+    phase.endTime = Date.now();
+
+    this.emit('phaseBlocked', {
+      phase: key,
+      name: phase.name,
+      blockedBy: failedUpstream,
+      error: error.message
+    });
+
+    return error;
+  }
+
+  /**
+   * Outputs of a phase's upstream phases, keyed by phase key
+   */
+  getPhaseInputs(key) {
+    const inputs = {};
+    (PhaseRegistry.get(key)?.dependsOn || []).forEach(dep => {
+      inputs[dep] = this.phases.find(p => p.key === dep)?.data || null;
+    });
+    return inputs;
+  }
+
+  /**
+   * Run a single phase. A phase that already has results is a re-run: its
+   * previous results stay in place unless the new run succeeds.
+   * @param {string} key - Phase key
+   * @param {Object|null} extraInputs - Passed to the phase API with the upstream results
    */
-  executePhase(key) {
+  executePhase(key, extraInputs = null) {
     const phase = this.phases.find(p => p.key === key);
     if (!phase) {
       return Promise.reject(new Error(`Unknown phase: ${key}`));
@@ -230,55 +424,71 @@ class AnalysisPipeline {
       return phase.promise;
     }
 
+    const previous = phase.data ? { data: phase.data, startTime: phase.startTime, endTime: phase.endTime } : null;
+    const controller = this.createPhaseController();
+
     phase.status = 'active';
     phase.startTime = Date.now();
     phase.endTime = null;
     phase.error = null;
+    phase.controller = controller;
     this.activePhases.add(key);
 
     this.emit('phaseStart', {
       phase: phase.key,
       name: phase.name,
-      estimatedDuration: phase.duration
+      estimatedDuration: phase.duration,
+      rerun: !!previous
     });
 
+    const entry = PhaseRegistry.get(phase.key);
     const callPhaseApi = async () => {
-      switch (phase.key) {
-        case 'company':    return this.runCompanyAnalysis();
-        case 'team':       return this.runTeamAnalysis();
-        case 'competitive':return this.runCompetitiveAnalysis();
-        case 'funding':    return this.runFundingAnalysis();
-        case 'market':     return this.runMarketAnalysis();
-        case 'iprisk':     return this.runIpRiskAnalysis();
-        default:           throw new Error(`Unknown phase: ${phase.key}`);
-      }
+      if (!entry?.api) throw new Error(`Unknown phase: ${phase.key}`);
+      return entry.input === 'venture'
+        ? this.runCompanyAnalysis(controller.signal)
+        : this.runDescriptionAnalysis(entry, { ...this.getPhaseInputs(phase.key), ...extraInputs }, controller.signal);
     };
 
+    const policy = RetryPolicy.forPhase(phase.key);
+    let attempt = 1;
+
     const runPhase = async () => {
       try {
         let result;
-        try {
-          result = await callPhaseApi();
-        } catch (firstError) {
-          // Auto-retry once if the error is a token/context limit issue
-          if (this._isTokenLimitError(firstError)) {
-            Debug.log(`[Pipeline] Token limit error in ${phase.key}, auto-retrying...`);
+        for (;;) {
+          try {
+            result = await callPhaseApi();
+            break;
+          } catch (error) {
+            // Cancellation is never retried
+            if (controller.signal.aborted || !RetryPolicy.shouldRetry(policy, error, attempt)) {
+              throw error;
+            }
+
+            const reason = RetryPolicy.classify(error);
+            const delayMs = RetryPolicy.delay(policy, attempt);
+            attempt++;
+            Debug.log(`[Pipeline] ${reason} error in ${phase.key}, retrying in ${delayMs}ms (attempt ${attempt} of ${policy.maxAttempts})`);
             this.emit('phaseAutoRetry', {
               phase: phase.key,
-              name: phase.name
+              name: phase.name,
+              rerun: !!previous,
+              attempt,
+              maxAttempts: policy.maxAttempts,
+              reason,
+              error: error.message,
+              delayMs
             });
-            // Brief delay before retry — the AI search tools typically return
-            // different (shorter) results on the second attempt
-            await new Promise(r => setTimeout(r, 3000));
-            result = await callPhaseApi();
-          } else {
-            throw firstError;
+            await this.waitForRetry(delayMs, controller.signal);
           }
         }
 
+        this.checkOutputSchema(phase.key, result);
+
         phase.data = result;
         phase.status = 'completed';
         phase.endTime = Date.now();
+        RunTimings.record(phase.key, this.inputMode, (phase.endTime - phase.startTime) / 1000);
 
         this.emit('phaseComplete', {
           phase: phase.key,
@@ -288,28 +498,64 @@ class AnalysisPipeline {
           completedCount: this.getCompletedCount(),
           totalCount: this.phases.length
         });
+        this.verifySources(phase, result);
 
         return result;
       } catch (error) {
-        phase.status = 'error';
-        phase.error = error;
+        // The pipeline was reset while this run was in flight
+        if (phase.controller !== controller) throw error;
+
         phase.endTime = Date.now();
 
+        // Cancelled on its own, rather than as part of cancelling the whole run
+        const cancelled = controller.signal.aborted && !this.abortController?.signal.aborted;
+
+        // Re-run failed: keep the previous results
+        if (previous) {
+          Object.assign(phase, previous, { status: 'completed', error: null });
+          this.emit('phaseRerunFailed', {
+            phase: phase.key,
+            name: phase.name,
+            error: cancelled ? 'Re-run cancelled' : error.message,
+            cancelled
+          });
+          throw error;
+        }
+
+        phase.error = error;
+
+        if (cancelled) {
+          phase.status = 'cancelled';
+          this.emit('phaseCancelled', {
+            phase: phase.key,
+            name: phase.name,
+            canRetry: true
+          });
+          throw error;
+        }
+
+        phase.status = 'error';
+
         // Replace raw token limit errors with a user-friendly message
-        const friendlyMessage = this._isTokenLimitError(error)
+        let friendlyMessage = RetryPolicy.classifiers.tokenLimit(error)
           ? `${phase.name} failed: the website content was too large to process. Click Retry to try again.`
           : error.message;
+        if (attempt > 1) {
+          friendlyMessage += ` (after ${attempt} attempts)`;
+        }
 
         this.emit('phaseError', {
           phase: phase.key,
           name: phase.name,
           error: friendlyMessage,
+          attempts: attempt,
           canRetry: true
         });
 
         throw error;
       } finally {
         this.activePhases.delete(key);
+        if (phase.controller === controller) phase.controller = null;
         delete phase.promise;
       }
     };
@@ -333,49 +579,89 @@ class AnalysisPipeline {
   }
 
   async retryPhase(key) {
-    const phase = this.phases.find(p => p.key === key);
-    if (!phase) {
-      throw new Error(`Unknown phase: ${key}`);
-    }
-    
-    if (phase.status !== 'error') {
-      throw new Error(`Phase ${key} is not in error state`);
+    const [result] = await this.retryPhases([key]);
+    if (result.status === 'rejected') {
+      throw result.reason;
     }
+    return result.value;
+  }
+
+  /**
+   * Re-run failed or blocked phases. Phases they had blocked are
+   * re-scheduled with them and run once their upstream succeeds.
+   * @param {string[]} keys - Phase keys to retry
+   * @returns {Promise<PromiseSettledResult[]>} One result per requested key
+   */
+  async retryPhases(keys) {
+    keys.forEach(key => {
+      const phase = this.phases.find(p => p.key === key);
+      if (!phase) {
+        throw new Error(`Unknown phase: ${key}`);
+      }
+      if (!this.isFailedStatus(phase.status)) {
+        throw new Error(`Phase ${key} is not in error state`);
+      }
+    });
     
     if (!this.abortController) {
       this.abortController = new AbortController();
     }
-    
-    phase.status = 'pending';
-    phase.error = null;
-    delete phase.promise;
-    
-    return this.executePhase(key);
+
+    const toRun = [...keys];
+    for (let i = 0; i < toRun.length; i++) {
+      PhaseRegistry.dependentsOf(toRun[i]).forEach(dep => {
+        if (!toRun.includes(dep) && this.getPhaseStatus(dep) === 'blocked') toRun.push(dep);
+      });
+    }
+
+    toRun.forEach(key => {
+      const phase = this.phases.find(p => p.key === key);
+      phase.status = 'pending';
+      phase.error = null;
+      delete phase.promise;
+    });
+
+    const settled = await this.schedulePhases(toRun);
+    return settled.slice(0, keys.length);
   }
 
   /**
-   * Check if an error is a token/context length limit error from the LLM.
-   * These are transient — retrying often succeeds because web search tools
-   * return different (shorter) content on each attempt.
-   * @param {Error} error
-   * @returns {boolean}
+   * Wait between retry attempts; rejects straight away if the phase is cancelled
+   * @param {number} ms - Delay from RetryPolicy.delay()
+   * @param {AbortSignal} signal - The phase's abort signal
    */
-  _isTokenLimitError(error) {
-    if (!error || !error.message) return false;
-    const msg = error.message.toLowerCase();
-    return (msg.includes('token') && (msg.includes('limit') || msg.includes('exceed')))
-        || msg.includes('context_length_exceeded')
-        || msg.includes('context length')
-        || (msg.includes('input') && msg.includes('too long'));
+  waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const cancelled = () => {
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        return error;
+      };
+      if (signal?.aborted) {
+        reject(cancelled());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
    * Run company analysis - handles URL, file, or both
+   * @param {AbortSignal} signal - The phase's abort signal
    */
-  async runCompanyAnalysis() {
+  async runCompanyAnalysis(signal) {
     const response = await CompanyAPI.analyze(
       { url: this.companyUrl, files: this.companyFiles },
-      this.abortController.signal
+      signal
     );
     
     // Response now contains { full, short }
@@ -385,8 +671,9 @@ class AnalysisPipeline {
       throw new Error(`Invalid company data: ${validation.error}`);
     }
     
-    // Store short description for other APIs
+    // Store short description for other APIs; earlier edits applied to the previous extraction
     this.companyDescription = CompanyAPI.getShortDescription(response);
+    this.extractionEdits = null;
     
     console.log('[Pipeline] Company analysis complete, short description length:', this.companyDescription?.length);
     
@@ -394,176 +681,226 @@ class AnalysisPipeline {
   }
 
   /**
-   * Run team analysis - now uses company description
+   * Run a downstream phase from its registry entry - uses short company description
+   * @param {Object} entry - PhaseRegistry entry
+   * @param {Object} inputs - Upstream phase outputs keyed by phase key
+   * @param {AbortSignal} signal - The phase's abort signal
    */
-  async runTeamAnalysis() {
+  async runDescriptionAnalysis(entry, inputs = {}, signal = null) {
     if (!this.companyDescription) {
       throw new Error('Company description not available');
     }
 
-    const response = await TeamAPI.analyze(
+    const api = window[entry.api];
+    if (!api) {
+      throw new Error(`API module not loaded: ${entry.api}`);
+    }
+
+    const response = await api.analyze(
       this.companyDescription,
-      this.abortController.signal
+      signal,
+      inputs
     );
 
-    const validation = Validators.validateTeam(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid team data: ${validation.error}`);
+    if (entry.validator) {
+      const validation = Validators[entry.validator](response);
+      if (!validation.valid) {
+        throw new Error(`Invalid ${entry.key} data: ${validation.error}`);
+      }
     }
 
     return response;
   }
 
   /**
-   * Run funding analysis - uses short company description
+   * Check the phase's cited sources in the background, after phaseComplete, so slow
+   * or failing checks never hold up the run. The summary is stored on the result as
+   * sourceCheck and announced with sourcesChecked.
+   * @param {Object} phase - Pipeline phase
+   * @param {Object} result - The phase's result
    */
-  async runFundingAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
+  verifySources(phase, result) {
+    if (!result || typeof result !== 'object') return;
+
+    SourceVerifier.verifyPhase(this.sourceChecks, phase.key, result)
+      .then(summary => {
+        // Re-run or reset while the checks were in flight
+        if (phase.data !== result) return;
+        result.sourceCheck = summary;
+        if (summary.unverifiable > 0) {
+          Debug.warn(`[Pipeline] ${phase.key} cites ${summary.unverifiable} unverifiable source(s)`);
+        }
+        this.emit('sourcesChecked', { phase: phase.key, data: result, summary });
+      })
+      .catch(error => Debug.warn(`[Pipeline] Source check failed for ${phase.key}:`, error.message));
+  }
 
-    const response = await FundingAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
+  /**
+   * Check the phase's workflow output against its schemas. Violations don't fail
+   * the phase: the API module has already filled defaults, so they are stored on
+   * the result as schemaWarnings (registry key -> violations) for the tabs to flag.
+   * @param {string} key - Phase key
+   * @param {Object} result - API module result, carrying rawOutput
+   */
+  checkOutputSchema(key, result) {
+    if (!result || typeof result !== 'object' || !result.rawOutput) return;
 
-    const validation = Validators.validateFunding(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid funding data: ${validation.error}`);
-    }
+    const warnings = OutputSchemas.validatePhase(key, result.rawOutput);
+    result.schemaWarnings = warnings;
 
-    return response;
+    Object.entries(warnings).forEach(([entryKey, violations]) => {
+      if (violations.length === 0) return;
+      Debug.warn(`[Pipeline] ${entryKey} output has ${violations.length} schema violation(s):`,
+        violations.map(v => `${v.path}: ${v.message}`).join('; '));
+    });
   }
 
   /**
-   * Run competitive analysis - uses short company description
+   * Abort controller for one phase run. Aborting the run-level controller
+   * (cancel()) aborts every phase; cancelPhase() aborts only its own.
    */
-  async runCompetitiveAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
-    }
-
-    const response = await CompetitiveAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
-    
-    const validation = Validators.validateCompetitive(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid competitive data: ${validation.error}`);
+  createPhaseController() {
+    const controller = new AbortController();
+    const runSignal = this.abortController?.signal;
+    if (runSignal?.aborted) {
+      controller.abort();
+    } else if (runSignal) {
+      runSignal.addEventListener('abort', () => controller.abort(), { once: true });
     }
-    
-    return response;
+    return controller;
   }
 
   /**
-   * Run market analysis - v3: uses only company description (no competitive dependency)
+   * Cancel the analysis
    */
-  async runMarketAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
+  cancel() {
+    if (this.abortController) {
+      const activeKeys = Array.from(this.activePhases);
+      this.abortController.abort();
+      this.emit('cancelled', {
+        phase: activeKeys.length > 0 ? activeKeys[0] : null,
+        phases: activeKeys
+      });
     }
+  }
 
-    const response = await MarketAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
+  /**
+   * Cancel one running phase, leaving the others running. Its dependents
+   * are blocked; a cancelled re-run keeps the previous results.
+   * @returns {boolean} Whether a running phase was cancelled
+   */
+  cancelPhase(key) {
+    const phase = this.phases.find(p => p.key === key);
+    if (phase?.status !== 'active' || !phase.controller) return false;
+    phase.controller.abort();
+    return true;
+  }
 
-    const validation = Validators.validateMarket(response);
-    if (!validation.valid) {
-      throw new Error(`Invalid market data: ${validation.error}`);
+  /**
+   * Run a completed phase again with the current inputs. Its previous
+   * results stay in place until the new run succeeds. Phases that depend
+   * on it are not re-run.
+   * @param {string} key - Phase key
+   * @param {Object|null} extraInputs - For this run only, e.g. the team roster
+   */
+  async rerunPhase(key, extraInputs = null) {
+    const blocker = this.getRerunBlocker(key);
+    if (blocker) {
+      throw new Error(blocker);
     }
-
-    return response;
+    if (this.getPhaseStatus(key) !== 'completed') {
+      if (extraInputs) throw new Error(`${PhaseRegistry.label(key)} has no results to re-run`);
+      return this.retryPhase(key);
+    }
+    return this.executePhase(key, extraInputs);
   }
 
   /**
-   * Run IP risk analysis - uses short company description
+   * Why a phase cannot be re-run right now
+   * @returns {string|null} Reason, or null if it can
    */
-  async runIpRiskAnalysis() {
-    if (!this.companyDescription) {
-      throw new Error('Company description not available');
+  getRerunBlocker(key) {
+    const phase = this.phases.find(p => p.key === key);
+    if (!phase) return `Unknown phase: ${key}`;
+    if (phase.status === 'active') return `${phase.name} is already running`;
+
+    const entry = PhaseRegistry.get(key);
+    if (entry.input === 'venture' && !this.companyUrl && this.companyFiles.length === 0) {
+      return `${phase.name} needs the original URL or documents to re-run`;
+    }
+    if (entry.input === 'description' && !this.companyDescription) {
+      return 'Company description not available';
     }
+    return null;
+  }
 
-    const response = await IPRiskAPI.analyze(
-      this.companyDescription,
-      this.abortController.signal
-    );
+  /**
+   * Replace duration estimates with observed p50/p90 run times for this input mode
+   */
+  calibrateDurations() {
+    this.phases.forEach(phase => {
+      const entry = PhaseRegistry.get(phase.key);
+      const estimate = RunTimings.estimate(phase.key, this.inputMode, entry.duration);
+      phase.duration = estimate.p50;
+      phase.durationP90 = estimate.p90;
+    });
+  }
 
-    return response;
+  /**
+   * Longest chain of phase time through the dependency graph
+   * @param {Function} secondsFor - phase => seconds that phase contributes
+   */
+  criticalPath(secondsFor) {
+    const finishTimes = {};
+    const finish = (key) => {
+      if (key in finishTimes) return finishTimes[key];
+      const phase = this.phases.find(p => p.key === key);
+      const upstream = (PhaseRegistry.get(key)?.dependsOn || [])
+        .filter(dep => this.phases.some(p => p.key === dep));
+      finishTimes[key] = (phase ? secondsFor(phase) : 0) + Math.max(0, ...upstream.map(finish));
+      return finishTimes[key];
+    };
+    return Math.max(0, ...this.phases.map(p => finish(p.key)));
   }
 
   /**
-   * Cancel the analysis
+   * Expected full run time from the current estimates
+   * @returns {{p50: number, p90: number}} Seconds
    */
-  cancel() {
-    if (this.abortController) {
-      this.abortController.abort();
-      const activeKeys = Array.from(this.activePhases);
-      this.emit('cancelled', {
-        phase: activeKeys.length > 0 ? activeKeys[0] : null
-      });
-    }
+  getExpectedDuration() {
+    return {
+      p50: this.criticalPath(p => p.duration),
+      p90: this.criticalPath(p => p.durationP90)
+    };
   }
 
   /**
    * Get current progress
-   * v3: Two phases — company (sequential) then all 5 in parallel
+   * Estimates the finish time from the longest remaining dependency chain.
+   * A running phase counts down from its p50 estimate, then from its p90
+   * once it has run past the typical time.
    */
   getProgress() {
-    const companyDuration = this.phases.find(p => p.key === 'company')?.duration || 150;
-    const parallelPhaseKeys = ['team', 'funding', 'competitive', 'market', 'iprisk'];
-    const maxParallelDuration = Math.max(
-      ...parallelPhaseKeys.map(k => this.phases.find(p => p.key === k)?.duration || 60)
-    );
-
-    const effectiveTotalDuration = companyDuration + maxParallelDuration;
-
     const now = Date.now();
     const elapsed = this.startTime ? (now - this.startTime) / 1000 : 0;
 
-    const companyPhase = this.phases.find(p => p.key === 'company');
-
-    let progressContribution = 0;
-
-    if (companyPhase.status === 'completed') {
-      progressContribution += companyDuration;
-    } else if (companyPhase.status === 'active' && companyPhase.startTime) {
-      const phaseElapsed = (now - companyPhase.startTime) / 1000;
-      progressContribution += Math.min(phaseElapsed, companyDuration);
-    }
-
-    if (companyPhase.status === 'completed') {
-      const allParallelDone = parallelPhaseKeys.every(k => {
-        const p = this.phases.find(ph => ph.key === k);
-        return p.status === 'completed' || p.status === 'error';
-      });
-
-      if (allParallelDone) {
-        progressContribution += maxParallelDuration;
-      } else {
-        // Estimate based on longest active parallel phase
-        let maxParallelElapsed = 0;
-        for (const k of parallelPhaseKeys) {
-          const p = this.phases.find(ph => ph.key === k);
-          if (p.status === 'active' && p.startTime) {
-            maxParallelElapsed = Math.max(maxParallelElapsed, (now - p.startTime) / 1000);
-          } else if (p.status === 'completed' || p.status === 'error') {
-            maxParallelElapsed = Math.max(maxParallelElapsed, maxParallelDuration * 0.5);
-          }
-        }
-        progressContribution += Math.min(maxParallelElapsed, maxParallelDuration);
-      }
-    }
+    const remaining = this.criticalPath(phase => {
+      if (phase.status === 'pending') return phase.duration;
+      if (phase.status !== 'active' || !phase.startTime) return 0;
+      const ran = (now - phase.startTime) / 1000;
+      return ran < phase.duration
+        ? phase.duration - ran
+        : Math.max(0, phase.durationP90 - ran);
+    });
+    const effectiveTotalDuration = elapsed + remaining;
 
     const allCompleted = this.phases.every(phase =>
-      phase.status === 'completed' || phase.status === 'error'
+      phase.status === 'completed' || this.isFailedStatus(phase.status)
     );
     const percentage = allCompleted
       ? 100
-      : Math.min(95, (progressContribution / effectiveTotalDuration) * 100);
+      : effectiveTotalDuration > 0 ? Math.min(95, (elapsed / effectiveTotalDuration) * 100) : 0;
 
-    const remaining = Math.max(0, effectiveTotalDuration - elapsed);
     const activeNames = Array.from(this.activePhases)
       .map(key => this.phases.find(phase => phase.key === key)?.name)
       .filter(Boolean);
@@ -585,17 +922,17 @@ class AnalysisPipeline {
   getResults() {
     const companyData = this.phases.find(p => p.key === 'company')?.data;
     
-    return {
+    const results = {
       // Return full company output for display
-      company: companyData?.full || companyData || null,
-      team: this.phases.find(p => p.key === 'team')?.data || null,
-      funding: this.phases.find(p => p.key === 'funding')?.data || null,
-      competitive: this.phases.find(p => p.key === 'competitive')?.data || null,
-      market: this.phases.find(p => p.key === 'market')?.data || null,
-      iprisk: this.phases.find(p => p.key === 'iprisk')?.data || null,
-      companyDescription: this.companyDescription,
-      duration: (Date.now() - this.startTime) / 1000
+      company: companyData?.full || companyData || null
     };
+    this.phases.forEach(phase => {
+      if (phase.key !== 'company') results[phase.key] = phase.data || null;
+    });
+    results.companyDescription = this.companyDescription;
+    results.extractionEdits = this.extractionEdits;
+    results.duration = (Date.now() - this.startTime) / 1000;
+    return results;
   }
 
   isComplete() {
@@ -611,14 +948,18 @@ class AnalysisPipeline {
     if (this.abortController) {
       this.abortController.abort();
     }
+    // Re-runs started outside a run have no run-level controller
+    this.phases.forEach(phase => phase.controller?.abort());
     
     this.startTime = null;
     this.abortController = null;
     this.companyUrl = null;
     this.companyFiles = [];
     this.companyDescription = null;
+    this.extractionEdits = null;
     this.isRunning = false;
     this.activePhases.clear();
+    this.sourceChecks = SourceVerifier.create();
 
     this.phases.forEach(phase => {
       phase.status = 'pending';
@@ -626,6 +967,7 @@ class AnalysisPipeline {
       phase.endTime = null;
       phase.data = null;
       phase.error = null;
+      phase.controller = null;
       delete phase.promise;
     });
   }
@@ -12,18 +12,29 @@ class StateManager {
   constructor() {
     this.storageKey = 'noblereach_qa_state';
     this.assessmentCacheKey = 'noblereach_assessments';
+    this.maxCachedAssessments = 100;  // Room for an 80-venture batch plus recent single assessments
     this.version = '2.1'; // Bumped for new assessment caching
     this.storageAvailable = true;
     this._storageHealthy = true;
     this._lastStorageWarningTime = 0;
   }
 
+  /**
+   * Advisor work on the result tabs, saved per assessment:
+   * ftoWorksheet (IP), marketSizing (Market), investorOutreach (Funding),
+   * teamGaps and teamRoster (Team). Shapes are listed in createEmptyState.
+   */
+  static get ADVISOR_ARTIFACTS() {
+    return ['ftoWorksheet', 'marketSizing', 'investorOutreach', 'teamGaps', 'teamRoster'];
+  }
+
   init() {
     console.log('StateManager initialized');
     this.checkStorageAvailability();
     // Migrate old data if needed
     if (this.storageAvailable) {
       this.migrateIfNeeded();
+      this.migrateAssessmentKeys();
     }
   }
 
@@ -68,6 +79,72 @@ class StateManager {
     }
   }
 
+  /**
+   * Persist what the pipeline needs to continue an interrupted run.
+   * Merged into any inputs already saved, so the company description
+   * can be added once the company phase completes.
+   * @param {Object} inputs - { url, fileNames, companyDescription }
+   */
+  savePipelineInputs(inputs) {
+    if (!this.storageAvailable) return;
+    const state = this.getState() || this.createEmptyState();
+    state.pipelineInputs = { ...(state.pipelineInputs || {}), ...inputs };
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getPipelineInputs() {
+    const state = this.getState();
+    return state?.pipelineInputs || null;
+  }
+
+  /**
+   * Save the advisor's edits to the extracted company description
+   * @param {Object|null} edits - { original, edited, editedAt } or null if unedited
+   */
+  saveExtractionEdits(edits) {
+    if (!this.storageAvailable) return;
+    const state = this.getState() || this.createEmptyState();
+    state.extractionEdits = edits || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getExtractionEdits() {
+    const state = this.getState();
+    return state?.extractionEdits || null;
+  }
+
+  /**
+   * Save one of the advisor's working artifacts from the result tabs (see ADVISOR_ARTIFACTS).
+   * They are kept with the session state and copied into the cached assessment.
+   * @param {string} key - Artifact key
+   * @param {Object|null} value - The artifact, or null to clear it
+   */
+  saveAdvisorArtifact(key, value) {
+    if (!StateManager.ADVISOR_ARTIFACTS.includes(key)) {
+      throw new Error(`Unknown advisor artifact: ${key}`);
+    }
+    if (!this.storageAvailable) return;
+    const state = this.getState() || this.createEmptyState();
+    state[key] = value || null;
+    state.timestamp = Date.now();
+    this.saveState(state);
+  }
+
+  getAdvisorArtifact(key) {
+    const state = this.getState();
+    return state?.[key] || null;
+  }
+
+  /**
+   * Every advisor artifact from a state or cached assessment, null where missing
+   * @param {Object|null} source
+   */
+  pickAdvisorArtifacts(source) {
+    return Object.fromEntries(StateManager.ADVISOR_ARTIFACTS.map(key => [key, source?.[key] || null]));
+  }
+
   hasIncompleteAnalysis() {
     const state = this.getState();
     if (!state) return false;
@@ -75,8 +152,9 @@ class StateManager {
     // Check if status is in_progress and has some completed phases
     if (state.status !== 'in_progress') return false;
     
-    const completedCount = Object.keys(state.completedPhases || {}).length;
-    return completedCount > 0 && completedCount < 6;
+    const phases = PhaseRegistry.phaseKeys();
+    const completedCount = phases.filter(phase => state.completedPhases?.[phase]).length;
+    return completedCount > 0 && completedCount < phases.length;
   }
 
   getState() {
@@ -144,6 +222,13 @@ class StateManager {
       status: 'idle',
       companyInput: null,
       completedPhases: {},
+      pipelineInputs: null,     // { url, fileNames, companyDescription } for continuing a run
+      extractionEdits: null,    // { original, edited, editedAt } advisor edits to the company description
+      ftoWorksheet: null,       // { rows, updatedAt } advisor FTO review of blocking patents (IP tab)
+      marketSizing: null,       // { assumptions, updatedAt } advisor SAM/SOM assumptions (Market tab)
+      investorOutreach: null,   // { rows, updatedAt } investors to approach, with contact marks (Funding tab)
+      teamGaps: null,           // { stage, companyStage, rows, updatedAt } roles for the stage, with candidates (Team tab)
+      teamRoster: null,         // { members, aiOriginal, submitted, aiCorrected, edited, updatedAt } advisor roster (Team tab)
       userScores: {},
       scaName: null,
       smartsheetRowId: null,
@@ -350,6 +435,9 @@ class StateManager {
     return {
       companyInput: state.companyInput,
       completedPhases: state.completedPhases || {},
+      pipelineInputs: state.pipelineInputs || null,
+      extractionEdits: state.extractionEdits || null,
+      ...this.pickAdvisorArtifacts(state),
       userScores: state.userScores || {},
       finalRecommendation: state.finalRecommendation || '',
       customVentureName: state.customVentureName || null,
@@ -394,12 +482,14 @@ class StateManager {
    * @returns {string} Unique key
    */
   generateAssessmentKey(url, advisorName, fileName = null) {
-    // Normalize URL to domain
+    // Normalize URL to domain, plus path and query when there is one, so
+    // tech-transfer pages on one site (uni.edu/tech/123, uni.edu/tech/456) don't collide
     let identifier = '';
     if (url) {
       try {
         const parsed = new URL(url.startsWith('http') ? url : `https://${url}`);
-        identifier = parsed.hostname.replace('www.', '');
+        const page = `${parsed.pathname}${parsed.search}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        identifier = parsed.hostname.replace('www.', '') + (page ? `-${page}` : '');
       } catch {
         identifier = url.toLowerCase().replace(/[^a-z0-9]/g, '');
       }
@@ -444,16 +534,11 @@ class StateManager {
         companyInput: state.companyInput,
         smartsheetRowId: state.smartsheetRowId,
         userScores: state.userScores,
-        aiData: {
-          company: data.company || null,
-          team: data.team || null,
-          funding: data.funding || null,
-          competitive: data.competitive || null,
-          market: data.market || null,
-          iprisk: data.iprisk || null
-        },
+        aiData: this.phaseData(data),
         ventureName: data.ventureName || this.extractVentureName(data),
         advisorName: state.scaName || state.companyInput?.scaName || 'Unknown',
+        extractionEdits: state.extractionEdits || null,
+        ...this.pickAdvisorArtifacts(state),
         // Venture-level advisor decisions
         finalRecommendation: state.finalRecommendation || '',
         ecosystemNotes: state.ecosystemNotes || '',
@@ -462,26 +547,87 @@ class StateManager {
         dualUse: !!state.dualUse
       };
 
-      // Store in cache (keyed by assessment key)
-      cache[state.assessmentKey] = cachedAssessment;
-      
-      // Keep only last 50 assessments to avoid localStorage limits
-      const keys = Object.keys(cache);
-      if (keys.length > 50) {
-        // Remove oldest entries
-        const sorted = keys.sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
-        for (let i = 0; i < keys.length - 50; i++) {
-          delete cache[sorted[i]];
-        }
-      }
-
-      this.saveAssessmentCache(cache);
+      this.storeCachedAssessment(cache, cachedAssessment);
       console.log('Assessment cached:', state.assessmentKey);
     } catch (error) {
       console.error('Error caching assessment:', error);
     }
   }
 
+  /**
+   * Cache an assessment produced outside the current session (batch mode).
+   * Does not read or modify the current session state.
+   * @param {Object} entry - { url, fileName, advisorName, portfolio, aiData, ventureName }
+   * @returns {string|null} The assessment key used, or null on failure
+   */
+  cacheBatchAssessment(entry) {
+    try {
+      const key = this.generateAssessmentKey(entry.url, entry.advisorName, entry.fileName);
+      const cache = this.getAssessmentCache();
+      const existing = cache[key];
+
+      const cachedAssessment = {
+        key,
+        timestamp: Date.now(),
+        companyInput: {
+          url: entry.url || 'Document Upload',
+          scaName: entry.advisorName,
+          fileName: entry.fileName || null
+        },
+        portfolio: entry.portfolio || '',
+        smartsheetRowId: existing?.smartsheetRowId || null,
+        userScores: existing?.userScores || {},
+        aiData: this.phaseData(entry.aiData),
+        ventureName: entry.ventureName || 'Unknown Venture',
+        advisorName: entry.advisorName || 'Unknown',
+        finalRecommendation: existing?.finalRecommendation || '',
+        ecosystemNotes: existing?.ecosystemNotes || '',
+        trackAssignment: existing?.trackAssignment ?? null,
+        pathway: existing?.pathway ?? null,
+        dualUse: !!existing?.dualUse,
+        ...this.pickAdvisorArtifacts(existing),
+        batch: true
+      };
+
+      this.storeCachedAssessment(cache, cachedAssessment);
+      console.log('Batch assessment cached:', key);
+      return key;
+    } catch (error) {
+      console.error('Error caching batch assessment:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Each pipeline phase's output from data, null for phases without one
+   * @param {Object} data - Results keyed by phase
+   * @returns {Object} { [phaseKey]: output|null } for every registered phase
+   */
+  phaseData(data) {
+    return Object.fromEntries(PhaseRegistry.phaseKeys().map(key => [key, data?.[key] || null]));
+  }
+
+  /**
+   * Insert an assessment into the cache, keeping only the most recent maxCachedAssessments
+   * @param {Object} cache - Cache object from getAssessmentCache()
+   * @param {Object} cachedAssessment - Entry to store (keyed by its key)
+   */
+  storeCachedAssessment(cache, cachedAssessment) {
+    cache[cachedAssessment.key] = cachedAssessment;
+
+    // Keep only the most recent assessments to avoid localStorage limits
+    const keys = Object.keys(cache);
+    if (keys.length > this.maxCachedAssessments) {
+      // Remove oldest entries
+      const sorted = keys.sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
+      for (let i = 0; i < keys.length - this.maxCachedAssessments; i++) {
+        delete cache[sorted[i]];
+      }
+    }
+
+    this.saveAssessmentCache(cache);
+  }
+
   /**
    * Extract venture name from data
    * @param {Object} data - Assessment data
@@ -541,14 +687,11 @@ class StateManager {
       localStorage.setItem(this.assessmentCacheKey, data);
     } catch (error) {
       Debug.error('[StateManager] Error saving assessment cache:', error);
-      // If localStorage is full, try to clear oldest entries
+      // If localStorage is full, drop the oldest entries until the cache fits
       if (error.name === 'QuotaExceededError') {
-        console.warn('Assessment cache quota exceeded, pruning oldest entries...');
-        this.pruneAssessmentCache();
-        try {
-          localStorage.setItem(this.assessmentCacheKey, JSON.stringify(cache));
-        } catch (e) {
-          Debug.error('[StateManager] Still cannot save after pruning. Cache has', Object.keys(cache).length, 'entries.');
+        console.warn('Assessment cache quota exceeded, evicting oldest entries...');
+        if (!this.evictUntilSaved(cache)) {
+          Debug.error('[StateManager] Still cannot save after evicting. Cache has', Object.keys(cache).length, 'entries.');
           this._storageHealthy = false;
           this._notifySaveFailure('cache_quota');
         }
@@ -560,18 +703,24 @@ class StateManager {
   }
 
   /**
-   * Prune old assessments from cache
+   * Remove the oldest assessments from the cache one at a time until it fits in
+   * localStorage. The newest entry is always kept.
+   * @param {Object} cache - Cache object to save; evicted entries are deleted from it
+   * @returns {boolean} Whether the cache was saved
    */
-  pruneAssessmentCache() {
-    const cache = this.getAssessmentCache();
-    const keys = Object.keys(cache);
-    if (keys.length > 20) {
-      const sorted = keys.sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
-      for (let i = 0; i < keys.length - 20; i++) {
-        delete cache[sorted[i]];
+  evictUntilSaved(cache) {
+    const oldestFirst = Object.keys(cache).sort((a, b) => (cache[a].timestamp || 0) - (cache[b].timestamp || 0));
+    for (let evicted = 1; evicted < oldestFirst.length; evicted++) {
+      delete cache[oldestFirst[evicted - 1]];
+      try {
+        localStorage.setItem(this.assessmentCacheKey, JSON.stringify(cache));
+        console.warn(`Evicted ${evicted} oldest cached assessment(s) to fit storage`);
+        return true;
+      } catch (e) {
+        if (e.name !== 'QuotaExceededError') return false;
       }
-      this.saveAssessmentCache(cache);
     }
+    return false;
   }
 
   /**
@@ -635,6 +784,43 @@ class StateManager {
 
   // ========== MIGRATION ==========
 
+  /**
+   * Re-key assessments cached under the domain-only keys used before keys
+   * included the URL path, so re-caching them keeps their scores and row IDs
+   */
+  migrateAssessmentKeys() {
+    const cache = this.getAssessmentCache();
+    const renamed = {};
+
+    Object.values(cache).forEach(entry => {
+      const input = entry.companyInput || {};
+      const advisor = input.scaName || entry.advisorName;
+      let host;
+      try {
+        host = new URL(input.url.startsWith('http') ? input.url : `https://${input.url}`).hostname;
+      } catch {
+        return;  // Document uploads and imports never had a path
+      }
+
+      const key = this.generateAssessmentKey(input.url, advisor, input.fileName);
+      if (entry.key !== this.generateAssessmentKey(host, advisor) || key === entry.key || cache[key]) return;
+
+      delete cache[entry.key];
+      cache[key] = { ...entry, key };
+      renamed[entry.key] = key;
+    });
+
+    if (Object.keys(renamed).length === 0) return;
+    this.saveAssessmentCache(cache);
+
+    const state = this.getState();
+    if (state && renamed[state.assessmentKey]) {
+      state.assessmentKey = renamed[state.assessmentKey];
+      this.saveState(state);
+    }
+    console.log(`Migrated ${Object.keys(renamed).length} cached assessment key(s) to include the URL path`);
+  }
+
   /**
    * Migrate old data format if needed
    */
@@ -0,0 +1,122 @@
+// js/utils/citation-index.js - Numbered source citations for an assessment
+// Every source URL cited in the evidence views gets one number for the whole
+// assessment, however many tabs cite it. The index also records which
+// dimensions cite each source, for the bibliography in the Sources views and PDF.
+
+const CitationIndex = {
+  /**
+   * Empty index. Numbers are handed out in first-cited order and never reused,
+   * so a marker keeps its number when a dimension is re-run.
+   * @returns {{entries: Object[], byKey: Object}}
+   */
+  create() {
+    return { entries: [], byKey: {} };
+  },
+
+  /**
+   * Key a URL is de-duplicated on: lowercase host, no fragment, tracking
+   * parameters or trailing slash, no model citation artifacts like [^1], and
+   * Google Patents IDs without hyphens
+   * @returns {string|null} null for anything that isn't an http(s) URL
+   */
+  normalize(url) {
+    if (typeof url !== 'string') return null;
+    const cleaned = url.trim()
+      .replace(/_*\[(\^|%5E)[\d.]+\]_*$/i, '')
+      .replace(/%5B%5E[\d.]+%5D$/i, '')
+      .replace(/[).,;]+$/, '');
+    if (!/^https?:\/\//i.test(cleaned)) return null;
+
+    try {
+      const parsed = new URL(cleaned);
+      parsed.hash = '';
+      [...parsed.searchParams.keys()]
+        .filter(key => /^utm_/i.test(key))
+        .forEach(key => parsed.searchParams.delete(key));
+      let path = parsed.pathname.replace(/\/+$/, '');
+      if (/(^|\.)patents\.google\.com$/i.test(parsed.hostname)) {
+        path = path.replace(/^(\/patent\/)([A-Za-z0-9-]+)/, (match, prefix, id) => prefix + id.replace(/-/g, ''));
+      }
+      return `${parsed.protocol}//${parsed.host.toLowerCase()}${path}${parsed.search}`;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  domain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  },
+
+  /**
+   * Number for a cited source, adding it on first citation
+   * @param {Object} index - From create()
+   * @param {string} url - Source URL
+   * @param {Object} options
+   * @param {string} options.dimension - Citing dimension ('company', 'team', ...)
+   * @param {string} options.label - What cites it, such as a deal or report title
+   * @param {string} options.title - Source title, when the evidence has one
+   * @returns {Object|null} The entry, or null if the URL can't be cited
+   */
+  cite(index, url, { dimension, label = '', title = '' } = {}) {
+    const key = this.normalize(url);
+    if (!index || !key) return null;
+
+    let entry = index.byKey[key];
+    if (!entry) {
+      entry = {
+        number: index.entries.length + 1,
+        url: key,
+        domain: this.domain(key),
+        title: '',
+        citedBy: {}
+      };
+      index.entries.push(entry);
+      index.byKey[key] = entry;
+    }
+
+    if (!entry.title && title && title !== url) entry.title = title;
+    if (dimension) {
+      const labels = entry.citedBy[dimension] || (entry.citedBy[dimension] = []);
+      if (label && !labels.includes(label)) labels.push(label);
+    }
+    return entry;
+  },
+
+  /**
+   * Drop a dimension's citations before it is rendered again
+   */
+  forget(index, dimension) {
+    if (!index) return;
+    index.entries.forEach(entry => {
+      delete entry.citedBy[dimension];
+    });
+  },
+
+  /**
+   * Cited sources in number order, each with the dimensions citing it in tab order
+   * @returns {Object[]} Entries plus dimensions: [{key, label, items}]
+   */
+  list(index) {
+    if (!index) return [];
+    const order = PhaseRegistry.phaseKeys();
+    const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+
+    return index.entries
+      .filter(entry => Object.keys(entry.citedBy).length > 0)
+      .map(entry => ({
+        number: entry.number,
+        url: entry.url,
+        domain: entry.domain,
+        title: entry.title,
+        dimensions: Object.keys(entry.citedBy)
+          .sort((a, b) => rank(a) - rank(b))
+          .map(key => ({ key, label: PhaseRegistry.label(key), items: [...entry.citedBy[key]] }))
+      }));
+  }
+};
+
+window.CitationIndex = CitationIndex;
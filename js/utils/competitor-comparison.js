@@ -0,0 +1,243 @@
+// js/utils/competitor-comparison.js - Competitor matrix rows and positioning map geometry
+// Puts the profiled competitors and the venture into comparable rows: numeric funding,
+// revenue and founding year, plus ordinal size. The Compare view and the PDF both
+// draw from plot(), so the map in the report matches what the advisor set up on screen.
+
+const CompetitorComparison = {
+  SIZES: {
+    startup: { label: 'Startup', rank: 1 },
+    'mid-size': { label: 'Mid-size', rank: 2 },
+    large: { label: 'Large', rank: 3 }
+  },
+
+  // Positioning map axes. log axes need positive values; ordinal axes spread
+  // points sharing a value so they don't hide each other.
+  AXES: {
+    funding: { label: 'Funding raised ($M)', scale: 'log', value: row => row.fundingM },
+    revenue: { label: 'Revenue ($M)', scale: 'log', value: row => row.revenueM },
+    yearFounded: { label: 'Year founded', scale: 'linear', value: row => row.yearFounded },
+    maturity: { label: 'Maturity (company size)', scale: 'ordinal', value: row => row.maturity, ticks: ['Startup', 'Mid-size', 'Large'] },
+    netStrengths: { label: 'Net strengths (strengths - weaknesses)', scale: 'linear', value: row => row.netStrengths }
+  },
+
+  DEFAULT_AXES: { x: 'yearFounded', y: 'funding' },
+
+  // Matrix columns, in display order; sortable columns carry a sort value
+  COLUMNS: [
+    { key: 'name', label: 'Competitor', sort: row => row.name.toLowerCase() },
+    { key: 'size', label: 'Size', sort: row => row.maturity ?? 0 },
+    { key: 'competitorType', label: 'Type', sort: row => row.competitorType.toLowerCase() },
+    { key: 'yearFounded', label: 'Founded', sort: row => row.yearFounded },
+    { key: 'funding', label: 'Funding', sort: row => row.fundingM },
+    { key: 'revenue', label: 'Revenue', sort: row => row.revenueM },
+    { key: 'position', label: 'Position', sort: row => row.position.toLowerCase() },
+    { key: 'differentiation', label: 'Differentiation' },
+    { key: 'strengths', label: 'Strengths', sort: row => row.strengths.length },
+    { key: 'weaknesses', label: 'Weaknesses', sort: row => row.weaknesses.length }
+  ],
+
+  /**
+   * "Mid-size company" -> 'mid-size'; '' when the size isn't one of SIZES
+   */
+  sizeKey(size) {
+    const text = String(size || '').toLowerCase();
+    if (/large|enterprise|incumbent/.test(text)) return 'large';
+    if (/mid|medium/.test(text)) return 'mid-size';
+    if (/start|small|early/.test(text)) return 'startup';
+    return '';
+  },
+
+  /**
+   * Dollar amount in millions: "$12.5M", "1.2 billion", "$1,500,000", or a
+   * number (already in millions, as the workflows report it). null if unknown.
+   */
+  parseMillions(amount) {
+    if (typeof amount === 'number') return amount > 0 ? amount : null;
+    const text = String(amount || '').toLowerCase().replace(/,/g, '');
+    const match = text.match(/(\d+(?:\.\d+)?)\s*(billion|bn|b|million|mn|m|thousand|k)?\b/);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2] || '';
+    let millions;
+    if (unit.startsWith('b')) millions = value * 1000;
+    else if (unit.startsWith('m')) millions = value;
+    else if (unit === 'k' || unit === 'thousand') millions = value / 1000;
+    else millions = value >= 10000 ? value / 1e6 : null; // A bare number is raw dollars or ambiguous
+    return millions > 0 ? millions : null;
+  },
+
+  parseYear(value) {
+    const year = parseInt(String(value || '').match(/\d{4}/)?.[0], 10);
+    return year >= 1800 && year <= new Date().getFullYear() ? year : null;
+  },
+
+  /**
+   * Matrix rows for CompetitiveAPI.formatForDisplay competitors
+   */
+  rows(competitors) {
+    return (competitors || []).map((c, index) => {
+      const sizeKey = this.sizeKey(c.size);
+      const strengths = Array.isArray(c.strengths) ? c.strengths : [];
+      const weaknesses = Array.isArray(c.weaknesses) ? c.weaknesses : [];
+      return {
+        index,
+        name: c.name || 'Unknown',
+        size: c.size && c.size !== 'Unknown' ? c.size : '',
+        sizeKey,
+        competitorType: c.competitorType || '',
+        position: c.position && c.position !== 'Unknown' ? c.position : '',
+        differentiation: c.differentiation || '',
+        funding: c.funding && c.funding !== 'N/A' ? String(c.funding) : '',
+        revenue: c.revenue && c.revenue !== 'Unknown' ? String(c.revenue) : '',
+        strengths,
+        weaknesses,
+        yearFounded: this.parseYear(c.yearFounded),
+        fundingM: this.parseMillions(c.funding),
+        revenueM: this.parseMillions(c.revenue),
+        maturity: this.SIZES[sizeKey]?.rank ?? null,
+        netStrengths: strengths.length || weaknesses.length ? strengths.length - weaknesses.length : null
+      };
+    });
+  },
+
+  /**
+   * The venture as a map point, from the company phase output. Assessed ventures
+   * are startups; the workflow doesn't rate their strengths against competitors.
+   */
+  ventureRow(company) {
+    const overview = company?.company_overview || {};
+    const funding = company?.funding_and_investors?.total_funding;
+    const revenue = company?.traction_and_metrics?.revenue_info;
+    return {
+      name: overview.name || 'This venture',
+      isVenture: true,
+      yearFounded: this.parseYear(overview.founded_year),
+      fundingM: this.parseMillions(funding),
+      revenueM: this.parseMillions(revenue),
+      maturity: 1,
+      netStrengths: null
+    };
+  },
+
+  /**
+   * Distinct size and type values present, for the filter menus
+   */
+  filterOptions(rows) {
+    const sizes = Object.keys(this.SIZES).filter(key => rows.some(row => row.sizeKey === key));
+    const types = [...new Set(rows.map(row => row.competitorType).filter(Boolean))].sort();
+    return { sizes, types };
+  },
+
+  filter(rows, { size = '', type = '' } = {}) {
+    return rows.filter(row => (!size || row.sizeKey === size) && (!type || row.competitorType === type));
+  },
+
+  /**
+   * Sort by a column; rows without a value go last in either direction
+   */
+  sort(rows, key, direction = 'asc') {
+    const column = this.COLUMNS.find(c => c.key === key && c.sort);
+    if (!column) return rows;
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => {
+      const va = column.sort(a);
+      const vb = column.sort(b);
+      const missingA = va === null || va === undefined || va === '';
+      const missingB = vb === null || vb === undefined || vb === '';
+      if (missingA || missingB) return (missingA - missingB) || a.index - b.index;
+      return (va < vb ? -1 : va > vb ? 1 : 0) * sign || a.index - b.index;
+    });
+  },
+
+  /**
+   * Map geometry for two axes
+   * @param {Object[]} rows - Competitor rows plus the venture row
+   * @returns {{points: [{name, isVenture, x, y}], missing: string[], xTicks, yTicks}|null}
+   *   x and y are fractions of the plot area (0 = left/bottom); ticks are [{at, label}].
+   *   null when fewer than two rows can be placed.
+   */
+  plot(rows, xKey, yKey) {
+    const xAxis = this.AXES[xKey];
+    const yAxis = this.AXES[yKey];
+    if (!xAxis || !yAxis) return null;
+
+    const usable = value => value !== null && value !== undefined && Number.isFinite(value);
+    const placed = [];
+    const missing = [];
+    rows.forEach(row => {
+      const x = xAxis.value(row);
+      const y = yAxis.value(row);
+      const fits = (axis, v) => usable(v) && (axis.scale !== 'log' || v > 0);
+      if (fits(xAxis, x) && fits(yAxis, y)) placed.push({ row, x, y });
+      else missing.push(row.name);
+    });
+    if (placed.length < 2) return null;
+
+    const xScale = this.scale(xAxis, placed.map(p => p.x));
+    const yScale = this.scale(yAxis, placed.map(p => p.y));
+
+    // Spread points that share a position on ordinal axes
+    const seen = {};
+    const points = placed.map(({ row, x, y }) => {
+      const cell = `${x}|${y}`;
+      const nth = seen[cell] = (seen[cell] ?? -1) + 1;
+      const offset = nth === 0 ? 0 : (nth % 2 ? 1 : -1) * Math.ceil(nth / 2) * 0.035;
+      return {
+        name: row.name,
+        isVenture: !!row.isVenture,
+        x: xScale.at(x) + (xAxis.scale === 'ordinal' ? offset : 0),
+        y: yScale.at(y) + (yAxis.scale === 'ordinal' && xAxis.scale !== 'ordinal' ? offset : 0)
+      };
+    });
+
+    return { points, missing, xTicks: xScale.ticks, yTicks: yScale.ticks };
+  },
+
+  /**
+   * Position function and tick marks for one axis over the placed values
+   */
+  scale(axis, values) {
+    if (axis.scale === 'ordinal') {
+      const count = axis.ticks.length;
+      const at = v => (v - 0.5) / count;
+      return { at, ticks: axis.ticks.map((label, i) => ({ at: at(i + 1), label })) };
+    }
+
+    const transform = axis.scale === 'log' ? Math.log10 : v => v;
+    let min = Math.min(...values.map(transform));
+    let max = Math.max(...values.map(transform));
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const pad = (max - min) * 0.08;
+    min -= pad;
+    max += pad;
+    const at = v => (transform(v) - min) / (max - min);
+
+    let ticks;
+    if (axis.scale === 'log') {
+      ticks = [];
+      for (let p = Math.ceil(min); p <= Math.floor(max); p += 1) {
+        const v = Math.pow(10, p);
+        ticks.push({ at: at(v), label: v >= 1000 ? `${v / 1000}B` : v >= 1 ? `${v}M` : `${v * 1000}K` });
+      }
+    } else {
+      const step = this.niceStep((max - min) / 4);
+      ticks = [];
+      for (let v = Math.ceil(min / step) * step; v <= max; v += step) {
+        ticks.push({ at: at(v), label: String(Math.round(v)) });
+      }
+    }
+    return { at, ticks };
+  },
+
+  niceStep(raw) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw) || 10 * magnitude;
+    return Math.max(1, step);
+  }
+};
+
+window.CompetitorComparison = CompetitorComparison;
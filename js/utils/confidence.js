@@ -121,6 +121,29 @@ const ConfidenceUtil = {
     );
   },
 
+  /**
+   * Lower a confidence level when too many of the phase's sources could not be
+   * verified (see SourceVerifier): a quarter or more drops it one level, half or
+   * more drops it to Low. Too few assessed sources leave it unchanged.
+   * 
+   * @param {*} level - Confidence level from the workflow
+   * @param {Object} sourceCheck - The phase's source check summary
+   * @returns {*} - Adjusted level, or level unchanged if there is no check
+   */
+  adjustForSources(level, sourceCheck) {
+    if (!sourceCheck || sourceCheck.assessed < 3) return level;
+
+    const levels = ['Low', 'Medium', 'High'];
+    const normalized = this.normalizeLevel(level);
+    const index = levels.indexOf(normalized);
+    if (index === -1) return level;
+
+    const share = sourceCheck.unverifiable / sourceCheck.assessed;
+    if (share >= 0.5) return 'Low';
+    if (share >= 0.25) return levels[Math.max(0, index - 1)];
+    return normalized;
+  },
+
   /**
    * Format confidence for display
    * 
@@ -0,0 +1,274 @@
+// js/utils/deal-explorer.js - Sector deal aggregates for the Funding tab's Explore view
+// The funding workflow reports its verified deals as free text: "Q2 2024", "$12.5M",
+// "Series A", "Led by X with participation from Y and Z". These helpers turn them into
+// quarterly volume, a stage distribution and an investor leaderboard, so advisors can
+// check the workflow's funding trend claim against the deals it actually found.
+
+const DealExplorer = {
+  RELEVANCE: {
+    core: 'Core',
+    adjacent: 'Adjacent',
+    broad: 'Broad'
+  },
+
+  // In funding order; a deal's stage is the first whose pattern matches its series
+  STAGES: [
+    { key: 'pre_seed', label: 'Pre-seed', pattern: /pre[\s-]?seed/ },
+    { key: 'seed', label: 'Seed', pattern: /seed|angel/ },
+    { key: 'series_a', label: 'Series A', pattern: /series\s*a\b|\ba round/ },
+    { key: 'series_b', label: 'Series B', pattern: /series\s*b\b|\bb round/ },
+    { key: 'series_c_plus', label: 'Series C+', pattern: /series\s*[c-k]\b|growth|late|pre[\s-]?ipo|\bipo\b/ },
+    { key: 'grant', label: 'Grant', pattern: /grant|sbir|sttr|award|government|non[\s-]?dilutive/ },
+    { key: 'other', label: 'Other (debt, corporate, ...)', pattern: /./ }
+  ],
+
+  MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+  // Growth in deal count between the two halves of the period that counts as a trend
+  trendThreshold: 0.25,
+  minTrendDeals: 4,
+
+  /**
+   * 'direct' is the older workflows' word for core relevance
+   */
+  relevanceKey(relevance) {
+    const key = String(relevance || 'broad').toLowerCase().trim();
+    if (key === 'direct') return 'core';
+    return this.RELEVANCE[key] ? key : 'broad';
+  },
+
+  stageKey(series) {
+    const text = String(series || '').toLowerCase().trim();
+    if (!text || /undisclosed|unknown|^n\/?a$/.test(text)) return 'undisclosed';
+    return this.STAGES.find(stage => stage.pattern.test(text)).key;
+  },
+
+  stageLabel(key) {
+    return this.STAGES.find(stage => stage.key === key)?.label || 'Undisclosed';
+  },
+
+  /**
+   * "2024-05-14", "2024-05", "15/03/2024", "03/2024", "May 2024", "Q2 2024" or "2024".
+   * Day and month are read US-style (03/04 is March 4) unless the first is over 12.
+   * @returns {{year: number, quarter: number|null, at: number}|null}
+   *   quarter is null for year-only dates; at is a fractional year for ordering
+   */
+  parseDate(date) {
+    const text = String(date || '').toLowerCase();
+    const year = parseInt(text.match(/\b(19|20)\d{2}\b/)?.[0], 10);
+    if (!year) return null;
+
+    let month = null;
+    const quarter = text.match(/\bq([1-4])\b/);
+    const iso = text.match(/\b\d{4}[-/.](\d{1,2})\b/);
+    const dayMonth = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](?:19|20)\d{2}\b/);
+    const monthYear = text.match(/\b(\d{1,2})[-/.](?:19|20)\d{2}\b/);
+    const named = this.MONTHS.findIndex(m => new RegExp(`\\b${m}`).test(text));
+    if (quarter) month = (parseInt(quarter[1], 10) - 1) * 3 + 1;
+    else if (iso) month = parseInt(iso[1], 10);
+    else if (dayMonth) month = parseInt(dayMonth[1], 10) > 12 ? parseInt(dayMonth[2], 10) : parseInt(dayMonth[1], 10);
+    else if (monthYear) month = parseInt(monthYear[1], 10);
+    else if (named !== -1) month = named + 1;
+    if (month !== null && (month < 1 || month > 12)) month = null;
+
+    return {
+      year,
+      quarter: month ? Math.ceil(month / 3) : null,
+      at: year + (month ? (month - 1) / 12 : 0.5)
+    };
+  },
+
+  /**
+   * Deals in a common shape: FundingAPI.formatForDisplay verifiedDeals plus
+   * parsed date, stage, amount ($M) and investors
+   */
+  deals(verifiedDeals) {
+    return (verifiedDeals || []).map((deal, index) => ({
+      index,
+      company: deal.company || 'Unknown',
+      series: deal.series || 'Undisclosed',
+      amount: deal.amount,
+      relevance: this.relevanceKey(deal.relevance),
+      stage: this.stageKey(deal.series),
+      date: this.parseDate(deal.date),
+      amountM: CompetitorComparison.parseMillions(deal.amount),
+      investors: this.parseInvestors(deal.investors)
+    }));
+  },
+
+  filter(deals, relevance) {
+    return deals.filter(deal => relevance.includes(deal.relevance));
+  },
+
+  /**
+   * Investor names from a deal's investors text, with who led the round
+   * @returns {[{name: string, lead: boolean}]}
+   */
+  parseInvestors(text) {
+    let source = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!source) return [];
+
+    // "Led by X and Y with participation from Z": X and Y led
+    const leadNames = [];
+    source = source.replace(/\b(?:co-)?led by ([^;]+?)(?=,? (?:with|along with|and participation)\b|;|(?<!\b[a-z])[.!?](?:\s|$)|$)/gi, (match, names) => {
+      leadNames.push(...this.splitNames(names));
+      return ',';
+    });
+    source = source.replace(/\b(?:with|along with|and)? ?(?:participation|participating) (?:from|by)\b/gi, ',');
+
+    const investors = [];
+    const add = (raw, lead) => {
+      const cleaned = raw.replace(/\((?:co-)?lead(?: investor)?\)|\(led\)|\blead investor\b|^\s*(?:investors?|including|from|also|plus)\s*:?\s*/gi, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,.:-]+|[\s,.:-]+$/g, '');
+      // "Inc" split off "Lux Capital, Inc." has nothing left once suffixes are dropped
+      if (!this.investorKey(cleaned) || /^(?:undisclosed|unknown|n\/a|none|not disclosed|various|others?|and others|existing investors)$/i.test(cleaned)) return;
+      const existing = investors.find(investor => this.investorKey(investor.name) === this.investorKey(cleaned));
+      if (existing) existing.lead = existing.lead || lead;
+      else investors.push({ name: cleaned, lead });
+    };
+
+    leadNames.forEach(name => add(name, true));
+    this.splitNames(source).forEach(name => add(name, /\((?:co-)?lead|\(led\)|lead investor/i.test(name)));
+    return investors;
+  },
+
+  /**
+   * "A, B and C" -> [A, B, C]. Names like "Bill & Melinda Gates Foundation" keep their "and".
+   * Sentences split too ("A and GV. Also: B"), but not initials such as "J.P. Morgan".
+   */
+  splitNames(text) {
+    return String(text || '')
+      .split(/[,;]|(?<!\b[a-z])[.!?](?=\s|$)/i)
+      .flatMap(part => (/\b(?:foundation|trust|institute|university)\b/i.test(part) ? [part] : part.split(/\s+and\s+/i)))
+      .map(part => part.replace(/^\s*and\s+/i, '').trim())
+      .filter(Boolean);
+  },
+
+  investorKey(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[.,'’]/g, '')
+      .replace(/\b(llc|inc|lp|llp|ltd|plc|gmbh|co|the)\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Deal count and disclosed dollar volume per quarter, gaps included
+   * @returns {{quarters: [{label, year, quarter, count, volume, undisclosed}], yearOnly: number, undated: number}}
+   */
+  byQuarter(deals) {
+    const dated = deals.filter(deal => deal.date?.quarter);
+    const yearOnly = deals.filter(deal => deal.date && !deal.date.quarter).length;
+    const undated = deals.filter(deal => !deal.date).length;
+    if (dated.length === 0) return { quarters: [], yearOnly, undated };
+
+    const index = date => date.year * 4 + date.quarter - 1;
+    const first = Math.min(...dated.map(deal => index(deal.date)));
+    const last = Math.max(...dated.map(deal => index(deal.date)));
+    const quarters = [];
+    for (let i = first; i <= last; i += 1) {
+      const year = Math.floor(i / 4);
+      const quarter = (i % 4) + 1;
+      quarters.push({ label: `Q${quarter} ${year}`, year, quarter, count: 0, volume: 0, undisclosed: 0 });
+    }
+    dated.forEach(deal => {
+      const bucket = quarters[index(deal.date) - first];
+      bucket.count += 1;
+      if (deal.amountM) bucket.volume += deal.amountM;
+      else bucket.undisclosed += 1;
+    });
+
+    return { quarters, yearOnly, undated };
+  },
+
+  /**
+   * Deal count and disclosed volume per stage, in funding order; empty stages omitted
+   */
+  byStage(deals) {
+    return [...this.STAGES.map(stage => stage.key), 'undisclosed']
+      .map(key => {
+        const stageDeals = deals.filter(deal => deal.stage === key);
+        return {
+          key,
+          label: this.stageLabel(key),
+          count: stageDeals.length,
+          volume: stageDeals.reduce((sum, deal) => sum + (deal.amountM || 0), 0)
+        };
+      })
+      .filter(stage => stage.count > 0);
+  },
+
+  /**
+   * Investors across the deals, most active first
+   * @returns {[{name, deals, led, volume, relevance: {core, adjacent, broad}, latest, companies}]}
+   *   latest is the most recent parsed deal date
+   */
+  leaderboard(deals) {
+    const byKey = new Map();
+    deals.forEach(deal => {
+      deal.investors.forEach(investor => {
+        const key = this.investorKey(investor.name);
+        const entry = byKey.get(key) || {
+          name: investor.name,
+          deals: 0,
+          led: 0,
+          volume: 0,
+          relevance: { core: 0, adjacent: 0, broad: 0 },
+          latest: null,
+          companies: []
+        };
+        entry.deals += 1;
+        if (investor.lead) entry.led += 1;
+        entry.volume += deal.amountM || 0;
+        entry.relevance[deal.relevance] += 1;
+        if (deal.date && (!entry.latest || deal.date.at > entry.latest.at)) entry.latest = deal.date;
+        if (!entry.companies.includes(deal.company)) entry.companies.push(deal.company);
+        byKey.set(key, entry);
+      });
+    });
+
+    return Array.from(byKey.values()).sort((a, b) =>
+      b.deals - a.deals || b.led - a.led || b.volume - a.volume || a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Deal activity in the later half of the dated period against the earlier half
+   * @returns {{direction: 'increasing'|'decreasing'|'stable', earlier, later, split}|null}
+   *   earlier/later are { count, volume }; null with too few dated deals to tell
+   */
+  trend(deals) {
+    const dated = deals.filter(deal => deal.date);
+    if (dated.length < this.minTrendDeals) return null;
+
+    const times = dated.map(deal => deal.date.at);
+    const split = (Math.min(...times) + Math.max(...times)) / 2;
+    if (Math.max(...times) - Math.min(...times) < 0.5) return null;
+
+    const half = list => ({ count: list.length, volume: list.reduce((sum, deal) => sum + (deal.amountM || 0), 0) });
+    const earlier = half(dated.filter(deal => deal.date.at < split));
+    const later = half(dated.filter(deal => deal.date.at >= split));
+
+    let direction = 'stable';
+    if (later.count > earlier.count * (1 + this.trendThreshold)) direction = 'increasing';
+    else if (later.count < earlier.count * (1 - this.trendThreshold)) direction = 'decreasing';
+
+    return { direction, earlier, later, split };
+  },
+
+  /**
+   * Whether the workflow's funding_trend claim points the same way as the deals
+   * @returns {boolean|null} null when the claim isn't a direction
+   */
+  trendAgrees(claim, trend) {
+    const text = String(claim || '').toLowerCase();
+    if (!trend) return null;
+    if (/increas|grow|accelerat|rising|\bup\b/.test(text)) return trend.direction === 'increasing';
+    if (/decreas|declin|slow|falling|\bdown\b/.test(text)) return trend.direction === 'decreasing';
+    if (/stable|flat|steady/.test(text)) return trend.direction === 'stable';
+    return null;
+  }
+};
+
+window.DealExplorer = DealExplorer;
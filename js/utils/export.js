@@ -229,24 +229,14 @@ const ExportUtility = {
       this.addTitlePage(doc, data);
       PdfLayout.addPage(doc);
       this.addExecutiveSummary(doc, data);
-      if (data.team) {
-        PdfLayout.addPage(doc);
-        this.addTeamAssessment(doc, data);
-      }
-      if (data.funding) {
-        PdfLayout.addPage(doc);
-        this.addFundingAssessment(doc, data);
-      }
-      PdfLayout.addPage(doc);
-      this.addCompetitiveAssessment(doc, data);
-      PdfLayout.addPage(doc);
-      this.addMarketAssessment(doc, data);
-      PdfLayout.addPage(doc);
-      this.addIpRiskAssessment(doc, data);
-      if (data.solutionvalue?.userScore) {
+
+      // One assessment page per registered dimension
+      PhaseRegistry.entries.forEach(entry => {
+        const renderer = entry.export?.assessment;
+        if (!renderer || !this.shouldExport(entry, data)) return;
         PdfLayout.addPage(doc);
-        this.addSolutionValueAssessment(doc, data);
-      }
+        this[renderer](doc, data);
+      });
 
       // Add final recommendation if present
       if (data.finalRecommendation) {
@@ -260,21 +250,52 @@ const ExportUtility = {
         this.addVentureLevelDecisions(doc, data);
       }
 
+      // Add the Team tab's roles for the venture's stage and the advisor's candidates
+      if (data.teamGaps?.rows?.length > 0) {
+        PdfLayout.addPage(doc);
+        this.addTeamGaps(doc, data.teamGaps);
+      }
+
+      // Add the advisor's FTO review of the IP tab's blocking patents
+      if (data.ftoWorksheet?.rows?.length > 0) {
+        PdfLayout.addPage(doc);
+        this.addFtoWorksheet(doc, data.ftoWorksheet);
+      }
+
+      // Add the Funding tab's investors to approach and who has been contacted
+      if (data.investorOutreach?.rows?.length > 0) {
+        PdfLayout.addPage(doc);
+        this.addInvestorOutreach(doc, data.investorOutreach);
+      }
+
       // Add appendix with full data
       PdfLayout.addPage(doc);
       this.addAppendixCover(doc);
-      PdfLayout.addPage(doc);
-      this.addCompanyDetails(doc, data.company);
-      if (data.team) {
+      PhaseRegistry.entries.forEach(entry => {
+        const renderer = entry.export?.details;
+        if (!renderer || !this.shouldExport(entry, data)) return;
         PdfLayout.addPage(doc);
-        this.addTeamDetails(doc, data.team);
+        this[renderer](doc, data[entry.key]);
+      });
+
+      // How each AI score was derived, as shown on the dimension tabs
+      const traces = ScoreTrace.buildAll(data);
+      if (traces.length > 0) {
+        PdfLayout.addPage(doc);
+        this.addScoreTraces(doc, traces, data.citations);
+      }
+
+      // Every cited source once, numbered as on the evidence tabs
+      if (data.citations?.length > 0) {
+        PdfLayout.addPage(doc);
+        this.addBibliography(doc, data.citations);
+      }
+
+      // Record advisor corrections to the description the other phases analyzed
+      if (data.extractionEdits) {
+        PdfLayout.addPage(doc);
+        this.addExtractionEdits(doc, data.extractionEdits);
       }
-      PdfLayout.addPage(doc);
-      this.addCompetitiveDetails(doc, data.competitive);
-      PdfLayout.addPage(doc);
-      this.addMarketDetails(doc, data.market);
-      PdfLayout.addPage(doc);
-      this.addIpRiskDetails(doc, data.iprisk);
 
       // Generate filename
       const timestamp = new Date().toISOString().split('T')[0];
@@ -294,6 +315,16 @@ const ExportUtility = {
     }
   },
 
+  /**
+   * Whether a registry entry's pages belong in the report. Entries marked
+   * `always` render even without data (their renderers show placeholders).
+   */
+  shouldExport(entry, data) {
+    const rules = entry.export || {};
+    if (rules.include) return rules.include(data);
+    return !!rules.always || !!data[entry.key];
+  },
+
   createDocument(jsPDF) {
     const doc = new jsPDF();
     this.applyDocGuards(doc);
@@ -560,7 +591,7 @@ const ExportUtility = {
           `Overall Risk: ${Formatters.titleCase(iprisk.overallRisk || 'Unknown')}`,
           `Freedom to Operate: ${Formatters.titleCase(iprisk.freedomToOperate || 'Unknown')}`,
           `Patent Density: ${Formatters.titleCase(iprisk.patentDensity || 'Unknown')}`,
-          `Data Confidence: ${iprisk.dataConfidence || 'Unknown'}`
+          `Data Confidence: ${ConfidenceUtil.adjustForSources(iprisk.dataConfidence, data.iprisk?.sourceCheck) || 'Unknown'}`
         ]
       }
     ];
@@ -1092,7 +1123,130 @@ const ExportUtility = {
         bulletOptions
       );
     }
+
+    const rows = CompetitorComparison.rows(data.competitive.formatted?.competitors);
+    if (rows.length > 0) {
+      PdfLayout.addPage(doc);
+      this.addCompetitorComparison(doc, rows, data);
+    }
+  },
+
+  /**
+   * Competitor matrix and positioning map (see CompetitorComparison). The map
+   * uses the axes last chosen in the Compare view; the matrix lists every competitor.
+   */
+  addCompetitorComparison(doc, rows, data) {
+    const lineHeight = PdfLayout.lineHeight(doc, 9);
+    let y = 30;
+
+    PdfTypography.subsectionTitle(doc);
+    doc.text('Competitor Comparison', PdfLayout.marginLeft, y);
+    y += 10;
+
+    const columns = [
+      { label: 'Competitor', width: 42, value: row => row.name },
+      { label: 'Size', width: 20, value: row => row.size || '-' },
+      { label: 'Type', width: 28, value: row => row.competitorType || '-' },
+      { label: 'Founded', width: 16, value: row => String(row.yearFounded || '-') },
+      { label: 'Funding', width: 22, value: row => row.funding || '-' },
+      { label: 'Revenue', width: 22, value: row => row.revenue || '-' },
+      { label: 'Position', width: 20, value: row => row.position || '-' }
+    ];
+    const drawRow = (cells, style) => {
+      PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: style });
+      const wrapped = cells.map((text, i) => doc.splitTextToSize(text, columns[i].width - 2));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight;
+      y = PdfLayout.ensureSpace(doc, y, height + 20);
+      let x = PdfLayout.marginLeft;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, n) => doc.text(line, x, y + n * lineHeight));
+        x += columns[i].width;
+      });
+      y += height;
+    };
+
+    drawRow(columns.map(c => c.label), 'bold');
+    doc.setDrawColor(200);
+    doc.setLineWidth(0.3);
+    doc.line(PdfLayout.marginLeft, y - lineHeight + 1.5, PdfLayout.pageWidth(doc) - PdfLayout.marginRight, y - lineHeight + 1.5);
+    rows.forEach(row => {
+      drawRow(columns.map(c => c.value(row)), 'normal');
+      if (row.differentiation) {
+        PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: 'italic', color: 90 });
+        y = PdfLayout.drawText(doc, `Differentiation: ${row.differentiation}`, PdfLayout.marginLeft + 4, y, {
+          maxWidth: PdfLayout.usableWidth(doc, 4),
+          lineHeight
+        });
+      }
+      y += 2;
+    });
+
+    // Positioning map
+    const axes = { ...CompetitorComparison.DEFAULT_AXES, ...(data.competitorComparison?.axes || {}) };
+    const venture = CompetitorComparison.ventureRow(data.company?.full || data.company);
+    const plot = CompetitorComparison.plot([venture, ...rows], axes.x, axes.y);
+    const xLabel = CompetitorComparison.AXES[axes.x].label;
+    const yLabel = CompetitorComparison.AXES[axes.y].label;
+
+    y = PdfLayout.ensureSpace(doc, y + 8, 130);
+    PdfTypography.heading(doc);
+    doc.text('Positioning Map', PdfLayout.marginLeft, y);
+    y += 8;
+
+    if (!plot) {
+      PdfTypography.small(doc);
+      PdfLayout.drawText(doc, `Too few competitors have figures for ${xLabel} and ${yLabel} to plot them.`, PdfLayout.marginLeft, y);
+      return;
+    }
+
+    const left = PdfLayout.marginLeft + 18;
+    const width = PdfLayout.usableWidth(doc, 18);
+    const height = 95;
+    const top = y;
+    const px = at => left + at * width;
+    const py = at => top + (1 - at) * height;
+
+    doc.setDrawColor(180);
+    doc.setLineWidth(0.3);
+    doc.rect(left, top, width, height);
+
+    PdfLayout.applyTypography(doc, { fontSize: 8, color: 110 });
+    doc.setDrawColor(230);
+    plot.xTicks.forEach(tick => {
+      doc.line(px(tick.at), top, px(tick.at), top + height);
+      doc.text(tick.label, px(tick.at), top + height + 5, { align: 'center' });
+    });
+    plot.yTicks.forEach(tick => {
+      doc.line(left, py(tick.at), left + width, py(tick.at));
+      doc.text(tick.label, left - 2, py(tick.at) + 1, { align: 'right' });
+    });
+
+    PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: 'bold', color: 80 });
+    doc.text(xLabel, left + width / 2, top + height + 12, { align: 'center' });
+    doc.text(yLabel, PdfLayout.marginLeft, top + height / 2, { angle: 90, align: 'center' });
+
+    [...plot.points].sort((a, b) => a.isVenture - b.isVenture).forEach(point => {
+      const cx = px(point.x);
+      const cy = py(point.y);
+      if (point.isVenture) doc.setFillColor(220, 38, 38);
+      else doc.setFillColor(0, 130, 165);
+      doc.circle(cx, cy, point.isVenture ? 1.8 : 1.3, 'F');
+      PdfLayout.applyTypography(doc, { fontSize: 7, fontStyle: point.isVenture ? 'bold' : 'normal', color: 60 });
+      doc.text(point.name.length > 24 ? `${point.name.slice(0, 23)}...` : point.name, cx + 2.5, cy + 1);
+    });
+    y = top + height + 20;
+
+    PdfTypography.small(doc, 'italic');
+    if (!plot.points.some(point => point.isVenture)) {
+      y = PdfLayout.drawText(doc, `${venture.name} is not plotted: the company analysis has no figure for one of these axes.`, PdfLayout.marginLeft, y);
+    }
+    const missing = plot.missing.filter(name => name !== venture.name);
+    if (missing.length > 0) {
+      y = PdfLayout.drawText(doc, `Not plotted (no figure for an axis): ${missing.join(', ')}`, PdfLayout.marginLeft, y);
+    }
+    PdfTypography.body(doc);
   },
+
   /**
    * Add market assessment page
    */
@@ -1165,6 +1319,97 @@ const ExportUtility = {
       y,
       bulletOptions
     );
+
+    // Market the advisor scored against in the sizing calculator
+    const basis = data.market.userMarketBasis;
+    if (basis) {
+      y = PdfLayout.ensureSpace(doc, y + 4, 30);
+      doc.setFont(undefined, 'bold');
+      doc.text("Advisor's Market Basis:", PdfLayout.marginLeft, y);
+      y += 7;
+
+      doc.setFont(undefined, 'normal');
+      y = PdfLayout.drawBulletList(
+        doc,
+        [
+          basis.description ? `Market: ${basis.description}` : null,
+          `TAM: ${Formatters.currency(basis.tam)}${basis.year ? ` (${basis.year})` : ''}`,
+          `CAGR: ${Formatters.percentage(basis.cagr)}`,
+          `Rubric score: ${basis.score}/9 - ${MarketAPI.getRubricDescription(basis.score)}`,
+          basis.projectedTam
+            ? `Projected TAM in ${basis.projectionYear}: ${Formatters.currency(basis.projectedTam)} (rubric score ${basis.projectedScore})`
+            : null
+        ].filter(Boolean),
+        PdfLayout.marginLeft,
+        y,
+        bulletOptions
+      );
+    }
+
+    this.addMarketSizing(doc, data, y);
+  },
+
+  /**
+   * Bottom-up SAM/SOM assumptions and revenue projection, continuing the market page
+   */
+  addMarketSizing(doc, data, y) {
+    const assumptions = data.marketSizing?.assumptions;
+    const projection = MarketSizing.project(assumptions);
+    if (!projection) return y;
+
+    const bulletOptions = {
+      bullet: '-',
+      lineHeight: PdfLayout.lineHeight(doc),
+      maxWidth: PdfLayout.usableWidth(doc),
+      afterItem: 1
+    };
+    const curve = MarketSizing.ADOPTION_CURVES[assumptions.adoptionCurve]?.label || assumptions.adoptionCurve;
+    const tamShare = MarketSizing.samShareOfTam(projection, data.market.formatted?.primaryMarket?.tam);
+    const last = projection.rows[projection.rows.length - 1];
+
+    y = PdfLayout.ensureSpace(doc, y + 4, 60);
+    PdfTypography.heading(doc);
+    doc.text('Bottom-up SAM/SOM', PdfLayout.marginLeft, y);
+    y += 7;
+
+    PdfTypography.body(doc);
+    y = PdfLayout.drawBulletList(
+      doc,
+      [
+        assumptions.segment ? `Beachhead segment: ${assumptions.segment}` : null,
+        `Target customers: ${Number(assumptions.targetCustomers).toLocaleString()}, growing ${Formatters.percentage(assumptions.customerGrowth || 0)} a year`,
+        `Annual price per customer: ${Formatters.currency(assumptions.pricePoint)}`,
+        `Share won by ${last.year}: ${Formatters.percentage(assumptions.share)} (${curve})`,
+        `SAM (${projection.rows[0].year}): ${Formatters.currency(projection.sam)}${tamShare !== null ? `, ${tamShare.toFixed(1)}% of TAM` : ''}`,
+        `SOM (${last.year}): ${Formatters.currency(projection.som)} from ${last.customersWon.toLocaleString()} customers`
+      ].filter(Boolean),
+      PdfLayout.marginLeft,
+      y,
+      bulletOptions
+    );
+
+    // Revenue by year
+    const height = 45;
+    y = PdfLayout.ensureSpace(doc, y + 4, height + 20);
+    const top = y + 6;
+    const left = PdfLayout.marginLeft;
+    const slot = PdfLayout.usableWidth(doc) / projection.rows.length;
+    const max = Math.max(...projection.rows.map(row => row.revenue)) || 1;
+
+    doc.setDrawColor(180);
+    doc.setLineWidth(0.3);
+    doc.line(left, top + height, left + PdfLayout.usableWidth(doc), top + height);
+    projection.rows.forEach((row, i) => {
+      const barHeight = (row.revenue / max) * height;
+      const x = left + i * slot + slot * 0.2;
+      doc.setFillColor(0, 130, 165);
+      if (barHeight > 0) doc.rect(x, top + height - barHeight, slot * 0.6, barHeight, 'F');
+      PdfLayout.applyTypography(doc, { fontSize: 7, color: 60 });
+      doc.text(Formatters.currency(row.revenue), x + slot * 0.3, top + height - barHeight - 1.5, { align: 'center' });
+      doc.text(String(row.year), x + slot * 0.3, top + height + 4, { align: 'center' });
+    });
+    PdfTypography.body(doc);
+    return top + height + 10;
   },
   /**
    * Add IP risk assessment page
@@ -1255,7 +1500,7 @@ const ExportUtility = {
         `Overall Risk: ${Formatters.titleCase(formatted.overallRisk || 'Unknown')}`,
         `Freedom to Operate: ${Formatters.titleCase(formatted.freedomToOperate || 'Unknown')}`,
         `Patent Density: ${Formatters.titleCase(formatted.patentDensity || 'Unknown')}`,
-        `Data Confidence: ${formatted.dataConfidence || 'Unknown'}`
+        `Data Confidence: ${ConfidenceUtil.adjustForSources(formatted.dataConfidence, iprisk.sourceCheck) || 'Unknown'}`
       ],
       PdfLayout.marginLeft,
       y,
@@ -1564,6 +1809,149 @@ const ExportUtility = {
     }
   },
 
+  /**
+   * Render the Freedom-to-Operate Worksheet page (see FtoWorksheet)
+   */
+  /**
+   * Team gap matrix: each role expected at the venture's stage, who fills it,
+   * and the candidates the advisor named for it
+   */
+  addTeamGaps(doc, matrix) {
+    const summary = TeamGaps.summarize(matrix);
+    const lineHeight = PdfLayout.lineHeight(doc, 9);
+    let y = 30;
+
+    PdfTypography.sectionTitle(doc);
+    doc.text('Team Gaps', PdfLayout.marginLeft, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(doc,
+      `Stage: ${TeamGaps.stageLabel(matrix.stage)}` +
+      `${matrix.companyStage && matrix.companyStage !== 'unknown' ? ` (company stage: ${matrix.companyStage})` : ''}. ` +
+      `${summary.filled} of ${summary.roles} expected roles filled.` +
+      `${summary.missing.length > 0 ? ` Missing: ${summary.missing.join(', ')}.` : ''}`,
+      PdfLayout.marginLeft, y, { maxWidth: PdfLayout.usableWidth(doc) });
+    y += 6;
+
+    const columns = [
+      { label: 'Role', width: 52, value: row => `${row.label}${row.expected === false ? ' (not expected at this stage)' : ''}` },
+      { label: 'Status', width: 20, value: row => (TeamGaps.isFilled(row) ? 'Filled' : 'Missing') },
+      { label: 'Filled by', width: 46, value: row => row.filledBy.join(', ') || '-' },
+      { label: 'Candidates', width: 52, value: row => row.candidates?.trim() || '-' }
+    ];
+    const drawRow = (cells, style) => {
+      PdfLayout.applyTypography(doc, { fontSize: 9, fontStyle: style });
+      const wrapped = cells.map((text, i) => doc.splitTextToSize(text, columns[i].width - 2));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight;
+      y = PdfLayout.ensureSpace(doc, y, height + 10);
+      let x = PdfLayout.marginLeft;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, n) => doc.text(line, x, y + n * lineHeight));
+        x += columns[i].width;
+      });
+      y += height + 2;
+    };
+
+    drawRow(columns.map(c => c.label), 'bold');
+    doc.setDrawColor(200);
+    doc.setLineWidth(0.3);
+    doc.line(PdfLayout.marginLeft, y - lineHeight, PdfLayout.pageWidth(doc) - PdfLayout.marginRight, y - lineHeight);
+    matrix.rows.forEach(row => drawRow(columns.map(c => c.value(row)), 'normal'));
+  },
+
+  addFtoWorksheet(doc, worksheet) {
+    const summary = FtoWorksheet.summarize(worksheet);
+    let y = 30;
+
+    PdfTypography.sectionTitle(doc);
+    doc.text('Freedom-to-Operate Worksheet', PdfLayout.marginLeft, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(doc,
+      `${summary.reviewed} of ${summary.patents} high/medium blocking-potential patents reviewed; ` +
+      `${summary.overlapping} with claim overlap, ${summary.counselReview} flagged for counsel review.`,
+      PdfLayout.marginLeft, y, { maxWidth: PdfLayout.usableWidth(doc) });
+    y += 6;
+
+    const writeField = (label, value) => {
+      PdfTypography.body(doc, 'bold');
+      doc.text(label, PdfLayout.marginLeft + 5, y);
+      PdfTypography.body(doc);
+      y = PdfLayout.drawText(doc, value, PdfLayout.marginLeft + 50, y, {
+        maxWidth: PdfLayout.usableWidth(doc, 50)
+      });
+      y += 2;
+    };
+
+    worksheet.rows.forEach(row => {
+      y = PdfLayout.ensureSpace(doc, y, 50);
+      PdfTypography.label(doc);
+      y = PdfLayout.drawText(doc,
+        `${row.id} (${Formatters.titleCase(row.blockingPotential)} blocking potential)${row.listed === false ? ' - no longer in the IP results' : ''}`,
+        PdfLayout.marginLeft, y, { maxWidth: PdfLayout.usableWidth(doc) });
+      PdfTypography.small(doc, 'italic');
+      y = PdfLayout.drawText(doc, `${row.title} - ${row.assignee}`, PdfLayout.marginLeft, y, {
+        maxWidth: PdfLayout.usableWidth(doc)
+      });
+      y += 3;
+
+      if (!FtoWorksheet.isStarted(row)) {
+        PdfTypography.small(doc);
+        y = PdfLayout.drawText(doc, 'Not yet reviewed.', PdfLayout.marginLeft + 5, y);
+      } else {
+        writeField('Claim overlap:', FtoWorksheet.CLAIM_OVERLAP[row.claimOverlap] || 'Not assessed');
+        writeField('Design-around:', row.designAround?.trim() || '-');
+        writeField('Licensing contact:', row.licensingContact?.trim() || '-');
+        writeField('Counsel review:', row.counselReview ? 'Needed' : 'Not needed');
+      }
+      y += 6;
+    });
+  },
+
+  addInvestorOutreach(doc, outreach) {
+    const summary = InvestorOutreach.summarize(outreach);
+    let y = 30;
+
+    PdfTypography.sectionTitle(doc);
+    doc.text('Investors to Approach', PdfLayout.marginLeft, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(doc,
+      `${summary.contacted} of ${summary.investors} investors and programs contacted. Investors are ranked by the ` +
+      'core and adjacent sector deals they led and how recent those deals are.',
+      PdfLayout.marginLeft, y, { maxWidth: PdfLayout.usableWidth(doc) });
+    y += 6;
+
+    InvestorOutreach.grouped(outreach).forEach(group => {
+      y = PdfLayout.ensureSpace(doc, y, 30);
+      PdfTypography.heading(doc);
+      doc.text(`${group.label} (${group.rows.length})`, PdfLayout.marginLeft, y);
+      y += 7;
+
+      group.rows.forEach(row => {
+        y = PdfLayout.ensureSpace(doc, y, 16);
+        const contacted = row.contacted
+          ? ` - contacted${row.contactedAt ? ` ${new Date(row.contactedAt).toLocaleDateString()}` : ''}`
+          : '';
+        PdfTypography.label(doc);
+        y = PdfLayout.drawText(doc, `${row.contacted ? '[x]' : '[ ]'} ${row.name}${contacted}`, PdfLayout.marginLeft + 3, y, {
+          maxWidth: PdfLayout.usableWidth(doc, 3)
+        });
+        PdfTypography.small(doc);
+        const details = [InvestorOutreach.describe(row)];
+        if (row.companies?.length > 0) details.push(`Backed ${row.companies.join(', ')}`);
+        y = PdfLayout.drawText(doc, details.join('. '), PdfLayout.marginLeft + 9, y, {
+          maxWidth: PdfLayout.usableWidth(doc, 9)
+        });
+        y += 2;
+      });
+      y += 4;
+    });
+  },
+
   /**
    * Add appendix cover page
    */
@@ -1664,6 +2052,163 @@ const ExportUtility = {
 	  });
   },
 
+  /**
+   * Add the advisor's edits to the extracted company description to the appendix
+   */
+  addExtractionEdits(doc, edits) {
+    const original = edits.original || {};
+    const edited = edits.edited || {};
+    let y = 30;
+
+    PdfTypography.subsectionTitle(doc);
+    doc.text('Company Description Review', 20, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    const editedAt = edits.editedAt ? new Date(edits.editedAt).toLocaleString() : 'Unknown';
+    y = PdfLayout.drawText(doc,
+      `The advisor edited the extracted description before the other phases ran (${editedAt}). ` +
+      'All dimension analyses used the edited version.', 20, y);
+    y += 6;
+
+    const fields = [['Sector', 'sector'], ['Beachhead Customer', 'beachhead']]
+      .filter(([, key]) => (original[key] || '') !== (edited[key] || ''));
+    if (fields.length > 0) {
+      PdfTypography.heading(doc);
+      doc.text('Corrected Fields', 20, y);
+      y += 8;
+
+      fields.forEach(([label, key]) => {
+        y = PdfLayout.ensureSpace(doc, y, 20);
+        PdfTypography.label(doc);
+        doc.text(label + ':', 20, y);
+        y += 5;
+        PdfTypography.body(doc);
+        y = PdfLayout.drawText(doc, `Extracted: ${original[key] || '-'}`, 25, y, {
+          maxWidth: PdfLayout.usableWidth(doc, 5)
+        });
+        y = PdfLayout.drawText(doc, `Edited: ${edited[key] || '-'}`, 25, y, {
+          maxWidth: PdfLayout.usableWidth(doc, 5)
+        });
+        y += 4;
+      });
+      y += 4;
+    }
+
+    [['Original Description', original.description], ['Edited Description', edited.description]].forEach(([title, text]) => {
+      y = PdfLayout.ensureSpace(doc, y, 30);
+      PdfTypography.heading(doc);
+      doc.text(title, 20, y);
+      y += 8;
+      PdfTypography.body(doc);
+      y = PdfLayout.drawText(doc, text || '-', 20, y);
+      y += 8;
+    });
+  },
+
+  /**
+   * Add score derivation traces to appendix (see ScoreTrace)
+   */
+  addScoreTraces(doc, traces, citations = []) {
+    let y = 30;
+    const citationFor = url => {
+      const key = CitationIndex.normalize(url);
+      return key ? citations.find(c => c.url === key) : null;
+    };
+
+    PdfTypography.subsectionTitle(doc);
+    doc.text('How Scores Were Derived', 20, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(doc,
+      'Each AI score traced from its baseline through the workflow\'s adjustments to the final score, ' +
+      'with the evidence each step cites.', 20, y);
+    y += 6;
+
+    traces.forEach(trace => {
+      y = PdfLayout.ensureSpace(doc, y, 50);
+      PdfTypography.heading(doc);
+      doc.text(`${trace.label}: ${trace.score}/9${trace.scoreLabel ? ` (${trace.scoreLabel})` : ''}`, 20, y);
+      y += 7;
+
+      PdfTypography.small(doc, 'italic');
+      if (trace.baseline) {
+        y = PdfLayout.drawText(doc,
+          `Baseline: ${trace.baseline.label}${trace.outsideBaseline ? ' - the final score falls outside the baseline range' : ''}`, 20, y);
+      } else if (trace.defaulted) {
+        y = PdfLayout.drawText(doc, 'The workflow did not return its evaluation steps, so no baseline range is shown.', 20, y);
+      }
+      y += 2;
+
+      trace.steps.forEach((step, i) => {
+        y = PdfLayout.ensureSpace(doc, y, 30);
+        const delta = step.delta !== null && step.delta !== undefined ? ` (${step.delta > 0 ? '+' : ''}${step.delta})` : '';
+        PdfTypography.label(doc);
+        y = PdfLayout.drawText(doc, `${i + 1}. ${ScoreTrace.KIND_LABELS[step.kind]}: ${step.label}${delta}`, 20, y);
+
+        if (step.metric) {
+          PdfTypography.body(doc, 'bold');
+          y = PdfLayout.drawText(doc, step.metric, 25, y, { maxWidth: PdfLayout.usableWidth(doc, 5) });
+        }
+        if (step.text) {
+          PdfTypography.body(doc);
+          y = PdfLayout.drawText(doc, step.text, 25, y, { maxWidth: PdfLayout.usableWidth(doc, 5) });
+        }
+        if (step.evidence.length > 0) {
+          PdfTypography.small(doc);
+          y = PdfLayout.drawText(doc, 'Evidence cited:', 25, y);
+          y = PdfLayout.drawBulletList(doc,
+            step.evidence.map(item => {
+              const citation = citationFor(item.url);
+              if (citation) return `${item.label} [${citation.number}]`;
+              return item.url ? `${item.label} (${item.url})` : item.label;
+            }),
+            30, y, { maxWidth: PdfLayout.usableWidth(doc, 10), afterItem: 1 });
+        }
+        y += 3;
+      });
+      y += 6;
+    });
+  },
+
+  /**
+   * Add the consolidated bibliography to appendix (see CitationIndex)
+   */
+  addBibliography(doc, citations) {
+    let y = 30;
+
+    PdfTypography.subsectionTitle(doc);
+    doc.text('Bibliography', 20, y);
+    y += 10;
+
+    PdfTypography.small(doc);
+    y = PdfLayout.drawText(doc,
+      'Every source cited in the assessment, numbered as in the inline citations on the evidence tabs. ' +
+      'Sources marked unverified were dead links or low-credibility domains when checked.', 20, y);
+    y += 6;
+
+    citations.forEach(citation => {
+      y = PdfLayout.ensureSpace(doc, y, 25);
+      PdfTypography.label(doc);
+      y = PdfLayout.drawText(doc,
+        `[${citation.number}] ${citation.title || citation.domain}${citation.title ? ` - ${citation.domain}` : ''}`,
+        20, y, { maxWidth: PdfLayout.usableWidth(doc) });
+
+      PdfTypography.small(doc);
+      y = PdfLayout.drawText(doc, citation.url, 25, y, { maxWidth: PdfLayout.usableWidth(doc, 5) });
+      PdfTypography.small(doc, 'italic');
+      y = PdfLayout.drawText(doc, `Cited by: ${citation.dimensions.map(d => d.label).join(', ')}`, 25, y,
+        { maxWidth: PdfLayout.usableWidth(doc, 5) });
+      if (citation.check) {
+        y = PdfLayout.drawText(doc,
+          `${citation.check.flagged ? 'Unverified: ' : 'Source check: '}${SourceVerifier.describe(citation.check)}`,
+          25, y, { maxWidth: PdfLayout.usableWidth(doc, 5) });
+      }
+      y += 4;
+    });
+  },
+
   /**
    * Add team details to appendix
    */
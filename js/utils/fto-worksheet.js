@@ -0,0 +1,96 @@
+// js/utils/fto-worksheet.js - Freedom-to-operate worksheet rows and summary
+// The IP workflow rates each top relevant patent's blocking potential; the worksheet
+// lists the high and medium ones for advisors to work through with counsel. Advisor
+// entries are keyed by patent (kind code ignored), so they survive an IP re-run.
+
+const FtoWorksheet = {
+  BLOCKING_LEVELS: ['high', 'medium'],
+
+  CLAIM_OVERLAP: {
+    none: 'No overlap',
+    partial: 'Partial',
+    substantial: 'Substantial',
+    unclear: 'Unclear'
+  },
+
+  /**
+   * Worksheet for the IP results, carrying over the advisor's saved entries
+   * @param {Object[]} patents - Top relevant patents from IPRiskAPI.formatPatent
+   * @param {Object|null} saved - Previously saved worksheet
+   * @returns {{rows: Object[], updatedAt: string|null}} Rows:
+   *   [{ key, id, title, assignee, blockingPotential, link, listed,
+   *      claimOverlap, designAround, licensingContact, counselReview }]
+   */
+  build(patents, saved) {
+    const savedRows = new Map((saved?.rows || []).map(row => [row.key, row]));
+    const rows = [];
+
+    (patents || [])
+      .filter(patent => this.BLOCKING_LEVELS.includes(patent.blockingPotential))
+      .forEach(patent => {
+        const key = PatentFamilies.baseId(patent.id);
+        if (!key || key === 'UNKNOWN' || rows.some(row => row.key === key)) return;
+        const entry = savedRows.get(key) || {};
+        rows.push({
+          ...this.emptyEntry(),
+          ...this.entryFields(entry),
+          key,
+          id: patent.id,
+          title: patent.title,
+          assignee: patent.assignee,
+          blockingPotential: patent.blockingPotential,
+          link: patent.link || '',
+          listed: true
+        });
+      });
+
+    // Keep worked rows for patents a re-run no longer lists, so advisor notes aren't lost
+    savedRows.forEach((row, key) => {
+      if (!rows.some(r => r.key === key) && this.isStarted(row)) {
+        rows.push({ ...row, listed: false });
+      }
+    });
+
+    rows.sort((a, b) =>
+      Number(b.listed) - Number(a.listed) ||
+      (PatentFamilies.BLOCKING_RANK[b.blockingPotential] ?? 0) - (PatentFamilies.BLOCKING_RANK[a.blockingPotential] ?? 0));
+
+    return { rows, updatedAt: saved?.updatedAt || null };
+  },
+
+  emptyEntry() {
+    return { claimOverlap: '', designAround: '', licensingContact: '', counselReview: false };
+  },
+
+  entryFields(row) {
+    return {
+      claimOverlap: this.CLAIM_OVERLAP[row.claimOverlap] ? row.claimOverlap : '',
+      designAround: row.designAround || '',
+      licensingContact: row.licensingContact || '',
+      counselReview: !!row.counselReview
+    };
+  },
+
+  /**
+   * Whether the advisor has filled in anything for a patent
+   */
+  isStarted(row) {
+    return !!(row && (row.claimOverlap || row.designAround?.trim() || row.licensingContact?.trim() || row.counselReview));
+  },
+
+  /**
+   * Counts sent to Smartsheet and shown in the worksheet header
+   * @returns {{patents: number, reviewed: number, overlapping: number, counselReview: number}}
+   */
+  summarize(worksheet) {
+    const rows = (worksheet?.rows || []).filter(row => row.listed !== false);
+    return {
+      patents: rows.length,
+      reviewed: rows.filter(row => this.isStarted(row)).length,
+      overlapping: rows.filter(row => row.claimOverlap === 'partial' || row.claimOverlap === 'substantial').length,
+      counselReview: rows.filter(row => row.counselReview).length
+    };
+  }
+};
+
+window.FtoWorksheet = FtoWorksheet;
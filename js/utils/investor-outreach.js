@@ -0,0 +1,181 @@
+// js/utils/investor-outreach.js - "Investors to approach" list for the Funding tab
+// Turns the sector deals' investors and the government programs found by the funding
+// workflow into a ranked outreach list for the venture. Advisors tick off who has been
+// contacted; entries are keyed by investor name, so ticks survive a funding re-run.
+
+const InvestorOutreach = {
+  GROUPS: {
+    angel: 'Angel',
+    seed: 'Seed',
+    series_a_plus: 'Series A+',
+    government: 'Government',
+    undisclosed: 'Stage not disclosed'
+  },
+
+  // Deals rated core or adjacent count toward an investor's rank
+  RELEVANT: ['core', 'adjacent'],
+
+  GOVERNMENT_NAMES: /\b(nih|nsf|doe|dod|darpa|arpa-?[eh]|usda|nasa|nist|sbir|sttr|department of|national (?:science foundation|institutes? of health)|government)\b/i,
+
+  /**
+   * Outreach list for the funding results, carrying over saved contact marks
+   * @param {Object} formatted - FundingAPI.formatForDisplay output
+   * @param {Object|null} saved - Previously saved list
+   * @returns {{rows: Object[], updatedAt: string|null}} Rows, best first:
+   *   [{ key, name, group, deals, relevantDeals, ledRelevant, latest, companies,
+   *      amount, description, sourceUrl, listed, contacted, contactedAt }]
+   */
+  build(formatted, saved) {
+    const savedRows = new Map((saved?.rows || []).map(row => [row.key, row]));
+    const rows = [...this.investorRows(formatted?.verifiedDeals), ...this.programRows(formatted?.governmentPrograms)]
+      .map(row => ({ ...row, ...this.contactFields(savedRows.get(row.key)), listed: true }));
+
+    // Keep contacted investors a re-run no longer finds, so the outreach record isn't lost
+    savedRows.forEach((row, key) => {
+      if (row.contacted && !rows.some(r => r.key === key)) rows.push({ ...row, listed: false });
+    });
+
+    rows.sort((a, b) =>
+      Number(b.listed) - Number(a.listed) ||
+      b.ledRelevant - a.ledRelevant ||
+      Number(b.relevantDeals > 0) - Number(a.relevantDeals > 0) ||
+      (b.latest?.at || 0) - (a.latest?.at || 0) ||
+      b.relevantDeals - a.relevantDeals ||
+      b.deals - a.deals ||
+      a.name.localeCompare(b.name));
+
+    return { rows, updatedAt: saved?.updatedAt || null };
+  },
+
+  investorRows(verifiedDeals) {
+    const deals = DealExplorer.deals(verifiedDeals);
+    const byKey = new Map();
+    const later = (date, than) => (date && (!than || date.at > than.at) ? date : than);
+
+    deals.forEach(deal => {
+      const relevant = this.RELEVANT.includes(deal.relevance);
+      deal.investors.forEach(investor => {
+        const key = DealExplorer.investorKey(investor.name);
+        const row = byKey.get(key) || {
+          key,
+          name: investor.name,
+          deals: 0,
+          relevantDeals: 0,
+          ledRelevant: 0,
+          latestRelevant: null,
+          latestAny: null,
+          companies: [],
+          groups: []
+        };
+        row.deals += 1;
+        if (relevant) {
+          row.relevantDeals += 1;
+          if (investor.lead) row.ledRelevant += 1;
+          row.latestRelevant = later(deal.date, row.latestRelevant);
+        }
+        row.latestAny = later(deal.date, row.latestAny);
+        if (!row.companies.includes(deal.company)) row.companies.push(deal.company);
+        row.groups.push({ group: this.dealGroup(deal, investor.name), at: deal.date?.at || 0 });
+        byKey.set(key, row);
+      });
+    });
+
+    // Recency ranks on relevant deals; broad-only investors fall back to any deal
+    return Array.from(byKey.values()).map(({ groups, latestRelevant, latestAny, ...row }) => ({
+      ...row,
+      latest: row.relevantDeals > 0 ? latestRelevant : latestAny,
+      group: this.investorGroup(groups),
+      amount: '',
+      description: '',
+      sourceUrl: ''
+    }));
+  },
+
+  programRows(programs) {
+    return (programs || [])
+      .filter(program => program.name)
+      .map(program => ({
+        key: `program:${DealExplorer.investorKey(program.name)}`,
+        name: program.name,
+        group: 'government',
+        deals: 0,
+        relevantDeals: 0,
+        ledRelevant: 0,
+        latest: null,
+        companies: [],
+        amount: program.amount && program.amount !== 'undisclosed' ? program.amount : '',
+        description: program.description || '',
+        sourceUrl: program.sourceUrl || ''
+      }));
+  },
+
+  /**
+   * Stage group one deal puts an investor in
+   */
+  dealGroup(deal, investorName) {
+    if (this.GOVERNMENT_NAMES.test(investorName) || deal.stage === 'grant') return 'government';
+    if (/angel/i.test(investorName) || /angel/i.test(deal.series)) return 'angel';
+    if (deal.stage === 'pre_seed' || deal.stage === 'seed') return 'seed';
+    if (['series_a', 'series_b', 'series_c_plus'].includes(deal.stage)) return 'series_a_plus';
+    return null;
+  },
+
+  /**
+   * The group most of an investor's deals fall in; ties go to the most recent deal's
+   */
+  investorGroup(groups) {
+    const known = groups.filter(g => g.group);
+    if (known.length === 0) return 'undisclosed';
+    const counts = {};
+    known.forEach(g => { counts[g.group] = (counts[g.group] || 0) + 1; });
+    const top = Math.max(...Object.values(counts));
+    return known
+      .filter(g => counts[g.group] === top)
+      .sort((a, b) => b.at - a.at)[0].group;
+  },
+
+  contactFields(row) {
+    return {
+      contacted: !!row?.contacted,
+      contactedAt: row?.contacted ? row.contactedAt || null : null
+    };
+  },
+
+  /**
+   * Listed rows by group, in GROUPS order, plus contacted investors no longer found
+   * @returns {[{key, label, rows}]}
+   */
+  grouped(list) {
+    const rows = list?.rows || [];
+    const groups = Object.entries(this.GROUPS)
+      .map(([key, label]) => ({ key, label, rows: rows.filter(row => row.listed !== false && row.group === key) }))
+      .filter(group => group.rows.length > 0);
+    const unlisted = rows.filter(row => row.listed === false);
+    if (unlisted.length > 0) groups.push({ key: 'unlisted', label: 'No longer in the funding results', rows: unlisted });
+    return groups;
+  },
+
+  /**
+   * "Led 2 of 3 relevant deals, latest Q2 2024"
+   */
+  describe(row) {
+    if (row.key.startsWith('program:')) return row.amount ? `Program funding: ${row.amount}` : 'Government program';
+    const parts = [];
+    if (row.relevantDeals > 0) {
+      parts.push(row.ledRelevant > 0
+        ? `Led ${row.ledRelevant} of ${row.relevantDeals} relevant deal${row.relevantDeals === 1 ? '' : 's'}`
+        : `In ${row.relevantDeals} relevant deal${row.relevantDeals === 1 ? '' : 's'}`);
+    } else {
+      parts.push(`In ${row.deals} broad-sector deal${row.deals === 1 ? '' : 's'}`);
+    }
+    if (row.latest) parts.push(`latest ${row.latest.quarter ? `Q${row.latest.quarter} ` : ''}${row.latest.year}`);
+    return parts.join(', ');
+  },
+
+  summarize(list) {
+    const rows = (list?.rows || []).filter(row => row.listed !== false);
+    return { investors: rows.length, contacted: rows.filter(row => row.contacted).length };
+  }
+};
+
+window.InvestorOutreach = InvestorOutreach;
@@ -0,0 +1,105 @@
+// js/utils/market-sizing.js - Bottom-up SAM/SOM model for the Market tab
+// The Market workflow sizes the market top-down (TAM and CAGR). The builder works up
+// from the Solution Value beachhead instead: target customers x annual price gives the
+// serviceable market (SAM), and the share won as adoption ramps gives the obtainable
+// market (SOM). The assumptions are the advisor's; the workflows only seed them.
+
+const MarketSizing = {
+  defaultYears: 5,
+  maxYears: 10,
+  defaultShare: 5,        // Percent of SAM won by the final projection year
+
+  // Fraction of the target share reached at t, the elapsed fraction of the horizon (0-1]
+  ADOPTION_CURVES: {
+    s_curve: {
+      label: 'S-curve (slow start, then rapid uptake)',
+      at: t => {
+        const logistic = x => 1 / (1 + Math.exp(-10 * (x - 0.5)));
+        return (logistic(t) - logistic(0)) / (logistic(1) - logistic(0));
+      }
+    },
+    linear: { label: 'Linear', at: t => t },
+    early: { label: 'Early traction (fast, then flattening)', at: t => 1 - Math.pow(1 - t, 2) }
+  },
+
+  /**
+   * Starting assumptions from the company and market phases
+   * @param {Object} company - Company phase output (solution_value.beachhead_customer)
+   * @param {Object} market - Market phase result (formatted.primaryMarket)
+   */
+  seed(company, market) {
+    const primary = market?.formatted?.primaryMarket || {};
+    const cagr = parseFloat(primary.cagr);
+    return {
+      segment: company?.solution_value?.beachhead_customer?.segment || '',
+      targetCustomers: null,
+      pricePoint: null,
+      customerGrowth: isNaN(cagr) ? 0 : cagr,
+      share: this.defaultShare,
+      adoptionCurve: 's_curve',
+      startYear: new Date().getFullYear() + 1,
+      years: this.defaultYears
+    };
+  },
+
+  /**
+   * Assumptions for the current results: the advisor's saved values over the seeds
+   * @param {Object|null} saved - Previously saved { assumptions, updatedAt }
+   * @returns {{assumptions: Object, updatedAt: string|null}}
+   */
+  build(saved, company, market) {
+    const seeded = this.seed(company, market);
+    const assumptions = { ...seeded };
+    Object.entries(saved?.assumptions || {}).forEach(([field, value]) => {
+      if (field in seeded && value !== null && value !== undefined && value !== '') assumptions[field] = value;
+    });
+    if (!this.ADOPTION_CURVES[assumptions.adoptionCurve]) assumptions.adoptionCurve = seeded.adoptionCurve;
+    return { assumptions, updatedAt: saved?.updatedAt || null };
+  },
+
+  /**
+   * Year-by-year projection
+   * @returns {{sam: number, som: number, rows: [{year, customers, sam, share, customersWon, revenue}]}|null}
+   *   sam is the first year's SAM and som the final year's revenue;
+   *   null until target customers and price are entered
+   */
+  project(assumptions) {
+    const customers = parseFloat(assumptions?.targetCustomers);
+    const price = parseFloat(assumptions?.pricePoint);
+    if (!(customers > 0) || !(price > 0)) return null;
+
+    const growth = parseFloat(assumptions.customerGrowth) || 0;
+    const share = Math.min(Math.max(parseFloat(assumptions.share) || 0, 0), 100);
+    const years = Math.min(Math.max(parseInt(assumptions.years, 10) || this.defaultYears, 1), this.maxYears);
+    const startYear = parseInt(assumptions.startYear, 10) || new Date().getFullYear() + 1;
+    const curve = (this.ADOPTION_CURVES[assumptions.adoptionCurve] || this.ADOPTION_CURVES.s_curve).at;
+
+    const rows = [];
+    for (let i = 0; i < years; i += 1) {
+      const yearCustomers = customers * Math.pow(1 + growth / 100, i);
+      const yearShare = share * curve((i + 1) / years);
+      rows.push({
+        year: startYear + i,
+        customers: Math.round(yearCustomers),
+        sam: yearCustomers * price,
+        share: yearShare,
+        customersWon: Math.round(yearCustomers * yearShare / 100),
+        revenue: yearCustomers * price * yearShare / 100
+      });
+    }
+
+    return { sam: rows[0].sam, som: rows[rows.length - 1].revenue, rows };
+  },
+
+  /**
+   * SAM as a percentage of the workflow's TAM; over 100 means the assumptions
+   * don't fit the top-down sizing
+   */
+  samShareOfTam(projection, tam) {
+    const value = parseFloat(tam);
+    if (!projection || !(value > 0)) return null;
+    return (projection.sam / value) * 100;
+  }
+};
+
+window.MarketSizing = MarketSizing;
@@ -0,0 +1,415 @@
+// js/utils/output-decoder.js - Decodes Stack AI workflow outputs into JSON
+// Workflow outputs arrive as objects, { text } wrappers or model text that may wrap the
+// JSON in fences and prose, end mid-object when the model hits its token limit, or hold
+// several objects. Every API module and the admin import decode through here, and each
+// decode reports the repairs it needed.
+
+const OutputDecoder = {
+  maxCuts: 50,            // Truncation repair: how many incomplete trailing members to drop
+  maxStringDepth: 3,      // How many levels of JSON-in-a-JSON-string to decode
+
+  REPAIRS: {
+    codeFence: 'removed code fence',
+    leadingProse: 'skipped text before the JSON',
+    trailingText: 'dropped text after the JSON',
+    trailingCommas: 'removed trailing commas',
+    truncated: 'closed truncated JSON',
+    doubleEncoded: 'decoded JSON that was encoded as a string',
+    mergedObjects: 'merged several JSON objects',
+    multipleValues: 'kept the first of several JSON values'
+  },
+
+  /**
+   * Decode a workflow output
+   * @param {*} raw - Output as returned by Stack AI: object, { text } wrapper or string
+   * @param {Object} options
+   * @param {string[]} options.envelopes - Keys of wrapper objects to unwrap, in order
+   *   (e.g. ['output', 'result', 'data'] for pasted exports)
+   * @returns {{value: *, repairs: string[], unwrapped: string[], error: string|null}}
+   *   value is null when nothing could be decoded; repairs are REPAIRS keys
+   */
+  decode(raw, { envelopes = [] } = {}) {
+    const report = { value: null, repairs: [], unwrapped: [], error: null };
+
+    try {
+      let value = this.decodeValue(raw, report);
+
+      envelopes.forEach(key => {
+        const inner = value && typeof value === 'object' && !Array.isArray(value) ? value[key] : undefined;
+        if (inner && typeof inner === 'object' && !Array.isArray(inner)) {
+          value = inner;
+          report.unwrapped.push(key);
+        } else if (typeof inner === 'string' && /^\s*[{[`]/.test(inner)) {
+          const decoded = this.decodeValue(inner, report);
+          if (decoded && typeof decoded === 'object') {
+            value = decoded;
+            report.unwrapped.push(key);
+          }
+        }
+      });
+
+      report.value = value ?? null;
+      if (report.value === null && report.error === null) {
+        report.error = 'empty output';
+      }
+    } catch (error) {
+      report.value = null;
+      report.error = error.message;
+    }
+
+    report.repairs = [...new Set(report.repairs)];
+    return report;
+  },
+
+  /**
+   * Decode and log. The form the API modules use.
+   * @param {*} raw - Workflow output
+   * @param {string} label - What the output is, for log messages
+   * @param {string} source - Log tag of the caller
+   * @returns {*} Decoded value, or null if the output could not be decoded
+   */
+  parse(raw, label = 'output', source = 'OutputDecoder') {
+    if (raw === null || raw === undefined || raw === '') return null;
+
+    const report = this.decode(raw);
+    if (report.value === null) {
+      Debug.error(`[${source}] Failed to parse ${label}: ${report.error}`);
+      return null;
+    }
+    // Fenced output is routine; anything else is worth a warning
+    const repairs = this.describe(report.repairs).join('; ');
+    if (report.repairs.some(key => key !== 'codeFence')) {
+      Debug.warn(`[${source}] Repaired ${label}: ${repairs}`);
+    } else if (repairs) {
+      Debug.log(`[${source}] Decoded ${label}: ${repairs}`);
+    }
+    return report.value;
+  },
+
+  /**
+   * Readable descriptions of a decode's repairs
+   */
+  describe(repairs) {
+    return (repairs || []).map(key => this.REPAIRS[key] || key);
+  },
+
+  decodeValue(raw, report, depth = 0) {
+    if (raw === null || raw === undefined) return null;
+
+    if (typeof raw === 'string') {
+      return this.decodeText(raw, report, depth);
+    }
+
+    // Stack AI wraps model text as { text }
+    if (typeof raw === 'object' && !Array.isArray(raw) && typeof raw.text === 'string') {
+      report.unwrapped.push('text');
+      return this.decodeText(raw.text, report, depth);
+    }
+
+    return raw;
+  },
+
+  decodeText(text, report, depth) {
+    let candidate = text.replace(/^\uFEFF/, '').trim();
+    if (!candidate) return null;
+
+    const direct = this.tryParse(candidate);
+    if (direct.ok) return this.decodeString(direct.value, report, depth);
+
+    // A fence that opens after the JSON starts is a stray closing fence (the model
+    // dropped the opening one), so its contents are prose, not the output
+    const fenced = this.extractFenced(candidate);
+    if (fenced !== null) {
+      const parsed = this.tryParse(fenced);
+      const jsonStart = candidate.search(/[{[]/);
+      if (parsed.ok || jsonStart === -1 || jsonStart > candidate.indexOf('```')) {
+        report.repairs.push('codeFence');
+        if (parsed.ok) return this.decodeString(parsed.value, report, depth);
+        candidate = fenced;
+      }
+    }
+
+    const start = candidate.search(/[{[]/);
+    if (start === -1) {
+      throw new Error('no JSON object or array in output');
+    }
+    if (start > 0) report.repairs.push('leadingProse');
+
+    return this.decodeSegments(candidate.slice(start), report);
+  },
+
+  /**
+   * Model output that is itself a JSON string holding JSON
+   */
+  decodeString(value, report, depth) {
+    if (typeof value !== 'string' || depth >= this.maxStringDepth || !/^\s*[{["`]/.test(value)) {
+      return value;
+    }
+    try {
+      const decoded = this.decodeText(value, report, depth + 1);
+      if (decoded && typeof decoded === 'object') {
+        report.repairs.push('doubleEncoded');
+        return decoded;
+      }
+    } catch (e) {
+      // Not JSON after all: keep the string
+    }
+    return value;
+  },
+
+  /**
+   * Contents of the first ``` block. An unclosed fence (truncated output) runs to the end.
+   * @returns {string|null} null when there is no fence or the block is empty
+   */
+  extractFenced(text) {
+    const match = text.match(/```[a-zA-Z]*[ \t]*\r?\n?([\s\S]*?)(```|$)/);
+    return match && match[1].trim() ? match[1].trim() : null;
+  },
+
+  /**
+   * Parse the top-level JSON values in text that starts with { or [
+   */
+  decodeSegments(text, report) {
+    const { segments, trailingText } = this.splitSegments(text);
+    const first = segments[0];
+
+    const values = [];
+    segments.forEach((segment, i) => {
+      const value = this.parseSegment(segment, report, i === 0);
+      // Later segments only count if they are the same kind of value, so a
+      // bracketed aside such as "[1]" in trailing prose is ignored
+      if (value !== undefined && (i === 0 || Array.isArray(value) === Array.isArray(values[0]))) {
+        values.push(value);
+      } else if (i > 0) {
+        report.repairs.push('trailingText');
+      }
+    });
+
+    if (values.length === 0) {
+      throw new Error(`invalid JSON${first?.complete ? '' : ' (truncated)'}`);
+    }
+    if (trailingText) report.repairs.push('trailingText');
+    if (values.length === 1) return values[0];
+
+    const objects = values.every(v => v && typeof v === 'object' && !Array.isArray(v));
+    const keys = objects ? values.flatMap(v => Object.keys(v)) : [];
+    if (objects && new Set(keys).size === keys.length) {
+      report.repairs.push('mergedObjects');
+      return Object.assign({}, ...values);
+    }
+
+    report.repairs.push('multipleValues');
+    return values[0];
+  },
+
+  /**
+   * Split text into balanced top-level { } / [ ] segments. The last segment is
+   * incomplete when the text ends inside it.
+   */
+  splitSegments(text) {
+    const segments = [];
+    let depth = 0;
+    let inString = false;
+    let escape = false;
+    let segmentStart = 0;
+    let trailingText = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (inString) {
+        if (escape) escape = false;
+        else if (char === '\\') escape = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (depth === 0) {
+        if (char === '{' || char === '[') {
+          segmentStart = i;
+          depth = 1;
+        } else if (!/\s/.test(char)) {
+          trailingText = true;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth += 1;
+      } else if (char === '}' || char === ']') {
+        depth -= 1;
+        if (depth === 0) {
+          segments.push({ text: text.slice(segmentStart, i + 1), complete: true });
+        }
+      }
+    }
+
+    if (depth > 0) {
+      segments.push({ text: text.slice(segmentStart), complete: false });
+    }
+
+    return { segments, trailingText };
+  },
+
+  /**
+   * @returns {*} Parsed value, or undefined if the segment could not be repaired
+   */
+  parseSegment(segment, report, isFirst) {
+    let text = segment.text;
+    let parsed = this.tryParse(text);
+    if (parsed.ok) return parsed.value;
+
+    const withoutCommas = this.removeTrailingCommas(text);
+    if (withoutCommas !== text) {
+      parsed = this.tryParse(withoutCommas);
+      if (parsed.ok) {
+        report.repairs.push('trailingCommas');
+        return parsed.value;
+      }
+      text = withoutCommas;
+    }
+
+    // Only the last segment can be truncated, and a truncated aside after the
+    // main value isn't worth keeping
+    if (!segment.complete && isFirst) {
+      const closed = this.closeTruncated(text);
+      if (closed !== undefined) {
+        if (withoutCommas !== segment.text) report.repairs.push('trailingCommas');
+        report.repairs.push('truncated');
+        return closed;
+      }
+    }
+
+    return undefined;
+  },
+
+  /**
+   * Drop commas directly before a closing } or ], outside strings
+   */
+  removeTrailingCommas(text) {
+    let result = '';
+    let inString = false;
+    let escape = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (inString) {
+        if (escape) escape = false;
+        else if (char === '\\') escape = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1, i + 200))) {
+        continue;
+      }
+      result += char;
+    }
+
+    return result;
+  },
+
+  /**
+   * Close a truncated value. If the closed text still doesn't parse (the cut fell
+   * inside a key, number or literal), drop the last incomplete member and try again.
+   * @returns {*} Parsed value, or undefined
+   */
+  closeTruncated(text) {
+    let candidate = text;
+
+    for (let cut = 0; cut <= this.maxCuts && candidate; cut += 1) {
+      const closed = this.balance(candidate);
+      if (closed !== null) {
+        const parsed = this.tryParse(closed);
+        if (parsed.ok) return parsed.value;
+      }
+
+      const cutPoint = this.lastCutPoint(candidate);
+      if (cutPoint <= 0) break;
+      candidate = candidate.slice(0, cutPoint);
+    }
+
+    return undefined;
+  },
+
+  /**
+   * Close an open string and unbalanced brackets
+   * @returns {string|null} null if a closing bracket doesn't match its opener
+   */
+  balance(text) {
+    const stack = [];
+    let inString = false;
+    let escape = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (inString) {
+        if (escape) escape = false;
+        else if (char === '\\') escape = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        stack.push('}');
+      } else if (char === '[') {
+        stack.push(']');
+      } else if (char === '}' || char === ']') {
+        if (stack.pop() !== char) return null;
+      }
+    }
+
+    let closed = text;
+    if (inString) {
+      // A dangling escape would swallow the closing quote
+      if (escape) closed = closed.slice(0, -1);
+      closed += '"';
+    }
+    closed = closed.replace(/[\s,]+$/, '');
+
+    return closed + stack.reverse().join('');
+  },
+
+  /**
+   * End of the last complete member: the last comma outside strings, or just
+   * after the last opening bracket
+   */
+  lastCutPoint(text) {
+    let inString = false;
+    let escape = false;
+    let point = -1;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (inString) {
+        if (escape) escape = false;
+        else if (char === '\\') escape = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === ',') point = i;
+      else if (char === '{' || char === '[') point = i + 1;
+    }
+
+    // Cutting at the end would not shorten the text
+    return point >= text.length ? text.length - 1 : point;
+  },
+
+  tryParse(text) {
+    try {
+      return { ok: true, value: JSON.parse(text) };
+    } catch (e) {
+      return { ok: false, value: undefined };
+    }
+  }
+};
+
+window.OutputDecoder = OutputDecoder;
@@ -0,0 +1,161 @@
+// js/utils/patent-families.js - Patent de-duplication, family grouping and filing timeline
+// The IP workflow lists patents three times over (top relevant, company table, third-party
+// table), under IDs written several ways ("US 11,234,567 B2", "US-11234567-B2"). Publications
+// of one application are merged by normalized ID, then grouped into families by assignee
+// and title, which is as close to a real patent family as the workflow output allows.
+
+const PatentFamilies = {
+  googlePatentsBase: 'https://patents.google.com/patent/',
+  timelineAssignees: 5,   // Top assignees charted
+  timelineYears: 20,      // Most recent filing years charted
+
+  BLOCKING_RANK: { high: 3, medium: 2, low: 1, none: 0 },
+
+  SOURCE_LABELS: {
+    relevant: 'Top relevant',
+    company: 'Company',
+    thirdParty: 'Third party'
+  },
+
+  /**
+   * "US 11,234,567 B2" -> "US11234567B2"
+   */
+  normalizeId(id) {
+    return String(id || '').toUpperCase().replace(/[\s,./\-]/g, '');
+  },
+
+  /**
+   * Publication number without its kind code, so the A1 and B2 publications
+   * of one application match: "US11234567B2" -> "US11234567"
+   */
+  baseId(id) {
+    const normalized = this.normalizeId(id);
+    const match = normalized.match(/^([A-Z]{2})(\d+)([A-Z]\d?)?$/);
+    return match ? match[1] + match[2] : normalized;
+  },
+
+  googlePatentsUrl(id) {
+    const normalized = this.normalizeId(id);
+    return normalized ? `${this.googlePatentsBase}${normalized}` : '';
+  },
+
+  normalizeAssignee(assignee) {
+    return String(assignee || '')
+      .toLowerCase()
+      .replace(/[.,]/g, ' ')
+      .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc|lp)\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  normalizeTitle(title) {
+    const normalized = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return normalized === 'untitled' ? '' : normalized;
+  },
+
+  /**
+   * Merge the formatted patent lists into families
+   * @param {Object} lists - { relevant, company, thirdParty } arrays from IPRiskAPI.formatPatent
+   * @returns {Object[]} Families, most likely to block first:
+   *   [{ key, title, assignee, blockingPotential, years, sources, members }]
+   */
+  group({ relevant = [], company = [], thirdParty = [] } = {}) {
+    const byBase = new Map();
+
+    Object.entries({ relevant, company, thirdParty }).forEach(([source, patents]) => {
+      patents.forEach(patent => {
+        const base = this.baseId(patent.id);
+        if (!base || base === 'UNKNOWN') return;
+        const existing = byBase.get(base);
+        byBase.set(base, existing ? this.mergePatent(existing, patent, source) : { ...patent, sources: [source] });
+      });
+    });
+
+    const families = new Map();
+    byBase.forEach((patent, base) => {
+      const title = this.normalizeTitle(patent.title);
+      const assignee = this.normalizeAssignee(patent.assignee);
+      // Untitled patents can't be matched to others
+      const key = title && assignee ? `${assignee}|${title}` : base;
+      const family = families.get(key) || { key, members: [] };
+      family.members.push(patent);
+      families.set(key, family);
+    });
+
+    return Array.from(families.values())
+      .map(family => this.summarize(family))
+      .sort((a, b) =>
+        (this.BLOCKING_RANK[b.blockingPotential] ?? 0) - (this.BLOCKING_RANK[a.blockingPotential] ?? 0) ||
+        b.members.length - a.members.length ||
+        (b.years[b.years.length - 1] || 0) - (a.years[a.years.length - 1] || 0));
+  },
+
+  mergePatent(existing, patent, source) {
+    const merged = { ...existing };
+    ['title', 'assignee', 'year', 'status', 'link', 'relevance'].forEach(field => {
+      const missing = !merged[field] || merged[field] === 'Unknown' || merged[field] === 'Untitled';
+      if (missing && patent[field]) merged[field] = patent[field];
+    });
+    if ((this.BLOCKING_RANK[patent.blockingPotential] ?? 0) > (this.BLOCKING_RANK[merged.blockingPotential] ?? 0)) {
+      merged.blockingPotential = patent.blockingPotential;
+    }
+    if ((patent.abstract || '').length > (merged.abstract || '').length) merged.abstract = patent.abstract;
+    if ((patent.claims || []).length > (merged.claims || []).length) merged.claims = patent.claims;
+    // Keep the most specific publication ID (the one with a kind code)
+    if (this.normalizeId(patent.id).length > this.normalizeId(merged.id).length) merged.id = patent.id;
+    if (!merged.sources.includes(source)) merged.sources = [...merged.sources, source];
+    return merged;
+  },
+
+  summarize(family) {
+    const members = [...family.members].sort((a, b) =>
+      (this.BLOCKING_RANK[b.blockingPotential] ?? 0) - (this.BLOCKING_RANK[a.blockingPotential] ?? 0) ||
+      (a.year || 9999) - (b.year || 9999));
+    const lead = members[0];
+    const blockingPotential = members.reduce((top, m) =>
+      (this.BLOCKING_RANK[m.blockingPotential] ?? 0) > (this.BLOCKING_RANK[top] ?? 0) ? m.blockingPotential : top, 'none');
+
+    return {
+      key: family.key,
+      title: lead.title,
+      assignee: lead.assignee,
+      blockingPotential,
+      years: [...new Set(members.map(m => m.year).filter(Boolean))].sort((a, b) => a - b),
+      sources: [...new Set(members.flatMap(m => m.sources))],
+      members
+    };
+  },
+
+  /**
+   * Filing years per top assignee
+   * @param {Object[]} families - From group()
+   * @returns {{years: number[], rows: [{assignee, total, counts: {year: n}}]}|null}
+   *   null when no patent has a year
+   */
+  timeline(families) {
+    const byAssignee = new Map();
+    families.flatMap(f => f.members).forEach(patent => {
+      if (!patent.year || !patent.assignee || patent.assignee === 'Unknown') return;
+      const key = this.normalizeAssignee(patent.assignee);
+      const row = byAssignee.get(key) || { assignee: patent.assignee, total: 0, counts: {} };
+      row.total += 1;
+      row.counts[patent.year] = (row.counts[patent.year] || 0) + 1;
+      byAssignee.set(key, row);
+    });
+
+    const rows = Array.from(byAssignee.values())
+      .sort((a, b) => b.total - a.total)
+      .slice(0, this.timelineAssignees);
+    if (rows.length === 0) return null;
+
+    const allYears = rows.flatMap(row => Object.keys(row.counts).map(Number));
+    const last = Math.max(...allYears);
+    const first = Math.max(Math.min(...allYears), last - this.timelineYears + 1);
+    const years = [];
+    for (let year = first; year <= last; year += 1) years.push(year);
+
+    return { years, rows };
+  }
+};
+
+window.PatentFamilies = PatentFamilies;
@@ -0,0 +1,159 @@
+// js/utils/researcher-profiles.js - Researcher profile cards for the Team tab
+// Merges each team member's career, degrees, papers, commercialization and awards into
+// one dated timeline, and ties the commercialization signals the scoring step cites back
+// to the researcher and timeline entries they came from. Matching is by name and shared
+// words, since the workflow cites signals as free text.
+
+const ResearcherProfiles = {
+  KINDS: {
+    career: 'Career',
+    degree: 'Degree',
+    paper: 'Paper',
+    commercialization: 'Patent / licensing',
+    award: 'Award'
+  },
+
+  // Words too common in signals and entries to show a match
+  STOP_WORDS: new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'has', 'have', 'was', 'were', 'his', 'her',
+    'their', 'research', 'researcher', 'professor', 'university', 'team', 'member', 'signal', 'experience'
+  ]),
+  minSharedWords: 2,
+
+  /**
+   * "2015 - 2020", "2018-Present", "Since 2019" or a year
+   * @returns {{start: number|null, end: number|null}}
+   */
+  parseYears(value) {
+    const text = String(value ?? '');
+    const years = (text.match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    const ongoing = /present|current|now|ongoing/i.test(text);
+    return {
+      start: years[0] || null,
+      end: ongoing ? new Date().getFullYear() : years[1] || years[0] || null
+    };
+  },
+
+  entryText(entry) {
+    if (entry === null || entry === undefined) return '';
+    if (typeof entry !== 'object') return String(entry);
+    return Object.values(entry).filter(v => typeof v === 'string' || typeof v === 'number').join(' ');
+  },
+
+  /**
+   * Timeline entries for one member, newest first; undated entries last
+   * @returns {[{kind, start, end, title, detail, text}]}
+   */
+  events(member) {
+    const event = (kind, entry, title, detail, when) => {
+      const { start, end } = this.parseYears(when ?? this.entryText(entry));
+      return { kind, start, end, title: title || this.entryText(entry), detail: detail || '', text: this.entryText(entry) };
+    };
+    const list = (items) => (Array.isArray(items) ? items.filter(item => item && this.entryText(item).trim() && item.award_name !== '—') : []);
+
+    const events = [
+      ...list(member.work_history).map(w => event('career', w, w.position || w.company, w.position && w.company ? w.company : '', w.duration || w.years)),
+      ...list(member.education_history).map(e => event('degree', e, e.degree, e.institution, e.year)),
+      ...list(member.papers_publications).map(p => event('paper', p, p.title, p.venue || p.journal, p.year)),
+      ...list(member.commercialization_experience).map(c => event('commercialization', c, c.description, [c.company, c.outcome].filter(Boolean).join(' - '), c.year || c.date)),
+      ...list(member.awards_recognition).map(a => event('award', a, a.award_name, a.organization, a.year))
+    ];
+
+    return events.sort((a, b) => (b.start || 0) - (a.start || 0));
+  },
+
+  /**
+   * Paper counts per year, gaps filled; [] when no paper has a year
+   */
+  papersPerYear(events) {
+    const years = events.filter(e => e.kind === 'paper' && e.start).map(e => e.start);
+    if (years.length === 0) return [];
+    const first = Math.min(...years);
+    const last = Math.max(...years);
+    const counts = [];
+    for (let year = first; year <= last; year += 1) {
+      counts.push({ year, count: years.filter(y => y === year).length });
+    }
+    return counts;
+  },
+
+  words(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 3 && !this.STOP_WORDS.has(word)));
+  },
+
+  /**
+   * The member a cited signal is about: a member field on the signal, the only
+   * member whose full or last name the signal mentions, or a sole researcher
+   */
+  signalMember(signal, members) {
+    if (members.length === 1) return members[0];
+    const named = typeof signal === 'object' && signal
+      ? signal.member || signal.team_member || signal.researcher || signal.person || signal.name
+      : null;
+    const text = ScoreTrace.itemText(signal).toLowerCase();
+    const byName = members.filter(m => named
+      ? String(named).toLowerCase().includes(String(m.name).toLowerCase())
+      : text.includes(String(m.name).toLowerCase()));
+    if (byName.length === 1) return byName[0];
+
+    // Diacritics are dropped on both sides so "Müller" matches "Muller"; a last
+    // name with fewer than three Latin letters left (e.g. non-Latin script) is skipped
+    const latin = str => String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const lastName = m => latin(String(m.name || '').trim().split(/\s+/).pop()).replace(/[^a-z]/g, '');
+    const haystack = latin(named || text);
+    const byLastName = members.filter(m => lastName(m).length >= 3 && new RegExp(`\\b${lastName(m)}\\b`).test(haystack));
+    return byLastName.length === 1 ? byLastName[0] : null;
+  },
+
+  /**
+   * Profile cards for the team
+   * @param {Object[]} members - TeamAPI.ensureRequiredFields team_members
+   * @param {Array} signals - scoring.evaluation_steps.commercialization_signals_found
+   * @returns {{profiles: Object[], unattributed: string[]}} Profiles:
+   *   [{ name, role, counts, events (with cited flags), papersPerYear, signals }]
+   */
+  build(members, signals) {
+    const team = (members || []).filter(m => m && m.name);
+    const attributed = new Map(team.map(m => [m, []]));
+    const unattributed = [];
+
+    (signals || []).forEach(signal => {
+      const text = ScoreTrace.itemText(signal);
+      if (!text) return;
+      const member = this.signalMember(signal, team);
+      if (member) attributed.get(member).push(text);
+      else unattributed.push(text);
+    });
+
+    const profiles = team.map(member => {
+      const memberSignals = attributed.get(member);
+      const signalWords = memberSignals.map(text => this.words(text));
+      const events = this.events(member).map(event => {
+        const words = this.words(`${event.title} ${event.detail} ${event.text}`);
+        const cited = signalWords.some(set => [...set].filter(word => words.has(word)).length >= this.minSharedWords);
+        return { ...event, cited };
+      });
+
+      const count = kind => events.filter(e => e.kind === kind).length;
+      return {
+        name: member.name,
+        role: member.role_at_venture || '',
+        counts: {
+          career: count('career'),
+          degree: count('degree'),
+          paper: count('paper'),
+          commercialization: count('commercialization'),
+          award: count('award')
+        },
+        events,
+        papersPerYear: this.papersPerYear(events),
+        signals: memberSignals
+      };
+    });
+
+    return { profiles, unattributed };
+  }
+};
+
+window.ResearcherProfiles = ResearcherProfiles;
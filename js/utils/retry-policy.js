@@ -0,0 +1,87 @@
+// js/utils/retry-policy.js - Automatic retry rules for pipeline phases
+// Decides which phase errors are worth retrying and how long to wait between attempts.
+// Phases override the defaults with a `retry` field in their PhaseRegistry entry.
+
+const RetryPolicy = {
+  defaults: {
+    maxAttempts: 3,          // Total attempts, including the first
+    baseDelayMs: 3000,       // Delay before the first retry, doubled for each further retry
+    maxDelayMs: 30000,
+    jitter: 0.3,             // +/- fraction of the delay, so parallel phases don't retry in lockstep
+    retryOn: ['tokenLimit', 'server', 'network', 'parse']
+  },
+
+  /**
+   * Error classifiers, checked in order. Each returns true if the error belongs to its class.
+   */
+  classifiers: {
+    // Token/context length limits are transient: the AI search tools typically
+    // return different (shorter) content on each attempt
+    tokenLimit(error) {
+      const msg = (error.message || '').toLowerCase();
+      return (msg.includes('token') && (msg.includes('limit') || msg.includes('exceed')))
+          || msg.includes('context_length_exceeded')
+          || msg.includes('context length')
+          || (msg.includes('input') && msg.includes('too long'));
+    },
+
+    // Stack AI 5xx and rate-limit responses (see StackProxy.call)
+    server(error) {
+      return /API error (5\d\d|429)\b/.test(error.message || '');
+    },
+
+    // fetch() rejects with a TypeError when the connection drops
+    network(error) {
+      return error.name === 'TypeError' && /fetch|network|load failed/i.test(error.message || '');
+    },
+
+    // Malformed or incomplete workflow output (processResponse and validators)
+    parse(error) {
+      if (error.name === 'SyntaxError') return true;
+      return /failed to parse|invalid .*(format|score|data)|did not return expected outputs|missing (expected )?outputs?|no .* data returned/i
+        .test(error.message || '');
+    }
+  },
+
+  /**
+   * Policy for a phase: defaults merged with the registry entry's `retry` field
+   * @param {string} phaseKey - Phase key
+   */
+  forPhase(phaseKey) {
+    return { ...this.defaults, ...(PhaseRegistry.get(phaseKey)?.retry || {}) };
+  },
+
+  /**
+   * @returns {string|null} Name of the first matching classifier
+   */
+  classify(error) {
+    if (!error) return null;
+    return Object.keys(this.classifiers).find(name => this.classifiers[name](error)) || null;
+  },
+
+  /**
+   * Whether a failed attempt should be retried
+   * @param {Object} policy - From forPhase()
+   * @param {Error} error - Error from the attempt
+   * @param {number} attempt - 1-based number of the attempt that failed
+   */
+  shouldRetry(policy, error, attempt) {
+    if (attempt >= policy.maxAttempts) return false;
+    const errorClass = this.classify(error);
+    return !!errorClass && policy.retryOn.includes(errorClass);
+  },
+
+  /**
+   * Exponential backoff with jitter
+   * @param {Object} policy - From forPhase()
+   * @param {number} attempt - 1-based number of the attempt that failed
+   * @returns {number} Delay in ms before the next attempt
+   */
+  delay(policy, attempt) {
+    const base = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    const spread = base * policy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.min(policy.maxDelayMs, Math.round(base + spread)));
+  }
+};
+
+window.RetryPolicy = RetryPolicy;
@@ -0,0 +1,108 @@
+// js/utils/run-timings.js - Observed phase run times for progress estimates
+// Records each completed phase's duration in localStorage, per input mode,
+// and turns the rolling history into p50/p90 estimates for the pipeline.
+
+const RunTimings = {
+  storageKey: 'noblereach_phase_timings',
+  maxSamples: 20,     // Rolling window per phase and input mode
+  minSamples: 3,      // Fewer samples than this falls back to the registry estimate
+  p90Factor: 1.2,     // Fallback p90 as a multiple of the registry estimate
+
+  MODES: ['url', 'file', 'both'],
+
+  /**
+   * Input mode for a run
+   * @returns {string} 'url', 'file' or 'both'
+   */
+  inputMode({ hasUrl, hasFile }) {
+    if (hasUrl && hasFile) return 'both';
+    return hasFile ? 'file' : 'url';
+  },
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return stored?.samples ? stored : { samples: {} };
+    } catch (e) {
+      return { samples: {} };
+    }
+  },
+
+  /**
+   * Record a completed phase's run time
+   * @param {string} phaseKey - Phase key
+   * @param {string} mode - Input mode
+   * @param {number} seconds - Actual endTime - startTime
+   */
+  record(phaseKey, mode, seconds) {
+    if (!phaseKey || !this.MODES.includes(mode) || !(seconds > 0)) return;
+    // Replayed responses arrive on simulated timing
+    if (window.StackReplay?.isReplaying()) return;
+
+    const history = this.load();
+    const byMode = history.samples[phaseKey] || (history.samples[phaseKey] = {});
+    const samples = byMode[mode] || (byMode[mode] = []);
+    samples.push(Math.round(seconds));
+    if (samples.length > this.maxSamples) {
+      samples.splice(0, samples.length - this.maxSamples);
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(history));
+    } catch (e) {
+      Debug.warn('[RunTimings] Could not save phase timings:', e.message);
+    }
+  },
+
+  getSamples(phaseKey, mode) {
+    const byMode = this.load().samples[phaseKey] || {};
+    if (mode) return byMode[mode] || [];
+    return this.MODES.flatMap(m => byMode[m] || []);
+  },
+
+  /**
+   * Linear-interpolated percentile
+   * @param {number[]} values
+   * @param {number} p - 0 to 100
+   */
+  percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  },
+
+  /**
+   * Estimated run time for a phase. Uses this input mode's history when there
+   * is enough of it, then history from any mode, then the registry estimate.
+   * @param {string} phaseKey - Phase key
+   * @param {string} mode - Input mode
+   * @param {number} fallback - Registry duration in seconds
+   * @returns {{p50: number, p90: number, count: number, source: string}}
+   */
+  estimate(phaseKey, mode, fallback) {
+    const candidates = [
+      { samples: this.getSamples(phaseKey, mode), source: mode },
+      { samples: this.getSamples(phaseKey), source: 'all' }
+    ];
+    const learned = candidates.find(c => c.samples.length >= this.minSamples);
+
+    if (!learned) {
+      return { p50: fallback, p90: Math.round(fallback * this.p90Factor), count: 0, source: 'default' };
+    }
+    return {
+      p50: Math.round(this.percentile(learned.samples, 50)),
+      p90: Math.round(this.percentile(learned.samples, 90)),
+      count: learned.samples.length,
+      source: learned.source
+    };
+  },
+
+  clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+};
+
+window.RunTimings = RunTimings;
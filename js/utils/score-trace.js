@@ -0,0 +1,359 @@
+// js/utils/score-trace.js - How each AI score was derived
+// Turns a dimension's scoring reasoning (evaluation steps, Market's rubric application,
+// Funding's justification breakdown) into an ordered trace: baseline, adjustments and
+// checks, final score. Each step lists the evidence items its text cites. The dimension
+// tabs and the PDF appendix both render from these traces.
+
+const ScoreTrace = {
+  builders: {
+    team: 'buildTeam',
+    funding: 'buildFunding',
+    competitive: 'buildCompetitive',
+    market: 'buildMarket',
+    iprisk: 'buildIpRisk'
+  },
+
+  KIND_LABELS: {
+    baseline: 'Baseline',
+    adjustment: 'Adjustment',
+    check: 'Check',
+    final: 'Final'
+  },
+
+  maxEvidence: 12,      // Per step
+
+  /**
+   * Build a dimension's trace
+   * @param {string} dimension - Registry key
+   * @param {Object} data - Phase output (as loaded into the dimension tab)
+   * @returns {Object|null} {
+   *   dimension, label, score, scoreLabel,
+   *   baseline: { low, high, label } or null,
+   *   steps: [{ kind, label, text, metric, delta, evidence: [{ label, url, view }] }],
+   *   defaulted: true when the workflow returned no reasoning and defaults were filled in
+   * }
+   */
+  build(dimension, data) {
+    const builder = this.builders[dimension];
+    if (!builder || !data) return null;
+
+    const formatted = data.formatted || {};
+    const parts = this[builder](data, formatted);
+    const entry = PhaseRegistry.get(dimension);
+    const score = PhaseRegistry.extractScore(dimension, data) ?? null;
+
+    // Defaults filled in for missing reasoning (see OutputSchemas) would show a made-up baseline
+    const defaulted = (data.schemaWarnings?.[dimension] || [])
+      .some(v => parts.stepsPath && v.path === parts.stepsPath);
+    const baseline = defaulted ? null : this.parseRange(parts.range);
+
+    const steps = parts.steps
+      .filter(step => step && (step.text || step.metric))
+      .map(step => ({
+        delta: this.parseDelta(step.text),
+        metric: '',
+        ...step,
+        evidence: this.dedupe(step.evidence || []).slice(0, this.maxEvidence)
+      }));
+
+    steps.push({
+      kind: 'final',
+      label: 'Final Score',
+      text: parts.final || '',
+      metric: score ? `${score}/9${entry?.rubric?.[score] ? ` - ${entry.rubric[score].label}` : ''}` : '',
+      delta: null,
+      evidence: []
+    });
+
+    return {
+      dimension,
+      label: entry?.label || dimension,
+      score,
+      scoreLabel: entry?.rubric?.[score]?.label || '',
+      baseline,
+      outsideBaseline: !!(baseline && score && (score < baseline.low || score > baseline.high)),
+      steps,
+      defaulted
+    };
+  },
+
+  /**
+   * Traces for every AI-scored dimension with data
+   * @param {Object} data - Dimension data keyed by registry key
+   */
+  buildAll(data) {
+    return PhaseRegistry.aiDimensionKeys()
+      .filter(key => this.builders[key])
+      .map(key => this.build(key, data?.[key]))
+      .filter(trace => trace && trace.score);
+  },
+
+  // ========== DIMENSIONS ==========
+
+  buildTeam(data, formatted) {
+    const scoring = data.scoring || {};
+    const steps = formatted.evaluationSteps || scoring.evaluation_steps || {};
+    const members = (formatted.members || data.team?.team_members || [])
+      .map(m => ({ label: m.name, view: 'detailed' }));
+    const signals = (steps.commercialization_signals_found || [])
+      .map(signal => ({ label: this.itemText(signal) }));
+
+    return {
+      range: steps.baseline_range,
+      stepsPath: 'scoring.evaluation_steps',
+      steps: [
+        this.step('baseline', 'Credibility Baseline', steps.credibility_baseline, members),
+        {
+          ...this.step('adjustment', 'Commercialization Adjustment', steps.commercialization_adjustment, members),
+          metric: signals.length > 0 ? `${signals.length} commercialization signal(s) found` : '',
+          evidence: [...signals, ...this.cited(steps.commercialization_adjustment, members)]
+        },
+        this.step('check', 'Team Composition Check', steps.team_composition_check, members),
+        this.step('check', 'Data Confidence Impact', formatted.dataConfidenceImpact || scoring.data_confidence_impact),
+        ...this.otherSteps(steps, ['credibility_baseline', 'commercialization_adjustment', 'team_composition_check'], members)
+      ],
+      final: formatted.rubric || scoring.rubric_match_explanation || formatted.justification || scoring.score_justification
+    };
+  },
+
+  buildFunding(data, formatted) {
+    const assessment = data.assessment || {};
+    const justification = assessment.score_justification || {};
+    const deals = (formatted.verifiedDeals || []).map(deal => ({
+      label: deal.company,
+      url: deal.sourceUrl,
+      view: 'detailed'
+    }));
+    const investors = (formatted.verifiedDeals || []).flatMap(deal => {
+      const names = Array.isArray(deal.investors) ? deal.investors : String(deal.investors || '').split(/[,;]/);
+      return names.map(name => ({ label: String(name).trim(), url: deal.sourceUrl, view: 'detailed' }));
+    });
+    const reports = (formatted.marketReports || []).map(report => ({ label: report.title, url: report.sourceUrl }));
+    const weighted = formatted.weightedDealCount || assessment.weighted_deal_count;
+    const volumeCited = this.cited(justification.deal_volume_assessment, deals);
+
+    return {
+      range: null,
+      stepsPath: 'assessment.score_justification',
+      steps: [
+        {
+          ...this.step('baseline', 'Deal Volume', justification.deal_volume_assessment),
+          metric: [
+            weighted ? `Weighted deal count: ${weighted}` : '',
+            formatted.totalVerifiedDeals ? `${formatted.totalVerifiedDeals} verified deal(s)` : ''
+          ].filter(Boolean).join(', '),
+          // The deal count is computed from every verified deal
+          evidence: volumeCited.length > 0 ? volumeCited : deals
+        },
+        this.step('adjustment', 'Stage Distribution', justification.stage_distribution_assessment, deals),
+        this.step('adjustment', 'Investor Quality', justification.investor_quality_assessment, [...deals, ...investors]),
+        this.step('adjustment', 'Scaled Outcomes', justification.scaled_outcomes_assessment, deals),
+        this.step('adjustment', 'Funding Trend', justification.trend_assessment, [...deals, ...reports]),
+        {
+          ...this.step('check', 'Sector Evidence', justification.evidence_summary, [...deals, ...reports]),
+          evidence: [
+            ...(justification.sector_evidence || []).map(item => ({
+              label: this.itemText(item),
+              url: item?.source_url || item?.url || ''
+            })),
+            ...this.cited(justification.evidence_summary, [...deals, ...reports])
+          ]
+        }
+      ],
+      final: [formatted.rubricLevel || assessment.rubric_level, formatted.dataReliability ? `Data reliability: ${formatted.dataReliability}` : '']
+        .filter(Boolean).join('. ')
+    };
+  },
+
+  buildCompetitive(data, formatted) {
+    const assessment = data.assessment || {};
+    const steps = formatted.evaluationSteps || assessment.evaluation_steps || {};
+    const count = formatted.competitorCount || assessment.competitor_count || {};
+    const competitors = (formatted.competitors || data.analysis?.competitors || []).map(c => ({
+      label: c.name || c.company_name,
+      url: (c.sources || []).find(s => typeof s === 'string' && s.startsWith('http')) || '',
+      view: 'detailed'
+    }));
+    const leaders = (assessment.market_leaders || []).map(leader => ({ label: this.itemText(leader), view: 'detailed' }));
+
+    return {
+      range: steps.baseline_range,
+      stepsPath: 'assessment.evaluation_steps',
+      steps: [
+        {
+          ...this.step('baseline', 'Market Saturation', steps.saturation_assessment, competitors),
+          metric: count.total
+            ? `${count.total} competitor(s): ${count.large_companies || 0} large, ${count.mid_size_companies || 0} mid-size, ${count.startups || 0} startups`
+            : ''
+        },
+        this.step('adjustment', 'Incumbent Strength', steps.incumbent_strength_assessment, [...leaders, ...competitors]),
+        this.step('adjustment', 'Differentiation', steps.differentiation_assessment, competitors),
+        ...this.otherSteps(steps, ['saturation_assessment', 'incumbent_strength_assessment', 'differentiation_assessment'], competitors)
+      ],
+      final: formatted.rubricMatch || assessment.rubric_match_explanation || formatted.justification
+    };
+  },
+
+  buildMarket(data, formatted) {
+    const scoring = data.scoring || {};
+    const rubric = scoring.rubric_application || {};
+    const details = formatted.rubricDetails || {};
+    const markets = (data.analysis?.markets || []).map(m => ({
+      label: m.description,
+      url: m.source_url || '',
+      view: 'detailed'
+    }));
+    const primary = formatted.primaryMarket || data.analysis?.primary_market || {};
+    const primaryEvidence = markets.filter(m => m.label && m.label === primary.description);
+    const tam = details.tamValue ?? primary.tam ?? primary.tam_usd;
+    const cagr = details.cagrValue ?? primary.cagr ?? primary.cagr_percent;
+    const baseScore = Number(rubric.base_score) || null;
+    const adjustment = Number(rubric.adjustment);
+
+    return {
+      // Market's rubric gives a base score rather than a range
+      range: baseScore ? `base_score_${baseScore}_${baseScore}` : null,
+      stepsPath: 'scoring.rubric_application',
+      steps: [
+        {
+          ...this.step('baseline', 'TAM and CAGR Base Score',
+            [
+              tam ? `TAM ${this.formatUsd(tam)}${details.tamCategory ? ` (${details.tamCategory.replace(/_/g, ' ')})` : ''}` : '',
+              cagr !== undefined && cagr !== null && cagr !== '' ? `CAGR ${cagr}%${details.cagrCategory ? ` (${details.cagrCategory.replace(/_/g, ' ')})` : ''}` : ''
+            ].filter(Boolean).join(', ')),
+          metric: baseScore ? `Base score: ${baseScore}` : '',
+          delta: null,
+          evidence: primaryEvidence.length > 0 ? primaryEvidence : markets.slice(0, 1)
+        },
+        rubric.adjustment !== undefined || rubric.adjustment_rationale ? {
+          ...this.step('adjustment', 'Adjustment', rubric.adjustment_rationale || 'No adjustment applied.', markets),
+          delta: isNaN(adjustment) ? null : adjustment
+        } : null,
+        this.step('check', 'Score Calculation', rubric.final_score_calculation)
+      ],
+      final: scoring.justification || formatted.justification
+    };
+  },
+
+  buildIpRisk(data, formatted) {
+    const steps = formatted.evaluationSteps || data.scoreData?.evaluation_steps || {};
+    const patents = (formatted.relevantPatents || []).map(p => ({ label: p.id, url: p.link, view: 'detailed' }));
+    const blocking = (formatted.relevantPatents || [])
+      .filter(p => String(p.blockingPotential).toLowerCase() === 'high')
+      .map(p => ({ label: p.id, url: p.link, view: 'detailed' }));
+    const owners = (formatted.topOwners || []).map(o => ({ label: o.assignee, view: 'detailed' }));
+    const owned = (formatted.companyIP?.ownedPatentIds || []).map(id => ({ label: id }));
+
+    return {
+      range: steps.baseline_range,
+      stepsPath: 'scoreData.evaluation_steps',
+      steps: [
+        {
+          ...this.step('baseline', 'Patent Density Baseline', steps.patent_density_baseline, [...owners, ...patents]),
+          metric: formatted.patentDensity && formatted.patentDensity !== 'unknown'
+            ? `Patent density: ${formatted.patentDensity}, ${formatted.totalRelevantPatents || 0} relevant patent(s)`
+            : ''
+        },
+        {
+          ...this.step('adjustment', 'Blocking Patent Assessment', steps.blocking_patent_assessment, [...patents, ...owners]),
+          evidence: [...this.cited(steps.blocking_patent_assessment, [...patents, ...owners]), ...blocking]
+        },
+        {
+          ...this.step('adjustment', 'Venture IP Assessment', steps.venture_ip_assessment, patents),
+          evidence: [...this.cited(steps.venture_ip_assessment, patents), ...owned]
+        },
+        this.step('adjustment', 'Freedom to Operate Assessment', steps.fto_assessment, [...patents, ...owners]),
+        ...this.otherSteps(steps, ['patent_density_baseline', 'blocking_patent_assessment', 'venture_ip_assessment', 'fto_assessment'], patents)
+      ],
+      final: formatted.rubricMatch || formatted.justification
+    };
+  },
+
+  // ========== HELPERS ==========
+
+  /**
+   * A step whose evidence is the candidates its text names
+   */
+  step(kind, label, text, candidates = []) {
+    const value = typeof text === 'string' ? text.trim() : this.itemText(text);
+    return { kind, label, text: value, evidence: this.cited(value, candidates) };
+  },
+
+  /**
+   * Evaluation step fields the builders don't know by name, shown as checks
+   */
+  otherSteps(steps, known, candidates) {
+    return Object.entries(steps)
+      .filter(([key, value]) => value && !known.includes(key) && key !== 'baseline_range' && !Array.isArray(value))
+      .map(([key, value]) => this.step('check', this.titleCase(key), value, candidates));
+  },
+
+  /**
+   * Candidates named in the text
+   */
+  cited(text, candidates) {
+    if (!text || typeof text !== 'string') return [];
+    const haystack = text.toLowerCase();
+    return candidates.filter(c => c.label && c.label.length >= 3 && haystack.includes(c.label.toLowerCase()));
+  },
+
+  dedupe(evidence) {
+    const seen = new Set();
+    return evidence.filter(item => {
+      const key = (item.label || '').toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  /**
+   * Baseline range from 'moderate_4_6', '4-6' or a single score
+   * @returns {{low: number, high: number, label: string}|null}
+   */
+  parseRange(range) {
+    if (!range) return null;
+    const text = String(range);
+    const match = text.match(/(\d)\s*(?:-|_|–|to)\s*(\d)/) || text.match(/(\d)/);
+    if (!match) return null;
+
+    const low = Number(match[1]);
+    const high = Number(match[2] || match[1]);
+    const name = this.titleCase(text.replace(/[\d_\-–]+/g, ' ').replace(/\bto\b/g, ' ').trim());
+    return {
+      low: Math.min(low, high),
+      high: Math.max(low, high),
+      label: `${name ? `${name} ` : ''}(${low === high ? low : `${Math.min(low, high)}-${Math.max(low, high)}`})`
+    };
+  },
+
+  /**
+   * Signed score change stated in a step's text, e.g. "+1" or "-2"
+   */
+  parseDelta(text) {
+    if (!text || typeof text !== 'string') return null;
+    const match = text.match(/(?:^|[\s(:])([+\-−–]\s?\d(?:\.\d)?)(?=[\s),.;]|$)/);
+    return match ? Number(match[1].replace(/[−–]/, '-').replace(/\s/g, '')) : null;
+  },
+
+  itemText(item) {
+    if (item === null || item === undefined) return '';
+    if (typeof item !== 'object') return String(item);
+    return item.signal || item.description || item.name || item.company_name || item.title || item.evidence
+      || Object.values(item).filter(v => typeof v === 'string').join(' - ');
+  },
+
+  titleCase(text) {
+    return String(text || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  },
+
+  formatUsd(value) {
+    const num = Number(value);
+    if (!num) return String(value);
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(1)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(0)}M`;
+    return `$${num.toLocaleString()}`;
+  }
+};
+
+window.ScoreTrace = ScoreTrace;
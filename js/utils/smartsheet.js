@@ -387,25 +387,16 @@ const SmartsheetIntegration = {
       portfolio: context.portfolio || ''
     };
 
-    const metricMap = {
-      team: { aiKey: 'teamScoreAi', userKey: 'teamScoreUser', justificationKey: 'teamJustification' },
-      funding: { aiKey: 'fundingScoreAi', userKey: 'fundingScoreUser', justificationKey: 'fundingJustification' },
-      competitive: { aiKey: 'competitiveScoreAi', userKey: 'competitiveScoreUser', justificationKey: 'competitiveJustification' },
-      market: { aiKey: 'marketScoreAi', userKey: 'marketScoreUser', justificationKey: 'marketJustification' },
-      iprisk: { aiKey: 'ipRiskScoreAi', userKey: 'ipRiskScoreUser', justificationKey: 'ipRiskJustification' },
-      solutionvalue: { aiKey: null, userKey: 'solutionValueScoreUser', justificationKey: 'solutionValueJustification' }
-    };
-
-    const mapping = metricMap[metric];
-    if (mapping) {
-      if (mapping.aiKey && scoreData.aiScore !== undefined && scoreData.aiScore !== null) {
-        payload[mapping.aiKey] = scoreData.aiScore;
+    const columns = PhaseRegistry.get(metric)?.smartsheet;
+    if (columns) {
+      if (columns.aiScore && scoreData.aiScore !== undefined && scoreData.aiScore !== null) {
+        payload[columns.aiScore] = scoreData.aiScore;
       }
-      if (scoreData.userScore !== undefined && scoreData.userScore !== null) {
-        payload[mapping.userKey] = scoreData.userScore;
+      if (columns.userScore && scoreData.userScore !== undefined && scoreData.userScore !== null) {
+        payload[columns.userScore] = scoreData.userScore;
       }
-      if (scoreData.justification) {
-        payload[mapping.justificationKey] = scoreData.justification;
+      if (columns.justification && scoreData.justification) {
+        payload[columns.justification] = scoreData.justification;
       }
     }
 
@@ -423,64 +414,27 @@ const SmartsheetIntegration = {
       portfolio: context.portfolio || ''
     };
 
-    // Team scores
-    if (allData.team) {
-      if (allData.team.aiScore !== undefined) payload.teamScoreAi = allData.team.aiScore;
-      if (allData.team.userScore !== undefined) payload.teamScoreUser = allData.team.userScore;
-      if (allData.team.justification) payload.teamJustification = allData.team.justification;
-    }
-
-    // Funding scores
-    if (allData.funding) {
-      if (allData.funding.aiScore !== undefined) payload.fundingScoreAi = allData.funding.aiScore;
-      if (allData.funding.userScore !== undefined) payload.fundingScoreUser = allData.funding.userScore;
-      if (allData.funding.justification) payload.fundingJustification = allData.funding.justification;
-    }
-
-    // Competitive scores
-    if (allData.competitive) {
-      if (allData.competitive.aiScore !== undefined) payload.competitiveScoreAi = allData.competitive.aiScore;
-      if (allData.competitive.userScore !== undefined) payload.competitiveScoreUser = allData.competitive.userScore;
-      if (allData.competitive.justification) payload.competitiveJustification = allData.competitive.justification;
-    }
+    // Per-dimension scores, using each dimension's registered columns
+    const aiScores = [];
+    const userScores = [];
 
-    // Market scores
-    if (allData.market) {
-      if (allData.market.aiScore !== undefined) payload.marketScoreAi = allData.market.aiScore;
-      if (allData.market.userScore !== undefined) payload.marketScoreUser = allData.market.userScore;
-      if (allData.market.justification) payload.marketJustification = allData.market.justification;
-    }
+    PhaseRegistry.dimensions().forEach(entry => {
+      const dimData = allData[entry.key];
+      const columns = entry.smartsheet;
+      if (!dimData || !columns) return;
 
-    // IP Risk scores
-    if (allData.iprisk) {
-      if (allData.iprisk.aiScore !== undefined) payload.ipRiskScoreAi = allData.iprisk.aiScore;
-      if (allData.iprisk.userScore !== undefined) payload.ipRiskScoreUser = allData.iprisk.userScore;
-      if (allData.iprisk.justification) payload.ipRiskJustification = allData.iprisk.justification;
-    }
+      if (columns.aiScore && dimData.aiScore !== undefined) payload[columns.aiScore] = dimData.aiScore;
+      if (columns.userScore && dimData.userScore !== undefined) payload[columns.userScore] = dimData.userScore;
+      if (columns.justification && dimData.justification) payload[columns.justification] = dimData.justification;
 
-    // Solution Value scores (user-scored only, no AI score)
-    if (allData.solutionvalue) {
-      if (allData.solutionvalue.userScore !== undefined) payload.solutionValueScoreUser = allData.solutionvalue.userScore;
-      if (allData.solutionvalue.justification) payload.solutionValueJustification = allData.solutionvalue.justification;
-    }
-
-    // Calculate averages
-    const aiScores = [
-      allData.team?.aiScore,
-      allData.funding?.aiScore,
-      allData.competitive?.aiScore,
-      allData.market?.aiScore,
-      allData.iprisk?.aiScore
-    ].filter(s => s !== undefined && s !== null);
-
-    const userScores = [
-      allData.team?.userScore,
-      allData.funding?.userScore,
-      allData.competitive?.userScore,
-      allData.market?.userScore,
-      allData.iprisk?.userScore,
-      allData.solutionvalue?.userScore
-    ].filter(s => s !== undefined && s !== null);
+      // Averages: AI over AI-scored dimensions, user over all dimensions
+      if (entry.scoring.ai && dimData.aiScore !== undefined && dimData.aiScore !== null) {
+        aiScores.push(dimData.aiScore);
+      }
+      if (dimData.userScore !== undefined && dimData.userScore !== null) {
+        userScores.push(dimData.userScore);
+      }
+    });
 
     if (aiScores.length > 0) {
       payload.averageAiScore = aiScores.reduce((a, b) => a + b, 0) / aiScores.length;
@@ -509,6 +463,22 @@ const SmartsheetIntegration = {
       payload.dualUse = !!context.dualUse;
     }
 
+    // FTO worksheet counts (the worksheet itself stays in the cache and PDF)
+    if (context.ftoSummary && context.ftoSummary.patents > 0) {
+      payload.ftoPatents = context.ftoSummary.patents;
+      payload.ftoPatentsReviewed = context.ftoSummary.reviewed;
+      payload.ftoClaimOverlap = context.ftoSummary.overlapping;
+      payload.ftoCounselReview = context.ftoSummary.counselReview;
+    }
+
+    // Team gap matrix: role counts, the missing roles and the advisor's candidates
+    if (context.teamGapSummary && context.teamGapSummary.roles > 0) {
+      payload.teamRolesExpected = context.teamGapSummary.roles;
+      payload.teamRolesFilled = context.teamGapSummary.filled;
+      payload.teamRolesMissing = context.teamGapSummary.missing.join('; ');
+      payload.teamGapCandidates = context.teamGapSummary.candidates.join('; ');
+    }
+
     return payload;
   },
 
@@ -516,15 +486,7 @@ const SmartsheetIntegration = {
    * Format metric name for display
    */
   formatMetricName(metric) {
-    const names = {
-      team: 'Researcher Aptitude',
-      funding: 'Sector Funding',
-      competitive: 'Competitive Winnability',
-      market: 'Market Opportunity',
-      iprisk: 'IP Landscape',
-      solutionvalue: 'Solution Value'
-    };
-    return names[metric] || metric;
+    return PhaseRegistry.label(metric);
   },
 
   /**
@@ -558,7 +520,9 @@ const SmartsheetIntegration = {
       ecosystemNotes:   sm ? sm.getEcosystemNotes()   : '',
       trackAssignment:  sm ? sm.getTrackAssignment()  : null,
       pathway:          sm ? sm.getPathway()          : null,
-      dualUse:          sm ? sm.getDualUse()          : false
+      dualUse:          sm ? sm.getDualUse()          : false,
+      ftoSummary:       sm ? FtoWorksheet.summarize(sm.getAdvisorArtifact('ftoWorksheet')) : null,
+      teamGapSummary:   sm ? TeamGaps.summarize(sm.getAdvisorArtifact('teamGaps')) : null
     };
   },
 
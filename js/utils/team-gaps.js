@@ -0,0 +1,93 @@
+// js/utils/team-gaps.js - Team gap matrix for the Researcher Aptitude tab
+// Lists the roles a spinout needs at its stage (from company_overview.company_stage)
+// and marks each filled or missing from the team members' roles at the venture.
+// Advisors attach candidate names from the network; those are keyed by role, so they
+// survive a team re-run and carry over to roles the next stage still expects.
+
+const TeamGaps = {
+  // In venture order; a stage is the latest whose pattern matches company_stage,
+  // and anything unmatched ("unknown", "research") is pre-company
+  STAGES: [
+    { key: 'pre_company', label: 'Pre-company / research', pattern: /pre[\s-]?(?:company|formation|incorporation)|idea|concept|research|academic/ },
+    { key: 'early', label: 'Early (pre-seed / seed)', pattern: /seed|early|start[\s-]?up|prototype|pilot/ },
+    { key: 'growth', label: 'Growth (Series A+)', pattern: /series|growth|(?<!pre[\s-]?)commercial|revenue|scal(?:e|ing)|expansion|late|mature/ }
+  ],
+
+  // Roles in matrix order; a member fills a role when their role_at_venture matches
+  ROLES: [
+    { key: 'technical_lead', label: 'Technical lead', stages: ['pre_company', 'early', 'growth'], pattern: /\bcto\b|chief (?:technology|technical|science|scientific)|technical lead|tech lead|principal investigator|\bpi\b|inventor|chief scientist|lead scientist|head of (?:r&d|research|engineering)/ },
+    { key: 'entrepreneurial_lead', label: 'Entrepreneurial lead', stages: ['pre_company', 'early', 'growth'], pattern: /\bceo\b|chief executive|entrepreneurial lead|business lead|managing director|president|general manager/ },
+    { key: 'industry_mentor', label: 'Industry mentor', stages: ['pre_company', 'early'], pattern: /mentor|advis[eo]r|board/ },
+    { key: 'regulatory', label: 'Regulatory / quality', stages: ['early', 'growth'], pattern: /regulat|quality|compliance|clinical|\bfda\b/ },
+    { key: 'commercial_lead', label: 'Commercial / business development', stages: ['early', 'growth'], pattern: /sales|business development|\bbd\b|commercial|marketing|\bcco\b|\bcbo\b|chief business|chief revenue/ },
+    { key: 'operations', label: 'Operations / manufacturing', stages: ['growth'], pattern: /\bcoo\b|chief operating|operations|manufactur|supply chain|production/ },
+    { key: 'finance', label: 'Finance', stages: ['growth'], pattern: /\bcfo\b|chief financial|finance|financial|controller/ }
+  ],
+
+  stageKey(companyStage) {
+    const text = String(companyStage || '').toLowerCase().trim();
+    return ([...this.STAGES].reverse().find(stage => stage.pattern.test(text)) || this.STAGES[0]).key;
+  },
+
+  stageLabel(key) {
+    return this.STAGES.find(stage => stage.key === key)?.label || key;
+  },
+
+  /**
+   * Matrix for the team and company stage, carrying over saved candidate names
+   * @param {Object[]} members - TeamAPI team_members
+   * @param {string} companyStage - company_overview.company_stage
+   * @param {Object|null} saved - Previously saved matrix
+   * @returns {{stage, companyStage, rows: Object[], updatedAt: string|null}} Rows:
+   *   [{ key, label, expected, filledBy: string[], candidates }]
+   */
+  build(members, companyStage, saved) {
+    const stage = this.stageKey(companyStage);
+    const savedRows = new Map((saved?.rows || []).map(row => [row.key, row]));
+    const team = (members || []).filter(m => m && m.name);
+
+    const rows = this.ROLES
+      .filter(role => role.stages.includes(stage))
+      .map(role => ({
+        key: role.key,
+        label: role.label,
+        expected: true,
+        filledBy: team
+          .filter(m => role.pattern.test(String(m.role_at_venture || '').toLowerCase()))
+          .map(m => m.name),
+        candidates: savedRows.get(role.key)?.candidates || ''
+      }));
+
+    // Keep candidates for roles this stage no longer lists, so advisor notes aren't lost
+    savedRows.forEach((row, key) => {
+      if (row.candidates?.trim() && !rows.some(r => r.key === key)) {
+        rows.push({ ...row, expected: false, filledBy: row.filledBy || [] });
+      }
+    });
+
+    return { stage, companyStage: companyStage || '', rows, updatedAt: saved?.updatedAt || null };
+  },
+
+  isFilled(row) {
+    return row.filledBy.length > 0;
+  },
+
+  /**
+   * Counts for the matrix header and Smartsheet
+   * @returns {{roles, filled, missing: string[], candidates: string[]}}
+   *   missing lists role labels; candidates are "Role: names" for rows with names
+   */
+  summarize(matrix) {
+    const rows = (matrix?.rows || []).filter(row => row.expected !== false);
+    return {
+      roles: rows.length,
+      filled: rows.filter(row => this.isFilled(row)).length,
+      missing: rows.filter(row => !this.isFilled(row)).map(row => row.label),
+      candidates: (matrix?.rows || [])
+        .filter(row => row.candidates?.trim())
+        .map(row => `${row.label}: ${row.candidates.trim()}`)
+    };
+  }
+};
+
+window.TeamGaps = TeamGaps;
@@ -0,0 +1,105 @@
+// js/utils/team-roster.js - Advisor-corrected team roster for the Researcher Aptitude tab
+// Team discovery can miss a co-PI or pick up the wrong person with the same name.
+// Advisors correct the roster here and send it back to the team workflow for a
+// re-score. The AI roster from the original run, the roster sent and the AI roster
+// the re-score returned are all kept, so the correction can be audited later.
+
+const TeamRoster = {
+  /**
+   * [{name, role}] from a team phase result
+   */
+  aiMembers(teamData) {
+    const members = teamData?.formatted?.members || teamData?.team?.team_members || [];
+    return members
+      .filter(m => m && m.name)
+      .map(m => ({ name: String(m.name), role: String(m.role_at_venture || '') }));
+  },
+
+  /**
+   * Editable roster seeded from the AI roster
+   */
+  fromAi(aiMembers) {
+    return aiMembers.map((m, i) => ({ key: `ai-${i}`, name: m.name, role: m.role, note: '', origin: 'ai', removed: false }));
+  },
+
+  /**
+   * Roster for the team results. Once the advisor has edited or re-scored, the saved
+   * roster is kept across re-runs; until then it follows the latest AI roster.
+   * @param {Object} teamData - Team phase result
+   * @param {Object|null} saved - Previously saved roster
+   * @returns {{members, aiOriginal, submitted, aiCorrected, edited, updatedAt}}
+   *   members: [{ key, name, role, note, origin: 'ai'|'advisor', removed }]
+   *   submitted: { members, at } sent for re-scoring; aiCorrected: { members, at } it returned
+   */
+  build(teamData, saved) {
+    if (saved?.members && (saved.edited || saved.submitted)) {
+      return {
+        members: saved.members,
+        aiOriginal: saved.aiOriginal || [],
+        submitted: saved.submitted || null,
+        aiCorrected: saved.aiCorrected || null,
+        edited: !!saved.edited,
+        updatedAt: saved.updatedAt || null
+      };
+    }
+
+    const ai = this.aiMembers(teamData);
+    return { members: this.fromAi(ai), aiOriginal: ai, submitted: null, aiCorrected: null, edited: false, updatedAt: null };
+  },
+
+  addMember(roster) {
+    const member = { key: `advisor-${Date.now()}-${roster.members.length}`, name: '', role: '', note: '', origin: 'advisor', removed: false };
+    roster.members.push(member);
+    return member;
+  },
+
+  /**
+   * Remove a member. Advisor-added members that were never filled in are dropped;
+   * everyone else is kept as removed, so the change shows in the audit.
+   */
+  removeMember(roster, key) {
+    const member = roster.members.find(m => m.key === key);
+    if (!member) return;
+    if (member.origin === 'advisor' && !member.name.trim()) {
+      roster.members = roster.members.filter(m => m.key !== key);
+    } else {
+      member.removed = true;
+    }
+  },
+
+  /**
+   * Members the roster currently lists, as sent to the team workflow
+   * @returns {[{name, role, note}]}
+   */
+  active(roster) {
+    return (roster?.members || [])
+      .filter(m => !m.removed && m.name.trim())
+      .map(m => ({ name: m.name.trim(), role: m.role.trim(), note: m.note.trim() }));
+  },
+
+  /**
+   * Team members for the gap matrix: the advisor's roster once edited
+   */
+  teamMembers(roster) {
+    return this.active(roster).map(m => ({ name: m.name, role_at_venture: m.role }));
+  },
+
+  /**
+   * Changes against the original AI roster, for the editor header
+   * @returns {{added: number, removed: number, changed: number}}
+   */
+  changes(roster) {
+    const members = roster?.members || [];
+    const original = new Map((roster?.aiOriginal || []).map((m, i) => [`ai-${i}`, m]));
+    return {
+      added: members.filter(m => m.origin === 'advisor' && !m.removed && m.name.trim()).length,
+      removed: members.filter(m => m.origin === 'ai' && m.removed).length,
+      changed: members.filter(m => {
+        const ai = original.get(m.key);
+        return m.origin === 'ai' && !m.removed && ai && (m.name.trim() !== ai.name || m.role.trim() !== ai.role || m.note.trim());
+      }).length
+    };
+  }
+};
+
+window.TeamRoster = TeamRoster;
@@ -383,6 +383,75 @@ const Validators = {
     return path.split('.').reduce((current, key) => {
       return current && current[key] !== undefined ? current[key] : undefined;
     }, obj);
+  },
+
+  /**
+   * Validate data against a JSON Schema (the subset used by OutputSchemas:
+   * type, enum, required, properties, items, minimum, maximum)
+   * @param {Object} schema - JSON Schema
+   * @param {*} data - Value to check
+   * @param {string} path - Dot path of data, for violation messages
+   * @returns {Array} Violations as { path, message }; empty when valid
+   */
+  validateSchema(schema, data, path = '') {
+    const violations = [];
+    const at = path || '(root)';
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.matchesSchemaType(type, data))) {
+        const actual = Array.isArray(data) ? 'array' : data === null ? 'null' : typeof data;
+        violations.push({ path: at, message: `expected ${types.join(' or ')}, got ${actual}` });
+        return violations;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(data)) {
+      violations.push({ path: at, message: `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(data)}` });
+    }
+
+    if (typeof data === 'number') {
+      if (schema.minimum !== undefined && data < schema.minimum) {
+        violations.push({ path: at, message: `${data} is below minimum ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && data > schema.maximum) {
+        violations.push({ path: at, message: `${data} is above maximum ${schema.maximum}` });
+      }
+    }
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      (schema.required || []).forEach(key => {
+        // Empty strings and nulls are what the workflows emit when nothing was found
+        if (data[key] === undefined || data[key] === null || data[key] === '') {
+          violations.push({ path: path ? `${path}.${key}` : key, message: 'required field missing' });
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        const value = data[key];
+        if (value === undefined || value === null || value === '') return;
+        violations.push(...this.validateSchema(propSchema, value, path ? `${path}.${key}` : key));
+      });
+    }
+
+    if (Array.isArray(data) && schema.items) {
+      data.forEach((item, i) => {
+        violations.push(...this.validateSchema(schema.items, item, `${path}[${i}]`));
+      });
+    }
+
+    return violations;
+  },
+
+  matchesSchemaType(type, value) {
+    switch (type) {
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !isNaN(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
+    }
   }
 };
 
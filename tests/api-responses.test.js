@@ -0,0 +1,98 @@
+// tests/api-responses.test.js - Each API module's processResponse on recorded output shapes
+// Fixtures in tests/fixtures are { outputs } bodies as Stack AI returns them: v3 keys
+// (out-0/out-1) and the legacy keys older workflows still use.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fixture, plain } = require('./harness');
+
+const app = loadApp();
+const { CompanyAPI, TeamAPI, FundingAPI, CompetitiveAPI, MarketAPI, IPRiskAPI } = app;
+
+test('company v3: fenced out-0 in a { text } wrapper', () => {
+  const result = CompanyAPI.processResponse(fixture('company-v3.json'));
+  assert.equal(result.full.company_overview.name, 'Lumen Biosensors');
+  assert.match(result.short, /^Lumen Biosensors develops/);
+  assert.equal(plain(result.rawOutput).company_overview.company_stage, 'seed');
+});
+
+test('company legacy: out-6 profile and out-7 short description', () => {
+  const result = CompanyAPI.processResponse(fixture('company-legacy.json'));
+  assert.equal(result.full.company_overview.name, 'Helio Membranes');
+  assert.match(result.short, /^Helio Membranes makes graphene oxide/);
+  // The snapshot is the output as parsed, before the legacy mapping
+  assert.ok(plain(result.rawOutput).company_profile);
+  assert.equal(Object.keys(result).includes('rawOutput'), false);
+});
+
+test('company: missing outputs are an error', () => {
+  assert.throws(() => CompanyAPI.processResponse({ outputs: {} }), /did not return expected outputs/);
+  assert.throws(() => CompanyAPI.processResponse({ outputs: { 'out-0': 'no json here' } }), /Failed to parse company data/);
+});
+
+test('team v3: truncated roster and a score given as text', () => {
+  const result = TeamAPI.processResponse(fixture('team-v3.json'));
+  assert.equal(result.score, 7);
+  assert.equal(result.scoring.score, 7);
+  assert.deepEqual(plain(result.team.team_members.map(m => m.name)), ['Ada Moreno', 'Ben Tran']);
+  // The cut fell inside Ben's education; what was complete survives
+  assert.deepEqual(plain(result.team.team_members[1].work_history), [{ position: 'Engineer', company: 'Fitbit', duration: '2015-2019' }]);
+  assert.deepEqual(plain(result.team.team_members[1].awards_recognition), []);
+  assert.equal(result.formatted.teamComposition.total, 2);
+  assert.deepEqual(plain(result.formatted.strengths), ['Industry experience']);
+  assert.ok(app.logs.some(log => /Repaired team roster: closed truncated JSON/.test(log.message)));
+});
+
+test('team: out-of-range score is rejected', () => {
+  const data = fixture('team-v3.json');
+  data.outputs['out-1'] = '{"score": 10}';
+  assert.throws(() => TeamAPI.processResponse(data), /Invalid team score: 10/);
+});
+
+test('market v3: prose, fence and trailing commas; justification object flattened', () => {
+  const result = MarketAPI.processResponse(fixture('market-v3.json'));
+  assert.equal(result.scoring.score, 6);
+  assert.equal(result.scoring.justification, 'Large, growing market');
+  assert.equal(result.analysis.markets.length, 1);
+  assert.deepEqual(plain(result.analysis.scoring_alignment), { strengths: [], limitations: [] });
+  assert.equal(result.formatted.markets[0].rank, 1);
+});
+
+test('market legacy keys: out-of-range score is rejected with its value', () => {
+  assert.throws(() => MarketAPI.processResponse(fixture('market-legacy.json')), /Invalid market score: 12/);
+});
+
+test('competitive legacy keys: string score, defaults and display', () => {
+  const result = CompetitiveAPI.processResponse(fixture('competitive-legacy.json'));
+  assert.equal(result.assessment.score, 4);
+  assert.equal(result.analysis.job_to_be_done, 'Not specified');
+  assert.deepEqual(plain(result.formatted.competitors.map(c => c.name)), ['WHOOP', 'Unknown']);
+  assert.equal(JSON.parse(result.analysisText).competitors.length, 2);
+});
+
+test('competitive: out-of-range score is rejected', () => {
+  const data = fixture('competitive-legacy.json');
+  data.outputs['out-4'] = '{"score": 0}';
+  assert.throws(() => CompetitiveAPI.processResponse(data), /Invalid competitive score: 0/);
+});
+
+test('funding v3: funding_score and display deals', () => {
+  const result = FundingAPI.processResponse(fixture('funding-v3.json'));
+  assert.equal(result.score, 5);
+  assert.equal(result.formatted.verifiedDeals[0].company, 'Epicore Biosystems');
+  assert.equal(result.formatted.activityLevel, 'moderate');
+  assert.equal(result.formatted.totalVerifiedDeals, 1);
+});
+
+test('funding: out-of-range score is rejected', () => {
+  assert.throws(() => FundingAPI.processResponse(fixture('funding-zero-score.json')), /Invalid funding score: 0/);
+});
+
+test('IP risk legacy keys: out-of-range score falls back to the risk level', () => {
+  const result = IPRiskAPI.processResponse(fixture('iprisk-legacy.json'));
+  assert.equal(result.score, 7);
+  assert.equal(result.formatted.companyIP.patentsFound, 1);
+  assert.equal(result.formatted.relevantPatents[0].year, 2016);
+  assert.equal(result.formatted.justification, 'Clear field');
+  assert.equal(result.data.data_confidence, 'Medium');
+});
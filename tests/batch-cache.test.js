@@ -0,0 +1,94 @@
+// tests/batch-cache.test.js - Assessment cache keys, key migration and eviction
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+const app = loadApp({ prefixes: ['js/utils/', 'js/config/', 'js/core/state-manager.js', 'js/core/batch-runner.js'] });
+
+test('assessment keys include the URL path, so pages on one site stay apart', () => {
+  const sm = new app.StateManager();
+  const first = sm.generateAssessmentKey('https://tech.uni.edu/tech/123', 'Ana Ruiz');
+  const second = sm.generateAssessmentKey('https://tech.uni.edu/tech/456', 'Ana Ruiz');
+  assert.notEqual(first, second);
+  assert.equal(first, 'tech.uni.edu-tech-123_ana-ruiz');
+
+  // A homepage keeps its domain-only key
+  assert.equal(sm.generateAssessmentKey('https://www.lumenbio.example/', 'Ana Ruiz'), 'lumenbio.example_ana-ruiz');
+  assert.equal(sm.generateAssessmentKey('lumenbio.example', 'Ana Ruiz'), 'lumenbio.example_ana-ruiz');
+  assert.equal(sm.generateAssessmentKey(null, 'Ana Ruiz', 'Pitch Deck.pdf'), 'pitch-deck_ana-ruiz');
+});
+
+test('batch results from one site are cached separately', () => {
+  const sm = new app.StateManager();
+  const cache = entry => sm.cacheBatchAssessment({ advisorName: 'Ana Ruiz', aiData: {}, ...entry });
+  const keys = [cache({ url: 'https://tech.uni.edu/tech/123' }), cache({ url: 'https://tech.uni.edu/tech/456' })];
+  assert.equal(new Set(keys).size, 2);
+  assert.deepEqual(Object.keys(sm.getAssessmentCache()).sort(), [...keys].sort());
+});
+
+test('a batch larger than the assessment cache still runs, evicting its oldest results', async () => {
+  app.localStorage.clear();
+  const sm = new app.StateManager();
+  sm.maxCachedAssessments = 3;
+  const runner = new app.BatchRunner(sm);
+  runner.addUrls(['a.example', 'b.example', 'c.example', 'd.example'].join('\n'));
+  let finished = 0;
+  runner.runItem = async item => {
+    // One venture finishes per tick, in queue order
+    const key = sm.cacheBatchAssessment({ url: item.url, advisorName: 'Ana Ruiz', aiData: {} });
+    const cache = sm.getAssessmentCache();
+    cache[key].timestamp = ++finished;
+    sm.saveAssessmentCache(cache);
+    item.status = 'complete';
+  };
+
+  const summary = await runner.start({ advisorName: 'Ana Ruiz', concurrency: 1 });
+  assert.equal(summary.complete, 4);
+  assert.deepEqual(Object.keys(sm.getAssessmentCache()).sort(), ['b.example_ana-ruiz', 'c.example_ana-ruiz', 'd.example_ana-ruiz']);
+});
+
+test('a full storage quota evicts the oldest assessments until the cache fits', () => {
+  const sm = new app.StateManager();
+  const cache = {};
+  ['a', 'b', 'c'].forEach((name, i) => { cache[`${name}_x`] = { key: `${name}_x`, timestamp: i + 1 }; });
+
+  const setItem = app.localStorage.setItem;
+  app.localStorage.setItem = (key, value) => {
+    if (JSON.parse(value) && Object.keys(JSON.parse(value)).length > 1) {
+      throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    }
+    setItem(key, value);
+  };
+  try {
+    sm.saveAssessmentCache(cache);
+  } finally {
+    app.localStorage.setItem = setItem;
+  }
+  assert.deepEqual(Object.keys(sm.getAssessmentCache()), ['c_x']);
+});
+
+test('assessments cached under domain-only keys are re-keyed with their path', () => {
+  app.localStorage.clear();
+  const sm = new app.StateManager();
+  const old = {
+    key: 'tech.uni.edu_ana-ruiz',
+    timestamp: 1,
+    companyInput: { url: 'https://tech.uni.edu/tech/123', scaName: 'Ana Ruiz' },
+    smartsheetRowId: 42
+  };
+  const homepage = { key: 'lumenbio.example_ana-ruiz', timestamp: 2, companyInput: { url: 'https://lumenbio.example/', scaName: 'Ana Ruiz' } };
+  const document = { key: 'deck_ana-ruiz', timestamp: 3, companyInput: { url: 'Document Upload', scaName: 'Ana Ruiz', fileName: 'Deck.pdf' } };
+  sm.saveAssessmentCache({ [old.key]: old, [homepage.key]: homepage, [document.key]: document });
+  sm.saveState({ ...sm.createEmptyState(), assessmentKey: old.key });
+
+  sm.migrateAssessmentKeys();
+  const cache = sm.getAssessmentCache();
+  assert.deepEqual(Object.keys(cache).sort(), ['deck_ana-ruiz', 'lumenbio.example_ana-ruiz', 'tech.uni.edu-tech-123_ana-ruiz']);
+  assert.equal(cache['tech.uni.edu-tech-123_ana-ruiz'].smartsheetRowId, 42);
+  assert.equal(sm.getAssessmentKey(), 'tech.uni.edu-tech-123_ana-ruiz');
+
+  // Re-caching the venture now updates the migrated entry
+  const key = sm.cacheBatchAssessment({ url: old.companyInput.url, advisorName: 'Ana Ruiz', aiData: {} });
+  assert.equal(sm.getAssessmentCache()[key].smartsheetRowId, 42);
+});
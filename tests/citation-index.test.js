@@ -0,0 +1,56 @@
+// tests/citation-index.test.js - Source numbering and de-duplication for citations
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { CitationIndex } = loadApp();
+
+test('normalizes URLs that differ only in host case, tracking, fragments and artifacts', () => {
+  const key = 'https://example.com/report';
+  assert.equal(CitationIndex.normalize('https://EXAMPLE.com/report/'), key);
+  assert.equal(CitationIndex.normalize('https://example.com/report#section-2'), key);
+  assert.equal(CitationIndex.normalize('https://example.com/report?utm_source=x&utm_medium=y'), key);
+  assert.equal(CitationIndex.normalize('https://example.com/report[^1]'), key);
+  assert.equal(CitationIndex.normalize('https://example.com/report).'), key);
+  assert.equal(CitationIndex.normalize('https://example.com/report?id=7'), 'https://example.com/report?id=7');
+  assert.equal(CitationIndex.normalize('https://patents.google.com/patent/US-1234567-B2/en'), 'https://patents.google.com/patent/US1234567B2/en');
+  assert.equal(CitationIndex.normalize('ftp://example.com/file'), null);
+  assert.equal(CitationIndex.normalize('not a url'), null);
+});
+
+test('numbers a source once however many dimensions cite it', () => {
+  const index = CitationIndex.create();
+  const first = CitationIndex.cite(index, 'https://example.com/a', { dimension: 'market', label: 'TAM' });
+  const again = CitationIndex.cite(index, 'https://Example.com/a/', { dimension: 'company', label: 'Overview', title: 'Report A' });
+  const second = CitationIndex.cite(index, 'https://example.com/b', { dimension: 'funding' });
+
+  assert.equal(first.number, 1);
+  assert.equal(again, first);
+  assert.equal(first.title, 'Report A');
+  assert.equal(second.number, 2);
+  assert.equal(CitationIndex.cite(index, 'mailto:someone@example.com', { dimension: 'team' }), null);
+});
+
+test('lists cited sources with their dimensions in tab order', () => {
+  const index = CitationIndex.create();
+  CitationIndex.cite(index, 'https://example.com/a', { dimension: 'market', label: 'TAM' });
+  CitationIndex.cite(index, 'https://example.com/a', { dimension: 'company', label: 'Overview' });
+  CitationIndex.cite(index, 'https://example.com/a', { dimension: 'market', label: 'TAM' });
+
+  const [entry] = plain(CitationIndex.list(index));
+  assert.deepEqual(entry.dimensions.map(d => [d.key, d.items]), [['company', ['Overview']], ['market', ['TAM']]]);
+  assert.equal(entry.domain, 'example.com');
+});
+
+test('keeps numbers when a dimension is re-run', () => {
+  const index = CitationIndex.create();
+  CitationIndex.cite(index, 'https://example.com/a', { dimension: 'market' });
+  CitationIndex.cite(index, 'https://example.com/b', { dimension: 'company' });
+
+  CitationIndex.forget(index, 'market');
+  assert.deepEqual(plain(CitationIndex.list(index)).map(e => e.number), [2]);
+
+  assert.equal(CitationIndex.cite(index, 'https://example.com/a', { dimension: 'market' }).number, 1);
+  assert.deepEqual(plain(CitationIndex.list(index)).map(e => e.number), [1, 2]);
+});
@@ -0,0 +1,36 @@
+// tests/competitor-comparison.test.js - Funding and revenue parsing for the comparison matrix
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+const { CompetitorComparison } = loadApp();
+
+const millions = amount => CompetitorComparison.parseMillions(amount);
+
+test('reads amounts with unit words and abbreviations', () => {
+  assert.equal(millions('$12.5M'), 12.5);
+  assert.equal(millions('12.5 million'), 12.5);
+  assert.equal(millions('$1.2 billion'), 1200);
+  assert.equal(millions('2bn'), 2000);
+  assert.equal(millions('$500K'), 0.5);
+  assert.equal(millions('750 thousand'), 0.75);
+});
+
+test('reads raw dollar amounts with thousands separators', () => {
+  assert.equal(millions('$1,500,000'), 1.5);
+  assert.equal(millions('$25,000'), 0.025);
+});
+
+test('takes numbers as already in millions', () => {
+  assert.equal(millions(40), 40);
+  assert.equal(millions(0), null);
+});
+
+test('returns null for unknown or ambiguous amounts', () => {
+  assert.equal(millions(''), null);
+  assert.equal(millions(null), null);
+  assert.equal(millions('Undisclosed'), null);
+  assert.equal(millions('$500'), null);
+  assert.equal(millions('$0M'), null);
+});
@@ -0,0 +1,53 @@
+// tests/deal-explorer.test.js - Investor and date parsing for the Funding tab's Explore view
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { DealExplorer } = loadApp();
+
+const investors = text => plain(DealExplorer.parseInvestors(text));
+
+test('drops corporate suffixes split off by commas', () => {
+  assert.deepEqual(investors('Lux Capital, Inc., DCVC'), [
+    { name: 'Lux Capital', lead: false },
+    { name: 'DCVC', lead: false }
+  ]);
+  assert.deepEqual(investors('Acme Ventures, LLC; Beta Partners, L.P.'), [
+    { name: 'Acme Ventures', lead: false },
+    { name: 'Beta Partners', lead: false }
+  ]);
+});
+
+test('splits sentences but keeps initials together', () => {
+  assert.deepEqual(investors('Co-led by A16Z and GV. Also: Founders Fund'), [
+    { name: 'A16Z', lead: true },
+    { name: 'GV', lead: true },
+    { name: 'Founders Fund', lead: false }
+  ]);
+  assert.deepEqual(investors('Led by J.P. Morgan with participation from Bill and Melinda Gates Foundation'), [
+    { name: 'J.P. Morgan', lead: true },
+    { name: 'Bill and Melinda Gates Foundation', lead: false }
+  ]);
+});
+
+test('marks leads given in parentheses and skips placeholders', () => {
+  assert.deepEqual(investors('Investors: Khosla Ventures (lead), undisclosed and others'), [
+    { name: 'Khosla Ventures', lead: true }
+  ]);
+  assert.deepEqual(investors(''), []);
+});
+
+test('reads the quarter from numeric day/month dates', () => {
+  const quarter = date => DealExplorer.parseDate(date)?.quarter;
+  assert.equal(quarter('15/03/2024'), 1);
+  assert.equal(quarter('03/15/2024'), 1);
+  assert.equal(quarter('04/11/2024'), 2);
+  assert.equal(quarter('2024/11/02'), 4);
+  assert.equal(quarter('07/2023'), 3);
+  assert.equal(quarter('2024-05-14'), 2);
+  assert.equal(quarter('Q3 2024'), 3);
+  assert.equal(quarter('May 2024'), 2);
+  assert.equal(quarter('2024'), null);
+  assert.equal(DealExplorer.parseDate('undated'), null);
+});
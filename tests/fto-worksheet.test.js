@@ -0,0 +1,63 @@
+// tests/fto-worksheet.test.js - Freedom-to-operate rows carried across IP re-runs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { FtoWorksheet } = loadApp();
+
+const patent = (id, blockingPotential) => ({ id, title: `Patent ${id}`, assignee: 'Acme Corp', blockingPotential, link: '' });
+
+test('lists high and medium blocking patents once per patent, highest first', () => {
+  const { rows } = plain(FtoWorksheet.build([
+    patent('US1111111B2', 'medium'),
+    patent('US2222222B1', 'low'),
+    patent('US3333333B2', 'high'),
+    patent('US3333333A1', 'high')
+  ], null));
+
+  assert.deepEqual(rows.map(r => [r.key, r.blockingPotential, r.listed]), [
+    ['US3333333', 'high', true],
+    ['US1111111', 'medium', true]
+  ]);
+  assert.equal(rows[0].claimOverlap, '');
+});
+
+test('carries saved entries over to a re-run whatever the kind code', () => {
+  const saved = {
+    rows: [{ key: 'US1111111', claimOverlap: 'partial', designAround: 'Swap the membrane', counselReview: true }],
+    updatedAt: '2026-03-01T00:00:00Z'
+  };
+  const worksheet = plain(FtoWorksheet.build([patent('US-1111111-A1', 'high')], saved));
+
+  assert.equal(worksheet.rows.length, 1);
+  assert.equal(worksheet.rows[0].id, 'US-1111111-A1');
+  assert.equal(worksheet.rows[0].claimOverlap, 'partial');
+  assert.equal(worksheet.rows[0].designAround, 'Swap the membrane');
+  assert.equal(worksheet.updatedAt, '2026-03-01T00:00:00Z');
+});
+
+test('keeps started rows for patents no longer listed, but leaves them out of the summary', () => {
+  const saved = {
+    rows: [
+      { key: 'US1111111', id: 'US1111111B2', blockingPotential: 'high', claimOverlap: 'substantial', listed: true },
+      { key: 'US4444444', id: 'US4444444B2', blockingPotential: 'medium', claimOverlap: '', listed: true }
+    ]
+  };
+  const worksheet = plain(FtoWorksheet.build([patent('US5555555B2', 'medium')], saved));
+
+  assert.deepEqual(worksheet.rows.map(r => [r.key, r.listed]), [['US5555555', true], ['US1111111', false]]);
+  assert.deepEqual(plain(FtoWorksheet.summarize(worksheet)), { patents: 1, reviewed: 0, overlapping: 0, counselReview: 0 });
+});
+
+test('summarizes reviewed, overlapping and counsel-review rows', () => {
+  const worksheet = {
+    rows: [
+      { listed: true, claimOverlap: 'substantial', counselReview: true },
+      { listed: true, claimOverlap: 'none', designAround: '' },
+      { listed: true, claimOverlap: '', licensingContact: '  ' }
+    ]
+  };
+  assert.deepEqual(plain(FtoWorksheet.summarize(worksheet)), { patents: 3, reviewed: 2, overlapping: 1, counselReview: 1 });
+  assert.deepEqual(plain(FtoWorksheet.summarize(null)), { patents: 0, reviewed: 0, overlapping: 0, counselReview: 0 });
+});
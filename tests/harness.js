@@ -0,0 +1,131 @@
+// tests/harness.js - Loads the browser-global modules into a Node vm context
+// The app has no build step: index.html loads each file as a classic script that
+// assigns its module to window. The harness runs the same files, in index.html
+// order, against a small document/localStorage shim, so tests see what the page sees.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Modules with no DOM work at load time; components and core need a real page
+const DEFAULT_PREFIXES = ['js/utils/', 'js/config/', 'js/api/'];
+
+/**
+ * Local script paths from index.html, in load order
+ */
+function scriptOrder() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  return [...html.matchAll(/<script\s+src="(js\/[^"]+)"/g)].map(match => match[1]);
+}
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear(),
+    key: i => [...items.keys()][i] ?? null,
+    get length() { return items.size; }
+  };
+}
+
+function createElement(tagName = 'div') {
+  return {
+    tagName: String(tagName).toUpperCase(),
+    style: {},
+    dataset: {},
+    children: [],
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    textContent: '',
+    innerHTML: '',
+    appendChild(child) { this.children.push(child); return child; },
+    setAttribute() {},
+    getAttribute: () => null,
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector: () => null,
+    querySelectorAll: () => []
+  };
+}
+
+function createDocument() {
+  return {
+    readyState: 'complete',
+    body: createElement('body'),
+    head: createElement('head'),
+    createElement,
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+/**
+ * Fresh context with the app's modules loaded
+ * @param {Object} options
+ * @param {string[]} options.prefixes - Which index.html scripts to load, by path prefix
+ * @returns {Object} The context's window; logs holds Debug warnings and errors
+ */
+function loadApp({ prefixes = DEFAULT_PREFIXES } = {}) {
+  const logs = [];
+  const record = level => (...args) => logs.push({ level, message: args.map(String).join(' ') });
+
+  const sandbox = {
+    console: { log() {}, info() {}, debug() {}, warn: record('warn'), error: record('error') },
+    document: createDocument(),
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    navigator: { userAgent: 'node', clipboard: { writeText: async () => {} } },
+    location: { href: 'http://localhost/', origin: 'http://localhost', hostname: 'localhost', search: '', hash: '' },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    AbortController,
+    EventTarget,
+    CustomEvent,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    fetch: async () => { throw new Error('fetch is not available in tests'); }
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  sandbox.addEventListener = () => {};
+  sandbox.removeEventListener = () => {};
+
+  const context = vm.createContext(sandbox);
+  scriptOrder()
+    .filter(src => prefixes.some(prefix => src.startsWith(prefix)))
+    .forEach(src => {
+      const file = path.join(ROOT, src);
+      vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+  sandbox.logs = logs;
+  return sandbox;
+}
+
+/**
+ * Fixture file from tests/fixtures, parsed when it is .json
+ */
+function fixture(name) {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+/**
+ * Plain copy of a value built inside the context, so deepStrictEqual compares
+ * shapes rather than the other realm's prototypes
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, fixture, plain, scriptOrder };
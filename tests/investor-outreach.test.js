@@ -0,0 +1,47 @@
+// tests/investor-outreach.test.js - Ranking investors to approach and keeping contact marks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { InvestorOutreach } = loadApp();
+
+const formatted = {
+  verifiedDeals: [
+    { company: 'Alpha Bio', series: 'Seed', date: '2024-05-01', relevance: 'core', investors: 'Led by Lux Capital with participation from DCVC' },
+    { company: 'Beta Labs', series: 'Series A', date: '2023-02-01', relevance: 'broad', investors: 'Founders Fund, DCVC' },
+    { company: 'Gamma Med', series: 'Series B', date: '2024-09-01', relevance: 'adjacent', investors: 'DCVC' }
+  ],
+  governmentPrograms: [{ name: 'NSF SBIR Phase I', amount: '$275K', description: 'Seed-stage grants' }]
+};
+
+test('ranks relevant leads first and groups investors by their usual stage', () => {
+  const { rows } = plain(InvestorOutreach.build(formatted, null));
+
+  assert.deepEqual(rows.map(r => r.name), ['Lux Capital', 'DCVC', 'Founders Fund', 'NSF SBIR Phase I']);
+  const dcvc = rows.find(r => r.name === 'DCVC');
+  assert.equal(dcvc.deals, 3);
+  assert.equal(dcvc.relevantDeals, 2);
+  assert.equal(dcvc.group, 'series_a_plus');
+  assert.equal(rows.find(r => r.name === 'Lux Capital').group, 'seed');
+  assert.equal(rows.find(r => r.name === 'NSF SBIR Phase I').group, 'government');
+  assert.equal(InvestorOutreach.describe(rows[0]), 'Led 1 of 1 relevant deal, latest Q2 2024');
+});
+
+test('keeps contact marks across re-runs, including for investors no longer found', () => {
+  const saved = {
+    rows: [
+      { key: 'dcvc', name: 'DCVC', contacted: true, contactedAt: '2026-02-01' },
+      { key: 'khosla ventures', name: 'Khosla Ventures', group: 'seed', contacted: true, contactedAt: '2026-01-15' },
+      { key: 'founders fund', name: 'Founders Fund', contacted: false }
+    ]
+  };
+  const list = plain(InvestorOutreach.build(formatted, saved));
+
+  assert.equal(list.rows.find(r => r.key === 'dcvc').contactedAt, '2026-02-01');
+  assert.equal(list.rows[list.rows.length - 1].name, 'Khosla Ventures');
+  assert.equal(list.rows[list.rows.length - 1].listed, false);
+  assert.equal(list.rows.some(r => r.name === 'Founders Fund' && r.contacted), false);
+  assert.deepEqual(plain(InvestorOutreach.summarize(list)), { investors: 4, contacted: 1 });
+  assert.equal(InvestorOutreach.grouped(list).pop().key, 'unlisted');
+});
@@ -0,0 +1,17 @@
+// tests/market-basis.test.js - The PDF's market basis matches the submitted market score
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+const app = loadApp({ prefixes: ['js/utils/', 'js/config/', 'js/api/', 'js/components/assessment-view.js'] });
+
+test('a calculator basis is exported only while the score still matches it', () => {
+  const view = new app.AssessmentView();
+  view.userScores.market = { score: 6, justification: '', submitted: true, marketBasis: { description: 'Sports wearables', tam: 4.2e9, cagr: 12.5, score: 6 } };
+  assert.equal(view.getExportData().market.userMarketBasis.description, 'Sports wearables');
+
+  // Moved by hand after applying the calculator
+  view.userScores.market.score = 8;
+  assert.equal(view.getExportData().market.userMarketBasis, null);
+});
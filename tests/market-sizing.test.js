@@ -0,0 +1,55 @@
+// tests/market-sizing.test.js - Bottom-up SAM/SOM assumptions and projection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { MarketSizing } = loadApp();
+
+const company = { solution_value: { beachhead_customer: { segment: 'Regional hospitals' } } };
+const market = { formatted: { primaryMarket: { cagr: '12.5' } } };
+
+test('seeds from the beachhead and market CAGR, keeping the advisor\'s saved values', () => {
+  const { assumptions, updatedAt } = plain(MarketSizing.build({
+    assumptions: { targetCustomers: 400, pricePoint: '', adoptionCurve: 'unknown', notAField: 1 },
+    updatedAt: '2026-01-02T00:00:00Z'
+  }, company, market));
+
+  assert.equal(assumptions.segment, 'Regional hospitals');
+  assert.equal(assumptions.customerGrowth, 12.5);
+  assert.equal(assumptions.targetCustomers, 400);
+  assert.equal(assumptions.pricePoint, null);
+  assert.equal(assumptions.adoptionCurve, 's_curve');
+  assert.equal('notAField' in assumptions, false);
+  assert.equal(updatedAt, '2026-01-02T00:00:00Z');
+});
+
+test('projects SAM from customers and price and reaches the target share in the final year', () => {
+  const projection = plain(MarketSizing.project({
+    targetCustomers: 1000, pricePoint: 50000, customerGrowth: 10,
+    share: 5, adoptionCurve: 'linear', startYear: 2027, years: 4
+  }));
+
+  assert.equal(projection.rows.length, 4);
+  assert.equal(projection.sam, 50e6);
+  assert.deepEqual(projection.rows.map(r => r.year), [2027, 2028, 2029, 2030]);
+  assert.deepEqual(projection.rows.map(r => r.share), [1.25, 2.5, 3.75, 5]);
+  assert.equal(projection.rows[3].customers, 1331);
+  assert.ok(Math.abs(projection.som - 1331 * 50000 * 0.05) < 1);
+});
+
+test('waits for customers and price, and clamps share and years', () => {
+  assert.equal(MarketSizing.project({ targetCustomers: 100, pricePoint: null }), null);
+  assert.equal(MarketSizing.project({ targetCustomers: 0, pricePoint: 10 }), null);
+
+  const projection = MarketSizing.project({ targetCustomers: 10, pricePoint: 10, share: 250, years: 40, adoptionCurve: 'early' });
+  assert.equal(projection.rows.length, MarketSizing.maxYears);
+  assert.equal(projection.rows[projection.rows.length - 1].share, 100);
+});
+
+test('compares SAM with the workflow TAM', () => {
+  const projection = { sam: 25e6 };
+  assert.equal(MarketSizing.samShareOfTam(projection, '100000000'), 25);
+  assert.equal(MarketSizing.samShareOfTam(projection, 'unknown'), null);
+  assert.equal(MarketSizing.samShareOfTam(null, 1e8), null);
+});
@@ -0,0 +1,81 @@
+// tests/normalizers.test.js - Score, confidence and company structure normalization
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fixture, plain } = require('./harness');
+
+const app = loadApp();
+const { ConfidenceUtil, CompanyAPI, TeamAPI, MarketAPI, IPRiskAPI } = app;
+
+test('normalizeScore accepts 1-9 as numbers or leading digits in text', () => {
+  [TeamAPI, MarketAPI].forEach(api => {
+    assert.equal(api.normalizeScore(1), 1);
+    assert.equal(api.normalizeScore(9), 9);
+    assert.equal(api.normalizeScore('7'), 7);
+    assert.equal(api.normalizeScore('Score: 6/9'), 6);
+  });
+});
+
+test('normalizeScore rejects out-of-range, fractional and missing scores', () => {
+  [TeamAPI, MarketAPI].forEach(api => {
+    [0, 10, -3, 12, 6.5, '0', '10', 'high', '', null, undefined, NaN, {}].forEach(value => {
+      assert.equal(api.normalizeScore(value), null, `${JSON.stringify(value)} should be rejected`);
+    });
+  });
+});
+
+test('IP risk falls back to the risk level when the score is out of range', () => {
+  assert.equal(IPRiskAPI.extractScore({}, { score: '4 of 9' }), 4);
+  assert.equal(IPRiskAPI.extractScore({ risk_assessment: { overall_risk: 'very_high' } }, { score: 11 }), 2);
+  assert.equal(IPRiskAPI.extractScore({}, { score: 0 }), null);
+});
+
+test('normalizeLevel maps words, fractions, percentages and nested values', () => {
+  const cases = [
+    ['high', 'High'], [' Moderate ', 'Medium'], ['med', 'Medium'], ['very low', 'Low'],
+    [0.9, 'High'], [0.5, 'Medium'], [0.1, 'Low'], [80, 'High'], [40, 'Medium'], [150, 'High'], [-2, 'Low'],
+    [{ level: 'low' }, 'Low'], [{ confidence: 0.7 }, 'High']
+  ];
+  cases.forEach(([value, expected]) => {
+    assert.equal(ConfidenceUtil.normalizeLevel(value), expected, `${JSON.stringify(value)}`);
+  });
+});
+
+test('normalizeLevel keeps unknown words and rejects empty values', () => {
+  assert.equal(ConfidenceUtil.normalizeLevel('PARTIAL'), 'Partial');
+  [null, undefined, '', '  ', NaN, {}].forEach(value => {
+    assert.equal(ConfidenceUtil.normalizeLevel(value), null);
+  });
+});
+
+test('ensureStructure fills every v3 section with defaults', () => {
+  const data = plain(CompanyAPI.ensureStructure({ company_overview: { name: 'Solo' } }));
+  [
+    'company_overview', 'technology', 'products_services', 'team', 'funding_and_investors',
+    'traction_and_metrics', 'recent_activity', 'market_context', 'data_quality_assessment'
+  ].forEach(section => assert.ok(data[section], `${section} missing`));
+  assert.equal(data.company_overview.name, 'Solo');
+  assert.deepEqual(data.technology.patents, []);
+});
+
+test('ensureStructure maps the legacy company_profile wrapper to v3', () => {
+  const raw = JSON.parse(fixture('company-legacy.json').outputs['out-6']);
+  const data = plain(CompanyAPI.ensureStructure(raw));
+
+  assert.deepEqual(data.company_overview, {
+    name: 'Helio Membranes',
+    website: 'heliomem.example',
+    founded_year: '2018',
+    headquarters: 'Boston, MA',
+    company_stage: 'early',
+    one_liner: 'Cheaper desalination membranes',
+    detailed_description: 'Layered graphene oxide membranes for reverse osmosis',
+    downstream_summary: ''
+  });
+  assert.deepEqual(data.technology.key_differentiators, ['Flux: 3x water flux', 'Fouling resistant']);
+  assert.deepEqual(data.team.founders.map(f => f.name), ['Sam Ortiz']);
+  assert.equal(data.funding_and_investors.total_funding, '4500000');
+  assert.deepEqual(data.funding_and_investors.funding_rounds[0].lead_investors, ['Clean Water Ventures']);
+  assert.equal(data.data_quality_assessment.overall_confidence, 'High');
+  assert.equal(data.products_services.business_model, 'Licensing');
+});
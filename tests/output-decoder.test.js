@@ -0,0 +1,99 @@
+// tests/output-decoder.test.js - OutputDecoder against the output shapes Stack AI returns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { OutputDecoder } = loadApp();
+
+const decode = (raw, options) => {
+  const report = OutputDecoder.decode(raw, options);
+  return { ...report, value: plain(report.value) };
+};
+
+test('passes objects through and unwraps { text }', () => {
+  assert.deepEqual(decode({ score: 5 }).value, { score: 5 });
+
+  const wrapped = decode({ text: '{"score": 5}' });
+  assert.deepEqual(wrapped.value, { score: 5 });
+  assert.deepEqual(plain(wrapped.unwrapped), ['text']);
+  assert.deepEqual(plain(wrapped.repairs), []);
+});
+
+test('removes code fences, with or without a language tag', () => {
+  const tagged = decode('```json\n{"score": 7}\n```');
+  assert.deepEqual(tagged.value, { score: 7 });
+  assert.deepEqual(plain(tagged.repairs), ['codeFence']);
+
+  assert.deepEqual(decode('```\n[1, 2]\n```').value, [1, 2]);
+  assert.deepEqual(decode('Here you go:\n```json\n{"a": 1}\n```\nLet me know.').value, { a: 1 });
+});
+
+test('skips prose around unfenced JSON', () => {
+  const result = decode('Result: {"a": 1} as requested');
+  assert.deepEqual(result.value, { a: 1 });
+  assert.deepEqual(plain(result.repairs), ['leadingProse', 'trailingText']);
+});
+
+test('removes trailing commas outside strings', () => {
+  const result = decode('{"list": [1, 2,], "note": "a, ]",}');
+  assert.deepEqual(result.value, { list: [1, 2], note: 'a, ]' });
+  assert.ok(result.repairs.includes('trailingCommas'));
+});
+
+test('closes truncated output, dropping the incomplete member', () => {
+  const result = decode('{"score": 6, "strengths": ["Fast", "Che');
+  assert.deepEqual(result.value, { score: 6, strengths: ['Fast', 'Che'] });
+  assert.ok(result.repairs.includes('truncated'));
+
+  assert.deepEqual(decode('{"a": 1, "b": {"c": tr').value, { a: 1, b: {} });
+  assert.deepEqual(decode('```json\n{"a": [1, 2').value, { a: [1, 2] });
+});
+
+test('decodes JSON encoded as a string', () => {
+  const result = decode(JSON.stringify(JSON.stringify({ score: 3 })));
+  assert.deepEqual(result.value, { score: 3 });
+  assert.ok(result.repairs.includes('doubleEncoded'));
+});
+
+test('merges several objects with distinct keys, otherwise keeps the first', () => {
+  const merged = decode('{"analysis": {}}\n{"score": 4}');
+  assert.deepEqual(merged.value, { analysis: {}, score: 4 });
+  assert.ok(merged.repairs.includes('mergedObjects'));
+
+  const repeated = decode('{"score": 4}\n{"score": 5}');
+  assert.deepEqual(repeated.value, { score: 4 });
+  assert.ok(repeated.repairs.includes('multipleValues'));
+});
+
+test('unwraps envelopes of pasted exports', () => {
+  const result = decode({ output: JSON.stringify({ result: { score: 2 } }) }, { envelopes: ['output', 'result'] });
+  assert.deepEqual(result.value, { score: 2 });
+  assert.deepEqual(plain(result.unwrapped), ['output', 'result']);
+});
+
+test('reports output that holds no JSON', () => {
+  assert.equal(decode('The workflow timed out.').error, 'no JSON object or array in output');
+  assert.equal(decode('   ').error, 'empty output');
+  assert.equal(OutputDecoder.parse('not json', 'score', 'Test'), null);
+});
+
+test('ignores a closing fence whose opening fence is missing', () => {
+  const cases = [
+    ['{"score": 7, "notes": "x"}\n```', { score: 7, notes: 'x' }],
+    ['Result:\n{"a":1}\n```', { a: 1 }],
+    ['{"a":1}\n```\nDone', { a: 1 }]
+  ];
+  cases.forEach(([text, expected]) => {
+    const result = decode(text);
+    assert.deepEqual(result.value, expected, JSON.stringify(text));
+    assert.equal(result.repairs.includes('codeFence'), false);
+    assert.ok(result.repairs.includes('trailingText'));
+  });
+});
+
+test('uses the fenced block when prose before it has brackets', () => {
+  const result = decode('Here it is [v2]:\n```json\n{"a": 1}\n```');
+  assert.deepEqual(result.value, { a: 1 });
+  assert.deepEqual(plain(result.repairs), ['codeFence']);
+});
@@ -0,0 +1,33 @@
+// tests/phase-registry.test.js - Registry entries carry what the app needs to run, show and submit them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const app = loadApp({ prefixes: ['js/utils/', 'js/config/', 'js/api/', 'js/components/assessment-view.js'] });
+const { PhaseRegistry, AssessmentView } = app;
+
+test('every pipeline phase names an API module and a tab loader that exist', () => {
+  PhaseRegistry.phases().forEach(entry => {
+    assert.equal(typeof app[entry.api]?.analyze, 'function', `${entry.key} api`);
+    assert.equal(typeof AssessmentView.prototype[entry.loader], 'function', `${entry.key} loader`);
+  });
+});
+
+test('every dimension names its Smartsheet columns', () => {
+  PhaseRegistry.dimensions().forEach(entry => {
+    assert.ok(entry.smartsheet?.userScore && entry.smartsheet?.justification, entry.key);
+  });
+});
+
+test('score data covers every dimension, with no AI score for advisor-only ones', () => {
+  const view = new AssessmentView();
+  view.aiScores.team = 6;
+  view.userScores.team = { score: 7, justification: 'Strong PI' };
+  view.aiScores.solutionvalue = 4;
+
+  const data = plain(view.getScoreData());
+  assert.deepEqual(Object.keys(data), plain(PhaseRegistry.dimensionKeys()));
+  assert.deepEqual(data.team, { aiScore: 6, userScore: 7, justification: 'Strong PI' });
+  assert.equal(data.solutionvalue.aiScore, null);
+});
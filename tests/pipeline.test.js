@@ -0,0 +1,65 @@
+// tests/pipeline.test.js - Phases are passed their upstream phases' output and the advisor's corrections
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fixture, plain } = require('./harness');
+
+const app = loadApp({ prefixes: ['js/utils/', 'js/config/', 'js/api/', 'js/core/pipeline.js'] });
+
+const DESCRIPTION = 'Lumen Bio develops a point-of-care assay for sepsis biomarkers.';
+
+test('IP landscape runs after competitive and is sent its competitors', async () => {
+  const sent = {};
+  app.StackProxy.call = async (workflow, payload) => {
+    sent[workflow] = payload;
+    return fixture(`${workflow}-legacy.json`);
+  };
+  app.StackProxy.checkUrls = async urls => urls.map(url => ({ url, ok: true, status: 200 }));
+
+  const pipeline = new app.AnalysisPipeline();
+  pipeline.companyDescription = DESCRIPTION;
+  const company = pipeline.phases.find(p => p.key === 'company');
+  Object.assign(company, { status: 'completed', data: {} });
+
+  const [competitive, iprisk] = await pipeline.schedulePhases(['competitive', 'iprisk']);
+  assert.equal(competitive.status, 'fulfilled');
+  assert.equal(iprisk.status, 'fulfilled');
+
+  const names = competitive.value.analysis.competitors.map(c => c.company_name || c.product_name);
+  assert.ok(names.length > 1);
+  assert.equal(sent.competitive['in-0'], DESCRIPTION);
+  assert.ok(sent.iprisk['in-0'].startsWith(DESCRIPTION));
+  names.forEach(name => assert.ok(sent.iprisk['in-0'].includes(name), name));
+});
+
+test('a failed competitive phase blocks IP landscape', async () => {
+  app.StackProxy.call = async () => { throw new Error('Invalid workflow output'); };
+
+  const pipeline = new app.AnalysisPipeline();
+  pipeline.companyDescription = DESCRIPTION;
+  Object.assign(pipeline.phases.find(p => p.key === 'company'), { status: 'completed', data: {} });
+  app.RetryPolicy.forPhase = () => ({ maxAttempts: 1 });
+
+  const [competitive, iprisk] = await pipeline.schedulePhases(['competitive', 'iprisk']);
+  assert.equal(competitive.status, 'rejected');
+  assert.equal(iprisk.status, 'rejected');
+  assert.equal(pipeline.getPhaseStatus('iprisk'), 'blocked');
+});
+
+test('advisor corrections to sector and beachhead reach the company output', async () => {
+  const pipeline = new app.AnalysisPipeline();
+  const companyData = app.CompanyAPI.processResponse(fixture('company-v3.json'));
+  pipeline.companyDescription = companyData.short;
+  pipeline.setExtractionReview(async fields => ({ ...fields, sector: 'Clinical lactate monitoring', beachhead: 'Sepsis wards' }));
+
+  let edited = null;
+  pipeline.on('extractionEdited', event => { edited = event; });
+  await pipeline.reviewExtraction(companyData);
+
+  assert.equal(companyData.full.market_context.target_market, 'Clinical lactate monitoring');
+  assert.equal(companyData.full.solution_value.beachhead_customer.segment, 'Sepsis wards');
+  assert.deepEqual(plain(app.CompanyAPI.getKeyFields(companyData)), { sector: 'Clinical lactate monitoring', beachhead: 'Sepsis wards' });
+  assert.equal(app.MarketSizing.seed(companyData.full, null).segment, 'Sepsis wards');
+  assert.match(pipeline.companyDescription, /Beachhead customer: Sepsis wards/);
+  assert.equal(edited.data, companyData);
+});
@@ -0,0 +1,40 @@
+// tests/replay.test.js - The sample replay bundles run a whole assessment offline
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp } = require('./harness');
+
+const BUNDLES = path.join(__dirname, '..', 'fixtures', 'replay');
+
+/**
+ * App in replay mode with a bundle from fixtures/replay already loaded
+ */
+function replayApp(name) {
+  const app = loadApp({ prefixes: ['js/utils/', 'js/config/', 'js/api/', 'js/core/auth.js', 'js/core/pipeline.js'] });
+  const bundle = JSON.parse(fs.readFileSync(path.join(BUNDLES, `${name}.json`), 'utf8'));
+  app.StackReplay.configure(`?replay=${name}`);
+  app.StackReplay.bundle = app.StackReplay.validateBundle(bundle);
+  app.StackReplay.minLatencyMs = 0;
+  app.StackReplay.speed = Infinity;
+  return app;
+}
+
+['sample-legacy', 'sample-v3'].forEach(name => {
+  test(`${name} replays every phase`, async () => {
+    const app = replayApp(name);
+    const pipeline = new app.AnalysisPipeline();
+    const url = app.StackReplay.bundle.responses.company_url[0].payload['in-0'];
+
+    await pipeline.start({ url });
+    pipeline.phases.forEach(phase => assert.equal(phase.status, 'completed', `${phase.key}: ${phase.error?.message}`));
+    assert.deepEqual(app.logs.filter(log => log.level === 'error'), []);
+  });
+});
+
+test('replay mode skips sign-in', async () => {
+  const app = replayApp('sample-v3');
+  assert.equal(await app.Auth.checkAccess(), true);
+  assert.equal(app.Auth.isExternal(), false);
+});
@@ -0,0 +1,22 @@
+// tests/researcher-profiles.test.js - Attributing cited commercialization signals to team members
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+const { ResearcherProfiles } = loadApp();
+
+const team = [{ name: 'Anna Müller' }, { name: 'Ольга Иванова' }, { name: 'Raj Patel' }];
+const memberFor = signal => ResearcherProfiles.signalMember(signal, team)?.name || null;
+
+test('matches a last name with or without its diacritics', () => {
+  assert.equal(memberFor('Dr. Muller holds two licensed patents'), 'Anna Müller');
+  assert.equal(memberFor('Müller co-founded a prior startup'), 'Anna Müller');
+  assert.equal(memberFor({ text: 'SBIR award', member: 'A. Patel' }), 'Raj Patel');
+});
+
+test('skips last names with no Latin letters instead of matching every signal', () => {
+  assert.equal(memberFor('Industry consulting with a medical device firm'), null);
+  assert.equal(memberFor('Patel and Muller published together'), null);
+  assert.equal(memberFor('Ольга Иванова advised a spinout'), 'Ольга Иванова');
+});
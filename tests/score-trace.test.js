@@ -0,0 +1,33 @@
+// tests/score-trace.test.js - Parsing the rubric steps behind a dimension score
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { ScoreTrace } = loadApp();
+
+test('reads baseline ranges in the forms the workflows use', () => {
+  assert.deepEqual(plain(ScoreTrace.parseRange('moderate_4_6')), { low: 4, high: 6, label: 'Moderate (4-6)' });
+  assert.deepEqual(plain(ScoreTrace.parseRange('6-4')), { low: 4, high: 6, label: '(4-6)' });
+  assert.deepEqual(plain(ScoreTrace.parseRange('5')), { low: 5, high: 5, label: '(5)' });
+  assert.equal(ScoreTrace.parseRange('n/a'), null);
+  assert.equal(ScoreTrace.parseRange(null), null);
+});
+
+test('reads signed score changes but not ranges or dates', () => {
+  assert.equal(ScoreTrace.parseDelta('Strong IP position (+1)'), 1);
+  assert.equal(ScoreTrace.parseDelta('Adjustment: −2 for crowded market'), -2);
+  assert.equal(ScoreTrace.parseDelta('+0.5 for partnerships'), 0.5);
+  assert.equal(ScoreTrace.parseDelta('Score range 4-6'), null);
+  assert.equal(ScoreTrace.parseDelta('Founded 2019-2020'), null);
+  assert.equal(ScoreTrace.parseDelta(undefined), null);
+});
+
+test('links a step to the evidence it names', () => {
+  const candidates = [{ label: 'Acme Corp' }, { label: 'GE' }, { label: 'Lumen' }];
+  const step = plain(ScoreTrace.step('adjustment', 'Competition', '  Acme Corp and GE lead the market  ', candidates));
+
+  assert.equal(step.text, 'Acme Corp and GE lead the market');
+  assert.deepEqual(step.evidence, [{ label: 'Acme Corp' }]);
+  assert.equal(ScoreTrace.itemText({ company_name: 'Acme Corp', size: 'large' }), 'Acme Corp');
+});
@@ -0,0 +1,33 @@
+// tests/source-verifier.test.js - Source checks are kept per assessment and report proxy failures
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./harness');
+
+const app = loadApp();
+const { SourceVerifier, StackProxy } = app;
+
+const result = url => ({ analysis: { sources: [url] } });
+
+test('each store keeps its own checks', async () => {
+  StackProxy.checkUrls = async urls => urls.map(url => ({ url, status: url.includes('dead') ? 404 : 200 }));
+  const first = SourceVerifier.create();
+  const second = SourceVerifier.create();
+
+  await SourceVerifier.verifyPhase(first, 'team', result('https://lab.example.edu/dead'));
+  const summary = await SourceVerifier.verifyPhase(second, 'team', result('https://lab.example.edu/people'));
+
+  assert.equal(SourceVerifier.lookup(first, 'https://lab.example.edu/dead').verdict, 'dead');
+  assert.equal(SourceVerifier.lookup(second, 'https://lab.example.edu/dead'), null);
+  assert.equal(summary.error, null);
+});
+
+test('a failed proxy check is reported on the summary', async () => {
+  StackProxy.checkUrls = async () => { throw new Error('the proxy timed out'); };
+  const store = SourceVerifier.create();
+
+  const summary = await SourceVerifier.verifyPhase(store, 'market', result('https://market.example.com/report'));
+  assert.equal(summary.error, 'the proxy timed out');
+  assert.equal(summary.sources['https://market.example.com/report'].verdict, 'unchecked');
+  assert.deepEqual(Object.keys(store), []);
+});
@@ -0,0 +1,57 @@
+// tests/team-gaps.test.js - Stage-based team gap matrix
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const { TeamGaps } = loadApp();
+
+const team = [
+  { name: 'Dr. Lee', role_at_venture: 'Principal Investigator and CTO' },
+  { name: 'Sam Ortiz', role_at_venture: 'Chief Executive Officer' },
+  { name: 'Ana Ruiz', role_at_venture: 'Scientific Advisor' }
+];
+
+test('maps company stages onto venture stages', () => {
+  assert.equal(TeamGaps.stageKey('Pre-seed'), 'early');
+  assert.equal(TeamGaps.stageKey('Seed stage startup'), 'early');
+  assert.equal(TeamGaps.stageKey('Series A'), 'growth');
+  assert.equal(TeamGaps.stageKey('Pre-commercial'), 'pre_company');
+  assert.equal(TeamGaps.stageKey('Academic research'), 'pre_company');
+  assert.equal(TeamGaps.stageKey(''), 'pre_company');
+});
+
+test('marks the roles the stage expects as filled or missing', () => {
+  const matrix = plain(TeamGaps.build(team, 'Seed', null));
+
+  assert.equal(matrix.stage, 'early');
+  assert.deepEqual(matrix.rows.map(r => [r.key, r.filledBy]), [
+    ['technical_lead', ['Dr. Lee']],
+    ['entrepreneurial_lead', ['Sam Ortiz']],
+    ['industry_mentor', ['Ana Ruiz']],
+    ['regulatory', []],
+    ['commercial_lead', []]
+  ]);
+  assert.deepEqual(plain(TeamGaps.summarize(matrix)), {
+    roles: 5,
+    filled: 3,
+    missing: ['Regulatory / quality', 'Commercial / business development'],
+    candidates: []
+  });
+});
+
+test('keeps candidates across re-runs, including for roles the new stage drops', () => {
+  const saved = {
+    rows: [
+      { key: 'regulatory', label: 'Regulatory / quality', candidates: 'J. Park' },
+      { key: 'industry_mentor', label: 'Industry mentor', candidates: 'M. Chen', filledBy: [] }
+    ]
+  };
+  const matrix = plain(TeamGaps.build(team, 'Series B', saved));
+  const mentor = matrix.rows.find(r => r.key === 'industry_mentor');
+
+  assert.equal(matrix.rows.find(r => r.key === 'regulatory').candidates, 'J. Park');
+  assert.equal(mentor.expected, false);
+  assert.equal(TeamGaps.summarize(matrix).roles, 6);
+  assert.deepEqual(plain(TeamGaps.summarize(matrix).candidates), ['Regulatory / quality: J. Park', 'Industry mentor: M. Chen']);
+});